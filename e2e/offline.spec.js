@@ -0,0 +1,31 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+
+test.describe("Offline support", () => {
+  test("links an installable manifest", async ({ page, request }) => {
+    await page.goto("/");
+
+    const href = await page.locator('link[rel="manifest"]').getAttribute("href");
+    expect(href).toBe("/manifest.webmanifest");
+
+    const manifest = await (await request.get(href)).json();
+    expect(manifest.display).toBe("standalone");
+    expect(manifest.icons.map((icon) => icon.sizes)).toEqual(expect.arrayContaining(["192x192", "512x512"]));
+  });
+
+  test("loads and opens the demo project offline after the first visit", async ({ page, context }) => {
+    await page.goto("/");
+
+    // Wait for the service worker to finish precaching and control the page
+    await page.evaluate(() => navigator.serviceWorker.ready);
+    await page.reload();
+    await expect.poll(() => page.evaluate(() => !!navigator.serviceWorker.controller)).toBe(true);
+
+    await context.setOffline(true);
+    await page.reload();
+
+    await expect(page.locator(".brand-title")).toHaveText("Inkwise");
+    await page.click('button[data-action="load-demo"]');
+    await expect(page.locator(".toast--success")).toBeVisible();
+  });
+});
@@ -3,9 +3,16 @@ import { test, expect } from "@playwright/test";
 
 test.describe("Inkwise Smoke Tests", () => {
   test.beforeEach(async ({ page }) => {
-    // Clear localStorage before each test
+    // Clear localStorage and the IndexedDB project store before each test
     await page.goto("/");
-    await page.evaluate(() => localStorage.clear());
+    await page.evaluate(
+      () =>
+        new Promise((resolve) => {
+          localStorage.clear();
+          const request = indexedDB.deleteDatabase("inkwise");
+          request.onsuccess = request.onerror = request.onblocked = () => resolve(undefined);
+        })
+    );
     await page.reload();
   });
 
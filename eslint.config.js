@@ -17,8 +17,16 @@ export default [
         structuredClone: "readonly",
         URL: "readonly",
         Blob: "readonly",
+        ClipboardItem: "readonly",
+        TextEncoder: "readonly",
+        TextDecoder: "readonly",
+        BroadcastChannel: "readonly",
         setTimeout: "readonly",
         clearTimeout: "readonly",
+        setInterval: "readonly",
+        clearInterval: "readonly",
+        btoa: "readonly",
+        atob: "readonly",
         requestAnimationFrame: "readonly",
         fetch: "readonly",
         console: "readonly",
@@ -29,6 +37,16 @@ export default [
       "no-console": "off",
     },
   },
+  {
+    // The service worker runs in a worker scope, not a window
+    files: ["src/sw.js"],
+    languageOptions: {
+      globals: {
+        self: "readonly",
+        caches: "readonly",
+      },
+    },
+  },
   {
     ignores: ["dist/**", "node_modules/**"],
   },
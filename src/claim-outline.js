@@ -0,0 +1,192 @@
+// Claim outline functions extracted for testing
+// Claims stay a flat list in reading order; a claim's `depth` says how far it is
+// indented under the claims above it. A sub-claim belongs to the nearest claim
+// above it with a smaller depth, and moves, indents and outdents with it.
+// Top-level claims carry no `depth` field, so flat projects keep their shape.
+
+import { clampInt } from "./utils.js";
+
+/** Deepest sub-claim level (0 is a top-level claim) */
+export const MAX_CLAIM_DEPTH = 2;
+
+/**
+ * @typedef {{ id: string, text: string, depth?: number }} OutlineClaim
+ */
+
+/**
+ * A claim's depth, clamped to the supported range
+ * @param {{ depth?: unknown }} claim
+ * @returns {number}
+ */
+export function claimDepth(claim) {
+  return clampInt(claim?.depth, 0, MAX_CLAIM_DEPTH, 0);
+}
+
+/**
+ * @template {OutlineClaim} T
+ * @param {T} claim
+ * @param {number} depth
+ * @returns {T}
+ */
+function withDepth(claim, depth) {
+  const next = { ...claim };
+  if (depth > 0) next.depth = depth;
+  else delete next.depth;
+  return next;
+}
+
+/**
+ * Fixes depths so the list is a valid outline: the first claim is top-level and
+ * no claim is more than one level deeper than the claim above it
+ * @template {OutlineClaim} T
+ * @param {T[]} claims
+ * @returns {T[]}
+ */
+export function normalizeOutline(claims) {
+  let previous = -1;
+  return claims.map((claim) => {
+    const depth = Math.min(claimDepth(claim), previous + 1);
+    previous = depth;
+    return withDepth(claim, depth);
+  });
+}
+
+/**
+ * Index just past a claim's last sub-claim
+ * @param {OutlineClaim[]} claims
+ * @param {number} index
+ * @returns {number}
+ */
+export function subtreeEnd(claims, index) {
+  const depth = claimDepth(claims[index]);
+  let end = index + 1;
+  while (end < claims.length && claimDepth(claims[end]) > depth) end++;
+  return end;
+}
+
+/**
+ * Makes a claim (and its sub-claims) a sub-claim of the claim above it
+ * @template {OutlineClaim} T
+ * @param {T[]} claims
+ * @param {string} claimId
+ * @returns {T[] | null} - null when the claim has nothing to go under or would be too deep
+ */
+export function indentClaim(claims, claimId) {
+  const index = claims.findIndex((c) => c.id === claimId);
+  if (index <= 0) return null;
+  const depth = claimDepth(claims[index]);
+  if (claimDepth(claims[index - 1]) < depth) return null;
+
+  const end = subtreeEnd(claims, index);
+  const deepest = Math.max(...claims.slice(index, end).map(claimDepth));
+  if (deepest >= MAX_CLAIM_DEPTH) return null;
+  return claims.map((c, i) => (i >= index && i < end ? withDepth(c, claimDepth(c) + 1) : c));
+}
+
+/**
+ * Moves a claim (and its sub-claims) one level out. Claims below it at its old
+ * level become its sub-claims, as in a word processor's outline.
+ * @template {OutlineClaim} T
+ * @param {T[]} claims
+ * @param {string} claimId
+ * @returns {T[] | null} - null for a top-level claim
+ */
+export function outdentClaim(claims, claimId) {
+  const index = claims.findIndex((c) => c.id === claimId);
+  if (index < 0 || claimDepth(claims[index]) === 0) return null;
+  const end = subtreeEnd(claims, index);
+  return claims.map((c, i) => (i >= index && i < end ? withDepth(c, claimDepth(c) - 1) : c));
+}
+
+/**
+ * Swaps a claim (with its sub-claims) with the neighbouring claim at the same
+ * level under the same parent
+ * @template {OutlineClaim} T
+ * @param {T[]} claims
+ * @param {string} claimId
+ * @param {"up" | "down"} direction
+ * @returns {T[] | null} - null when there is no such neighbour
+ */
+export function moveClaimBlock(claims, claimId, direction) {
+  const index = claims.findIndex((c) => c.id === claimId);
+  if (index < 0) return null;
+  const depth = claimDepth(claims[index]);
+  const end = subtreeEnd(claims, index);
+
+  if (direction === "up") {
+    let start = index - 1;
+    while (start >= 0 && claimDepth(claims[start]) > depth) start--;
+    if (start < 0 || claimDepth(claims[start]) !== depth) return null;
+    return [
+      ...claims.slice(0, start),
+      ...claims.slice(index, end),
+      ...claims.slice(start, index),
+      ...claims.slice(end),
+    ];
+  }
+
+  if (end >= claims.length || claimDepth(claims[end]) !== depth) return null;
+  const nextEnd = subtreeEnd(claims, end);
+  return [
+    ...claims.slice(0, index),
+    ...claims.slice(end, nextEnd),
+    ...claims.slice(index, end),
+    ...claims.slice(nextEnd),
+  ];
+}
+
+/**
+ * Moves a claim (with its sub-claims) right before another claim, or right after
+ * that claim's sub-claims, at that claim's level (drag and drop)
+ * @template {OutlineClaim} T
+ * @param {T[]} claims
+ * @param {string} claimId
+ * @param {string} targetId
+ * @param {"before" | "after"} position
+ * @returns {T[] | null} - null when nothing would change or the target is inside the moved claim
+ */
+export function moveClaimBlockTo(claims, claimId, targetId, position) {
+  const index = claims.findIndex((c) => c.id === claimId);
+  const target = claims.findIndex((c) => c.id === targetId);
+  if (index < 0 || target < 0) return null;
+  const end = subtreeEnd(claims, index);
+  if (target >= index && target < end) return null;
+
+  const block = claims.slice(index, end);
+  const rest = [...claims.slice(0, index), ...claims.slice(end)];
+  const targetIndex = rest.findIndex((c) => c.id === targetId);
+  const insertAt = position === "before" ? targetIndex : subtreeEnd(rest, targetIndex);
+  const shift = claimDepth(rest[targetIndex]) - claimDepth(block[0]);
+  if (insertAt === index && shift === 0) return null;
+
+  const moved = block.map((c) => withDepth(c, Math.min(claimDepth(c) + shift, MAX_CLAIM_DEPTH)));
+  return normalizeOutline([...rest.slice(0, insertAt), ...moved, ...rest.slice(insertAt)]);
+}
+
+/**
+ * Outline numbers in list order ("1", "1.1", "1.2", "2", …)
+ * @param {OutlineClaim[]} claims
+ * @returns {string[]}
+ */
+export function outlineNumbers(claims) {
+  const counters = [];
+  return normalizeOutline(claims).map((claim) => {
+    const depth = claimDepth(claim);
+    counters.length = depth + 1;
+    counters[depth] = (counters[depth] || 0) + 1;
+    return counters.join(".");
+  });
+}
+
+/**
+ * The first `count` top-level claims, each followed by its sub-claims
+ * @template {OutlineClaim} T
+ * @param {T[]} claims
+ * @param {number} count
+ * @returns {T[]}
+ */
+export function takeTopLevel(claims, count) {
+  let seen = 0;
+  const end = claims.findIndex((c) => claimDepth(c) === 0 && ++seen > count);
+  return end < 0 ? [...claims] : claims.slice(0, end);
+}
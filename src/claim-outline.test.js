@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import {
+  claimDepth,
+  normalizeOutline,
+  subtreeEnd,
+  indentClaim,
+  outdentClaim,
+  moveClaimBlock,
+  moveClaimBlockTo,
+  outlineNumbers,
+  takeTopLevel,
+} from "./claim-outline.js";
+
+// "a b.1 c.2" → claims a (depth 0), b (depth 1), c (depth 2)
+const outline = (spec) =>
+  spec.split(" ").map((part) => {
+    const [id, depth] = part.split(".");
+    return depth ? { id, text: id.toUpperCase(), depth: Number(depth) } : { id, text: id.toUpperCase() };
+  });
+const shape = (claims) => claims.map((c) => (c.depth ? `${c.id}.${c.depth}` : c.id)).join(" ");
+
+describe("claimDepth", () => {
+  it("clamps to the supported range", () => {
+    expect(claimDepth({})).toBe(0);
+    expect(claimDepth({ depth: "1" })).toBe(1);
+    expect(claimDepth({ depth: 9 })).toBe(2);
+    expect(claimDepth({ depth: -1 })).toBe(0);
+  });
+});
+
+describe("normalizeOutline", () => {
+  it("starts at the top level and never skips a level", () => {
+    expect(shape(normalizeOutline(outline("a.1 b.2 c.2 d e.2")))).toBe("a b.1 c.2 d e.1");
+  });
+
+  it("leaves top-level claims without a depth field", () => {
+    expect(normalizeOutline([{ id: "a", text: "A", depth: 0 }])).toEqual([{ id: "a", text: "A" }]);
+  });
+});
+
+describe("subtreeEnd", () => {
+  it("finds the end of a claim's sub-claims", () => {
+    const claims = outline("a b.1 c.2 d.1 e");
+    expect(subtreeEnd(claims, 0)).toBe(4);
+    expect(subtreeEnd(claims, 1)).toBe(3);
+    expect(subtreeEnd(claims, 4)).toBe(5);
+  });
+});
+
+describe("indentClaim", () => {
+  it("indents a claim with its sub-claims", () => {
+    expect(shape(indentClaim(outline("a b c.1 d"), "b"))).toBe("a b.1 c.2 d");
+  });
+
+  it("refuses the first claim, a claim without a sibling above, and too-deep outlines", () => {
+    expect(indentClaim(outline("a b"), "a")).toBeNull();
+    expect(indentClaim(outline("a b.1"), "b")).toBeNull();
+    expect(indentClaim(outline("a b.1 c.2"), "c")).toBeNull();
+    expect(indentClaim(outline("a b c.1 d.2"), "b")).toBeNull();
+  });
+});
+
+describe("outdentClaim", () => {
+  it("outdents a claim with its sub-claims; later siblings become its sub-claims", () => {
+    expect(shape(outdentClaim(outline("a b.1 c.2 d.1"), "b"))).toBe("a b c.1 d.1");
+    expect(outdentClaim(outline("a b.1"), "a")).toBeNull();
+    expect(outdentClaim(outline("a"), "missing")).toBeNull();
+  });
+});
+
+describe("moveClaimBlock", () => {
+  const claims = outline("a b.1 c d.1 e.2 f.1");
+
+  it("swaps a claim and its sub-claims with the neighbouring sibling", () => {
+    expect(shape(moveClaimBlock(claims, "c", "up"))).toBe("c d.1 e.2 f.1 a b.1");
+    expect(shape(moveClaimBlock(claims, "a", "down"))).toBe("c d.1 e.2 f.1 a b.1");
+    expect(shape(moveClaimBlock(claims, "d", "down"))).toBe("a b.1 c f.1 d.1 e.2");
+    expect(shape(moveClaimBlock(claims, "f", "up"))).toBe("a b.1 c f.1 d.1 e.2");
+  });
+
+  it("stays under the same parent", () => {
+    expect(moveClaimBlock(claims, "d", "up")).toBeNull();
+    expect(moveClaimBlock(claims, "b", "down")).toBeNull();
+    expect(moveClaimBlock(claims, "c", "down")).toBeNull();
+    expect(moveClaimBlock(claims, "a", "up")).toBeNull();
+  });
+});
+
+describe("moveClaimBlockTo", () => {
+  const claims = outline("a b.1 c d.1 e.2 f g h i j");
+
+  it("moves a claim from anywhere to the top in one step", () => {
+    expect(shape(moveClaimBlockTo(claims, "h", "a", "before"))).toBe("h a b.1 c d.1 e.2 f g i j");
+  });
+
+  it("takes the target's level and brings sub-claims along", () => {
+    expect(shape(moveClaimBlockTo(claims, "d", "g", "after"))).toBe("a b.1 c f g d e.1 h i j");
+    expect(shape(moveClaimBlockTo(claims, "f", "b", "before"))).toBe("a f.1 b.1 c d.1 e.2 g h i j");
+    expect(shape(moveClaimBlockTo(claims, "c", "b", "after"))).toBe("a b.1 c.1 d.2 e.2 f g h i j");
+  });
+
+  it("drops after a claim's sub-claims", () => {
+    expect(shape(moveClaimBlockTo(claims, "a", "c", "after"))).toBe("c d.1 e.2 a b.1 f g h i j");
+  });
+
+  it("refuses no-op moves and targets inside the moved claim", () => {
+    expect(moveClaimBlockTo(claims, "c", "f", "before")).toBeNull();
+    expect(moveClaimBlockTo(claims, "c", "a", "after")).toBeNull();
+    expect(moveClaimBlockTo(claims, "c", "e", "after")).toBeNull();
+    expect(moveClaimBlockTo(claims, "c", "c", "before")).toBeNull();
+    expect(moveClaimBlockTo(claims, "missing", "a", "before")).toBeNull();
+  });
+});
+
+describe("outlineNumbers", () => {
+  it("numbers each level", () => {
+    expect(outlineNumbers(outline("a b.1 c.2 d.1 e f.1"))).toEqual(["1", "1.1", "1.1.1", "1.2", "2", "2.1"]);
+  });
+});
+
+describe("takeTopLevel", () => {
+  it("keeps the first top-level claims with their sub-claims", () => {
+    expect(shape(takeTopLevel(outline("a b.1 c d.1 e"), 2))).toBe("a b.1 c d.1");
+    expect(shape(takeTopLevel(outline("a b.1"), 5))).toBe("a b.1");
+  });
+});
@@ -0,0 +1,160 @@
+// Claim sources extracted for testing
+// A claim can cite sources ({ id, url, title, author, date, quote }). Drafts number
+// them in claim order; a source cited by several claims (same URL, or same title
+// and author when there is no URL) keeps one number.
+
+/** Editable fields of a source, in form order */
+export const SOURCE_FIELDS = ["url", "title", "author", "date", "quote"];
+
+/** Source ids end up in element ids and data attributes, so they stay plain */
+export const SOURCE_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * @typedef {{ id: string, url: string, title: string, author: string, date: string, quote: string }} Source
+ */
+
+/**
+ * A new, empty source
+ * @param {() => string} uuidFn
+ * @returns {Source}
+ */
+export function createSource(uuidFn) {
+  return { id: uuidFn(), url: "", title: "", author: "", date: "", quote: "" };
+}
+
+/**
+ * Keeps well-formed sources: string fields, a plain id, nothing else
+ * @param {unknown} raw
+ * @param {() => string} uuidFn - For sources without a usable id
+ * @returns {Source[]}
+ */
+export function sanitizeSources(raw, uuidFn) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((s) => s && typeof s === "object" && !Array.isArray(s))
+    .map((s) => {
+      const source = { id: typeof s.id === "string" && SOURCE_ID_PATTERN.test(s.id) ? s.id : uuidFn() };
+      for (const key of SOURCE_FIELDS) source[key] = typeof s[key] === "string" ? s[key] : "";
+      return /** @type {Source} */ (source);
+    });
+}
+
+/**
+ * Whether a source has nothing filled in
+ * @param {Partial<Source>} source
+ * @returns {boolean}
+ */
+export function isEmptySource(source) {
+  return SOURCE_FIELDS.every((key) => !(source[key] || "").trim());
+}
+
+/**
+ * A source with trimmed fields
+ * @param {Partial<Source>} source
+ * @returns {Source}
+ */
+function trimSource(source) {
+  const trimmed = { id: source.id || "" };
+  for (const key of SOURCE_FIELDS) trimmed[key] = (source[key] || "").trim();
+  return /** @type {Source} */ (trimmed);
+}
+
+function sourceKey(source) {
+  if (source.url) return `url:${source.url.toLowerCase()}`;
+  return `work:${source.title.toLowerCase()}|${source.author.toLowerCase()}|${source.date}`;
+}
+
+/**
+ * Numbers the sources of the given claims in order, skipping empty ones
+ * @param {Array<{ id: string, sources?: Array<Partial<Source>> }>} claims
+ * @returns {{ list: Array<{ number: number, source: Source }>, byClaim: Record<string, number[]> }}
+ */
+export function collectSources(claims) {
+  const list = [];
+  /** @type {Map<string, number>} */
+  const numbers = new Map();
+  /** @type {Record<string, number[]>} */
+  const byClaim = {};
+
+  for (const claim of claims) {
+    const cited = [];
+    for (const raw of claim.sources || []) {
+      if (isEmptySource(raw)) continue;
+      const source = trimSource(raw);
+      const key = sourceKey(source);
+      if (!numbers.has(key)) {
+        numbers.set(key, list.length + 1);
+        list.push({ number: list.length + 1, source });
+      }
+      if (!cited.includes(numbers.get(key))) cited.push(numbers.get(key));
+    }
+    if (cited.length) byClaim[claim.id] = cited;
+  }
+  return { list, byClaim };
+}
+
+/**
+ * Plain-text citation: `Author, “Title”, date. URL — “quote”`
+ * @param {Partial<Source>} source
+ * @param {{ quote?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatCitation(source, { quote = true } = {}) {
+  const s = trimSource(source);
+  const work = [s.author, s.title ? `“${s.title}”` : "", s.date].filter(Boolean).join(", ");
+  let citation = [work, s.url].filter(Boolean).join(". ");
+  if (quote && s.quote) citation += ` — “${s.quote}”`;
+  return citation;
+}
+
+/**
+ * Reads a citation written by formatCitation() back into a source. Text without a
+ * quoted title is taken as the author (and a trailing part with a digit as the date).
+ * @param {string} citation
+ * @param {() => string} uuidFn
+ * @returns {Source}
+ */
+export function parseCitation(citation, uuidFn) {
+  const source = createSource(uuidFn);
+  let rest = citation.trim();
+
+  const quote = rest.match(/\s+—\s+“(.*)”$/);
+  if (quote) {
+    source.quote = quote[1];
+    rest = rest.slice(0, quote.index);
+  }
+  const url = rest.match(/(?:^|\.\s+)(\S+:\/\/\S+)$/);
+  if (url) {
+    source.url = url[1];
+    rest = rest.slice(0, url.index);
+  }
+
+  const title = rest.match(/“(.*?)”/);
+  if (title) {
+    source.title = title[1];
+    source.author = rest.slice(0, title.index).replace(/,\s*$/, "").trim();
+    source.date = rest
+      .slice(title.index + title[0].length)
+      .replace(/^,\s*/, "")
+      .trim();
+  } else {
+    const parts = rest.split(/,\s+/).filter(Boolean);
+    if (parts.length > 1 && /\d/.test(parts[parts.length - 1])) source.date = parts.pop();
+    source.author = parts.join(", ").trim();
+  }
+  return source;
+}
+
+/**
+ * Short inline reference for running text: `Title <URL>` (the plain-text link style
+ * mail clients turn into links), or whichever part exists
+ * @param {Partial<Source>} source
+ * @returns {string}
+ */
+export function formatInlineSource(source) {
+  const s = trimSource(source);
+  const label = s.title || s.author;
+  const url = s.url ? `<${s.url}>` : "";
+  if (label && url) return `${label} ${url}`;
+  return label || url || s.date || (s.quote ? `“${s.quote}”` : "");
+}
@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import {
+  createSource,
+  sanitizeSources,
+  isEmptySource,
+  collectSources,
+  formatCitation,
+  formatInlineSource,
+  parseCitation,
+} from "./claim-sources.js";
+
+const source = (fields) => ({ ...createSource(() => "s"), ...fields });
+
+describe("sanitizeSources", () => {
+  it("keeps string fields and gives sources without an id a new one", () => {
+    expect(sanitizeSources([{ url: "https://a.example", title: 4, extra: true }, null, "x"], () => "new")).toEqual([
+      { id: "new", url: "https://a.example", title: "", author: "", date: "", quote: "" },
+    ]);
+    expect(sanitizeSources("nope", () => "new")).toEqual([]);
+  });
+
+  it("replaces ids that are not plain word characters", () => {
+    const raw = [{ id: 'x" onfocus="alert(1)' }, { id: "a".repeat(65) }, { id: "kept_id-1" }];
+    expect(sanitizeSources(raw, () => "new").map((s) => s.id)).toEqual(["new", "new", "kept_id-1"]);
+  });
+});
+
+describe("isEmptySource", () => {
+  it("ignores whitespace", () => {
+    expect(isEmptySource(source({ title: "  " }))).toBe(true);
+    expect(isEmptySource(source({ quote: "Said so" }))).toBe(false);
+  });
+});
+
+describe("collectSources", () => {
+  it("numbers sources in claim order and shares numbers between claims citing the same work", () => {
+    const report = source({ id: "r", url: "https://data.example/report", title: "Report" });
+    const { list, byClaim } = collectSources([
+      { id: "a", sources: [report, source({ id: "b", title: "Book", author: "Ann" })] },
+      { id: "b", sources: [source({ id: "e" })] },
+      { id: "c", sources: [source({ id: "r2", url: "HTTPS://data.example/report" })] },
+    ]);
+    expect(list.map((s) => [s.number, s.source.id])).toEqual([
+      [1, "r"],
+      [2, "b"],
+    ]);
+    expect(byClaim).toEqual({ a: [1, 2], c: [1] });
+  });
+});
+
+describe("formatCitation", () => {
+  it("joins the parts that are there", () => {
+    const full = source({
+      author: "Ann Lee",
+      title: "Ship it",
+      date: "2024-05-01",
+      url: "https://x.example",
+      quote: "Small wins",
+    });
+    expect(formatCitation(full)).toBe("Ann Lee, “Ship it”, 2024-05-01. https://x.example — “Small wins”");
+    expect(formatCitation(full, { quote: false })).toBe("Ann Lee, “Ship it”, 2024-05-01. https://x.example");
+    expect(formatCitation(source({ url: " https://x.example " }))).toBe("https://x.example");
+  });
+});
+
+describe("parseCitation", () => {
+  it("reads back what formatCitation wrote", () => {
+    const samples = [
+      { author: "Ann Lee", title: "Ship it", date: "2024-05-01", url: "https://x.example", quote: "Small wins" },
+      { title: "Postmortems", date: "2024" },
+      { author: "Ops", date: "2024" },
+      { url: "https://x.example/a.b" },
+      { author: "Lee, Ann", title: "Ship it" },
+    ];
+    for (const fields of samples) {
+      const expected = source(fields);
+      expect(parseCitation(formatCitation(expected), () => "s")).toEqual(expected);
+    }
+  });
+
+  it("takes unquoted text as the author", () => {
+    expect(parseCitation("Some book", () => "s")).toEqual(source({ author: "Some book" }));
+  });
+});
+
+describe("formatInlineSource", () => {
+  it("puts the URL in angle brackets after the title", () => {
+    expect(formatInlineSource(source({ title: "Ship it", url: "https://x.example" }))).toBe(
+      "Ship it <https://x.example>"
+    );
+    expect(formatInlineSource(source({ url: "https://x.example" }))).toBe("<https://x.example>");
+    expect(formatInlineSource(source({ author: "Ann Lee" }))).toBe("Ann Lee");
+  });
+});
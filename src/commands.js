@@ -0,0 +1,255 @@
+// Command palette search and keyboard shortcuts extracted for testing
+// Shortcuts are strings like "Mod+Shift+K": modifiers in the order Mod, Ctrl, Alt, Shift,
+// then the key. Mod is Cmd on macOS and Ctrl elsewhere (Ctrl then means the Control key
+// on macOS). Letters and digits match the physical key (event.code) so Alt shortcuts
+// work on macOS, where Alt changes the typed character.
+
+export const SHORTCUTS_KEY = "inkwise:shortcuts";
+
+/**
+ * Built-in shortcuts by command id; users can change or remove any of them
+ * @type {Record<string, string>}
+ */
+export const DEFAULT_SHORTCUTS = {
+  "command-palette": "Mod+K",
+  "next-phase": "Mod+Enter",
+  "previous-phase": "Mod+Shift+Enter",
+  "phase-intent": "Alt+1",
+  "phase-structure": "Alt+2",
+  "phase-expression": "Alt+3",
+  "phase-draft": "Alt+4",
+  "add-claim": "Alt+Enter",
+  "move-claim-up": "Alt+ArrowUp",
+  "move-claim-down": "Alt+ArrowDown",
+  "indent-claim": "Alt+ArrowRight",
+  "outdent-claim": "Alt+ArrowLeft",
+  "copy-draft": "Alt+C",
+  "open-shortcuts": "Mod+/",
+  "toggle-preview": "Alt+P",
+};
+
+const MODIFIER_ORDER = ["Mod", "Ctrl", "Alt", "Shift"];
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock", "Fn", "OS"];
+const FUNCTION_KEY = /^F([1-9]|1[0-2])$/;
+
+/**
+ * @typedef {{ key: string, code?: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean, shiftKey?: boolean }} KeyEventLike
+ */
+
+// Key name for an event: physical letters and digits, otherwise the key value
+function eventKey(event) {
+  const code = event.code || "";
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  const key = event.key || "";
+  if (key === " ") return "Space";
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * The shortcut string a key press produces
+ * @param {KeyEventLike} event
+ * @param {{ isMac?: boolean }} [options]
+ * @returns {string | null} - null for a lone modifier key
+ */
+export function eventToShortcut(event, { isMac = false } = {}) {
+  const key = eventKey(event);
+  if (!key || MODIFIER_KEYS.includes(key) || key === "Dead" || key === "Unidentified") return null;
+  const mods = [];
+  if (isMac ? event.metaKey : event.ctrlKey) mods.push("Mod");
+  if (isMac && event.ctrlKey) mods.push("Ctrl");
+  if (event.altKey) mods.push("Alt");
+  if (event.shiftKey) mods.push("Shift");
+  return [...mods, key].join("+");
+}
+
+/**
+ * Puts a shortcut into canonical form, or rejects it
+ * @param {unknown} shortcut
+ * @returns {string | null}
+ */
+export function normalizeShortcut(shortcut) {
+  if (typeof shortcut !== "string" || !shortcut) return null;
+  // "+" itself can be the key ("Mod++")
+  const parts = shortcut.endsWith("++") ? [...shortcut.slice(0, -2).split("+"), "+"] : shortcut.split("+");
+  const key = parts.pop();
+  const named = parts.map((p) => MODIFIER_ORDER.find((m) => m.toLowerCase() === p.toLowerCase()));
+  if (!key || named.some((m) => !m) || new Set(named).size !== named.length) return null;
+  const mods = MODIFIER_ORDER.filter((m) => named.includes(m));
+  return [...mods, key.length === 1 ? key.toUpperCase() : key].join("+");
+}
+
+/**
+ * Whether a shortcut may be bound: it needs Mod, Ctrl or Alt so typing never
+ * triggers it (function keys may stand alone)
+ * @param {string} shortcut
+ * @returns {boolean}
+ */
+export function isBindableShortcut(shortcut) {
+  const normalized = normalizeShortcut(shortcut);
+  if (!normalized) return false;
+  const parts = normalized.split("+");
+  const key = parts[parts.length - 1];
+  return FUNCTION_KEY.test(key) || parts.some((p) => p === "Mod" || p === "Ctrl" || p === "Alt");
+}
+
+const MAC_SYMBOLS = { Mod: "⌘", Ctrl: "⌃", Alt: "⌥", Shift: "⇧" };
+const KEY_LABELS = {
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Enter: "Enter",
+  Escape: "Esc",
+  Backspace: "Backspace",
+};
+
+/**
+ * Human-readable shortcut ("⌘⇧K" on macOS, "Ctrl+Shift+K" elsewhere)
+ * @param {string} shortcut
+ * @param {{ isMac?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatShortcut(shortcut, { isMac = false } = {}) {
+  const normalized = normalizeShortcut(shortcut);
+  if (!normalized) return "";
+  const parts = normalized.split("+");
+  const key = parts.pop();
+  const keyLabel = isMac && key === "Enter" ? "↩" : KEY_LABELS[key] || key;
+  if (isMac) return parts.map((p) => MAC_SYMBOLS[p]).join("") + keyLabel;
+  return [...parts.map((p) => (p === "Mod" ? "Ctrl" : p)), keyLabel].join("+");
+}
+
+/**
+ * Keeps user overrides for known commands: a bindable shortcut, or "" for none
+ * @param {unknown} raw
+ * @param {string[]} commandIds
+ * @returns {Record<string, string>}
+ */
+export function sanitizeShortcutOverrides(raw, commandIds) {
+  /** @type {Record<string, string>} */
+  const overrides = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return overrides;
+  for (const [id, shortcut] of Object.entries(raw)) {
+    if (!commandIds.includes(id)) continue;
+    if (shortcut === "") overrides[id] = "";
+    else if (isBindableShortcut(shortcut)) overrides[id] = normalizeShortcut(shortcut);
+  }
+  return overrides;
+}
+
+/**
+ * Effective shortcut per command: defaults with the user's overrides applied
+ * @param {Record<string, string>} overrides
+ * @param {Record<string, string>} [defaults]
+ * @returns {Record<string, string>} - Only commands that have a shortcut
+ */
+export function resolveShortcuts(overrides, defaults = DEFAULT_SHORTCUTS) {
+  /** @type {Record<string, string>} */
+  const bindings = {};
+  for (const [id, shortcut] of Object.entries({ ...defaults, ...overrides })) {
+    if (shortcut) bindings[id] = shortcut;
+  }
+  return bindings;
+}
+
+/**
+ * Binds a shortcut to a command ("" removes it). A command that had the same
+ * shortcut loses it, so one key press never means two commands.
+ * @param {Record<string, string>} overrides
+ * @param {string} commandId
+ * @param {string} shortcut
+ * @param {Record<string, string>} [defaults]
+ * @returns {{ overrides: Record<string, string>, displaced: string | null }}
+ */
+export function assignShortcut(overrides, commandId, shortcut, defaults = DEFAULT_SHORTCUTS) {
+  const normalized = shortcut ? normalizeShortcut(shortcut) : "";
+  const next = { ...overrides };
+  const bindings = resolveShortcuts(overrides, defaults);
+  const displaced =
+    (normalized && Object.keys(bindings).find((id) => id !== commandId && bindings[id] === normalized)) || null;
+
+  if (displaced) {
+    if (defaults[displaced]) next[displaced] = "";
+    else delete next[displaced];
+  }
+  // Matching the default needs no override
+  if ((defaults[commandId] || "") === normalized) delete next[commandId];
+  else next[commandId] = normalized;
+  return { overrides: next, displaced };
+}
+
+/**
+ * Whether a shortcut also types a character: Alt+letter or Alt+digit on macOS
+ * ("⌥C" is "ç"). Text fields keep those keys.
+ * @param {string} shortcut
+ * @param {{ isMac?: boolean }} [options]
+ * @returns {boolean}
+ */
+export function typesCharacter(shortcut, { isMac = false } = {}) {
+  return isMac && /^Alt\+(Shift\+)?[A-Z0-9]$/.test(normalizeShortcut(shortcut) || "");
+}
+
+/**
+ * The command bound to a key press
+ * @param {KeyEventLike} event
+ * @param {Record<string, string>} bindings - From resolveShortcuts()
+ * @param {{ isMac?: boolean }} [options]
+ * @returns {string | null}
+ */
+export function commandForEvent(event, bindings, options) {
+  const shortcut = eventToShortcut(event, options);
+  if (!shortcut) return null;
+  return Object.keys(bindings).find((id) => bindings[id] === shortcut) || null;
+}
+
+/**
+ * Fuzzy match: every query character must appear in order. Consecutive
+ * characters, word starts and a matching prefix score higher.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{ score: number, indices: number[] } | null}
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  if (!needle) return { score: 0, indices: [] };
+  const haystack = text.toLowerCase();
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of needle) {
+    const index = haystack.indexOf(ch, from);
+    if (index < 0) return null;
+    const previous = indices[indices.length - 1];
+    if (previous !== undefined && index === previous + 1) score += 5;
+    if (index === 0 || /[\s\-:/(.]/.test(haystack[index - 1])) score += 8;
+    score += 1 - Math.min(index - from, 10) * 0.1;
+    indices.push(index);
+    from = index + 1;
+  }
+  if (haystack.startsWith(query.trim().toLowerCase())) score += 10;
+  return { score, indices };
+}
+
+/**
+ * Commands matching a query, best first (ties keep the list order). Keywords
+ * match too, but less strongly than the title.
+ * @template {{ title: string, keywords?: string }} T
+ * @param {T[]} commands
+ * @param {string} query
+ * @returns {Array<{ command: T, score: number, indices: number[] }>}
+ */
+export function searchCommands(commands, query) {
+  const results = [];
+  commands.forEach((command, order) => {
+    const title = fuzzyMatch(query, command.title);
+    const keywords = command.keywords ? fuzzyMatch(query, command.keywords) : null;
+    if (!title && !keywords) return;
+    const score = Math.max(title ? title.score : -Infinity, keywords ? keywords.score - 5 : -Infinity);
+    results.push({ command, score, indices: title ? title.indices : [], order });
+  });
+  return results
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ command, score, indices }) => ({ command, score, indices }));
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_SHORTCUTS,
+  eventToShortcut,
+  normalizeShortcut,
+  isBindableShortcut,
+  formatShortcut,
+  sanitizeShortcutOverrides,
+  resolveShortcuts,
+  assignShortcut,
+  commandForEvent,
+  typesCharacter,
+  fuzzyMatch,
+  searchCommands,
+} from "./commands.js";
+
+describe("eventToShortcut", () => {
+  it("maps Ctrl to Mod outside macOS and Cmd to Mod on macOS", () => {
+    expect(eventToShortcut({ key: "k", code: "KeyK", ctrlKey: true })).toBe("Mod+K");
+    expect(eventToShortcut({ key: "k", code: "KeyK", metaKey: true }, { isMac: true })).toBe("Mod+K");
+    expect(eventToShortcut({ key: "k", code: "KeyK", ctrlKey: true }, { isMac: true })).toBe("Ctrl+K");
+  });
+
+  it("uses the physical key for letters and digits", () => {
+    // macOS Alt+C types "ç"
+    expect(eventToShortcut({ key: "ç", code: "KeyC", altKey: true }, { isMac: true })).toBe("Alt+C");
+    expect(eventToShortcut({ key: "¡", code: "Digit1", altKey: true }, { isMac: true })).toBe("Alt+1");
+  });
+
+  it("keeps named keys and ignores lone modifiers", () => {
+    expect(eventToShortcut({ key: "ArrowUp", code: "ArrowUp", altKey: true })).toBe("Alt+ArrowUp");
+    expect(eventToShortcut({ key: "Enter", code: "Enter", ctrlKey: true, shiftKey: true })).toBe("Mod+Shift+Enter");
+    expect(eventToShortcut({ key: "Shift", code: "ShiftLeft", shiftKey: true })).toBeNull();
+  });
+});
+
+describe("normalizeShortcut / isBindableShortcut", () => {
+  it("orders modifiers and upper-cases letters", () => {
+    expect(normalizeShortcut("Shift+Mod+k")).toBe("Mod+Shift+K");
+    expect(normalizeShortcut("Mod++")).toBe("Mod++");
+    expect(normalizeShortcut("Hyper+K")).toBeNull();
+    expect(normalizeShortcut("Alt+Alt+K")).toBeNull();
+    expect(normalizeShortcut(42)).toBeNull();
+  });
+
+  it("requires Mod, Ctrl or Alt except for function keys", () => {
+    expect(isBindableShortcut("Alt+ArrowUp")).toBe(true);
+    expect(isBindableShortcut("F2")).toBe(true);
+    expect(isBindableShortcut("K")).toBe(false);
+    expect(isBindableShortcut("Shift+K")).toBe(false);
+  });
+});
+
+describe("formatShortcut", () => {
+  it("uses symbols on macOS and names elsewhere", () => {
+    expect(formatShortcut("Mod+Shift+K", { isMac: true })).toBe("⌘⇧K");
+    expect(formatShortcut("Mod+Enter", { isMac: true })).toBe("⌘↩");
+    expect(formatShortcut("Mod+Shift+K")).toBe("Ctrl+Shift+K");
+    expect(formatShortcut("Alt+ArrowDown")).toBe("Alt+↓");
+  });
+});
+
+describe("shortcut bindings", () => {
+  const ids = Object.keys(DEFAULT_SHORTCUTS).concat("export-project");
+
+  it("sanitizes overrides to known commands and bindable shortcuts", () => {
+    const raw = { "export-project": "alt+e", "add-claim": "", unknown: "Alt+U", "copy-draft": "C" };
+    expect(sanitizeShortcutOverrides(raw, ids)).toEqual({ "export-project": "Alt+E", "add-claim": "" });
+    expect(sanitizeShortcutOverrides(null, ids)).toEqual({});
+  });
+
+  it("applies overrides over the defaults", () => {
+    const bindings = resolveShortcuts({ "add-claim": "", "export-project": "Alt+E" });
+    expect(bindings["add-claim"]).toBeUndefined();
+    expect(bindings["export-project"]).toBe("Alt+E");
+    expect(bindings["command-palette"]).toBe("Mod+K");
+  });
+
+  it("moves a shortcut away from the command that had it", () => {
+    const { overrides, displaced } = assignShortcut({}, "export-project", "Alt+C");
+    expect(displaced).toBe("copy-draft");
+    expect(overrides).toEqual({ "export-project": "Alt+C", "copy-draft": "" });
+    expect(resolveShortcuts(overrides)["copy-draft"]).toBeUndefined();
+  });
+
+  it("drops overrides that match the default", () => {
+    const { overrides } = assignShortcut({ "add-claim": "Alt+N" }, "add-claim", "Alt+Enter");
+    expect(overrides).toEqual({});
+  });
+
+  it("finds the command for a key press", () => {
+    const bindings = resolveShortcuts({});
+    expect(commandForEvent({ key: "ArrowUp", code: "ArrowUp", altKey: true }, bindings)).toBe("move-claim-up");
+    expect(commandForEvent({ key: "k", code: "KeyK", metaKey: true }, bindings, { isMac: true })).toBe(
+      "command-palette"
+    );
+    expect(commandForEvent({ key: "k", code: "KeyK" }, bindings)).toBeNull();
+  });
+
+  it("knows which shortcuts type a character on macOS", () => {
+    expect(typesCharacter("Alt+C", { isMac: true })).toBe(true);
+    expect(typesCharacter("Alt+Shift+1", { isMac: true })).toBe(true);
+    expect(typesCharacter("Alt+ArrowUp", { isMac: true })).toBe(false);
+    expect(typesCharacter("Mod+Alt+C", { isMac: true })).toBe(false);
+    expect(typesCharacter("Alt+C")).toBe(false);
+  });
+});
+
+describe("fuzzy search", () => {
+  it("matches characters in order and reports their positions", () => {
+    expect(fuzzyMatch("gdr", "Go to Draft")).toMatchObject({ indices: [0, 6, 7] });
+    expect(fuzzyMatch("xyz", "Go to Draft")).toBeNull();
+    expect(fuzzyMatch("", "Anything")).toEqual({ score: 0, indices: [] });
+  });
+
+  const commands = [
+    { id: "a", title: "Download .md", keywords: "markdown export" },
+    { id: "b", title: "Move claim down" },
+    { id: "c", title: "Go to Draft" },
+  ];
+
+  it("ranks word starts and prefixes above scattered matches", () => {
+    expect(searchCommands(commands, "draft")[0].command.id).toBe("c");
+    expect(searchCommands(commands, "down")[0].command.id).toBe("a");
+    expect(searchCommands(commands, "mcd")[0].command.id).toBe("b");
+  });
+
+  it("matches keywords and keeps list order for an empty query", () => {
+    expect(searchCommands(commands, "markdown").map((r) => r.command.id)).toEqual(["a"]);
+    expect(searchCommands(commands, "").map((r) => r.command.id)).toEqual(["a", "b", "c"]);
+  });
+});
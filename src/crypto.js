@@ -0,0 +1,157 @@
+// Passphrase encryption (WebCrypto) extracted for testing
+// Keys come from PBKDF2-SHA-256 over the passphrase and a random salt; data is
+// encrypted with AES-GCM (256-bit), so a wrong passphrase or a tampered value fails
+// to decrypt instead of yielding garbage. Binary fields are stored as base64 so
+// encrypted values survive JSON (exports, the localStorage fallback).
+
+export const ENCRYPTED_SESSION_VERSION = "inkwise:encrypted-session:v1";
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256; stored alongside the salt so it can be raised later
+export const PBKDF2_ITERATIONS = 600000;
+// Files asking for more would stall the tab deriving the key
+const MAX_ITERATIONS = 10000000;
+export const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Thrown when data can't be decrypted: wrong passphrase, or the data was changed
+ */
+export class DecryptionError extends Error {
+  constructor(message = "Wrong passphrase, or the data is damaged") {
+    super(message);
+    this.name = "DecryptionError";
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+/**
+ * @param {number} length
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Derives a non-extractable AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {{ salt: Uint8Array<ArrayBuffer>, iterations?: number }} options
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(passphrase, { salt, iterations = PBKDF2_ITERATIONS }) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, [
+    "deriveKey",
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Encrypts any JSON value with a fresh IV
+ * @param {CryptoKey} key
+ * @param {unknown} value
+ * @returns {Promise<{ iv: string, data: string }>}
+ */
+export async function encryptJson(key, value) {
+  const iv = randomBytes(IV_BYTES);
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypts a value written by encryptJson()
+ * @param {CryptoKey} key
+ * @param {{ iv: string, data: string }} encrypted
+ * @returns {Promise<any>}
+ * @throws {DecryptionError} Wrong key, or the value was modified
+ */
+export async function decryptJson(key, { iv, data }) {
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(data));
+  } catch {
+    throw new DecryptionError();
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Whether a parsed file is an encrypted session export
+ * @param {unknown} data
+ * @returns {boolean}
+ */
+export function isEncryptedSessionExport(data) {
+  return !!data && typeof data === "object" && /** @type {any} */ (data).version === ENCRYPTED_SESSION_VERSION;
+}
+
+/**
+ * Wraps a session export (createSessionExport()) in a passphrase-encrypted file.
+ * Everything, including the export date and inner version, is inside the ciphertext.
+ * @param {object} sessionExport
+ * @param {string} passphrase
+ * @param {{ iterations?: number }} [options]
+ * @returns {Promise<object>}
+ */
+export async function encryptSessionExport(sessionExport, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+  const salt = randomBytes(SALT_BYTES);
+  const key = await deriveKey(passphrase, { salt, iterations });
+  const { iv, data } = await encryptJson(key, sessionExport);
+  return {
+    version: ENCRYPTED_SESSION_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt: toBase64(salt) },
+    cipher: { name: "AES-GCM", iv },
+    data,
+  };
+}
+
+/**
+ * Unwraps an encrypted session export back into the plain session export
+ * @param {any} file - Parsed encrypted export
+ * @param {string} passphrase
+ * @returns {Promise<any>}
+ * @throws {DecryptionError} Wrong passphrase, or the file was modified
+ */
+export async function decryptSessionExport(file, passphrase) {
+  const { kdf, cipher, data } = file || {};
+  if (
+    typeof kdf?.salt !== "string" ||
+    !Number.isInteger(kdf?.iterations) ||
+    kdf.iterations < 1 ||
+    kdf.iterations > MAX_ITERATIONS ||
+    typeof cipher?.iv !== "string" ||
+    typeof data !== "string"
+  ) {
+    throw new DecryptionError("This encrypted file is incomplete or damaged");
+  }
+  let salt;
+  try {
+    salt = fromBase64(kdf.salt);
+  } catch {
+    throw new DecryptionError("This encrypted file is incomplete or damaged");
+  }
+  const key = await deriveKey(passphrase, { salt, iterations: kdf.iterations });
+  return decryptJson(key, { iv: cipher.iv, data });
+}
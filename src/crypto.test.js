@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import {
+  deriveKey,
+  encryptJson,
+  decryptJson,
+  encryptSessionExport,
+  decryptSessionExport,
+  isEncryptedSessionExport,
+  toBase64,
+  fromBase64,
+  DecryptionError,
+  ENCRYPTED_SESSION_VERSION,
+} from "./crypto.js";
+
+// Real PBKDF2 cost is too slow for unit tests
+const FAST = { iterations: 1000 };
+const salt = new Uint8Array(16).fill(7);
+
+describe("base64", () => {
+  it("round-trips every byte value", () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    expect(fromBase64(toBase64(bytes))).toEqual(bytes);
+  });
+});
+
+describe("encryptJson / decryptJson", () => {
+  it("round-trips JSON values without leaving plaintext", async () => {
+    const key = await deriveKey("correct horse", { salt, ...FAST });
+    const value = { intent: "Unannounced launch", claims: [{ id: "a", text: "Ships in May" }] };
+    const encrypted = await encryptJson(key, value);
+    expect(JSON.stringify(encrypted)).not.toContain("Unannounced");
+    expect(await decryptJson(key, encrypted)).toEqual(value);
+  });
+
+  it("uses a fresh IV for every value", async () => {
+    const key = await deriveKey("correct horse", { salt, ...FAST });
+    const [a, b] = await Promise.all([encryptJson(key, "same"), encryptJson(key, "same")]);
+    expect(a.iv).not.toBe(b.iv);
+    expect(a.data).not.toBe(b.data);
+  });
+
+  it("rejects the wrong passphrase and modified data", async () => {
+    const key = await deriveKey("correct horse", { salt, ...FAST });
+    const wrong = await deriveKey("battery staple", { salt, ...FAST });
+    const encrypted = await encryptJson(key, "secret");
+    await expect(decryptJson(wrong, encrypted)).rejects.toBeInstanceOf(DecryptionError);
+
+    const bytes = fromBase64(encrypted.data);
+    bytes[0] ^= 1;
+    await expect(decryptJson(key, { ...encrypted, data: toBase64(bytes) })).rejects.toBeInstanceOf(DecryptionError);
+  });
+});
+
+describe("encrypted session exports", () => {
+  const session = { version: "inkwise:session:v2", exportedAt: "2025-01-01T00:00:00.000Z", state: { intent: "Hi" } };
+
+  it("wraps a session export in a versioned encrypted file", async () => {
+    const file = await encryptSessionExport(session, "pass phrase", FAST);
+    expect(file).toMatchObject({
+      version: ENCRYPTED_SESSION_VERSION,
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: 1000 },
+      cipher: { name: "AES-GCM" },
+    });
+    expect(isEncryptedSessionExport(file)).toBe(true);
+    expect(isEncryptedSessionExport(session)).toBe(false);
+    expect(JSON.stringify(file)).not.toContain("exportedAt");
+    expect(await decryptSessionExport(JSON.parse(JSON.stringify(file)), "pass phrase")).toEqual(session);
+  });
+
+  it("rejects a wrong passphrase", async () => {
+    const file = await encryptSessionExport(session, "pass phrase", FAST);
+    await expect(decryptSessionExport(file, "nope")).rejects.toBeInstanceOf(DecryptionError);
+  });
+
+  it("rejects incomplete files and unreasonable key-derivation costs", async () => {
+    const file = await encryptSessionExport(session, "pass phrase", FAST);
+    await expect(decryptSessionExport({ ...file, data: undefined }, "pass phrase")).rejects.toThrow("damaged");
+    await expect(
+      decryptSessionExport({ ...file, kdf: { ...file.kdf, iterations: 1e12 } }, "pass phrase")
+    ).rejects.toBeInstanceOf(DecryptionError);
+    await expect(
+      decryptSessionExport({ ...file, kdf: { ...file.kdf, salt: "%%%" } }, "pass phrase")
+    ).rejects.toBeInstanceOf(DecryptionError);
+  });
+});
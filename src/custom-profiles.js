@@ -0,0 +1,167 @@
+// User-defined output profiles extracted for testing
+// Profiles are shared by every project; a project points at one via outputProfile "custom:<id>"
+
+import { uuid } from "./state-manager.js";
+import { OUTPUT_PROFILES, CUSTOM_PROFILE_PREFIX, isCustomProfileKey } from "./utils.js";
+import { CustomProfileSchema, formatZodErrors } from "./schemas.js";
+import { validateTemplate } from "./templates.js";
+
+// Storage key for the saved profile list
+export const CUSTOM_PROFILES_KEY = "inkwise:profiles";
+
+// Starting point for a new profile; shows off the loop and the common placeholders
+export const DEFAULT_CUSTOM_TEMPLATE = `{{hook}}
+
+{{#claims}}
+{{number}}. {{claim}}
+{{#expression}}
+{{expression}}
+{{/expression}}
+
+{{/claims}}
+{{#cta}}
+{{cta}}
+{{/cta}}`;
+
+// Placeholders documented in the profile editor
+export const TEMPLATE_PLACEHOLDERS = [
+  { name: "intent", description: "Intent text" },
+  { name: "hook", description: "LinkedIn hook override, else Intent" },
+  { name: "title", description: "Project title" },
+  { name: "body", description: "The LinkedIn-style draft" },
+  { name: "cta", description: "Call to action (from LinkedIn controls)" },
+  { name: "hashtags", description: "Hashtags (from LinkedIn controls)" },
+  { name: "signature", description: "Signature (from LinkedIn controls)" },
+  { name: "date", description: "Today as YYYY-MM-DD" },
+  { name: "claimCount", description: "Number of non-empty claims" },
+  {
+    name: "#claims",
+    description:
+      "Repeats once per claim; inside: {{claim}}, {{expression}}, {{number}}, {{outline}} (1, 1.1, …), {{depth}} (0 = top level), {{#sources}} (the claim's sources)",
+  },
+  {
+    name: "#sources",
+    description:
+      "Repeats once per cited source, numbered in claim order; inside: {{number}}, {{citation}}, {{url}}, {{title}}, {{author}}, {{date}}, {{quote}}",
+  },
+];
+
+/**
+ * Output profile key for a custom profile
+ * @param {string} id
+ * @returns {string}
+ */
+export function customProfileKey(id) {
+  return `${CUSTOM_PROFILE_PREFIX}${id}`;
+}
+
+/**
+ * Validates profile fields from the editor
+ * @param {{ name?: string, maxChars?: number|string, hint?: string, template?: string }} input
+ * @returns {{ ok: boolean, value?: { name: string, maxChars: number, hint: string, template: string }, errors?: string[] }}
+ */
+export function validateCustomProfile(input) {
+  const maxChars = typeof input.maxChars === "string" ? Number(input.maxChars.trim() || NaN) : input.maxChars;
+  const result = CustomProfileSchema.safeParse({ ...input, id: "pending", maxChars });
+  const errors = result.success ? [] : formatZodErrors(result.error);
+
+  const template = input.template || "";
+  if (!template.trim()) {
+    errors.push("template: Template is empty");
+  } else {
+    const check = validateTemplate(template);
+    if (!check.ok) errors.push(`template: ${check.error}`);
+  }
+
+  if (!result.success || errors.length) return { ok: false, errors };
+  const { name, maxChars: limit, hint } = result.data;
+  return { ok: true, value: { name, maxChars: limit, hint, template } };
+}
+
+/**
+ * Creates a profile from validated fields
+ * @param {{ name: string, maxChars: number, hint: string, template: string }} fields
+ * @param {{ uuidFn?: () => string, now?: Date }} [options]
+ * @returns {{ id: string, name: string, maxChars: number, hint: string, template: string, updatedAt: string }}
+ */
+export function createCustomProfile(fields, { uuidFn = uuid, now = new Date() } = {}) {
+  return { id: uuidFn(), ...fields, updatedAt: now.toISOString() };
+}
+
+/**
+ * Sanitizes a stored profile list (drops malformed entries and duplicate ids)
+ * @param {unknown} raw
+ * @returns {Array<object>}
+ */
+export function sanitizeCustomProfiles(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  const seen = new Set();
+  const profiles = [];
+  for (const entry of raw) {
+    const result = CustomProfileSchema.safeParse(entry);
+    if (!result.success || seen.has(result.data.id)) continue;
+    seen.add(result.data.id);
+    profiles.push(result.data);
+  }
+  return profiles;
+}
+
+/**
+ * Inserts or replaces a profile
+ * @param {Array<object>} profiles
+ * @param {{ id: string }} profile
+ * @returns {Array<object>}
+ */
+export function upsertCustomProfile(profiles, profile) {
+  const exists = profiles.some((p) => p.id === profile.id);
+  return exists ? profiles.map((p) => (p.id === profile.id ? profile : p)) : [...profiles, profile];
+}
+
+/**
+ * Removes a profile
+ * @param {Array<object>} profiles
+ * @param {string} profileId
+ * @returns {Array<object>}
+ */
+export function removeCustomProfile(profiles, profileId) {
+  return profiles.filter((p) => p.id !== profileId);
+}
+
+/**
+ * Finds the custom profile an output profile key points at
+ * @param {string} key - Output profile key
+ * @param {Array<{ id: string }>} profiles
+ * @returns {object|null}
+ */
+export function findCustomProfile(key, profiles) {
+  if (!isCustomProfileKey(key)) return null;
+  const id = key.slice(CUSTOM_PROFILE_PREFIX.length);
+  return profiles.find((p) => p.id === id) || null;
+}
+
+/**
+ * Resolves an output profile key to its definition
+ * @param {string} key - Built-in key or "custom:<id>"
+ * @param {Array<object>} profiles - Saved custom profiles
+ * @returns {{ label: string, maxChars: number, hint: string, chunkSize?: number, template?: string } | null}
+ */
+export function getOutputProfile(key, profiles) {
+  if (OUTPUT_PROFILES[key]) return OUTPUT_PROFILES[key];
+  const custom = findCustomProfile(key, profiles);
+  if (!custom) return null;
+  return { label: custom.name, maxChars: custom.maxChars, hint: custom.hint, template: custom.template };
+}
+
+/**
+ * Lists every selectable output profile: built-ins first, then saved profiles by name
+ * @param {Array<object>} profiles - Saved custom profiles
+ * @returns {Array<{ key: string, label: string, custom: boolean }>}
+ */
+export function listOutputProfiles(profiles) {
+  const builtIn = Object.entries(OUTPUT_PROFILES).map(([key, p]) => ({ key, label: p.label, custom: false }));
+  const custom = [...profiles]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((p) => ({ key: customProfileKey(p.id), label: p.name, custom: true }));
+  return [...builtIn, ...custom];
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_CUSTOM_TEMPLATE,
+  customProfileKey,
+  validateCustomProfile,
+  createCustomProfile,
+  sanitizeCustomProfiles,
+  upsertCustomProfile,
+  removeCustomProfile,
+  findCustomProfile,
+  getOutputProfile,
+  listOutputProfiles,
+} from "./custom-profiles.js";
+import { validateTemplate } from "./templates.js";
+
+const now = new Date("2025-03-01T12:00:00.000Z");
+
+const slack = { id: "p1", name: "Slack", maxChars: 4000, hint: "Announcement", template: "{{intent}}" };
+const board = { id: "p2", name: "Board update", maxChars: 8000, hint: "", template: "{{body}}" };
+
+describe("DEFAULT_CUSTOM_TEMPLATE", () => {
+  it("is a valid template", () => {
+    expect(validateTemplate(DEFAULT_CUSTOM_TEMPLATE).ok).toBe(true);
+  });
+});
+
+describe("customProfileKey", () => {
+  it("prefixes the id", () => {
+    expect(customProfileKey("abc")).toBe("custom:abc");
+  });
+});
+
+describe("validateCustomProfile", () => {
+  it("accepts valid fields and parses the character limit", () => {
+    const result = validateCustomProfile({ name: "  Slack ", maxChars: "4000", hint: "", template: "{{intent}}" });
+    expect(result).toEqual({ ok: true, value: { name: "Slack", maxChars: 4000, hint: "", template: "{{intent}}" } });
+  });
+
+  it("requires a name and a sensible limit", () => {
+    const result = validateCustomProfile({ name: " ", maxChars: "0", hint: "", template: "{{intent}}" });
+    expect(result.ok).toBe(false);
+    expect(result.errors).toContain("name: Name is required");
+    expect(result.errors.some((e) => e.startsWith("maxChars:"))).toBe(true);
+  });
+
+  it("rejects an empty template", () => {
+    const result = validateCustomProfile({ name: "X", maxChars: 100, hint: "", template: "  " });
+    expect(result.errors).toEqual(["template: Template is empty"]);
+  });
+
+  it("reports template syntax errors", () => {
+    const result = validateCustomProfile({ name: "X", maxChars: 100, hint: "", template: "{{#claims}}" });
+    expect(result.ok).toBe(false);
+    expect(result.errors[0]).toMatch(/^template: .*never closed/);
+  });
+});
+
+describe("createCustomProfile", () => {
+  it("assigns an id and timestamp", () => {
+    const fields = { name: "Slack", maxChars: 4000, hint: "", template: "{{intent}}" };
+    expect(createCustomProfile(fields, { uuidFn: () => "new-id", now })).toEqual({
+      id: "new-id",
+      ...fields,
+      updatedAt: now.toISOString(),
+    });
+  });
+});
+
+describe("sanitizeCustomProfiles", () => {
+  it("returns an empty list for non-arrays", () => {
+    expect(sanitizeCustomProfiles(null)).toEqual([]);
+    expect(sanitizeCustomProfiles({})).toEqual([]);
+  });
+
+  it("drops malformed entries and duplicate ids", () => {
+    const raw = [slack, { id: "", name: "Bad" }, { id: "p3" }, { ...slack, name: "Dupe" }, "junk"];
+    expect(sanitizeCustomProfiles(raw)).toEqual([slack]);
+  });
+
+  it("fills defaults for optional fields", () => {
+    const [profile] = sanitizeCustomProfiles([{ id: "p9", name: "Minimal" }]);
+    expect(profile).toMatchObject({ maxChars: 3000, hint: "", template: "" });
+  });
+});
+
+describe("upsertCustomProfile / removeCustomProfile", () => {
+  it("appends new profiles and replaces existing ones", () => {
+    const list = upsertCustomProfile([slack], board);
+    expect(list.map((p) => p.id)).toEqual(["p1", "p2"]);
+    expect(upsertCustomProfile(list, { ...slack, name: "Renamed" })[0].name).toBe("Renamed");
+  });
+
+  it("removes by id", () => {
+    expect(removeCustomProfile([slack, board], "p1")).toEqual([board]);
+  });
+});
+
+describe("findCustomProfile / getOutputProfile", () => {
+  it("finds a saved profile by key", () => {
+    expect(findCustomProfile("custom:p2", [slack, board])).toBe(board);
+    expect(findCustomProfile("custom:missing", [slack])).toBeNull();
+    expect(findCustomProfile("linkedin", [slack])).toBeNull();
+  });
+
+  it("resolves built-in and custom profiles", () => {
+    expect(getOutputProfile("email", []).label).toBe("Email");
+    expect(getOutputProfile("custom:p1", [slack])).toEqual({
+      label: "Slack",
+      maxChars: 4000,
+      hint: "Announcement",
+      template: "{{intent}}",
+    });
+    expect(getOutputProfile("custom:gone", [slack])).toBeNull();
+  });
+});
+
+describe("listOutputProfiles", () => {
+  it("lists built-ins first, then saved profiles by name", () => {
+    const list = listOutputProfiles([slack, board]);
+    expect(list[0]).toEqual({ key: "linkedin", label: "LinkedIn Post", custom: false });
+    expect(list.slice(-2)).toEqual([
+      { key: "custom:p2", label: "Board update", custom: true },
+      { key: "custom:p1", label: "Slack", custom: true },
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+// Word (.docx) export extracted for testing
+// Builds a minimal WordprocessingML package in the browser: the draft is parsed
+// into blocks (see html-renderer.js) and each block becomes a styled paragraph.
+
+import { createZip } from "./zip.js";
+import { parseDraftBlocks } from "./html-renderer.js";
+
+export const DOCX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Profiles offered as .docx (structured, document-like output)
+export const DOCX_PROFILES = ["memo", "blog"];
+
+const W_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const REL_NAMESPACE = "http://schemas.openxmlformats.org/package/2006/relationships";
+const OFFICE_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+// numbering.xml ids: one shared bullet list, ordered lists get their own so each restarts at 1
+const BULLET_NUM_ID = 1;
+const FIRST_ORDERED_NUM_ID = 2;
+
+const HEADING_SIZES = [32, 26, 24, 22, 22, 22]; // half-points, Heading1..Heading6
+
+// Bullet glyph per list level
+const LIST_LEVELS = ["•", "◦", "▪"];
+
+/**
+ * Escapes text for XML and drops characters XML can't hold
+ * @param {string} text
+ * @returns {string}
+ */
+export function xmlEscape(text) {
+  return String(text ?? "")
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function run(text, { bold = false } = {}) {
+  return `<w:r>${bold ? "<w:rPr><w:b/></w:rPr>" : ""}<w:t xml:space="preserve">${xmlEscape(text)}</w:t></w:r>`;
+}
+
+function paragraph(content, { style = "", numId = 0, level = 0, extra = "" } = {}) {
+  const props = [
+    style ? `<w:pStyle w:val="${style}"/>` : "",
+    numId ? `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>` : "",
+    extra,
+  ].join("");
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ""}${content}</w:p>`;
+}
+
+/**
+ * Builds word/document.xml for a list of draft blocks
+ * @param {import("./html-renderer.js").DraftBlock[]} blocks
+ * @returns {{ xml: string, orderedLists: number }}
+ */
+export function buildDocumentXml(blocks) {
+  let orderedLists = 0;
+
+  const body = blocks.map((block) => {
+    if (block.type === "heading") {
+      return paragraph(run(block.text), { style: `Heading${Math.min(Math.max(block.level, 1), 6)}` });
+    }
+    if (block.type === "section") return paragraph(run(block.text), { style: "Heading2" });
+    if (block.type === "field") return paragraph(run(`${block.label} `, { bold: true }) + run(block.text));
+    if (block.type === "rule") {
+      return paragraph("", {
+        extra: '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>',
+      });
+    }
+    if (block.type === "list") {
+      const numId = block.ordered ? FIRST_ORDERED_NUM_ID + orderedLists++ : BULLET_NUM_ID;
+      return block.items
+        .map((item, i) => paragraph(run(item), { style: "ListParagraph", numId, level: block.levels?.[i] || 0 }))
+        .join("");
+    }
+    return paragraph(block.lines.map((line) => run(line)).join("<w:r><w:br/></w:r>"));
+  });
+
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W_NAMESPACE}" xmlns:r="${OFFICE_REL}"><w:body>${body.join("")}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+  return { xml, orderedLists };
+}
+
+function buildStylesXml() {
+  const headings = HEADING_SIZES.map(
+    (size, i) =>
+      `<w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${i}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`
+  ).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${W_NAMESPACE}"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>${headings}<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/><w:contextualSpacing/></w:pPr></w:style></w:styles>`;
+}
+
+function buildNumberingXml(orderedLists) {
+  // Nested list items (sub-claims) use the deeper levels
+  const level = (ilvl, format, text) =>
+    `<w:lvl w:ilvl="${ilvl}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (ilvl + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+  const levels = (format, text) => LIST_LEVELS.map((_, i) => level(i, format, text(i))).join("");
+  const ordered = Array.from(
+    { length: orderedLists },
+    (_, i) =>
+      `<w:num w:numId="${FIRST_ORDERED_NUM_ID + i}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`
+  ).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${W_NAMESPACE}"><w:abstractNum w:abstractNumId="0">${levels("bullet", (i) => LIST_LEVELS[i])}</w:abstractNum><w:abstractNum w:abstractNumId="1">${levels("decimal", (i) => `%${i + 1}.`)}</w:abstractNum><w:num w:numId="${BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>${ordered}</w:numbering>`;
+}
+
+function buildCoreXml(title, now) {
+  const created = now.toISOString().replace(/\.\d{3}Z$/, "Z");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${xmlEscape(title)}</dc:title><dc:creator>Inkwise</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${created}</dcterms:modified></cp:coreProperties>`;
+}
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${REL_NAMESPACE}"><Relationship Id="rId1" Type="${OFFICE_REL}/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${REL_NAMESPACE}"><Relationship Id="rId1" Type="${OFFICE_REL}/styles" Target="styles.xml"/><Relationship Id="rId2" Type="${OFFICE_REL}/numbering" Target="numbering.xml"/></Relationships>`;
+
+/**
+ * Builds a .docx file for a profile's draft text
+ * @param {string} text - Output of buildDraftText for the profile
+ * @param {string} profile - Output profile key
+ * @param {{ title?: string, now?: Date }} [options]
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+export function createDocx(text, profile, { title = "Inkwise draft", now = new Date() } = {}) {
+  const { xml, orderedLists } = buildDocumentXml(parseDraftBlocks(text, profile));
+  return createZip(
+    [
+      { name: "[Content_Types].xml", data: CONTENT_TYPES_XML },
+      { name: "_rels/.rels", data: PACKAGE_RELS_XML },
+      { name: "docProps/core.xml", data: buildCoreXml(title, now) },
+      { name: "word/document.xml", data: xml },
+      { name: "word/_rels/document.xml.rels", data: DOCUMENT_RELS_XML },
+      { name: "word/styles.xml", data: buildStylesXml() },
+      { name: "word/numbering.xml", data: buildNumberingXml(orderedLists) },
+    ],
+    { now }
+  );
+}
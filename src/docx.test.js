@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { xmlEscape, buildDocumentXml, createDocx } from "./docx.js";
+import { parseDraftBlocks } from "./html-renderer.js";
+import { readStoredZip } from "./test-helpers.js";
+
+const decoder = new TextDecoder();
+
+const memo =
+  "TITLE\nQ3 plan\n\nTL;DR\n- Ship smaller\n- Measure\n\nDETAILS\nFirst line\nsecond line\n\nNEXT STEPS\n- Review";
+const blog = "# Ship smaller\n\n## Small PRs\n\nReviewers focus.\n\n## Ordered\n\n1. One\n2. Two\n\n1. Again";
+
+describe("xmlEscape", () => {
+  it("escapes markup and drops control characters", () => {
+    expect(xmlEscape('a < b & "c"\u0001')).toBe("a &lt; b &amp; &quot;c&quot;");
+  });
+});
+
+describe("buildDocumentXml", () => {
+  it("turns memo sections into headings and bullet lists", () => {
+    const { xml } = buildDocumentXml(parseDraftBlocks(memo, "memo"));
+    expect(xml).toContain('<w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">Q3 plan</w:t>');
+    expect(xml).toContain('<w:pStyle w:val="Heading2"/></w:pPr><w:r><w:t xml:space="preserve">TL;DR</w:t>');
+    expect(xml).toContain('<w:pStyle w:val="Heading2"/></w:pPr><w:r><w:t xml:space="preserve">Next steps</w:t>');
+    expect(xml.match(/<w:numId w:val="1"\/>/g)).toHaveLength(3);
+    expect(xml).toContain('First line</w:t></w:r><w:r><w:br/></w:r><w:r><w:t xml:space="preserve">second line');
+    expect(xml).not.toContain("TITLE");
+  });
+
+  it("puts nested list items on deeper numbering levels", () => {
+    const { xml } = buildDocumentXml(parseDraftBlocks("• Point\n  ◦ Reason", "linkedin"));
+    expect(xml).toContain(
+      '<w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t xml:space="preserve">Point'
+    );
+    expect(xml).toContain(
+      '<w:ilvl w:val="1"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t xml:space="preserve">Reason'
+    );
+  });
+
+  it("maps blog ## headings to Heading 2 and restarts each numbered list", () => {
+    const { xml, orderedLists } = buildDocumentXml(parseDraftBlocks(blog, "blog"));
+    expect(xml).toContain('<w:pStyle w:val="Heading2"/></w:pPr><w:r><w:t xml:space="preserve">Small PRs</w:t>');
+    expect(orderedLists).toBe(2);
+    expect(xml.match(/<w:numId w:val="2"\/>/g)).toHaveLength(2);
+    expect(xml.match(/<w:numId w:val="3"\/>/g)).toHaveLength(1);
+  });
+});
+
+describe("createDocx", () => {
+  const now = new Date("2025-03-01T12:00:00.000Z");
+
+  it("packages a complete WordprocessingML document", () => {
+    const entries = readStoredZip(createDocx(blog, "blog", { title: "Ship & learn", now }));
+    expect(Object.keys(entries).sort()).toEqual([
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "docProps/core.xml",
+      "word/_rels/document.xml.rels",
+      "word/document.xml",
+      "word/numbering.xml",
+      "word/styles.xml",
+    ]);
+    const text = (name) => decoder.decode(entries[name].data);
+    expect(text("[Content_Types].xml")).toContain('PartName="/word/document.xml"');
+    expect(text("_rels/.rels")).toContain('Target="word/document.xml"');
+    expect(text("docProps/core.xml")).toContain("<dc:title>Ship &amp; learn</dc:title>");
+    expect(text("docProps/core.xml")).toContain("2025-03-01T12:00:00Z");
+    expect(text("word/styles.xml")).toContain('w:styleId="Heading2"');
+    expect(text("word/numbering.xml")).toContain('<w:num w:numId="3">');
+  });
+});
@@ -0,0 +1,155 @@
+// Keyed DOM patching for the template-string renderer
+// patchChildren() turns an element's children into the given HTML while reusing
+// every node that is still there, so focus, caret, selection and scroll survive a
+// re-render. Elements are matched by `data-key` (or `id`) first, then by position
+// and tag. Form state that only the user sets (a details element's `open`, what is
+// typed in a passphrase field) is left alone.
+
+/**
+ * @typedef {object} PatchOptions
+ * @property {boolean} [replaceActiveValue] - Also update the value of the focused field.
+ *   Off by default: while the user types, the field is ahead of the state it renders from.
+ */
+
+/**
+ * @param {Node} node
+ * @returns {string | null}
+ */
+function keyOf(node) {
+  if (node.nodeType !== 1) return null;
+  const el = /** @type {Element} */ (node);
+  return el.getAttribute("data-key") || el.id || null;
+}
+
+/**
+ * @param {Node} a
+ * @param {Node} b
+ */
+function sameKind(a, b) {
+  return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+}
+
+/**
+ * @param {Element} from
+ * @param {Element} to
+ */
+function syncAttributes(from, to) {
+  const userToggled = from.nodeName === "DETAILS" ? "open" : null;
+  for (const { name } of Array.from(from.attributes)) {
+    if (name !== userToggled && !to.hasAttribute(name)) from.removeAttribute(name);
+  }
+  for (const { name, value } of Array.from(to.attributes)) {
+    if (name !== userToggled && from.getAttribute(name) !== value) from.setAttribute(name, value);
+  }
+}
+
+// Attributes only set a control's defaults; what it shows lives in properties
+/**
+ * @param {Element} fromEl
+ * @param {Element} toEl
+ * @param {Element | null} active
+ * @param {PatchOptions} options
+ */
+function syncFormState(fromEl, toEl, active, options) {
+  const from = /** @type {HTMLInputElement} */ (fromEl);
+  const to = /** @type {HTMLInputElement} */ (toEl);
+  const keepValue = (from === active && !options.replaceActiveValue) || from.type === "password";
+
+  if (from.nodeName === "INPUT") {
+    if (from.checked !== to.checked) from.checked = to.checked;
+    if (!keepValue && from.type !== "file" && from.value !== to.value) from.value = to.value;
+  } else if (from.nodeName === "TEXTAREA") {
+    if (!keepValue && from.value !== to.value) from.value = to.value;
+  } else if (from.nodeName === "SELECT") {
+    // After its options were patched
+    if (from.value !== to.value) from.value = to.value;
+  }
+}
+
+/**
+ * @param {Node} from
+ * @param {Node} to
+ * @param {Element | null} active
+ * @param {PatchOptions} options
+ */
+function patchNode(from, to, active, options) {
+  if (from.nodeType !== 1) {
+    if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+    return;
+  }
+  const fromEl = /** @type {Element} */ (from);
+  const toEl = /** @type {Element} */ (to);
+  syncAttributes(fromEl, toEl);
+  patchChildNodes(fromEl, toEl, active, options);
+  syncFormState(fromEl, toEl, active, options);
+}
+
+/**
+ * @param {Node} fromParent
+ * @param {Node} toParent
+ * @param {Element | null} active
+ * @param {PatchOptions} options
+ */
+function patchChildNodes(fromParent, toParent, active, options) {
+  /** @type {Map<string, ChildNode>} */
+  const keyed = new Map();
+  for (const child of Array.from(fromParent.childNodes)) {
+    const key = keyOf(child);
+    if (key && !keyed.has(key)) keyed.set(key, child);
+  }
+
+  const next = Array.from(toParent.childNodes);
+  next.forEach((to, index) => {
+    const current = fromParent.childNodes[index] || null;
+    const key = keyOf(to);
+    let match = null;
+    if (key) {
+      const candidate = keyed.get(key);
+      if (candidate && sameKind(candidate, to)) {
+        match = candidate;
+        keyed.delete(key);
+      }
+    } else if (current && !keyOf(current) && sameKind(current, to)) {
+      match = current;
+    }
+
+    if (!match) {
+      fromParent.insertBefore(to, current);
+      return;
+    }
+    if (match !== current) fromParent.insertBefore(match, current);
+    patchNode(match, to, active, options);
+  });
+
+  while (fromParent.childNodes.length > next.length) fromParent.lastChild.remove();
+}
+
+/**
+ * Makes `parent`'s children match `html`, changing only what differs
+ * @param {Element} parent
+ * @param {string} html
+ * @param {PatchOptions} [options]
+ */
+export function patchChildren(parent, html, options = {}) {
+  const doc = parent.ownerDocument;
+  const template = doc.createElement("template");
+  template.innerHTML = html;
+
+  const active = /** @type {HTMLTextAreaElement | null} */ (doc.activeElement);
+  const hadFocus = !!active && active !== doc.body && parent.contains(active);
+  const selection =
+    hadFocus && typeof active.selectionStart === "number"
+      ? { start: active.selectionStart, end: active.selectionEnd, direction: active.selectionDirection }
+      : null;
+  const scrollTop = hadFocus ? active.scrollTop : 0;
+
+  patchChildNodes(parent, template.content, hadFocus ? active : null, options);
+
+  // Moving a node (a claim changing places) takes focus away from anything inside it
+  if (!hadFocus || !active.isConnected || doc.activeElement === active) return;
+  active.focus();
+  if (selection && !options.replaceActiveValue) {
+    active.setSelectionRange(selection.start, selection.end, selection.direction);
+  }
+  active.scrollTop = scrollTop;
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { patchChildren } from "./dom-patch.js";
+
+const claims = (ids) =>
+  ids.map((id) => `<div class="row" data-key="${id}"><textarea id="claim-${id}">${id} text</textarea></div>`).join("");
+
+describe("patchChildren", () => {
+  /** @type {HTMLElement} */
+  let root;
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    root = document.querySelector("#app");
+  });
+
+  it("renders into an empty element and updates text and attributes in place", () => {
+    patchChildren(root, '<h2 class="h2">Draft</h2><p title="a">One</p>');
+    const p = root.querySelector("p");
+    patchChildren(root, '<h2 class="h2">Draft</h2><p data-x="1">Two</p>');
+    expect(root.querySelector("p")).toBe(p);
+    expect(p.outerHTML).toBe('<p data-x="1">Two</p>');
+    patchChildren(root, "<h2>Draft</h2>");
+    expect(root.innerHTML).toBe("<h2>Draft</h2>");
+  });
+
+  it("keeps keyed nodes when they change places", () => {
+    patchChildren(root, claims(["a", "b", "c"]));
+    const [a, b, c] = root.querySelectorAll(".row");
+    patchChildren(root, claims(["c", "a", "b"]));
+    expect([...root.querySelectorAll(".row")]).toEqual([c, a, b]);
+    patchChildren(root, claims(["a", "d", "b"]));
+    const rows = root.querySelectorAll(".row");
+    expect(rows[0]).toBe(a);
+    expect(rows[1].getAttribute("data-key")).toBe("d");
+    expect(rows[2]).toBe(b);
+  });
+
+  it("keeps focus, caret and typed value of the focused field, even when it moves", () => {
+    patchChildren(root, claims(["a", "b"]));
+    /** @type {HTMLTextAreaElement} */
+    const field = root.querySelector("#claim-b");
+    field.focus();
+    field.value = "b text, typed ahead of the state";
+    field.setSelectionRange(2, 4);
+
+    patchChildren(root, claims(["b", "a"]));
+    expect(document.activeElement).toBe(field);
+    expect(field.value).toBe("b text, typed ahead of the state");
+    expect([field.selectionStart, field.selectionEnd]).toEqual([2, 4]);
+  });
+
+  it("updates the focused field's value when asked (undo, another tab)", () => {
+    patchChildren(root, '<input id="intent" value="old" />');
+    /** @type {HTMLInputElement} */
+    const input = root.querySelector("#intent");
+    input.focus();
+    input.value = "typed";
+    patchChildren(root, '<input id="intent" value="new" />');
+    expect(input.value).toBe("typed");
+    patchChildren(root, '<input id="intent" value="new" />', { replaceActiveValue: true });
+    expect(input.value).toBe("new");
+    expect(document.activeElement).toBe(input);
+  });
+
+  it("syncs control state from the markup but leaves passphrases and open details alone", () => {
+    const html = (checked, choice) => `
+      <input type="checkbox" id="cb" ${checked ? "checked" : ""} />
+      <select id="sel"><option value="a" ${choice === "a" ? "selected" : ""}>A</option><option value="b" ${choice === "b" ? "selected" : ""}>B</option></select>
+      <input type="password" id="pw" />
+      <details id="help"><summary>Help</summary></details>
+    `;
+    patchChildren(root, html(false, "a"));
+    /** @type {HTMLInputElement} */ (root.querySelector("#pw")).value = "secret";
+    root.querySelector("#help").setAttribute("open", "");
+
+    patchChildren(root, html(true, "b"));
+    expect(/** @type {HTMLInputElement} */ (root.querySelector("#cb")).checked).toBe(true);
+    expect(/** @type {HTMLSelectElement} */ (root.querySelector("#sel")).value).toBe("b");
+    expect(/** @type {HTMLInputElement} */ (root.querySelector("#pw")).value).toBe("secret");
+    expect(root.querySelector("#help").hasAttribute("open")).toBe(true);
+  });
+
+  it("replaces nodes whose tag changed", () => {
+    patchChildren(root, "<div>One</div>");
+    const div = root.firstElementChild;
+    patchChildren(root, "<section>One</section>");
+    expect(root.firstElementChild).not.toBe(div);
+    expect(root.innerHTML).toBe("<section>One</section>");
+  });
+});
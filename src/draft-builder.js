@@ -1,15 +1,37 @@
 // Draft building functions extracted for testing
 // These are pure functions that transform state into draft text
 
-import { clampInt, splitIntoThread, OUTPUT_PROFILES } from "./utils.js";
+import { clampInt, numberThreadPosts, OUTPUT_PROFILES } from "./utils.js";
+import { DEFAULT_STATE } from "./state-manager.js";
+import { deriveProjectTitle } from "./project-library.js";
+import { findCustomProfile } from "./custom-profiles.js";
+import { renderTemplate } from "./templates.js";
+import { getThreadPosts } from "./thread-editor.js";
+import { SOCIAL_PROFILES, buildSocialThread } from "./social-profiles.js";
+import { claimDepth, normalizeOutline, outlineNumbers, takeTopLevel } from "./claim-outline.js";
+import { collectSources, formatCitation, formatInlineSource, isEmptySource } from "./claim-sources.js";
+
+// Bullet glyph per claim depth, so nesting still shows where indentation is lost
+const BULLETS = ["•", "◦", "▪"];
 
 /**
- * Filters claims to only include non-empty ones
- * @param {Array<{id: string, text: string}>} claims
- * @returns {Array<{id: string, text: string}>}
+ * Filters claims to only include non-empty ones. Sub-claims of a removed empty
+ * claim move up under the claim above it.
+ * @param {Array<{id: string, text: string, depth?: number}>} claims
+ * @returns {Array<{id: string, text: string, depth?: number}>}
  */
 export function getCleanClaims(claims) {
-  return claims.map((c) => ({ ...c, text: (c.text || "").trim() })).filter((c) => c.text.length);
+  return normalizeOutline(claims.map((c) => ({ ...c, text: (c.text || "").trim() })).filter((c) => c.text.length));
+}
+
+/**
+ * An indented bullet line for a claim
+ * @param {string} text
+ * @param {number} depth
+ * @returns {string}
+ */
+function bulletLine(text, depth) {
+  return `${"  ".repeat(depth)}${BULLETS[depth] || BULLETS[0]} ${text}`;
 }
 
 /**
@@ -54,7 +76,7 @@ export function buildLinkedInDraft(state) {
     const intro = (cfg.bulletIntro || "").trim();
     if (intro) lines.push(intro);
 
-    claims.slice(0, n).forEach((c) => lines.push(`• ${c.text}`));
+    takeTopLevel(claims, n).forEach((c) => lines.push(bulletLine(c.text, claimDepth(c))));
     lines.push("");
   }
 
@@ -64,9 +86,12 @@ export function buildLinkedInDraft(state) {
       lines.push("");
     }
   } else if (!hook && claims.length) {
-    claims.slice(0, clampInt(cfg.maxBullets, 1, 12, 5)).forEach((c) => {
-      lines.push(c.text);
-      lines.push("");
+    // Top-level claims as paragraphs, sub-claims as bullets beneath them
+    const shown = takeTopLevel(claims, clampInt(cfg.maxBullets, 1, 12, 5));
+    shown.forEach((c, i) => {
+      const depth = claimDepth(c);
+      lines.push(depth ? bulletLine(c.text, depth - 1) : c.text);
+      if (!shown[i + 1] || !claimDepth(shown[i + 1])) lines.push("");
     });
   } else if (!hook) {
     lines.push("(Add intent/claims/expressions to generate a draft.)");
@@ -103,9 +128,11 @@ export function buildLinkedInDraft(state) {
 /**
  * Builds a full breakdown showing Intent, Structure, Expression sections
  * @param {object} state - The application state
+ * @param {{ includeNotes?: boolean }} [options] - includeNotes adds a NOTES section
+ *   with the private project and claim notes (off by default; no other builder reads them)
  * @returns {string}
  */
-export function buildFullBreakdown(state) {
+export function buildFullBreakdown(state, { includeNotes = false } = {}) {
   const intent = (state.intent || "").trim();
   const claims = getCleanClaims(state.claims || []);
   const paragraphs = getCleanParagraphs(claims, state.expressions || {});
@@ -118,9 +145,13 @@ export function buildFullBreakdown(state) {
     lines.push("");
   }
 
+  const sources = collectSources(claims);
   if (claims.length) {
     lines.push("STRUCTURE");
-    claims.forEach((c) => lines.push(`• ${c.text}`));
+    claims.forEach((c) => {
+      const cited = (sources.byClaim[c.id] || []).map((n) => ` [${n}]`).join("");
+      lines.push(bulletLine(c.text, claimDepth(c)) + cited);
+    });
     lines.push("");
   }
 
@@ -132,60 +163,287 @@ export function buildFullBreakdown(state) {
     });
   }
 
+  if (sources.list.length) {
+    lines.push("SOURCES");
+    sources.list.forEach(({ number, source }) => lines.push(`[${number}] ${formatCitation(source)}`));
+    lines.push("");
+  }
+
+  if (includeNotes) lines.push(...notesSection(state.notes, claims));
+
   return lines.join("\n").trim();
 }
 
+/**
+ * NOTES section lines: the project notes, then each claim's notes under its outline number
+ * @param {unknown} projectNotes
+ * @param {Array<{ id: string, text: string, depth?: number, notes?: string }>} claims - Clean claims
+ * @returns {string[]} - Empty when there are no notes
+ */
+function notesSection(projectNotes, claims) {
+  const numbers = outlineNumbers(claims);
+  const blocks = [];
+  if (typeof projectNotes === "string" && projectNotes.trim()) blocks.push(projectNotes.trim());
+  claims.forEach((c, i) => {
+    const notes = typeof c.notes === "string" ? c.notes.trim() : "";
+    if (notes) blocks.push(`${numbers[i]}. ${c.text}\n${notes}`);
+  });
+  return blocks.length ? ["NOTES", blocks.join("\n\n")] : [];
+}
+
+/**
+ * Reads a profile's config block, filling gaps from the defaults
+ * @param {object} state - The application state
+ * @param {"email"|"memo"|"blog"|"xthread"|"bluesky"|"mastodon"|"threads"} profile
+ * @returns {object}
+ */
+export function getProfileConfig(state, profile) {
+  return { ...DEFAULT_STATE[profile], ...(state[profile] || {}) };
+}
+
+/**
+ * Splits a multi-line field into trimmed, non-empty lines
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toLines(text) {
+  return (text || "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Markdown footnote references for a claim's sources ("[^1][^3]")
+ * @param {Record<string, number[]>} byClaim - From collectSources()
+ * @param {string} claimId
+ * @returns {string}
+ */
+function footnoteRefs(byClaim, claimId) {
+  return (byClaim[claimId] || []).map((n) => `[^${n}]`).join("");
+}
+
+/**
+ * Markdown footnote definitions, one per line
+ * @param {Array<{ number: number, source: object }>} list - From collectSources()
+ * @returns {string}
+ */
+function footnoteDefinitions(list) {
+  return list.map(({ number, source }) => `[^${number}]: ${formatCitation(source)}`).join("\n");
+}
+
+/**
+ * Inserts a marker after each claim where it appears in the text (after its
+ * expression, else after its claim text)
+ * @param {string} text
+ * @param {Array<{ id: string, text: string, sources?: object[] }>} claims - Clean claims
+ * @param {Record<string, string>} expressions
+ * @param {(claim: { id: string, sources?: object[] }) => string} markerFor - "" leaves the claim alone
+ * @returns {string}
+ */
+function markClaims(text, claims, expressions, markerFor) {
+  let result = text;
+  let from = 0;
+  for (const claim of claims) {
+    const marker = markerFor(claim);
+    if (!marker) continue;
+    const [paragraph] = getCleanParagraphs([claim], expressions);
+    const needle = paragraph || claim.text;
+    let index = result.indexOf(needle, from);
+    if (index < 0) index = result.indexOf(needle);
+    if (index < 0) continue;
+
+    const end = index + needle.length;
+    result = result.slice(0, end) + marker + result.slice(end);
+    from = end + marker.length;
+  }
+  return result;
+}
+
+/**
+ * Appends each claim's sources to where it appears in the text, as `(Title <URL>; …)`
+ * @param {string} text
+ * @param {Array<{ id: string, text: string, sources?: object[] }>} claims - Clean claims
+ * @param {Record<string, string>} expressions
+ * @returns {string}
+ */
+function withInlineSources(text, claims, expressions) {
+  return markClaims(text, claims, expressions, (claim) => {
+    const sources = (claim.sources || []).filter((s) => !isEmptySource(s));
+    return sources.length ? ` (${sources.map(formatInlineSource).join("; ")})` : "";
+  });
+}
+
+/**
+ * A "Sources:" list after the text, for profiles without footnotes
+ * @param {string} text
+ * @param {Array<{ id: string, sources?: object[] }>} claims - Clean claims
+ * @returns {string}
+ */
+function withSourceList(text, claims) {
+  const { list } = collectSources(claims);
+  if (!list.length) return text;
+  const lines = list.map(({ number, source }) => `[${number}] ${formatCitation(source, { quote: false })}`);
+  return `${text.trim()}\n\nSources:\n${lines.join("\n")}`;
+}
+
+/**
+ * The text X threads are split from: the base draft plus its Sources list. The
+ * thread editor splits, locks and compares against the same text, so a locked
+ * layout keeps the citations.
+ * @param {string} baseText - The base (LinkedIn-style) draft
+ * @param {object} state - The application state
+ * @returns {string}
+ */
+export function buildThreadSourceText(baseText, state) {
+  return withSourceList(baseText, getCleanClaims(state.claims || []));
+}
+
+/**
+ * Builds the values available to custom profile templates
+ * @param {object} state - The application state
+ * @param {string} baseText - The base (LinkedIn-style) draft
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export function buildTemplateContext(state, baseText, now = new Date()) {
+  const intent = (state.intent || "").trim();
+  const li = state.linkedin || {};
+  const claims = getCleanClaims(state.claims || []);
+  const expressions = state.expressions || {};
+  const numbers = outlineNumbers(claims);
+  const { list, byClaim } = collectSources(claims);
+  const citations = list.map(({ number, source }) => ({ ...source, number, citation: formatCitation(source) }));
+
+  return {
+    intent,
+    hook: (li.hookOverride || "").trim() || intent,
+    title: deriveProjectTitle(state),
+    body: baseText.trim(),
+    cta: (li.ctaText || "").trim(),
+    hashtags: (li.hashtags || "").trim(),
+    signature: (li.signature || "").trim(),
+    date: now.toISOString().slice(0, 10),
+    claimCount: claims.length,
+    claims: claims.map((c, i) => ({
+      claim: c.text,
+      expression: typeof expressions[c.id] === "string" ? expressions[c.id].trim() : "",
+      number: i + 1,
+      depth: claimDepth(c),
+      outline: numbers[i],
+      sources: (byClaim[c.id] || []).map((n) => citations[n - 1]),
+    })),
+    sources: citations,
+  };
+}
+
 /**
  * Formats draft text according to the output profile
  * @param {string} baseText - The base draft text
  * @param {object} state - The application state
+ * @param {Array<object>} [customProfiles] - Saved user-defined profiles ("custom:<id>" keys)
  * @returns {string}
  */
-export function buildDraftText(baseText, state) {
+export function buildDraftText(baseText, state, customProfiles = []) {
   const profile = state.outputProfile || "linkedin";
   const p = OUTPUT_PROFILES[profile];
 
+  const custom = findCustomProfile(profile, customProfiles);
+  if (custom) {
+    try {
+      // Collapse runs of blank lines left behind by empty placeholders
+      return renderTemplate(custom.template, buildTemplateContext(state, baseText))
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+    } catch (err) {
+      return `(Template error in "${custom.name}": ${err.message})`;
+    }
+  }
+
   if (profile === "email") {
+    const cfg = getProfileConfig(state, "email");
     const subject =
-      (state.linkedin?.hookOverride || "").trim() || (state.intent || "").trim() || "Quick note";
-    return `Subject: ${subject}\n\n${baseText.trim()}`;
+      (cfg.subject || "").trim() ||
+      (state.linkedin?.hookOverride || "").trim() ||
+      (state.intent || "").trim() ||
+      (cfg.subjectFallback || "").trim() ||
+      DEFAULT_STATE.email.subjectFallback;
+    const parts = [`Subject: ${subject}`];
+    const greeting = (cfg.greeting || "").trim();
+    if (greeting) parts.push(greeting);
+    parts.push(withInlineSources(baseText.trim(), getCleanClaims(state.claims || []), state.expressions || {}));
+    const signOff = (cfg.signOff || "").trim();
+    if (signOff) parts.push(signOff);
+    return parts.join("\n\n");
   }
 
   if (profile === "memo") {
-    const title = (state.intent || "").trim() || "Memo";
-    const claims = getCleanClaims(state.claims || []);
+    const cfg = getProfileConfig(state, "memo");
+    const title = (cfg.title || "").trim() || (state.intent || "").trim() || "Memo";
+    // The TL;DR sums up the top-level claims only
+    const claims = getCleanClaims(state.claims || []).filter((c) => !claimDepth(c));
+    const tldrCount = clampInt(cfg.tldrCount, 1, 12, 5);
     const bulletPoints = claims.length
       ? claims
-          .slice(0, 5)
+          .slice(0, tldrCount)
           .map((c) => `- ${c.text}`)
           .join("\n")
       : "- ";
-    return `TITLE\n${title}\n\nTL;DR\n${bulletPoints}\n\nDETAILS\n${baseText.trim()}\n\nNEXT STEPS\n- `;
+    const steps = toLines(cfg.nextSteps);
+    const nextSteps = steps.length ? steps.map((s) => `- ${s.replace(/^[-•*]\s*/, "")}`).join("\n") : "- ";
+    const { list } = collectSources(getCleanClaims(state.claims || []));
+    const sources = list.length
+      ? `\n\nSOURCES\n${list.map(({ number, source }) => `${number}. ${formatCitation(source)}`).join("\n")}`
+      : "";
+    return `TITLE\n${title}\n\nTL;DR\n${bulletPoints}\n\nDETAILS\n${baseText.trim()}\n\nNEXT STEPS\n${nextSteps}${sources}`;
   }
 
   if (profile === "xthread") {
-    return splitIntoThread(baseText, p?.chunkSize || 280).join("\n\n---\n\n");
+    const cfg = getProfileConfig(state, "xthread");
+    const posts = getThreadPosts(buildThreadSourceText(baseText, state), cfg, p?.chunkSize || 280);
+    return numberThreadPosts(posts, cfg.numbering).join("\n\n---\n\n");
+  }
+
+  if (SOCIAL_PROFILES.includes(profile)) {
+    const text = buildThreadSourceText(baseText, state);
+    return buildSocialThread(text, profile, getProfileConfig(state, profile)).join("\n\n---\n\n");
   }
 
   if (profile === "blog") {
+    const cfg = getProfileConfig(state, "blog");
     const title = (state.intent || "").trim();
     const claims = getCleanClaims(state.claims || []);
+    const headingLevel = clampInt(cfg.headingLevel, 2, 4, 2);
     let output = "";
-    if (title) output += `# ${title}\n\n`;
+    if (title && cfg.includeTitle !== false) output += `# ${title}\n\n`;
 
-    const paragraphs = getCleanParagraphs(claims, state.expressions || {});
+    const intro = (cfg.intro || "").trim();
+    if (intro) output += `${intro}\n\n`;
+
+    const expressions = state.expressions || {};
+    const paragraphs = getCleanParagraphs(claims, expressions);
     if (paragraphs.length && claims.length) {
-      claims.forEach((c, i) => {
-        output += `## ${c.text}\n\n`;
-        if (paragraphs[i]) output += `${paragraphs[i]}\n\n`;
+      // Sub-claims become sub-headings; sources become footnotes on the claim's paragraph
+      const { list, byClaim } = collectSources(claims);
+      claims.forEach((c) => {
+        const [paragraph] = getCleanParagraphs([c], expressions);
+        const refs = footnoteRefs(byClaim, c.id);
+        output += `${"#".repeat(Math.min(headingLevel + claimDepth(c), 6))} ${c.text}${paragraph ? "" : refs}\n\n`;
+        if (paragraph) output += `${paragraph}${refs}\n\n`;
       });
+      if (list.length) output += footnoteDefinitions(list);
     } else {
-      output += baseText.trim();
+      // No paragraphs: the base draft lists the claims, so cite them where they appear
+      const { list, byClaim } = collectSources(claims);
+      output += markClaims(baseText.trim(), claims, expressions, (c) => footnoteRefs(byClaim, c.id));
+      if (list.length) output += `\n\n${footnoteDefinitions(list)}`;
     }
     return output.trim();
   }
 
-  // linkedin, custom: return base text as-is
+  if (profile === "linkedin") return withSourceList(baseText, getCleanClaims(state.claims || []));
+
+  // custom, missing custom profile: return base text as-is
   return baseText;
 }
 
@@ -197,7 +455,8 @@ export function buildDraftText(baseText, state) {
 export function buildMarkdownExport(state) {
   const intent = (state.intent || "").trim();
   const claims = getCleanClaims(state.claims || []);
-  const paragraphs = getCleanParagraphs(claims, state.expressions || {});
+  const expressions = state.expressions || {};
+  const paragraphs = getCleanParagraphs(claims, expressions);
 
   const lines = [];
 
@@ -206,21 +465,25 @@ export function buildMarkdownExport(state) {
     lines.push("");
   }
 
+  const { list, byClaim } = collectSources(claims);
   if (claims.length && paragraphs.length) {
-    claims.forEach((c, i) => {
-      lines.push(`## ${c.text}`);
+    claims.forEach((c) => {
+      const [paragraph] = getCleanParagraphs([c], expressions);
+      const refs = footnoteRefs(byClaim, c.id);
+      lines.push(`${"#".repeat(2 + claimDepth(c))} ${c.text}${paragraph ? "" : refs}`);
       lines.push("");
-      if (paragraphs[i]) {
-        lines.push(paragraphs[i]);
+      if (paragraph) {
+        lines.push(paragraph + refs);
         lines.push("");
       }
     });
   } else if (claims.length) {
     claims.forEach((c) => {
-      lines.push(`- ${c.text}`);
+      lines.push(`${"  ".repeat(claimDepth(c))}- ${c.text}${footnoteRefs(byClaim, c.id)}`);
     });
     lines.push("");
   }
+  if (claims.length && list.length) lines.push(footnoteDefinitions(list));
 
   return lines.join("\n").trim();
 }
@@ -233,8 +496,6 @@ export function buildMarkdownExport(state) {
 export function isFirstTimeUser(state) {
   const hasIntent = (state.intent || "").trim().length > 0;
   const hasClaims = (state.claims || []).some((c) => (c.text || "").trim().length > 0);
-  const hasExpressions = Object.values(state.expressions || {}).some(
-    (e) => (e || "").trim().length > 0
-  );
+  const hasExpressions = Object.values(state.expressions || {}).some((e) => (e || "").trim().length > 0);
   return !hasIntent && !hasClaims && !hasExpressions;
 }
@@ -5,9 +5,12 @@ import {
   buildLinkedInDraft,
   buildFullBreakdown,
   buildDraftText,
+  buildTemplateContext,
   buildMarkdownExport,
+  buildThreadSourceText,
   isFirstTimeUser,
 } from "./draft-builder.js";
+import { getThreadPosts } from "./thread-editor.js";
 
 describe("getCleanClaims", () => {
   it("filters out empty claims", () => {
@@ -385,6 +388,30 @@ describe("buildDraftText", () => {
       const result = buildDraftText("Body", state);
       expect(result).toContain("Subject: Quick note");
     });
+
+    it("prefers the configured subject over hook and intent", () => {
+      const state = {
+        ...baseState,
+        outputProfile: "email",
+        linkedin: { hookOverride: "Hook" },
+        email: { subject: "Weekly update" },
+      };
+      expect(buildDraftText("Body", state)).toContain("Subject: Weekly update");
+    });
+
+    it("uses the configured fallback subject", () => {
+      const state = { ...baseState, intent: "", outputProfile: "email", email: { subjectFallback: "FYI" } };
+      expect(buildDraftText("Body", state)).toContain("Subject: FYI");
+    });
+
+    it("wraps the body with greeting and sign-off", () => {
+      const state = {
+        ...baseState,
+        outputProfile: "email",
+        email: { greeting: "Hi team,", signOff: "Thanks,\nSam" },
+      };
+      expect(buildDraftText("Body", state)).toBe("Subject: Test intent\n\nHi team,\n\nBody\n\nThanks,\nSam");
+    });
   });
 
   describe("memo profile", () => {
@@ -425,6 +452,37 @@ describe("buildDraftText", () => {
       const result = buildDraftText("Details", state);
       expect(result).toContain("TITLE\nMemo");
     });
+
+    it("respects the configured TL;DR count", () => {
+      const state = {
+        ...baseState,
+        outputProfile: "memo",
+        claims: [
+          { id: "1", text: "One" },
+          { id: "2", text: "Two" },
+          { id: "3", text: "Three" },
+        ],
+        memo: { tldrCount: 2 },
+      };
+      const result = buildDraftText("Details", state);
+      expect(result).toContain("- Two");
+      expect(result).not.toContain("- Three");
+    });
+
+    it("uses the configured title", () => {
+      const state = { ...baseState, outputProfile: "memo", memo: { title: "Q3 plan" } };
+      expect(buildDraftText("Details", state)).toContain("TITLE\nQ3 plan");
+    });
+
+    it("lists next steps one per line", () => {
+      const state = { ...baseState, outputProfile: "memo", memo: { nextSteps: "Share draft\n\n- Decide by Friday" } };
+      expect(buildDraftText("Details", state)).toMatch(/NEXT STEPS\n- Share draft\n- Decide by Friday$/);
+    });
+
+    it("leaves an empty next-steps bullet when none are set", () => {
+      const state = { ...baseState, outputProfile: "memo" };
+      expect(buildDraftText("Details", state)).toMatch(/NEXT STEPS\n- $/);
+    });
   });
 
   describe("xthread profile", () => {
@@ -443,6 +501,55 @@ describe("buildDraftText", () => {
       const result = buildDraftText("Short text", state);
       expect(result).toContain("1/1");
     });
+
+    it("uses the locked layout from the thread editor", () => {
+      const state = {
+        ...baseState,
+        outputProfile: "xthread",
+        xthread: { numbering: "prefix", locked: true, posts: ["First.", "Second."] },
+      };
+      expect(buildDraftText("Ignored base text", state)).toBe("1/2\nFirst.\n\n---\n\n2/2\nSecond.");
+    });
+
+    it("applies the configured numbering style", () => {
+      const suffix = buildDraftText("Short text", {
+        ...baseState,
+        outputProfile: "xthread",
+        xthread: { numbering: "suffix" },
+      });
+      expect(suffix).toBe("Short text 1/1");
+
+      const none = buildDraftText("Short text", {
+        ...baseState,
+        outputProfile: "xthread",
+        xthread: { numbering: "none" },
+      });
+      expect(none).toBe("Short text");
+    });
+  });
+
+  describe("bluesky, mastodon and threads profiles", () => {
+    it("splits with each platform's limit", () => {
+      const text = Array.from({ length: 15 }, (_, i) => `Sentence ${i} carries a reasonable amount of text.`).join(" ");
+      const bluesky = buildDraftText(text, { ...baseState, outputProfile: "bluesky" }).split("\n\n---\n\n");
+      const threads = buildDraftText(text, { ...baseState, outputProfile: "threads" }).split("\n\n---\n\n");
+      expect(bluesky.length).toBe(3);
+      expect(threads.length).toBe(2);
+      bluesky.forEach((post) => expect(post.length).toBeLessThanOrEqual(300));
+    });
+
+    it("uses the configured Mastodon limit", () => {
+      const text = "Word ".repeat(150).trim();
+      const state = { ...baseState, outputProfile: "mastodon", mastodon: { numbering: "none", charLimit: 1000 } };
+      expect(buildDraftText(text, state)).toBe(text);
+      const small = { ...state, mastodon: { numbering: "none", charLimit: 500 } };
+      expect(buildDraftText(text, small).split("\n\n---\n\n").length).toBe(2);
+    });
+
+    it("formats handles for the platform", () => {
+      const state = { ...baseState, outputProfile: "bluesky" };
+      expect(buildDraftText("Thanks @alice!", state)).toBe("1/1\nThanks @alice.bsky.social!");
+    });
   });
 
   describe("blog profile", () => {
@@ -478,6 +585,56 @@ describe("buildDraftText", () => {
       const result = buildDraftText("Fallback content", state);
       expect(result).toContain("Fallback content");
     });
+
+    it("uses the configured heading level", () => {
+      const state = { ...baseState, outputProfile: "blog", blog: { headingLevel: 3 } };
+      const result = buildDraftText("fallback", state);
+      expect(result).toContain("\n### Test claim\n");
+      expect(result).not.toMatch(/^## Test claim/m);
+    });
+
+    it("omits the title and adds an intro paragraph when configured", () => {
+      const state = { ...baseState, outputProfile: "blog", blog: { includeTitle: false, intro: "Why this matters." } };
+      const result = buildDraftText("fallback", state);
+      expect(result).not.toContain("# Test intent");
+      expect(result.startsWith("Why this matters.\n\n## Test claim")).toBe(true);
+    });
+  });
+
+  describe("user-defined profiles", () => {
+    const profiles = [
+      {
+        id: "slack",
+        name: "Slack",
+        maxChars: 4000,
+        hint: "",
+        template: ":mega: *{{intent}}*\n{{#claims}}\n• {{claim}} — {{expression}}\n{{/claims}}\n{{cta}}",
+      },
+      { id: "broken", name: "Broken", maxChars: 100, hint: "", template: "{{#claims}}" },
+    ];
+
+    it("renders the profile template", () => {
+      const state = { ...baseState, outputProfile: "custom:slack", linkedin: { ctaText: "Questions?" } };
+      expect(buildDraftText("Base", state, profiles)).toBe(
+        ":mega: *Test intent*\n• Test claim — Test expression\nQuestions?"
+      );
+    });
+
+    it("collapses blank lines left by empty placeholders", () => {
+      const profile = { id: "p", name: "P", maxChars: 100, hint: "", template: "{{intent}}\n\n{{cta}}\n\n\n{{body}}" };
+      const state = { ...baseState, outputProfile: "custom:p" };
+      expect(buildDraftText("Base", state, [profile])).toBe("Test intent\n\nBase");
+    });
+
+    it("shows template errors instead of throwing", () => {
+      const state = { ...baseState, outputProfile: "custom:broken" };
+      expect(buildDraftText("Base", state, profiles)).toMatch(/^\(Template error in "Broken": .*never closed/);
+    });
+
+    it("returns base text when the profile no longer exists", () => {
+      const state = { ...baseState, outputProfile: "custom:deleted" };
+      expect(buildDraftText("Base", state, profiles)).toBe("Base");
+    });
   });
 
   describe("linkedin and custom profiles", () => {
@@ -501,6 +658,40 @@ describe("buildDraftText", () => {
   });
 });
 
+describe("buildTemplateContext", () => {
+  it("exposes intent, LinkedIn fields and numbered claims", () => {
+    const state = {
+      intent: " Ship it ",
+      claims: [
+        { id: "a", text: "First" },
+        { id: "b", text: " " },
+        { id: "c", text: "Second" },
+      ],
+      expressions: { a: " Why first ", c: 42 },
+      linkedin: { hookOverride: "", ctaText: "Thoughts?", hashtags: "#x", signature: "— me" },
+      metadata: { title: "Launch" },
+    };
+    const ctx = buildTemplateContext(state, " Body ", new Date("2025-03-01T12:00:00.000Z"));
+
+    expect(ctx).toEqual({
+      intent: "Ship it",
+      hook: "Ship it",
+      title: "Launch",
+      body: "Body",
+      cta: "Thoughts?",
+      hashtags: "#x",
+      signature: "— me",
+      date: "2025-03-01",
+      claimCount: 2,
+      claims: [
+        { claim: "First", expression: "Why first", number: 1, depth: 0, outline: "1", sources: [] },
+        { claim: "Second", expression: "", number: 2, depth: 0, outline: "2", sources: [] },
+      ],
+      sources: [],
+    });
+  });
+});
+
 describe("buildMarkdownExport", () => {
   it("creates markdown with title from intent", () => {
     const state = {
@@ -575,6 +766,251 @@ describe("buildMarkdownExport", () => {
   });
 });
 
+describe("nested claims", () => {
+  const state = {
+    intent: "Ship smaller changes",
+    claims: [
+      { id: "a", text: "Reviews get faster" },
+      { id: "a1", text: "Less to read", depth: 1 },
+      { id: "a2", text: "Fewer conflicts", depth: 2 },
+      { id: "b", text: "Rollbacks get cheap" },
+      { id: "b1", text: "One change per revert", depth: 1 },
+    ],
+    expressions: { a: "Reviewers read a 50-line diff.", a2: "Rebases stay trivial.", b: "Revert, redeploy, done." },
+    linkedin: { hookOverride: "", includeBullets: true, bulletIntro: "", maxBullets: 1 },
+  };
+
+  it("moves sub-claims of an empty claim up", () => {
+    const claims = getCleanClaims([
+      { id: "a", text: "A" },
+      { id: "b", text: " ", depth: 1 },
+      { id: "c", text: "C", depth: 2 },
+    ]);
+    expect(claims).toEqual([
+      { id: "a", text: "A" },
+      { id: "c", text: "C", depth: 1 },
+    ]);
+  });
+
+  it("nests LinkedIn bullets and counts only top-level claims", () => {
+    const result = buildLinkedInDraft(state);
+    expect(result).toContain("• Reviews get faster\n  ◦ Less to read\n    ▪ Fewer conflicts\n\n");
+    expect(result).not.toContain("• Rollbacks get cheap");
+  });
+
+  it("lists sub-claims under their claim when there are no expressions", () => {
+    const result = buildLinkedInDraft({ ...state, intent: "", expressions: {}, linkedin: { maxBullets: 5 } });
+    expect(result).toBe(
+      "Reviews get faster\n• Less to read\n  ◦ Fewer conflicts\n\nRollbacks get cheap\n• One change per revert"
+    );
+  });
+
+  it("indents the full breakdown structure", () => {
+    expect(buildFullBreakdown(state)).toContain(
+      "STRUCTURE\n• Reviews get faster\n  ◦ Less to read\n    ▪ Fewer conflicts\n"
+    );
+  });
+
+  it("keeps the memo TL;DR to top-level claims", () => {
+    const result = buildDraftText("Body", { ...state, outputProfile: "memo" });
+    expect(result).toContain("TL;DR\n- Reviews get faster\n- Rollbacks get cheap\n\n");
+  });
+
+  it("turns sub-claims into blog sub-headings with their own expressions", () => {
+    const result = buildDraftText("Body", { ...state, outputProfile: "blog" });
+    expect(result).toContain(
+      "## Reviews get faster\n\nReviewers read a 50-line diff.\n\n### Less to read\n\n#### Fewer conflicts\n\nRebases stay trivial."
+    );
+    expect(result).toContain("## Rollbacks get cheap\n\nRevert, redeploy, done.\n\n### One change per revert");
+  });
+
+  it("exports nested sections or a nested list to markdown", () => {
+    expect(buildMarkdownExport(state)).toContain(
+      "## Reviews get faster\n\nReviewers read a 50-line diff.\n\n### Less to read\n\n#### Fewer conflicts"
+    );
+    expect(buildMarkdownExport({ ...state, expressions: {} })).toBe(
+      "# Ship smaller changes\n\n- Reviews get faster\n  - Less to read\n    - Fewer conflicts\n- Rollbacks get cheap\n  - One change per revert"
+    );
+  });
+
+  it("gives templates each claim's depth and outline number", () => {
+    const { claims } = buildTemplateContext(state, "");
+    expect(claims.map((c) => [c.depth, c.outline])).toEqual([
+      [0, "1"],
+      [1, "1.1"],
+      [2, "1.1.1"],
+      [0, "2"],
+      [1, "2.1"],
+    ]);
+  });
+});
+
+describe("claim sources", () => {
+  const report = {
+    id: "s1",
+    url: "https://data.example/q3",
+    title: "Q3 report",
+    author: "Ops",
+    date: "2024",
+    quote: "",
+  };
+  const state = {
+    intent: "Ship smaller changes",
+    claims: [
+      { id: "a", text: "Reviews get faster", sources: [report] },
+      {
+        id: "b",
+        text: "Rollbacks get cheap",
+        sources: [{ ...report, id: "s2", url: "", title: "Postmortems", author: "" }],
+      },
+      { id: "c", text: "Teams agree", sources: [{ ...report, id: "s3" }] },
+    ],
+    expressions: { a: "Reviewers read a 50-line diff.", b: "Revert, redeploy, done." },
+    linkedin: { hookOverride: "", includeCTA: false },
+  };
+
+  it("adds blog footnotes, on the heading when a claim has no paragraph", () => {
+    const result = buildDraftText("Body", { ...state, outputProfile: "blog" });
+    expect(result).toContain("Reviewers read a 50-line diff.[^1]\n\n## Rollbacks get cheap");
+    expect(result).toContain("Revert, redeploy, done.[^2]");
+    expect(result).toContain("## Teams agree[^1]");
+    expect(result.endsWith("[^1]: Ops, “Q3 report”, 2024. https://data.example/q3\n[^2]: “Postmortems”, 2024")).toBe(
+      true
+    );
+  });
+
+  it("keeps blog footnotes when no claim has an expression", () => {
+    const bare = { ...state, intent: "", expressions: {} };
+    const result = buildDraftText(buildLinkedInDraft(bare), { ...bare, outputProfile: "blog" });
+    expect(result).toBe(
+      "Reviews get faster[^1]\n\nRollbacks get cheap[^2]\n\nTeams agree[^1]\n\n" +
+        "[^1]: Ops, “Q3 report”, 2024. https://data.example/q3\n[^2]: “Postmortems”, 2024"
+    );
+  });
+
+  it("ends the memo with a Sources block", () => {
+    const result = buildDraftText("Body", { ...state, outputProfile: "memo" });
+    expect(result).toMatch(
+      /NEXT STEPS\n- \n\nSOURCES\n1\. Ops, “Q3 report”, 2024\. https:\/\/data\.example\/q3\n2\. “Postmortems”, 2024$/
+    );
+  });
+
+  it("links sources inline in email", () => {
+    const result = buildDraftText(buildLinkedInDraft(state), { ...state, outputProfile: "email" });
+    expect(result).toContain("Reviewers read a 50-line diff. (Q3 report <https://data.example/q3>)");
+    expect(result).toContain("Revert, redeploy, done. (Postmortems)");
+  });
+
+  it("lists sources after LinkedIn posts and threads", () => {
+    const base = buildLinkedInDraft(state);
+    expect(buildDraftText(base, { ...state, outputProfile: "linkedin" })).toContain(
+      "Sources:\n[1] Ops, “Q3 report”, 2024. https://data.example/q3\n[2] “Postmortems”, 2024"
+    );
+    expect(buildDraftText(base, { ...state, outputProfile: "bluesky" })).toContain("Sources:");
+  });
+
+  it("keeps the Sources list in a locked X thread", () => {
+    const base = buildLinkedInDraft(state);
+    const unlocked = buildDraftText(base, { ...state, outputProfile: "xthread" });
+    const source = buildThreadSourceText(base, state);
+    const posts = getThreadPosts(source, { locked: false }, 280);
+    const locked = buildDraftText(base, {
+      ...state,
+      outputProfile: "xthread",
+      xthread: { numbering: "prefix", locked: true, posts, lockedFrom: source },
+    });
+    expect(locked).toBe(unlocked);
+    expect(locked).toContain("Sources:\n[1] Ops, “Q3 report”, 2024. https://data.example/q3");
+  });
+
+  it("cites sources in the full breakdown and markdown export", () => {
+    expect(buildFullBreakdown(state)).toContain(
+      "• Reviews get faster [1]\n• Rollbacks get cheap [2]\n• Teams agree [1]"
+    );
+    expect(buildFullBreakdown(state)).toContain("SOURCES\n[1] Ops");
+    const markdown = buildMarkdownExport(state);
+    expect(markdown).toContain("Reviewers read a 50-line diff.[^1]");
+    expect(markdown).toContain("[^2]: “Postmortems”, 2024");
+  });
+
+  it("gives templates numbered citations", () => {
+    const ctx = buildTemplateContext(state, "");
+    expect(ctx.sources.map((s) => [s.number, s.citation])).toEqual([
+      [1, "Ops, “Q3 report”, 2024. https://data.example/q3"],
+      [2, "“Postmortems”, 2024"],
+    ]);
+    expect(ctx.claims[2].sources[0].number).toBe(1);
+  });
+});
+
+describe("private notes", () => {
+  const state = {
+    intent: "Ship smaller changes",
+    notes: "PROJECT-SECRET check the Q3 numbers",
+    claims: [
+      { id: "a", text: "Reviews get faster", notes: "CLAIM-SECRET counter: big PRs batch context" },
+      { id: "b", text: "Rollbacks get cheap", depth: 1 },
+    ],
+    expressions: { a: "Reviewers read a 50-line diff.", b: "Revert, redeploy, done." },
+    linkedin: { hookOverride: "", includeCTA: false, includeBullets: true },
+  };
+  const leaks = (text) => /SECRET/.test(text);
+
+  it("never reach a draft, in any profile or template", () => {
+    const base = buildLinkedInDraft(state);
+    expect(leaks(base)).toBe(false);
+    const profiles = ["linkedin", "xthread", "bluesky", "mastodon", "threads", "email", "memo", "blog", "custom"];
+    for (const outputProfile of profiles) {
+      expect(leaks(buildDraftText(base, { ...state, outputProfile }))).toBe(false);
+    }
+    const custom = {
+      id: "t",
+      name: "T",
+      maxChars: 1000,
+      hint: "",
+      template: "{{notes}}{{#claims}}{{notes}}{{/claims}}",
+    };
+    expect(leaks(buildDraftText(base, { ...state, outputProfile: "custom:t" }, [custom]))).toBe(false);
+    expect(leaks(buildMarkdownExport(state))).toBe(false);
+  });
+
+  it("stay out of the full breakdown unless asked for", () => {
+    expect(leaks(buildFullBreakdown(state))).toBe(false);
+    expect(buildFullBreakdown(state, { includeNotes: true })).toMatch(
+      /\n\nNOTES\nPROJECT-SECRET check the Q3 numbers\n\n1\. Reviews get faster\nCLAIM-SECRET counter: big PRs batch context$/
+    );
+    expect(
+      buildFullBreakdown({ ...state, notes: "", claims: [{ id: "a", text: "A" }] }, { includeNotes: true })
+    ).not.toContain("NOTES");
+  });
+});
+
+describe("expression variants", () => {
+  const state = {
+    intent: "Ship smaller changes",
+    claims: [
+      { id: "a", text: "Reviews get faster" },
+      { id: "b", text: "Rollbacks get cheap" },
+    ],
+    expressions: { a: "ACTIVE take on reviews.", b: "Revert, redeploy, done." },
+    expressionVariants: { a: { texts: ["INACTIVE take on reviews.", "ACTIVE take on reviews."], active: 1 } },
+    linkedin: { hookOverride: "", includeCTA: false },
+  };
+
+  it("builds every profile from the active take only", () => {
+    const base = buildLinkedInDraft(state);
+    const profiles = ["linkedin", "xthread", "bluesky", "email", "memo", "blog", "custom"];
+    for (const outputProfile of profiles) {
+      const text = buildDraftText(base, { ...state, outputProfile });
+      expect(text).toContain("ACTIVE take on reviews.");
+      expect(text).not.toContain("INACTIVE");
+    }
+    expect(buildMarkdownExport(state)).not.toContain("INACTIVE");
+    expect(buildFullBreakdown(state)).not.toContain("INACTIVE");
+    expect(buildTemplateContext(state, base).claims[0].expression).toBe("ACTIVE take on reviews.");
+  });
+});
+
 describe("isFirstTimeUser", () => {
   it("returns true for completely empty state", () => {
     const state = {
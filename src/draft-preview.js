@@ -0,0 +1,62 @@
+// Live preview support: finds where each claim ended up in the formatted draft
+// Profiles reshape the text (bullets, headings, templates), so a claim is located by
+// its expression first and its own text second; a claim found in neither is simply
+// not linked.
+import { getCleanClaims } from "./draft-builder.js";
+
+/**
+ * What to look for per claim, in draft order
+ * @param {{ claims?: Array<{ id: string, text: string }>, expressions?: Record<string, unknown> }} state
+ * @returns {Array<{ id: string, needles: string[] }>}
+ */
+export function draftAnchors(state) {
+  const expressions = state.expressions || {};
+  return getCleanClaims(state.claims || []).map((c) => {
+    const expression = expressions[c.id];
+    return { id: c.id, needles: [typeof expression === "string" ? expression.trim() : "", c.text].filter(Boolean) };
+  });
+}
+
+/**
+ * Splits a draft into plain segments and segments that came from a claim. Each claim
+ * is looked for after the previous claim's match first (so a claim quoted in the hook
+ * doesn't take the link from its own paragraph), then anywhere still unclaimed (a
+ * bullet above the paragraphs).
+ * @param {string} text
+ * @param {Array<{ id: string, needles: string[] }>} anchors - From draftAnchors()
+ * @returns {Array<{ text: string, claimId: string | null }>}
+ */
+export function segmentDraft(text, anchors) {
+  /** @type {Array<{ start: number, end: number, claimId: string }>} */
+  const matches = [];
+  const isFree = (start, end) => matches.every((m) => end <= m.start || start >= m.end);
+  const find = (needle, from) => {
+    for (let i = text.indexOf(needle, from); i >= 0; i = text.indexOf(needle, i + 1)) {
+      if (isFree(i, i + needle.length)) return i;
+    }
+    return -1;
+  };
+
+  let cursor = 0;
+  for (const { id, needles } of anchors) {
+    for (const needle of needles) {
+      const after = find(needle, cursor);
+      const index = after >= 0 ? after : find(needle, 0);
+      if (index < 0) continue;
+      matches.push({ start: index, end: index + needle.length, claimId: id });
+      if (after >= 0) cursor = index + needle.length;
+      break;
+    }
+  }
+
+  /** @type {Array<{ text: string, claimId: string | null }>} */
+  const segments = [];
+  let position = 0;
+  for (const { start, end, claimId } of matches.sort((a, b) => a.start - b.start)) {
+    if (start > position) segments.push({ text: text.slice(position, start), claimId: null });
+    segments.push({ text: text.slice(start, end), claimId });
+    position = end;
+  }
+  if (position < text.length) segments.push({ text: text.slice(position), claimId: null });
+  return segments;
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import { draftAnchors, segmentDraft } from "./draft-preview.js";
+import { buildLinkedInDraft } from "./draft-builder.js";
+import { clone, DEFAULT_STATE } from "./state-manager.js";
+
+const state = {
+  ...clone(DEFAULT_STATE),
+  intent: "Ship smaller changes",
+  claims: [
+    { id: "a", text: "Small changes are easier to review" },
+    { id: "b", text: "Rollbacks get cheap" },
+    { id: "c", text: "   " },
+  ],
+  expressions: { a: "  Reviewers read a 50-line diff.  ", b: "" },
+};
+
+describe("draftAnchors", () => {
+  it("looks for the expression, then the claim text, skipping empty claims", () => {
+    expect(draftAnchors(state)).toEqual([
+      { id: "a", needles: ["Reviewers read a 50-line diff.", "Small changes are easier to review"] },
+      { id: "b", needles: ["Rollbacks get cheap"] },
+    ]);
+  });
+});
+
+describe("segmentDraft", () => {
+  it("tags each claim's text and keeps everything else, losslessly", () => {
+    const text = buildLinkedInDraft({ ...state, linkedin: { ...state.linkedin, includeBullets: true } });
+    const segments = segmentDraft(text, draftAnchors(state));
+    expect(segments.map((s) => s.text).join("")).toBe(text);
+    // b has no expression: its bullet (above a's paragraph) is linked instead
+    expect(segments.filter((s) => s.claimId)).toEqual([
+      { text: "Rollbacks get cheap", claimId: "b" },
+      { text: "Reviewers read a 50-line diff.", claimId: "a" },
+    ]);
+  });
+
+  it("matches in order and leaves claims it can't find unlinked", () => {
+    const anchors = [
+      { id: "a", needles: ["alpha"] },
+      { id: "b", needles: ["missing"] },
+      { id: "c", needles: ["alpha"] },
+    ];
+    expect(segmentDraft("alpha, then alpha", anchors)).toEqual([
+      { text: "alpha", claimId: "a" },
+      { text: ", then ", claimId: null },
+      { text: "alpha", claimId: "c" },
+    ]);
+    expect(segmentDraft("", anchors)).toEqual([]);
+  });
+
+  it("prefers a later match over text quoted earlier", () => {
+    const segments = segmentDraft("Hook: speed wins\n\nintro\n\nspeed wins", [
+      { id: "x", needles: ["intro"] },
+      { id: "y", needles: ["speed wins"] },
+    ]);
+    expect(segments.filter((s) => s.claimId).map((s) => s.claimId)).toEqual(["x", "y"]);
+    expect(segments[segments.length - 1]).toEqual({ text: "speed wins", claimId: "y" });
+  });
+});
@@ -0,0 +1,184 @@
+// Expression variants extracted for testing
+// A claim can have several takes on its paragraph. `state.expressions[claimId]` is
+// always the active take, so every builder reads it unchanged; the takes themselves
+// live in `state.expressionVariants[claimId] = { texts, active }`, and only for
+// claims with more than one. texts[active] mirrors the expression.
+
+/** Most takes a claim can have */
+export const MAX_VARIANTS = 5;
+
+/** Most combinations the compare view renders */
+export const MAX_COMBINATIONS = 8;
+
+/**
+ * @typedef {{ texts: string[], active: number }} VariantSet
+ * @typedef {{ expressions: Record<string, string>, expressionVariants: Record<string, VariantSet> }} VariantState
+ */
+
+/**
+ * Short name of a take ("A", "B", …)
+ * @param {number} index
+ * @returns {string}
+ */
+export function variantLabel(index) {
+  return String.fromCharCode(65 + index);
+}
+
+/**
+ * A claim's takes and which one is active (a single take when it has no variants)
+ * @param {Partial<VariantState>} state
+ * @param {string} claimId
+ * @returns {VariantSet}
+ */
+export function getVariants(state, claimId) {
+  const expression = state.expressions?.[claimId] || "";
+  const set = state.expressionVariants?.[claimId];
+  if (!set) return { texts: [expression], active: 0 };
+  const texts = [...set.texts];
+  texts[set.active] = expression;
+  return { texts, active: set.active };
+}
+
+// Patch storing a claim's takes; one take left means no variants entry
+function withVariants(state, claimId, texts, active) {
+  const expressionVariants = { ...(state.expressionVariants || {}) };
+  if (texts.length > 1) expressionVariants[claimId] = { texts, active };
+  else delete expressionVariants[claimId];
+  return { expressions: { ...(state.expressions || {}), [claimId]: texts[active] }, expressionVariants };
+}
+
+/**
+ * Edits the active take
+ * @param {Partial<VariantState>} state
+ * @param {string} claimId
+ * @param {string} text
+ * @returns {VariantState}
+ */
+export function setActiveText(state, claimId, text) {
+  const { texts, active } = getVariants(state, claimId);
+  texts[active] = text;
+  return withVariants(state, claimId, texts, active);
+}
+
+/**
+ * Adds an empty take after the last one and makes it active
+ * @param {Partial<VariantState>} state
+ * @param {string} claimId
+ * @returns {VariantState | null} - null when the claim already has MAX_VARIANTS takes
+ */
+export function addVariant(state, claimId) {
+  const { texts } = getVariants(state, claimId);
+  if (texts.length >= MAX_VARIANTS) return null;
+  return withVariants(state, claimId, [...texts, ""], texts.length);
+}
+
+/**
+ * Makes another take active
+ * @param {Partial<VariantState>} state
+ * @param {string} claimId
+ * @param {number} index
+ * @returns {VariantState | null} - null when there is no such take or it is already active
+ */
+export function selectVariant(state, claimId, index) {
+  const { texts, active } = getVariants(state, claimId);
+  if (!Number.isInteger(index) || index < 0 || index >= texts.length || index === active) return null;
+  return withVariants(state, claimId, texts, index);
+}
+
+/**
+ * Deletes a take; removing the active one activates the take before it
+ * @param {Partial<VariantState>} state
+ * @param {string} claimId
+ * @param {number} index
+ * @returns {VariantState | null} - null for the only take
+ */
+export function removeVariant(state, claimId, index) {
+  const { texts, active } = getVariants(state, claimId);
+  if (texts.length < 2 || !Number.isInteger(index) || index < 0 || index >= texts.length) return null;
+  const next = texts.filter((_, i) => i !== index);
+  const nextActive = index < active || (index === active && active > 0) ? active - 1 : active;
+  return withVariants(state, claimId, next, Math.min(nextActive, next.length - 1));
+}
+
+/**
+ * Keeps well-formed variant sets (two or more string takes, an active index in
+ * range) and syncs each with its expression: a stored expression wins, otherwise
+ * the active take fills it in
+ * @param {unknown} raw
+ * @param {Record<string, string>} expressions
+ * @returns {VariantState}
+ */
+export function sanitizeExpressionVariants(raw, expressions) {
+  const nextExpressions = { ...expressions };
+  /** @type {Record<string, VariantSet>} */
+  const expressionVariants = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw))
+    return { expressions: nextExpressions, expressionVariants };
+
+  for (const [claimId, set] of Object.entries(raw)) {
+    if (!set || typeof set !== "object" || !Array.isArray(set.texts)) continue;
+    const texts = set.texts.slice(0, MAX_VARIANTS).map((t) => (typeof t === "string" ? t : ""));
+    if (texts.length < 2) continue;
+    const active = Number.isInteger(set.active) && set.active >= 0 && set.active < texts.length ? set.active : 0;
+    if (typeof nextExpressions[claimId] === "string") texts[active] = nextExpressions[claimId];
+    else nextExpressions[claimId] = texts[active];
+    expressionVariants[claimId] = { texts, active };
+  }
+  return { expressions: nextExpressions, expressionVariants };
+}
+
+/**
+ * Ways to pick one take per claim, the current selection first, then in order
+ * @param {Partial<VariantState>} state
+ * @param {string[]} claimIds - Claims in draft order
+ * @param {number} [limit]
+ * @returns {{ combinations: Array<Record<string, number>>, total: number }} - total counts every
+ *   combination, including those past the limit
+ */
+export function variantCombinations(state, claimIds, limit = MAX_COMBINATIONS) {
+  const choices = claimIds
+    .filter((id) => state.expressionVariants?.[id])
+    .map((id) => ({ id, ...getVariants(state, id) }));
+  const total = choices.reduce((n, c) => n * c.texts.length, 1);
+  const current = Object.fromEntries(choices.map((c) => [c.id, c.active]));
+  const combinations = [current];
+
+  // Odometer over the takes, last claim fastest
+  const digits = choices.map(() => 0);
+  for (let n = 0; n < total && combinations.length < limit; n++) {
+    const combination = Object.fromEntries(choices.map((c, i) => [c.id, digits[i]]));
+    if (choices.some((c, i) => digits[i] !== c.active)) combinations.push(combination);
+    for (let i = digits.length - 1; i >= 0; i--) {
+      digits[i] = (digits[i] + 1) % choices[i].texts.length;
+      if (digits[i]) break;
+    }
+  }
+  return { combinations, total };
+}
+
+/**
+ * The expressions a combination of takes produces (for building its draft)
+ * @param {Partial<VariantState>} state
+ * @param {Record<string, number>} combination
+ * @returns {Record<string, string>}
+ */
+export function combinationExpressions(state, combination) {
+  const expressions = { ...(state.expressions || {}) };
+  for (const [claimId, index] of Object.entries(combination)) {
+    const { texts } = getVariants(state, claimId);
+    if (index >= 0 && index < texts.length) expressions[claimId] = texts[index];
+  }
+  return expressions;
+}
+
+/**
+ * Makes a combination's takes the active ones
+ * @param {Partial<VariantState>} state
+ * @param {Record<string, number>} combination
+ * @returns {VariantState}
+ */
+export function selectCombination(state, combination) {
+  let next = { expressions: state.expressions || {}, expressionVariants: state.expressionVariants || {} };
+  for (const [claimId, index] of Object.entries(combination)) next = selectVariant(next, claimId, index) || next;
+  return next;
+}
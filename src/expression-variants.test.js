@@ -0,0 +1,133 @@
+import { describe, it, expect } from "vitest";
+import {
+  MAX_VARIANTS,
+  variantLabel,
+  getVariants,
+  setActiveText,
+  addVariant,
+  selectVariant,
+  removeVariant,
+  sanitizeExpressionVariants,
+  variantCombinations,
+  combinationExpressions,
+  selectCombination,
+} from "./expression-variants.js";
+
+const twoTakes = {
+  expressions: { a: "Second take", b: "Only take" },
+  expressionVariants: { a: { texts: ["First take", "Second take"], active: 1 } },
+};
+
+describe("getVariants", () => {
+  it("treats a lone expression as a single take", () => {
+    expect(getVariants(twoTakes, "b")).toEqual({ texts: ["Only take"], active: 0 });
+    expect(getVariants({}, "missing")).toEqual({ texts: [""], active: 0 });
+  });
+
+  it("reads the active take from the expression", () => {
+    const state = { ...twoTakes, expressions: { a: "Edited" } };
+    expect(getVariants(state, "a")).toEqual({ texts: ["First take", "Edited"], active: 1 });
+  });
+});
+
+describe("editing takes", () => {
+  it("adds an empty take and makes it active, keeping the expression in step", () => {
+    const next = addVariant(twoTakes, "b");
+    expect(next.expressions.b).toBe("");
+    expect(next.expressionVariants.b).toEqual({ texts: ["Only take", ""], active: 1 });
+    const edited = setActiveText(next, "b", "Another take");
+    expect(edited.expressions.b).toBe("Another take");
+    expect(edited.expressionVariants.b.texts).toEqual(["Only take", "Another take"]);
+  });
+
+  it("stops at MAX_VARIANTS takes", () => {
+    let state = twoTakes;
+    while (getVariants(state, "a").texts.length < MAX_VARIANTS) state = addVariant(state, "a");
+    expect(addVariant(state, "a")).toBeNull();
+  });
+
+  it("switches the active take", () => {
+    const next = selectVariant(twoTakes, "a", 0);
+    expect(next.expressions.a).toBe("First take");
+    expect(next.expressionVariants.a.active).toBe(0);
+    expect(selectVariant(twoTakes, "a", 1)).toBeNull();
+    expect(selectVariant(twoTakes, "a", 5)).toBeNull();
+  });
+
+  it("drops the variants entry when one take is left", () => {
+    const next = removeVariant(twoTakes, "a", 1);
+    expect(next.expressions.a).toBe("First take");
+    expect(next.expressionVariants).toEqual({});
+    expect(removeVariant(twoTakes, "b", 0)).toBeNull();
+  });
+
+  it("keeps the active take when an earlier one is removed", () => {
+    const three = { expressions: { a: "C" }, expressionVariants: { a: { texts: ["A", "B", "C"], active: 2 } } };
+    expect(removeVariant(three, "a", 0).expressionVariants.a).toEqual({ texts: ["B", "C"], active: 1 });
+    expect(removeVariant(three, "a", 2).expressionVariants.a).toEqual({ texts: ["A", "B"], active: 1 });
+  });
+
+  it("labels takes with letters", () => {
+    expect([0, 1, 4].map(variantLabel)).toEqual(["A", "B", "E"]);
+  });
+});
+
+describe("sanitizeExpressionVariants", () => {
+  it("keeps well-formed sets in step with the expressions", () => {
+    const raw = {
+      a: { texts: ["Old", "Stale"], active: 1 },
+      b: { texts: ["One", 2, "Three"], active: 7 },
+      c: { texts: ["Alone"], active: 0 },
+      d: "junk",
+    };
+    expect(sanitizeExpressionVariants(raw, { a: "Current" })).toEqual({
+      expressions: { a: "Current", b: "One" },
+      expressionVariants: {
+        a: { texts: ["Old", "Current"], active: 1 },
+        b: { texts: ["One", "", "Three"], active: 0 },
+      },
+    });
+    expect(sanitizeExpressionVariants(["x"], { a: "A" })).toEqual({ expressions: { a: "A" }, expressionVariants: {} });
+  });
+});
+
+describe("variantCombinations", () => {
+  const state = {
+    expressions: { a: "A2", c: "C1" },
+    expressionVariants: {
+      a: { texts: ["A1", "A2"], active: 1 },
+      c: { texts: ["C1", "C2", "C3"], active: 0 },
+    },
+  };
+
+  it("lists the current selection first, then every other combination", () => {
+    const { combinations, total } = variantCombinations(state, ["a", "b", "c"]);
+    expect(total).toBe(6);
+    expect(combinations).toEqual([
+      { a: 1, c: 0 },
+      { a: 0, c: 0 },
+      { a: 0, c: 1 },
+      { a: 0, c: 2 },
+      { a: 1, c: 1 },
+      { a: 1, c: 2 },
+    ]);
+  });
+
+  it("stops at the limit", () => {
+    const { combinations, total } = variantCombinations(state, ["a", "c"], 3);
+    expect(total).toBe(6);
+    expect(combinations).toHaveLength(3);
+  });
+
+  it("has just the current selection without variants", () => {
+    expect(variantCombinations({ expressions: { a: "A" } }, ["a"])).toEqual({ combinations: [{}], total: 1 });
+  });
+
+  it("builds and selects a combination's expressions", () => {
+    expect(combinationExpressions(state, { a: 0, c: 2 })).toEqual({ a: "A1", c: "C3" });
+    const selected = selectCombination(state, { a: 0, c: 2 });
+    expect(selected.expressions).toEqual({ a: "A1", c: "C3" });
+    expect(selected.expressionVariants.a.active).toBe(0);
+    expect(selected.expressionVariants.c.texts).toEqual(["C1", "C2", "C3"]);
+  });
+});
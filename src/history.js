@@ -0,0 +1,114 @@
+// Undo/redo history extracted for testing
+// Stores whole-state snapshots; states are treated as immutable, so no copies are made
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {object} state - Snapshot to restore
+ * @property {string} label - Human-readable description of the change
+ */
+
+/**
+ * Creates an undo/redo stack
+ * Consecutive records with the same key inside `coalesceMs` collapse into one step,
+ * so a burst of typing in one field undoes in a single step.
+ * @param {{ limit?: number, coalesceMs?: number, now?: () => number }} [options]
+ */
+export function createHistory({ limit = 100, coalesceMs = 1000, now = Date.now } = {}) {
+  /** @type {HistoryEntry[]} */
+  let past = [];
+  /** @type {HistoryEntry[]} */
+  let future = [];
+  let lastKey = null;
+  let lastAt = 0;
+
+  return {
+    /**
+     * Records the state as it was *before* a change
+     * @param {object} previousState
+     * @param {{ key?: string|null, label?: string }} [options] - `key` enables coalescing
+     * @returns {boolean} - true if a new step was pushed, false if coalesced
+     */
+    record(previousState, { key = null, label = "Edit" } = {}) {
+      const at = now();
+      const coalesce = key !== null && key === lastKey && at - lastAt < coalesceMs && past.length > 0;
+
+      lastKey = key;
+      lastAt = at;
+      future = [];
+      if (coalesce) return false;
+
+      past.push({ state: previousState, label });
+      if (past.length > limit) past = past.slice(past.length - limit);
+      return true;
+    },
+
+    /**
+     * Steps back one entry
+     * @param {object} currentState - Pushed onto the redo stack
+     * @returns {HistoryEntry|null}
+     */
+    undo(currentState) {
+      const entry = past.pop();
+      if (!entry) return null;
+      future.push({ state: currentState, label: entry.label });
+      lastKey = null;
+      return entry;
+    },
+
+    /**
+     * Re-applies the most recently undone entry
+     * @param {object} currentState - Pushed back onto the undo stack
+     * @returns {HistoryEntry|null}
+     */
+    redo(currentState) {
+      const entry = future.pop();
+      if (!entry) return null;
+      past.push({ state: currentState, label: entry.label });
+      lastKey = null;
+      return entry;
+    },
+
+    /** Ends the current coalescing run so the next record starts a new step */
+    breakCoalescing() {
+      lastKey = null;
+    },
+
+    canUndo() {
+      return past.length > 0;
+    },
+
+    canRedo() {
+      return future.length > 0;
+    },
+
+    /** @returns {string|null} */
+    peekUndoLabel() {
+      return past.length ? past[past.length - 1].label : null;
+    },
+
+    /** @returns {string|null} */
+    peekRedoLabel() {
+      return future.length ? future[future.length - 1].label : null;
+    },
+
+    clear() {
+      past = [];
+      future = [];
+      lastKey = null;
+    },
+  };
+}
+
+/**
+ * Checks whether a keyboard event is an undo or redo shortcut
+ * Ctrl/Cmd+Z = undo; Ctrl/Cmd+Shift+Z or Ctrl+Y = redo
+ * @param {{ key: string, ctrlKey?: boolean, metaKey?: boolean, shiftKey?: boolean, altKey?: boolean }} event
+ * @returns {"undo"|"redo"|null}
+ */
+export function getHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+  const key = (event.key || "").toLowerCase();
+  if (key === "z") return event.shiftKey ? "redo" : "undo";
+  if (key === "y" && event.ctrlKey && !event.shiftKey) return "redo";
+  return null;
+}
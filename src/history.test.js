@@ -0,0 +1,160 @@
+import { describe, it, expect } from "vitest";
+import { createHistory, getHistoryShortcut } from "./history.js";
+
+// Controllable clock for coalescing tests
+function fakeClock(start = 0) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => {
+    t += ms;
+  };
+  return now;
+}
+
+describe("createHistory", () => {
+  it("starts empty", () => {
+    const history = createHistory();
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo({})).toBeNull();
+    expect(history.redo({})).toBeNull();
+  });
+
+  it("undoes and redoes discrete steps", () => {
+    const history = createHistory();
+    const s0 = { intent: "a" };
+    const s1 = { intent: "b" };
+    const s2 = { intent: "c" };
+
+    history.record(s0, { label: "First" });
+    history.record(s1, { label: "Second" });
+
+    const undone = history.undo(s2);
+    expect(undone.state).toBe(s1);
+    expect(undone.label).toBe("Second");
+
+    expect(history.undo(s1).state).toBe(s0);
+    expect(history.canUndo()).toBe(false);
+
+    expect(history.redo(s0).state).toBe(s1);
+    expect(history.redo(s1).state).toBe(s2);
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it("clears the redo stack on a new record", () => {
+    const history = createHistory();
+    history.record({ n: 0 });
+    history.undo({ n: 1 });
+    expect(history.canRedo()).toBe(true);
+
+    history.record({ n: 0 });
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it("coalesces fast edits with the same key", () => {
+    const now = fakeClock();
+    const history = createHistory({ coalesceMs: 1000, now });
+    const first = { intent: "" };
+
+    expect(history.record(first, { key: "intent" })).toBe(true);
+    now.advance(200);
+    expect(history.record({ intent: "H" }, { key: "intent" })).toBe(false);
+    now.advance(200);
+    expect(history.record({ intent: "He" }, { key: "intent" })).toBe(false);
+
+    expect(history.undo({ intent: "Hey" }).state).toBe(first);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it("starts a new step after a pause", () => {
+    const now = fakeClock();
+    const history = createHistory({ coalesceMs: 1000, now });
+
+    history.record({ intent: "" }, { key: "intent" });
+    now.advance(1500);
+    expect(history.record({ intent: "Hello" }, { key: "intent" })).toBe(true);
+  });
+
+  it("uses a sliding coalescing window", () => {
+    const now = fakeClock();
+    const history = createHistory({ coalesceMs: 1000, now });
+
+    history.record({ n: 0 }, { key: "k" });
+    for (let i = 1; i <= 5; i++) {
+      now.advance(800);
+      expect(history.record({ n: i }, { key: "k" })).toBe(false);
+    }
+  });
+
+  it("does not coalesce different keys or keyless records", () => {
+    const history = createHistory({ now: fakeClock() });
+
+    history.record({ n: 0 }, { key: "claim:1" });
+    expect(history.record({ n: 1 }, { key: "claim:2" })).toBe(true);
+    expect(history.record({ n: 2 })).toBe(true);
+    expect(history.record({ n: 3 })).toBe(true);
+  });
+
+  it("breaks coalescing after undo and on request", () => {
+    const history = createHistory({ now: fakeClock() });
+
+    history.record({ n: 0 }, { key: "k" });
+    history.breakCoalescing();
+    expect(history.record({ n: 1 }, { key: "k" })).toBe(true);
+
+    history.undo({ n: 2 });
+    expect(history.record({ n: 1 }, { key: "k" })).toBe(true);
+  });
+
+  it("drops the oldest entries beyond the limit", () => {
+    const history = createHistory({ limit: 3 });
+    for (let i = 0; i < 5; i++) history.record({ n: i });
+
+    expect(history.undo({ n: 5 }).state.n).toBe(4);
+    expect(history.undo({ n: 4 }).state.n).toBe(3);
+    expect(history.undo({ n: 3 }).state.n).toBe(2);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it("exposes labels of the next undo and redo", () => {
+    const history = createHistory();
+    expect(history.peekUndoLabel()).toBeNull();
+
+    history.record({}, { label: "Load preset" });
+    expect(history.peekUndoLabel()).toBe("Load preset");
+
+    history.undo({});
+    expect(history.peekRedoLabel()).toBe("Load preset");
+  });
+
+  it("clear() empties both stacks", () => {
+    const history = createHistory();
+    history.record({});
+    history.record({});
+    history.undo({});
+    history.clear();
+
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+  });
+});
+
+describe("getHistoryShortcut", () => {
+  it("maps Ctrl/Cmd+Z to undo", () => {
+    expect(getHistoryShortcut({ key: "z", ctrlKey: true })).toBe("undo");
+    expect(getHistoryShortcut({ key: "z", metaKey: true })).toBe("undo");
+  });
+
+  it("maps Shift+Ctrl/Cmd+Z and Ctrl+Y to redo", () => {
+    expect(getHistoryShortcut({ key: "Z", ctrlKey: true, shiftKey: true })).toBe("redo");
+    expect(getHistoryShortcut({ key: "z", metaKey: true, shiftKey: true })).toBe("redo");
+    expect(getHistoryShortcut({ key: "y", ctrlKey: true })).toBe("redo");
+  });
+
+  it("ignores unmodified keys and other combos", () => {
+    expect(getHistoryShortcut({ key: "z" })).toBeNull();
+    expect(getHistoryShortcut({ key: "z", ctrlKey: true, altKey: true })).toBeNull();
+    expect(getHistoryShortcut({ key: "x", ctrlKey: true })).toBeNull();
+    expect(getHistoryShortcut({ key: "y", metaKey: true })).toBeNull();
+  });
+});
@@ -0,0 +1,222 @@
+// HTML rendering of drafts extracted for testing
+// Works from the profile's draft text so rich output always matches what Copy
+// Text gives. The text is parsed into blocks first (also used by the .docx export).
+
+import { escapeHtml } from "./utils.js";
+
+// Separator buildDraftText puts between thread posts
+const THREAD_POST_SEPARATOR = "\n\n---\n\n";
+
+const THREAD_PROFILES = new Set(["xthread", "bluesky", "mastodon", "threads"]);
+
+// Section labels of the memo format, in order
+const MEMO_SECTIONS = ["TITLE", "TL;DR", "DETAILS", "NEXT STEPS", "SOURCES"];
+
+const BULLET_LINE = /^\s*(?:[-•◦▪*])\s+(.*)$/;
+const NUMBERED_LINE = /^\s*\d+[.)]\s+(.*)$/;
+const HEADING_LINE = /^(#{1,6})\s+(.*)$/;
+
+/**
+ * A parsed piece of a draft. `type` is "heading" (level, text), "section" (text),
+ * "field" (label, text), "paragraph" (lines), "list" (ordered, items, levels) or "rule".
+ * A list item's level is its nesting depth, from how far it is indented.
+ * @typedef {{ type: string, level?: number, text?: string, label?: string, lines?: string[], ordered?: boolean, items?: string[], levels?: number[] }} DraftBlock
+ */
+
+/**
+ * Nesting levels from indentation: each distinct indent is one level deeper, and
+ * no item is more than one level below the item above it
+ * @param {number[]} indents
+ * @returns {number[]}
+ */
+function indentLevels(indents) {
+  const widths = [...new Set(indents)].sort((a, b) => a - b);
+  let previous = -1;
+  return indents.map((indent) => (previous = Math.min(widths.indexOf(indent), previous + 1)));
+}
+
+/**
+ * Parses one block of lines (no blank lines inside) into headings, lists and paragraphs
+ * @param {string[]} lines
+ * @returns {DraftBlock[]}
+ */
+function parseLines(lines) {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  for (const line of lines) {
+    const heading = line.match(HEADING_LINE);
+    const bullet = line.match(BULLET_LINE);
+    const numbered = !bullet && line.match(NUMBERED_LINE);
+
+    if (heading) {
+      paragraph = list = null;
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2].trim() });
+    } else if (bullet || numbered) {
+      paragraph = null;
+      const ordered = !bullet;
+      if (!list || list.ordered !== ordered) {
+        list = { type: "list", ordered, items: [], levels: [] };
+        blocks.push(list);
+      }
+      list.items.push((bullet || numbered)[1].trim());
+      list.levels.push(line.search(/\S/));
+    } else {
+      list = null;
+      if (!paragraph) {
+        paragraph = { type: "paragraph", lines: [] };
+        blocks.push(paragraph);
+      }
+      paragraph.lines.push(line.trim());
+    }
+  }
+  for (const block of blocks) {
+    if (block.type === "list") block.levels = indentLevels(block.levels);
+  }
+  return blocks;
+}
+
+/**
+ * Parses plain draft text into blocks: blank lines separate blocks, bullet lines
+ * become lists and markdown headings become headings
+ * @param {string} text
+ * @returns {DraftBlock[]}
+ */
+export function parseTextBlocks(text) {
+  return String(text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.split("\n").filter((line) => line.trim()))
+    .filter((lines) => lines.length)
+    .flatMap(parseLines);
+}
+
+// TITLE / TL;DR / DETAILS / NEXT STEPS (/ SOURCES) sections, title as the document heading
+function parseMemoBlocks(text) {
+  const sections = [];
+  let current = null;
+  for (const line of text.split("\n")) {
+    if (MEMO_SECTIONS.includes(line.trim())) {
+      current = { label: line.trim(), lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  if (!sections.length) return parseTextBlocks(text);
+
+  return sections.flatMap(({ label, lines }) => {
+    const body = lines.join("\n").trim();
+    if (label === "TITLE") return [{ type: "heading", level: 1, text: body }];
+    const heading = label === "TL;DR" ? "TL;DR" : label.charAt(0) + label.slice(1).toLowerCase();
+    return [{ type: "section", text: heading }, ...parseTextBlocks(body)];
+  });
+}
+
+// "Subject: …" line as a labelled field, the rest as paragraphs
+function parseEmailBlocks(text) {
+  const match = text.match(/^Subject:[ \t]*(.*)(?:\n|$)/);
+  if (!match) return parseTextBlocks(text);
+  return [{ type: "field", label: "Subject:", text: match[1].trim() }, ...parseTextBlocks(text.slice(match[0].length))];
+}
+
+// Thread posts separated by rules
+function parseThreadBlocks(text) {
+  return text
+    .split(THREAD_POST_SEPARATOR)
+    .flatMap((post, i) => [...(i ? [{ type: "rule" }] : []), ...parseTextBlocks(post)]);
+}
+
+/**
+ * Parses a profile's draft text into blocks, adding the profile's own structure
+ * @param {string} text - Output of buildDraftText for the profile
+ * @param {string} profile - Output profile key
+ * @returns {DraftBlock[]}
+ */
+export function parseDraftBlocks(text, profile) {
+  const draft = String(text ?? "").replace(/\r\n?/g, "\n");
+  if (!draft.trim()) return [];
+  if (profile === "memo") return parseMemoBlocks(draft);
+  if (profile === "email") return parseEmailBlocks(draft);
+  if (THREAD_PROFILES.has(profile)) return parseThreadBlocks(draft);
+  return parseTextBlocks(draft);
+}
+
+// A list, with deeper items nested inside the item above them
+function renderListHtml(block) {
+  const tag = block.ordered ? "ol" : "ul";
+  const levels = block.levels || [];
+  let html = "";
+  let depth = -1;
+  block.items.forEach((item, i) => {
+    const level = levels[i] || 0;
+    html += level > depth ? `<${tag}>`.repeat(level - depth) : `</li>${`</${tag}></li>`.repeat(depth - level)}`;
+    html += `<li>${escapeHtml(item)}`;
+    depth = level;
+  });
+  return `${html}</li>${`</${tag}></li>`.repeat(depth)}</${tag}>`;
+}
+
+/**
+ * Renders blocks as HTML
+ * @param {DraftBlock[]} blocks
+ * @returns {string}
+ */
+export function renderBlocksHtml(blocks) {
+  return blocks
+    .map((block) => {
+      if (block.type === "heading") return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+      if (block.type === "section") return `<p><strong>${escapeHtml(block.text)}</strong></p>`;
+      if (block.type === "field") return `<p><strong>${escapeHtml(block.label)}</strong> ${escapeHtml(block.text)}</p>`;
+      if (block.type === "rule") return "<hr>";
+      if (block.type === "list") return renderListHtml(block);
+      return `<p>${block.lines.map(escapeHtml).join("<br>")}</p>`;
+    })
+    .join("\n");
+}
+
+/**
+ * Converts plain draft text to HTML blocks
+ * @param {string} text
+ * @returns {string}
+ */
+export function textToHtml(text) {
+  return renderBlocksHtml(parseTextBlocks(text));
+}
+
+/**
+ * Renders a profile's draft text as an HTML fragment
+ * @param {string} text - Output of buildDraftText for the profile
+ * @param {string} profile - Output profile key
+ * @returns {string}
+ */
+export function renderDraftHtml(text, profile) {
+  return renderBlocksHtml(parseDraftBlocks(text, profile));
+}
+
+/**
+ * Wraps an HTML fragment in a standalone document
+ * @param {string} bodyHtml
+ * @param {{ title?: string }} [options]
+ * @returns {string}
+ */
+export function buildHtmlDocument(bodyHtml, { title = "Inkwise draft" } = {}) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; line-height: 1.6; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; color: #1d1d1f; }
+h1, h2, h3, h4 { line-height: 1.25; }
+hr { border: 0; border-top: 1px solid #d2d2d7; margin: 1.5rem 0; }
+</style>
+</head>
+<body>
+${bodyHtml}
+</body>
+</html>
+`;
+}
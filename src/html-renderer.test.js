@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import { textToHtml, renderDraftHtml, buildHtmlDocument } from "./html-renderer.js";
+import { buildDraftText, buildLinkedInDraft } from "./draft-builder.js";
+
+const state = {
+  intent: "Ship smaller changes",
+  claims: [
+    { id: "c1", text: "Small PRs get reviewed faster" },
+    { id: "c2", text: "Rollbacks are cheaper" },
+  ],
+  expressions: { c1: "Reviewers focus better.", c2: "Less to undo." },
+  linkedin: { includeBullets: true, bulletIntro: "Key points:", maxBullets: 5, includeCTA: false },
+};
+
+const draftFor = (profile, extra = {}) => {
+  const s = { ...state, outputProfile: profile, ...extra };
+  return buildDraftText(buildLinkedInDraft(s), s);
+};
+
+describe("textToHtml", () => {
+  it("turns blank-line blocks into paragraphs and keeps line breaks", () => {
+    expect(textToHtml("First line\nsecond line\n\nNext")).toBe("<p>First line<br>second line</p>\n<p>Next</p>");
+  });
+
+  it("renders bullet and numbered lines as lists", () => {
+    expect(textToHtml("Key points:\n• One\n- Two\n\n1. A\n2) B")).toBe(
+      "<p>Key points:</p>\n<ul><li>One</li><li>Two</li></ul>\n<ol><li>A</li><li>B</li></ol>"
+    );
+  });
+
+  it("nests indented list items inside the item above", () => {
+    expect(textToHtml("• Point\n  ◦ Reason\n    ▪ Detail\n• Next\n  ◦ Why")).toBe(
+      "<ul><li>Point<ul><li>Reason<ul><li>Detail</li></ul></li></ul></li><li>Next<ul><li>Why</li></ul></li></ul>"
+    );
+  });
+
+  it("renders markdown headings but not hashtags", () => {
+    expect(textToHtml("## Section\n#ai #systems")).toBe("<h2>Section</h2>\n<p>#ai #systems</p>");
+  });
+
+  it("escapes HTML in the text", () => {
+    expect(textToHtml('<script>alert("x")</script> & more')).toBe(
+      "<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; more</p>"
+    );
+  });
+
+  it("returns an empty string for blank text", () => {
+    expect(textToHtml("  \n\n ")).toBe("");
+    expect(textToHtml(null)).toBe("");
+  });
+});
+
+describe("renderDraftHtml", () => {
+  it("renders blog headings from the markdown draft", () => {
+    const html = renderDraftHtml(draftFor("blog"), "blog");
+    expect(html).toContain("<h1>Ship smaller changes</h1>");
+    expect(html).toContain("<h2>Small PRs get reviewed faster</h2>\n<p>Reviewers focus better.</p>");
+  });
+
+  it("renders the memo with a title heading, bold TL;DR and real lists", () => {
+    const html = renderDraftHtml(draftFor("memo"), "memo");
+    expect(html).toMatch(/^<h1>Ship smaller changes<\/h1>/);
+    expect(html).toContain(
+      "<p><strong>TL;DR</strong></p>\n<ul><li>Small PRs get reviewed faster</li><li>Rollbacks are cheaper</li></ul>"
+    );
+    expect(html).toContain("<p><strong>Details</strong></p>");
+    expect(html).toContain("<p><strong>Next steps</strong></p>");
+    expect(html).not.toContain("TITLE");
+  });
+
+  it("renders LinkedIn bullets as a list", () => {
+    const html = renderDraftHtml(draftFor("linkedin"), "linkedin");
+    expect(html).toContain("<ul><li>Small PRs get reviewed faster</li><li>Rollbacks are cheaper</li></ul>");
+  });
+
+  it("bolds the email subject line", () => {
+    const html = renderDraftHtml(draftFor("email", { email: { greeting: "Hi all," } }), "email");
+    expect(html).toMatch(/^<p><strong>Subject:<\/strong> Ship smaller changes<\/p>\n<p>Hi all,<\/p>/);
+  });
+
+  it("separates thread posts with rules", () => {
+    const html = renderDraftHtml("1/2\nFirst.\n\n---\n\n2/2\nSecond.", "xthread");
+    expect(html).toBe("<p>1/2<br>First.</p>\n<hr>\n<p>2/2<br>Second.</p>");
+  });
+
+  it("returns an empty string when there is no draft", () => {
+    expect(renderDraftHtml("  ", "blog")).toBe("");
+  });
+});
+
+describe("buildHtmlDocument", () => {
+  it("wraps the fragment in a standalone document with an escaped title", () => {
+    const doc = buildHtmlDocument("<p>Hi</p>", { title: "Q&A" });
+    expect(doc).toMatch(/^<!doctype html>/);
+    expect(doc).toContain('<meta charset="utf-8">');
+    expect(doc).toContain("<title>Q&amp;A</title>");
+    expect(doc).toContain("<body>\n<p>Hi</p>\n</body>");
+  });
+});
@@ -0,0 +1,114 @@
+// Session import preview and claim merging extracted for testing
+// An imported session can replace the open project, open as a new project, or
+// have its claims merged into the open project.
+
+import { clone, uuid, PROFILE_CONFIG_KEYS } from "./state-manager.js";
+import { claimDepth, normalizeOutline } from "./claim-outline.js";
+
+// Matches claims by wording, ignoring case and spacing
+function claimKey(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Compares the profile settings of two states field by field. Only plain values
+ * are compared (the thread editor's saved post layout is left out).
+ * @param {object} current - The open project
+ * @param {object} incoming - The imported state
+ * @returns {Array<{field: string, status: string, before: any, after: any}>}
+ */
+export function diffProfileConfig(current, incoming) {
+  const isPlain = (value) => value === undefined || ["string", "number", "boolean"].includes(typeof value);
+
+  return PROFILE_CONFIG_KEYS.flatMap((key) => {
+    const before = current[key] || {};
+    const after = incoming[key] || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return fields
+      .filter((field) => isPlain(before[field]) && isPlain(after[field]))
+      .map((field) => {
+        const b = before[field];
+        const a = after[field];
+        const status = b === a ? "unchanged" : b === undefined ? "added" : a === undefined ? "removed" : "changed";
+        return { field: `${key}.${field}`, status, before: b, after: a };
+      });
+  });
+}
+
+/**
+ * Appends the imported claims (and their expressions) to the open project.
+ * Claims already present with the same wording are skipped, filling in whatever
+ * the open project's copy lacks: its expression (with variants), sources or notes.
+ * Claims whose id is taken get a new id.
+ * The open project's intent, notes and settings are kept (each only filled if blank).
+ * @param {object} current - The open project
+ * @param {object} incoming - The imported state
+ * @param {{ uuidFn?: () => string }} [options]
+ * @returns {{ state: object, added: number, duplicates: number, renamed: number }}
+ */
+export function mergeImportedClaims(current, incoming, { uuidFn = uuid } = {}) {
+  // A lone empty claim is the placeholder of an empty project, not content to keep
+  const currentClaims = current.claims.filter((c, i, all) => all.length > 1 || c.text.trim());
+  const claims = clone(currentClaims);
+  const expressions = clone(current.expressions || {});
+  const expressionVariants = clone(current.expressionVariants || {});
+  const incomingExpressions = incoming.expressions || {};
+  const incomingVariants = incoming.expressionVariants || {};
+
+  const usedIds = new Set(claims.map((c) => c.id));
+  const byText = new Map(claims.filter((c) => c.text.trim()).map((c) => [claimKey(c.text), c]));
+  let added = 0;
+  let duplicates = 0;
+  let renamed = 0;
+
+  for (const claim of incoming.claims || []) {
+    const expression = incomingExpressions[claim.id] || "";
+    if (!claim.text.trim() && !expression.trim()) continue;
+
+    const existing = byText.get(claimKey(claim.text));
+    if (existing) {
+      duplicates++;
+      if (!(expressions[existing.id] || "").trim() && expression.trim()) {
+        expressions[existing.id] = expression;
+        if (incomingVariants[claim.id]) expressionVariants[existing.id] = clone(incomingVariants[claim.id]);
+      }
+      if (!existing.sources?.length && claim.sources?.length) existing.sources = clone(claim.sources);
+      if (!existing.notes && claim.notes) existing.notes = claim.notes;
+      continue;
+    }
+
+    let id = claim.id;
+    if (!id || usedIds.has(id)) {
+      do id = uuidFn();
+      while (usedIds.has(id));
+      renamed++;
+    }
+    usedIds.add(id);
+
+    const next = { id, text: claim.text, depth: claimDepth(claim) };
+    if (claim.sources?.length) next.sources = clone(claim.sources);
+    if (claim.notes) next.notes = claim.notes;
+    claims.push(next);
+    if (claim.text.trim()) byText.set(claimKey(claim.text), next);
+    if (expression) expressions[id] = expression;
+    if (incomingVariants[claim.id]) expressionVariants[id] = clone(incomingVariants[claim.id]);
+    added++;
+  }
+
+  return {
+    state: {
+      ...current,
+      intent: current.intent.trim() ? current.intent : incoming.intent || "",
+      notes: (current.notes || "").trim() ? current.notes : incoming.notes || "",
+      claims: claims.length ? normalizeOutline(claims) : [{ id: uuidFn(), text: "" }],
+      expressions,
+      expressionVariants,
+    },
+    added,
+    duplicates,
+    renamed,
+  };
+}
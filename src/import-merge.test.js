@@ -0,0 +1,133 @@
+import { describe, it, expect } from "vitest";
+import { diffProfileConfig, mergeImportedClaims } from "./import-merge.js";
+import { DEFAULT_STATE, clone } from "./state-manager.js";
+import { sequentialIds } from "./test-helpers.js";
+
+const current = {
+  ...clone(DEFAULT_STATE),
+  intent: "Ship smaller",
+  claims: [
+    { id: "a", text: "Small PRs get reviewed faster" },
+    { id: "b", text: "Rollbacks are cheaper" },
+  ],
+  expressions: { a: "Reviewers focus.", b: "" },
+};
+
+describe("mergeImportedClaims", () => {
+  it("appends new claims with their expressions and keeps intent and settings", () => {
+    const incoming = {
+      ...clone(DEFAULT_STATE),
+      intent: "Something else",
+      claims: [{ id: "c", text: "Flags make releases boring" }],
+      expressions: { c: "Turn it off, not back." },
+      email: { ...DEFAULT_STATE.email, subject: "Imported" },
+    };
+    const result = mergeImportedClaims(current, incoming, { uuidFn: sequentialIds("new") });
+    expect(result).toMatchObject({ added: 1, duplicates: 0, renamed: 0 });
+    expect(result.state.intent).toBe("Ship smaller");
+    expect(result.state.email.subject).toBe("");
+    expect(result.state.claims.map((c) => c.id)).toEqual(["a", "b", "c"]);
+    expect(result.state.expressions.c).toBe("Turn it off, not back.");
+  });
+
+  it("gives colliding ids to new claims without touching the existing ones", () => {
+    const incoming = {
+      claims: [{ id: "a", text: "A different claim" }],
+      expressions: { a: "Imported expression" },
+    };
+    const result = mergeImportedClaims(current, incoming, { uuidFn: sequentialIds("new") });
+    expect(result).toMatchObject({ added: 1, renamed: 1 });
+    expect(result.state.claims[0]).toEqual({ id: "a", text: "Small PRs get reviewed faster" });
+    expect(result.state.claims[2]).toEqual({ id: "new-1", text: "A different claim" });
+    expect(result.state.expressions).toMatchObject({ a: "Reviewers focus.", "new-1": "Imported expression" });
+  });
+
+  it("skips claims already present and fills only their missing expressions", () => {
+    const incoming = {
+      claims: [
+        { id: "x", text: "  small prs get REVIEWED faster " },
+        { id: "y", text: "Rollbacks are cheaper" },
+      ],
+      expressions: { x: "Should not overwrite", y: "Less to undo." },
+    };
+    const result = mergeImportedClaims(current, incoming, { uuidFn: sequentialIds("new") });
+    expect(result).toMatchObject({ added: 0, duplicates: 2 });
+    expect(result.state.claims).toHaveLength(2);
+    expect(result.state.expressions).toEqual({ a: "Reviewers focus.", b: "Less to undo." });
+  });
+
+  it("does not duplicate a claim repeated within the import", () => {
+    const incoming = {
+      claims: [
+        { id: "x", text: "New point" },
+        { id: "y", text: "New point" },
+      ],
+      expressions: {},
+    };
+    const result = mergeImportedClaims(current, incoming, { uuidFn: sequentialIds("new") });
+    expect(result).toMatchObject({ added: 1, duplicates: 1 });
+  });
+
+  it("replaces the empty placeholder claim and fills a blank intent", () => {
+    const empty = { ...clone(DEFAULT_STATE) };
+    const incoming = { intent: "Imported intent", claims: [{ id: "default-claim-id", text: "Imported" }] };
+    const result = mergeImportedClaims(empty, incoming, { uuidFn: sequentialIds("new") });
+    expect(result.state.intent).toBe("Imported intent");
+    expect(result.state.claims).toEqual([{ id: "default-claim-id", text: "Imported" }]);
+    expect(result.renamed).toBe(0);
+  });
+
+  it("carries notes over only where the open project has none", () => {
+    const incoming = {
+      notes: "Imported notes",
+      claims: [
+        { id: "x", text: "Rollbacks are cheaper", notes: "Fills the blank" },
+        { id: "y", text: "New point", notes: "Comes along" },
+      ],
+    };
+    const result = mergeImportedClaims({ ...current, notes: "Mine" }, incoming, { uuidFn: sequentialIds("new") });
+    expect(result.state.notes).toBe("Mine");
+    expect(result.state.claims.map((c) => c.notes)).toEqual([undefined, "Fills the blank", "Comes along"]);
+    expect(mergeImportedClaims(current, incoming, { uuidFn: sequentialIds("new") }).state.notes).toBe("Imported notes");
+  });
+
+  it("brings expression variants along under the claim's new id", () => {
+    const incoming = {
+      claims: [{ id: "a", text: "A different claim" }],
+      expressions: { a: "Take one" },
+      expressionVariants: { a: { texts: ["Take one", "Take two"], active: 0 } },
+    };
+    const result = mergeImportedClaims(current, incoming, { uuidFn: sequentialIds("new") });
+    expect(result.state.expressionVariants).toEqual({ "new-1": { texts: ["Take one", "Take two"], active: 0 } });
+  });
+
+  it("ignores empty incoming claims", () => {
+    const result = mergeImportedClaims(current, { claims: [{ id: "z", text: " " }] }, { uuidFn: sequentialIds("new") });
+    expect(result.added).toBe(0);
+    expect(result.state.claims).toHaveLength(2);
+  });
+});
+
+describe("diffProfileConfig", () => {
+  it("lists profile settings field by field", () => {
+    const incoming = { ...clone(DEFAULT_STATE), memo: { ...DEFAULT_STATE.memo, tldrCount: 3 } };
+    const rows = diffProfileConfig(current, incoming);
+    expect(rows.find((r) => r.field === "memo.tldrCount")).toEqual({
+      field: "memo.tldrCount",
+      status: "changed",
+      before: 5,
+      after: 3,
+    });
+    expect(rows.find((r) => r.field === "email.subject").status).toBe("unchanged");
+  });
+
+  it("leaves out the saved thread layout", () => {
+    const incoming = { ...clone(DEFAULT_STATE), xthread: { ...DEFAULT_STATE.xthread, posts: [["One."]] } };
+    expect(diffProfileConfig(current, incoming).some((r) => r.field === "xthread.posts")).toBe(false);
+  });
+
+  it("marks settings missing on one side", () => {
+    const rows = diffProfileConfig({ blog: { intro: "Hi" } }, {});
+    expect(rows).toEqual([{ field: "blog.intro", status: "removed", before: "Hi", after: undefined }]);
+  });
+});
@@ -1,6 +1,127 @@
 // src/main.js
+/// <reference types="vite/client" />
 import "./style.css";
 import { extractStateFromImport, createSessionExport } from "./schemas.js";
+import {
+  clone,
+  uuid,
+  fileStamp,
+  DEFAULT_STATE,
+  THREAD_NUMBERING_STYLES,
+  sanitizeAndMergeState,
+  getNextPhase,
+  getPreviousPhase,
+} from "./state-manager.js";
+import { clampInt, OUTPUT_PROFILES } from "./utils.js";
+import { openStorage, migrateFromWebStorage, isQuotaExceededError } from "./storage.js";
+import { createHistory, getHistoryShortcut } from "./history.js";
+import {
+  getCleanClaims,
+  buildLinkedInDraft,
+  buildFullBreakdown,
+  buildThreadSourceText,
+  buildDraftText,
+  buildMarkdownExport,
+  isFirstTimeUser,
+} from "./draft-builder.js";
+import {
+  snapshotStorageKey,
+  createSnapshot,
+  sanitizeSnapshotList,
+  restoreSnapshot,
+  diffSnapshots,
+  diffWords,
+} from "./snapshots.js";
+import {
+  LEGACY_STORAGE_KEY,
+  LIBRARY_KEY,
+  ACTIVE_PROJECT_KEY,
+  projectStorageKey,
+  deriveProjectTitle,
+  createProject,
+  ensureProjectMetadata,
+  touchProject,
+  renameProject,
+  duplicateProject,
+  setProjectArchived,
+  sanitizeLibraryIndex,
+  upsertIndexEntry,
+  listProjects,
+  pickActiveProjectId,
+} from "./project-library.js";
+import {
+  CUSTOM_PROFILES_KEY,
+  DEFAULT_CUSTOM_TEMPLATE,
+  TEMPLATE_PLACEHOLDERS,
+  customProfileKey,
+  validateCustomProfile,
+  createCustomProfile,
+  sanitizeCustomProfiles,
+  upsertCustomProfile,
+  removeCustomProfile,
+  findCustomProfile,
+  getOutputProfile,
+  listOutputProfiles,
+} from "./custom-profiles.js";
+import { MASTODON_LIMIT_MIN, MASTODON_LIMIT_MAX } from "./social-profiles.js";
+import { renderDraftHtml, buildHtmlDocument } from "./html-renderer.js";
+import { createDocx, DOCX_MIME_TYPE, DOCX_PROFILES } from "./docx.js";
+import { parseMarkdownImport, applyMarkdownImport } from "./markdown-import.js";
+import { diffProfileConfig, mergeImportedClaims } from "./import-merge.js";
+import { migrateState } from "./migrations.js";
+import { registerServiceWorker, canPromptForUpdate, UPDATE_IDLE_MS } from "./pwa.js";
+import { createTabSync, mergeRemoteState } from "./tab-sync.js";
+import { encryptSessionExport, decryptSessionExport, DecryptionError } from "./crypto.js";
+import {
+  VAULT_KEY,
+  AUTO_LOCK_CHOICES,
+  DEFAULT_AUTO_LOCK_MINUTES,
+  createVault,
+  unlockVault,
+  sanitizeVault,
+  createEncryptedStorage,
+  sealStorage,
+  unsealStorage,
+  shouldAutoLock,
+} from "./vault.js";
+import {
+  SHORTCUTS_KEY,
+  DEFAULT_SHORTCUTS,
+  eventToShortcut,
+  isBindableShortcut,
+  formatShortcut,
+  sanitizeShortcutOverrides,
+  resolveShortcuts,
+  assignShortcut,
+  commandForEvent,
+  typesCharacter,
+  searchCommands,
+} from "./commands.js";
+import { patchChildren } from "./dom-patch.js";
+import { draftAnchors, segmentDraft } from "./draft-preview.js";
+import {
+  claimDepth,
+  indentClaim,
+  moveClaimBlock,
+  moveClaimBlockTo,
+  normalizeOutline,
+  outdentClaim,
+  outlineNumbers,
+} from "./claim-outline.js";
+import { createSource, SOURCE_FIELDS } from "./claim-sources.js";
+import {
+  MAX_VARIANTS,
+  addVariant,
+  combinationExpressions,
+  getVariants,
+  removeVariant,
+  selectCombination,
+  selectVariant,
+  setActiveText,
+  variantCombinations,
+  variantLabel,
+} from "./expression-variants.js";
+import { getThreadPosts, describeThreadPosts, moveSentence, mergeWithNext, splitPost } from "./thread-editor.js";
 
 // Inkwise v2.0 — Fortune-500 Quality
 // Intent → Structure → Expression → Draft (LinkedIn-optimized)
@@ -48,484 +169,1288 @@ function debounce(fn, delay) {
   };
 }
 
-const STORAGE_KEY = "inkwise:v1";
 const root = document.querySelector("#app");
 
-// --------- small compatibility helpers ----------
-const clone = (obj) => {
-  if (typeof structuredClone === "function") return structuredClone(obj);
-  return JSON.parse(JSON.stringify(obj));
-};
+// ---------- Persistence (project library) ----------
+// Each project lives under its own key; LIBRARY_KEY holds the metadata index.
+// All reads/writes go through the async storage adapter (IndexedDB when available).
+let storage = null;
+let library = [];
+let state = null;
 
-const uuid = () => {
-  if (crypto?.randomUUID) return crypto.randomUUID();
-  return "id-" + Math.random().toString(16).slice(2) + Date.now().toString(16);
-};
+// Last write outcome, shown in the header so failed saves are never silent
+const persistence = { error: null };
 
-const pad2 = (n) => String(n).padStart(2, "0");
-const fileStamp = () => {
-  const d = new Date();
-  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}_${pad2(d.getHours())}${pad2(
-    d.getMinutes()
-  )}${pad2(d.getSeconds())}`;
-};
+async function loadLibrary() {
+  try {
+    return sanitizeLibraryIndex(await storage.get(LIBRARY_KEY));
+  } catch {
+    return [];
+  }
+}
 
-function clampInt(value, min, max, fallback) {
-  const n = parseInt(value, 10);
-  if (!Number.isFinite(n)) return fallback;
-  return Math.max(min, Math.min(max, n));
+async function writeProject(project) {
+  await storage.put(projectStorageKey(project.metadata.id), project);
+  // Re-read the index so projects another tab added since are kept
+  library = upsertIndexEntry(sanitizeLibraryIndex(await storage.get(LIBRARY_KEY)), project);
+  await storage.put(LIBRARY_KEY, library);
+  tabSync.post({ type: "project-saved", projectId: project.metadata.id });
 }
 
-// ---------- Output Profiles ----------
-const OUTPUT_PROFILES = {
-  linkedin: {
-    label: "LinkedIn Post",
-    maxChars: 3000,
-    hint: "Short hook, whitespace, skimmable.",
-  },
-  xthread: {
-    label: "X / Twitter Thread",
-    maxChars: 25000,
-    chunkSize: 280,
-    hint: "Split into numbered posts (1/n).",
-  },
-  email: {
-    label: "Email",
-    maxChars: 20000,
-    hint: "Subject + body.",
-  },
-  memo: {
-    label: "Memo",
-    maxChars: 20000,
-    hint: "Title, TL;DR, bullets, next steps.",
-  },
-  blog: {
-    label: "Blog / Article",
-    maxChars: 100000,
-    hint: "Headings + longer paragraphs.",
-  },
-  custom: {
-    label: "Custom",
-    maxChars: 20000,
-    hint: "Your rules.",
-  },
-};
+async function loadProject(projectId) {
+  try {
+    const raw = await storage.get(projectStorageKey(projectId));
+    if (!raw) return null;
+    const migrated = migrateState(raw);
+    if (migrated.applied.length) {
+      logger.info("Migrated stored project", { projectId, fromVersion: migrated.fromVersion, steps: migrated.applied });
+    }
+    const project = sanitizeAndMergeState(migrated.state);
+    return ensureProjectMetadata({ ...project, metadata: { ...project.metadata, id: projectId } });
+  } catch {
+    return null;
+  }
+}
 
-// ---------- state ----------
-const DEFAULT_STATE = {
-  phase: "intent",
-  intent: "",
-  claims: [{ id: uuid(), text: "" }],
-  expressions: {}, // { [claimId]: string }
-  outputProfile: "linkedin",
+// Reports a failed write; quota errors get an explicit message
+function handleSaveError(err, context) {
+  const quota = isQuotaExceededError(err);
+  logger.error(`Failed to save ${context}`, { error: String(err), quota });
 
-  ui: {
-    presetId: "systems_coordination",
-  },
+  const wasFailing = !!persistence.error;
+  persistence.error = quota ? "Storage full" : "Save failed";
+  if (wasFailing) return;
 
-  linkedin: {
-    hookOverride: "",
+  showToast(
+    quota
+      ? "Storage is full, so your latest changes were NOT saved. Export this project, then archive old projects to free space."
+      : "Saving failed, so your latest changes may not be saved. Export this project to keep a copy.",
+    "error"
+  );
+}
 
-    includeBullets: false,
-    bulletIntro: "Key points:",
-    maxBullets: 5,
+function handleSaveSuccess() {
+  if (!persistence.error) return;
+  persistence.error = null;
+  showToast("Saving works again.", "success");
+}
 
-    includeCTA: true,
-    ctaText: "What would you change?",
+// One-time move of the single-slot "inkwise:v1" state into the library
+async function migrateLegacyState() {
+  const legacy = await storage.get(LEGACY_STORAGE_KEY);
+  if (legacy === null) return null;
 
-    includeHashtags: false,
-    hashtags: "#leadership #execution #systems",
+  if (typeof legacy === "string") logger.warn("Legacy state was unreadable; starting a fresh project");
+  const project = ensureProjectMetadata(sanitizeAndMergeState(migrateState(legacy).state));
+  try {
+    await writeProject(project);
+    await storage.delete(LEGACY_STORAGE_KEY);
+    logger.info("Migrated legacy state into project library", { projectId: project.metadata.id });
+  } catch (err) {
+    handleSaveError(err, "migrated project");
+  }
+  return project;
+}
 
-    includeSignature: false,
-    signature: "— Posted via Inkwise",
-  },
-};
+async function setActiveProjectId(projectId) {
+  try {
+    await storage.put(ACTIVE_PROJECT_KEY, projectId);
+  } catch (err) {
+    logger.error("Failed to save active project", { error: String(err) });
+  }
+}
 
-function sanitizeAndMergeState(maybeState) {
-  const candidate =
-    maybeState &&
-    typeof maybeState === "object" &&
-    maybeState.state &&
-    typeof maybeState.state === "object" &&
-    maybeState.version &&
-    String(maybeState.version).startsWith("inkwise:session:")
-      ? maybeState.state
-      : maybeState;
-
-  const parsed = candidate && typeof candidate === "object" ? candidate : {};
-
-  const merged = {
-    ...clone(DEFAULT_STATE),
-    ...parsed,
-    claims: Array.isArray(parsed.claims) && parsed.claims.length ? parsed.claims : clone(DEFAULT_STATE.claims),
-    expressions: parsed.expressions && typeof parsed.expressions === "object" ? parsed.expressions : {},
-    ui: {
-      ...clone(DEFAULT_STATE.ui),
-      ...(parsed.ui && typeof parsed.ui === "object" ? parsed.ui : {}),
-    },
-    linkedin: {
-      ...clone(DEFAULT_STATE.linkedin),
-      ...(parsed.linkedin && typeof parsed.linkedin === "object" ? parsed.linkedin : {}),
-    },
-  };
+async function loadState() {
+  const migrated = await migrateLegacyState();
+  if (migrated) return migrated;
+
+  const activeId = pickActiveProjectId(library, await storage.get(ACTIVE_PROJECT_KEY).catch(() => null));
+  const project = activeId ? await loadProject(activeId) : null;
+  if (project) return project;
+
+  const fresh = createProject();
+  try {
+    await writeProject(fresh);
+  } catch (err) {
+    handleSaveError(err, "new project");
+  }
+  return fresh;
+}
+
+// UI-only flags for the project library view (not persisted)
+const libraryView = { open: false, showArchived: false };
+
+async function saveStateImmediate() {
+  // Nothing is open while locked; saving during a conflict would overwrite the other tab's side
+  if (!state || syncView.conflicts.length) return;
+  try {
+    state = touchProject(state);
+    await writeProject(state);
+    syncBase = state;
+    handleSaveSuccess();
+  } catch (err) {
+    handleSaveError(err, "state");
+  }
+}
+
+const saveState = debounce(saveStateImmediate, 300);
+
+// ---------- Cross-tab sync ----------
+// Every save is announced to the other open tabs (tab-sync.js). Their changes to the
+// open project are merged into this tab against `syncBase`, the last state both tabs
+// agreed on; a field both tabs edited pauses saving here until the user picks a side.
+const tabSync = createTabSync({
+  onMessage: (message) => handleSyncMessage(message),
+  onError: (err, message) => logger.warn("Tab sync message not sent", { type: message.type, error: String(err) }),
+});
+let syncBase = null;
+
+// UI-only state for a pending conflict: the base it was found against and the other tab's state
+const syncView = { conflicts: [], base: null, remote: null };
+
+async function handleSyncMessage(message) {
+  if (message.type === "vault-changed") return handleVaultChanged();
+  if (!state) return;
+  if (message.type === "profiles-saved") {
+    const profiles = await loadCustomProfiles();
+    if (!state) return;
+    customProfiles = profiles;
+    return renderExternalChange();
+  }
+  if (message.type === "shortcuts-saved") {
+    const overrides = await loadShortcutOverrides();
+    if (!state) return;
+    shortcutOverrides = overrides;
+    return renderExternalChange();
+  }
+  if (message.type !== "project-saved") return;
+
+  // Re-checked after every read: the app may have locked meanwhile
+  const nextLibrary = await loadLibrary();
+  if (!state) return;
+  library = nextLibrary;
+  if (message.projectId !== state.metadata.id) return renderExternalChange();
+
+  const remote = await loadProject(message.projectId);
+  if (!remote || !state) return;
+  const wasPending = syncView.conflicts.length > 0;
+  const base = wasPending ? syncView.base : syncBase;
+  const { state: merged, conflicts } = mergeRemoteState(base, state, remote);
+
+  // Not an undo step: the other tab's edits aren't this tab's to undo
+  state = merged;
+  if (conflicts.length) {
+    Object.assign(syncView, { conflicts, base, remote });
+    logger.warn("Conflicting edits from another tab", { fields: conflicts.map((c) => c.field) });
+  } else {
+    clearSyncConflict();
+    syncBase = remote;
+    // Edits made while saving was paused still need to be written
+    if (wasPending) saveState();
+  }
+  renderExternalChange();
+}
+
+function clearSyncConflict() {
+  Object.assign(syncView, { conflicts: [], base: null, remote: null });
+}
+
+// Switching away while saving is paused would lose this tab's edits
+function blockedBySyncConflict() {
+  if (!syncView.conflicts.length) return false;
+  showToast("Resolve the conflict with the other tab first.", "error");
+  return true;
+}
+
+async function keepMySyncChanges() {
+  clearSyncConflict();
+  await saveStateImmediate();
+  render();
+  showToast("Kept this tab's version.", "success");
+}
+
+async function useTheirSyncChanges() {
+  const { base, remote } = syncView;
+  clearSyncConflict();
+  recordHistory(true, "Use other tab's changes");
+  state = mergeRemoteState(base, state, remote, { prefer: "remote" }).state;
+  await saveStateImmediate();
+  render();
+  showToast("Using the other tab's version. Press Ctrl/Cmd+Z to undo.", "success");
+}
 
-  merged.claims = merged.claims.map((c) => ({
-    id: c && c.id ? c.id : uuid(),
-    text: c && typeof c.text === "string" ? c.text : "",
-  }));
+// ---------- Passphrase lock ----------
+// With a passphrase set (vault.js), every record is encrypted at rest. `rawStorage` is
+// the adapter itself; `storage` is the decrypting wrapper while unlocked. Locking drops
+// the key and everything decrypted from memory.
+let rawStorage = null;
+let vault = null;
+let vaultKey = null;
+let lastActivityAt = Date.now();
+let autoLockTimer = null;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const AUTO_LOCK_CHECK_MS = 30 * 1000;
+
+// UI-only state for the lock screen and the protection settings (not persisted)
+const lockView = { locked: false, busy: false, error: "", notice: "" };
+const vaultView = { busy: false, error: "" };
+
+function startAutoLock() {
+  stopAutoLock();
+  lastActivityAt = Date.now();
+  autoLockTimer = setInterval(checkAutoLock, AUTO_LOCK_CHECK_MS);
+}
+
+function stopAutoLock() {
+  if (autoLockTimer) clearInterval(autoLockTimer);
+  autoLockTimer = null;
+}
+
+function checkAutoLock() {
+  if (!vault || lockView.locked) return;
+  if (shouldAutoLock({ lastActivityAt, now: Date.now(), autoLockMinutes: vault.autoLockMinutes })) {
+    lockApp({ auto: true });
+  }
+}
+
+function showLockScreen() {
+  lockView.locked = true;
+  render();
+  /** @type {HTMLInputElement | null} */
+  const input = root.querySelector('input[data-field="unlock-passphrase"]');
+  if (!input) return;
+  input.focus();
+  // A wrong passphrase stays in the field, selected so typing replaces it
+  if (lockView.error) input.select();
+}
 
-  merged.linkedin.maxBullets = clampInt(merged.linkedin.maxBullets, 1, 12, 5);
+async function unlock(passphrase) {
+  if (!passphrase || lockView.busy) return;
+  Object.assign(lockView, { busy: true, error: "" });
+  render();
 
-  const allowed = new Set(["intent", "structure", "expression", "draft"]);
-  if (!allowed.has(merged.phase)) merged.phase = "intent";
+  let key;
+  try {
+    // Re-read: another tab may have changed or removed the passphrase since this one locked
+    vault = sanitizeVault(await rawStorage.get(VAULT_KEY));
+    if (!vault) {
+      Object.assign(lockView, { locked: false, busy: false });
+      return loadWorkspace();
+    }
+    key = await unlockVault(vault, passphrase);
+  } catch (err) {
+    Object.assign(lockView, { busy: false, error: err instanceof DecryptionError ? "Wrong passphrase." : String(err) });
+    return showLockScreen();
+  }
 
-  // Validate outputProfile
-  if (!OUTPUT_PROFILES[merged.outputProfile]) {
-    merged.outputProfile = "linkedin";
+  vaultKey = key;
+  storage = createEncryptedStorage(rawStorage, key);
+  try {
+    // Records written unencrypted meanwhile (an interrupted switch-on, another tab) are encrypted now
+    const sealed = await sealStorage(rawStorage, key);
+    if (sealed) logger.info("Encrypted remaining plaintext records", { records: sealed });
+  } catch (err) {
+    handleSaveError(err, "encrypted data");
   }
 
-  return merged;
+  Object.assign(lockView, { locked: false, busy: false, error: "", notice: "" });
+  startAutoLock();
+  await loadWorkspace();
+}
+
+async function lockApp({ auto = false } = {}) {
+  if (!vault || lockView.locked) return;
+  // A manual lock waits for the conflict. An auto-lock can't, and the conflict blocks
+  // saving, so this tab's side is kept as a snapshot instead
+  if (!auto && blockedBySyncConflict()) return;
+  if (syncView.conflicts.length) await saveConflictSnapshot();
+  await saveStateImmediate();
+
+  stopAutoLock();
+  vaultKey = null;
+  storage = rawStorage;
+  state = null;
+  syncBase = null;
+  library = [];
+  customProfiles = [];
+  shortcutOverrides = {};
+  history.clear();
+  clearSyncConflict();
+  closePalette();
+  Object.assign(claimReorder, { claimId: null, original: null });
+  libraryView.open = false;
+  snapshotView.open = false;
+  snapshotView.items = [];
+  profileView.open = false;
+  Object.assign(shortcutView, { open: false, recordingId: null, error: "" });
+  closeSessionImport();
+  logger.info("Locked", { auto });
+  showLockScreen();
 }
 
-function loadState() {
+async function saveConflictSnapshot() {
+  const projectId = state.metadata.id;
+  const snapshot = createSnapshot(state, "This tab's version (locked during a conflict)");
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return clone(DEFAULT_STATE);
-    return sanitizeAndMergeState(JSON.parse(raw));
-  } catch {
-    return clone(DEFAULT_STATE);
+    const items = sanitizeSnapshotList(await storage.get(snapshotStorageKey(projectId)));
+    await storage.put(snapshotStorageKey(projectId), [snapshot, ...items]);
+  } catch (err) {
+    handleSaveError(err, "snapshot");
+    return;
   }
+  lockView.notice = `This tab's conflicting edits were saved as the snapshot “${snapshot.name}”.`;
+  logger.warn("Locked during a tab sync conflict; kept this tab's version as a snapshot", {
+    projectId,
+    fields: syncView.conflicts.map((c) => c.field),
+  });
 }
 
-let state = loadState();
+async function enableEncryption({ passphrase, confirmation, autoLockMinutes }) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    vaultView.error = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+    return render();
+  }
+  if (passphrase !== confirmation) {
+    vaultView.error = "The passphrases don't match.";
+    return render();
+  }
 
-function saveStateImmediate() {
+  await saveStateImmediate();
+  Object.assign(vaultView, { busy: true, error: "" });
+  render();
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    const created = await createVault(passphrase, { autoLockMinutes });
+    // The vault record goes first: records not yet encrypted stay readable, and an
+    // interrupted run is finished on the next unlock
+    await rawStorage.put(VAULT_KEY, created.vault);
+    vault = created.vault;
+    vaultKey = created.key;
+    storage = createEncryptedStorage(rawStorage, created.key);
+    await sealStorage(rawStorage, created.key);
   } catch (err) {
-    logger.error("Failed to save state to localStorage", { error: String(err) });
+    handleSaveError(err, "encrypted data");
   }
+  vaultView.busy = false;
+  tabSync.post({ type: "vault-changed" });
+  if (vault) startAutoLock();
+  render();
+  if (vault) showToast("Encryption is on. Inkwise will ask for your passphrase when it opens.", "success");
 }
 
-const saveState = debounce(saveStateImmediate, 300);
+async function disableEncryption(passphrase) {
+  Object.assign(vaultView, { busy: true, error: "" });
+  render();
+  try {
+    await unlockVault(vault, passphrase);
+  } catch (err) {
+    Object.assign(vaultView, {
+      busy: false,
+      error: err instanceof DecryptionError ? "Wrong passphrase." : String(err),
+    });
+    return render();
+  }
+
+  await saveStateImmediate();
+  try {
+    await unsealStorage(rawStorage, vaultKey);
+    await rawStorage.delete(VAULT_KEY);
+    vault = null;
+    vaultKey = null;
+    storage = rawStorage;
+    stopAutoLock();
+  } catch (err) {
+    handleSaveError(err, "decrypted data");
+  }
+  vaultView.busy = false;
+  tabSync.post({ type: "vault-changed" });
+  render();
+  if (!vault) showToast("Encryption is off. Projects are stored unencrypted in this browser.", "success");
+}
 
-function setState(patch, { rerender = true } = {}) {
+async function setAutoLockMinutes(minutes) {
+  if (!vault || !AUTO_LOCK_CHOICES.includes(minutes)) return;
+  vault = { ...vault, autoLockMinutes: minutes };
+  try {
+    await rawStorage.put(VAULT_KEY, vault);
+  } catch (err) {
+    handleSaveError(err, "lock settings");
+  }
+  lastActivityAt = Date.now();
+  tabSync.post({ type: "vault-changed" });
+}
+
+// Another tab turned the passphrase on or off (or changed the lock delay)
+async function handleVaultChanged() {
+  const next = sanitizeVault(await rawStorage.get(VAULT_KEY).catch(() => null));
+  if (next?.kdf.salt === vault?.kdf.salt) {
+    vault = next;
+    return;
+  }
+  // This tab's key (or lack of one) is stale. Unsaved edits are saved first only when
+  // they'd be written unencrypted (and sealed on the next unlock): writing with a key
+  // that no longer has a vault would make them unreadable.
+  if (!vault) await saveStateImmediate();
+  window.location.reload();
+}
+
+async function eraseAllData() {
+  const ok = confirm(
+    "Erase every Inkwise project, snapshot and profile stored in this browser? Without the passphrase they can't be recovered, and this can't be undone."
+  );
+  if (!ok) return;
+  try {
+    for (const key of await rawStorage.list("inkwise:")) await rawStorage.delete(key);
+  } catch (err) {
+    handleSaveError(err, "erase");
+    return;
+  }
+  window.location.reload();
+}
+
+// ---------- Undo / redo ----------
+// `undo` option on setState/replaceState: false = not an undo step,
+// a string = coalescing key (typing in one field), true = discrete step
+const history = createHistory();
+
+function recordHistory(undo, label) {
+  if (undo === false) return;
+  history.record(state, { key: typeof undo === "string" ? undo : null, label });
+  syncHistoryButtons();
+}
+
+// Keeps Undo/Redo enabled state current when an edit doesn't re-render
+function syncHistoryButtons() {
+  /** @type {NodeListOf<HTMLButtonElement>} */
+  const buttons = root.querySelectorAll('button[data-action="undo"], button[data-action="redo"]');
+  buttons.forEach((btn) => {
+    btn.disabled = btn.dataset.action === "undo" ? !history.canUndo() : !history.canRedo();
+  });
+}
+
+/**
+ * @param {object} patch
+ * @param {{ rerender?: boolean, undo?: boolean|string, label?: string }} [options]
+ */
+function setState(patch, { rerender = true, undo = true, label = "Edit" } = {}) {
+  recordHistory(undo, label);
   state = { ...state, ...patch };
   saveState();
   if (rerender) render();
 }
 
-function replaceState(nextState, { rerender = true } = {}) {
-  state = sanitizeAndMergeState(nextState);
+/**
+ * Replaces the active project's content; the project identity (metadata) is kept
+ * @param {object} nextState
+ * @param {{ rerender?: boolean, undo?: boolean|string, label?: string }} [options]
+ */
+function replaceState(nextState, { rerender = true, undo = true, label = "Replace project" } = {}) {
+  recordHistory(undo, label);
+  state = { ...sanitizeAndMergeState(nextState), metadata: state.metadata };
   saveState();
   if (rerender) render();
 }
 
+// For changes the user didn't type (undo, another tab): the focused field shows them too
+function renderExternalChange() {
+  render({ replaceActiveValue: true });
+}
+
+function applyHistoryEntry(direction) {
+  const entry = direction === "undo" ? history.undo(state) : history.redo(state);
+  if (!entry) return;
+
+  // Content only: the phase you're on and UI toggles stay, like restoring a snapshot
+  state = restoreSnapshot(state, entry);
+  saveState();
+  renderExternalChange();
+  showToast(`${direction === "undo" ? "Undid" : "Redid"}: ${entry.label}`, "info");
+}
+
+function undo() {
+  applyHistoryEntry("undo");
+}
+
+function redo() {
+  applyHistoryEntry("redo");
+}
+
 function setPhase(phase) {
-  setState({ phase }, { rerender: true });
+  setState({ phase }, { rerender: true, undo: false });
 }
 
 function updateIntent(nextIntent) {
-  setState({ intent: nextIntent }, { rerender: false });
+  setState({ intent: nextIntent }, { undo: "intent", label: "Edit intent" });
+}
+
+function updateProjectNotes(nextNotes) {
+  setState({ notes: nextNotes }, { undo: "notes", label: "Edit notes" });
 }
 
 function updateClaim(claimId, nextText) {
   const claims = state.claims.map((c) => (c.id === claimId ? { ...c, text: nextText } : c));
-  setState({ claims }, { rerender: false });
+  setState({ claims }, { undo: `claim:${claimId}`, label: "Edit claim" });
+}
+
+// A claim without notes carries no `notes` field
+function updateClaimNotes(claimId, nextNotes) {
+  const claims = state.claims.map((c) => {
+    if (c.id !== claimId) return c;
+    const next = { ...c, notes: nextNotes };
+    if (!nextNotes) delete next.notes;
+    return next;
+  });
+  setState({ claims }, { undo: `notes:${claimId}`, label: "Edit claim notes" });
 }
 
 function addClaim() {
-  setState({ claims: [...state.claims, { id: uuid(), text: "" }] }, { rerender: true });
+  setState({ claims: [...state.claims, { id: uuid(), text: "" }] }, { rerender: true, label: "Add claim" });
 }
 
+// Sub-claims of a removed claim move up under the claim above it
 function removeClaim(claimId) {
-  const claims = state.claims.filter((c) => c.id !== claimId);
+  const claims = normalizeOutline(state.claims.filter((c) => c.id !== claimId));
   const expressions = { ...state.expressions };
   delete expressions[claimId];
+  const expressionVariants = { ...state.expressionVariants };
+  delete expressionVariants[claimId];
 
   setState(
     {
       claims: claims.length ? claims : [{ id: uuid(), text: "" }],
       expressions,
+      expressionVariants,
     },
-    { rerender: true }
+    { rerender: true, label: "Remove claim" }
   );
 }
 
+// A claim moves with its sub-claims, past its neighbour at the same level
 function moveClaim(claimId, direction) {
-  const index = state.claims.findIndex((c) => c.id === claimId);
-  if (index < 0) return;
-
-  const nextIndex = direction === "up" ? index - 1 : index + 1;
-  if (nextIndex < 0 || nextIndex >= state.claims.length) return;
+  const claims = moveClaimBlock(state.claims, claimId, direction);
+  if (claims) setState({ claims }, { rerender: true, label: "Move claim" });
+}
 
-  const claims = [...state.claims];
-  const [item] = claims.splice(index, 1);
-  claims.splice(nextIndex, 0, item);
-  setState({ claims }, { rerender: true });
+function indentClaimById(claimId) {
+  const claims = indentClaim(state.claims, claimId);
+  if (claims) setState({ claims }, { rerender: true, label: "Indent claim" });
 }
 
-function updateExpression(claimId, nextText) {
-  setState({ expressions: { ...state.expressions, [claimId]: nextText } }, { rerender: false });
+function outdentClaimById(claimId) {
+  const claims = outdentClaim(state.claims, claimId);
+  if (claims) setState({ claims }, { rerender: true, label: "Outdent claim" });
 }
 
-function updateLinkedInField(path, value, { rerender = false } = {}) {
-  setState({ linkedin: { ...state.linkedin, [path]: value } }, { rerender });
+// A claim without sources carries no `sources` field
+function setClaimSources(claimId, update, options) {
+  const claims = state.claims.map((c) => {
+    if (c.id !== claimId) return c;
+    const sources = update(c.sources || []);
+    const next = { ...c, sources };
+    if (!sources.length) delete next.sources;
+    return next;
+  });
+  setState({ claims }, options);
 }
 
-function updateUIField(path, value, { rerender = false } = {}) {
-  setState({ ui: { ...state.ui, [path]: value } }, { rerender });
+function addSource(claimId) {
+  const source = createSource(uuid);
+  setClaimSources(claimId, (sources) => [...sources, source], { rerender: true, label: "Add source" });
+  document.getElementById(`source-${source.id}-url`)?.focus();
 }
 
-function getActiveCount() {
-  return { nonEmptyClaims: state.claims.filter((c) => c.text.trim()).length };
+function removeSource(claimId, sourceId) {
+  setClaimSources(claimId, (sources) => sources.filter((s) => s.id !== sourceId), {
+    rerender: true,
+    label: "Remove source",
+  });
 }
 
-// ---------- Draft builders ----------
-function getCleanClaims() {
-  return state.claims.map((c) => ({ ...c, text: (c.text || "").trim() })).filter((c) => c.text.length);
+function updateSource(claimId, sourceId, key, value) {
+  if (!SOURCE_FIELDS.includes(key)) return;
+  setClaimSources(claimId, (sources) => sources.map((s) => (s.id === sourceId ? { ...s, [key]: value } : s)), {
+    undo: `source:${sourceId}:${key}`,
+    label: "Edit source",
+  });
 }
 
-function getCleanParagraphs(claims) {
-  return claims.map((c) => (state.expressions[c.id] || "").trim()).filter(Boolean);
+// Edits the active take; the other takes keep their text
+function updateExpression(claimId, nextText) {
+  setState(setActiveText(state, claimId, nextText), { undo: `expression:${claimId}`, label: "Edit expression" });
 }
 
-function buildLinkedInDraft() {
-  const intent = (state.intent || "").trim();
-  const cfg = state.linkedin;
+// Adding, switching and removing takes changes the text of a field that may have
+// focus, so they re-render like an external change
+function addVariantTake(claimId) {
+  const patch = addVariant(state, claimId);
+  if (!patch) return;
+  setState(patch, { rerender: false, label: "Add variant" });
+  renderExternalChange();
+  document.getElementById(`expr-${claimId}`)?.focus();
+}
 
-  const claims = getCleanClaims();
-  const paragraphs = getCleanParagraphs(claims);
+function selectVariantTake(claimId, index) {
+  const patch = selectVariant(state, claimId, index);
+  if (!patch) return;
+  setState(patch, { rerender: false, label: "Switch variant" });
+  renderExternalChange();
+}
 
-  const lines = [];
+function removeVariantTake(claimId, index) {
+  const patch = removeVariant(state, claimId, index);
+  if (!patch) return;
+  setState(patch, { rerender: false, label: "Remove variant" });
+  renderExternalChange();
+}
 
-  const hook = (cfg.hookOverride || "").trim() || intent;
-  if (hook) {
-    lines.push(hook);
-    lines.push("");
-  }
+function updateLinkedInField(path, value) {
+  setState(
+    { linkedin: { ...state.linkedin, [path]: value } },
+    { undo: `linkedin:${path}`, label: "Edit LinkedIn settings" }
+  );
+}
 
-  if (cfg.includeBullets && claims.length) {
-    const n = clampInt(cfg.maxBullets, 1, 12, 5);
-    const intro = (cfg.bulletIntro || "").trim();
-    if (intro) lines.push(intro);
+function updateProfileField(profileKey, path, value) {
+  const label = OUTPUT_PROFILES[profileKey]?.label || profileKey;
+  setState(
+    { [profileKey]: { ...state[profileKey], [path]: value } },
+    { undo: `${profileKey}:${path}`, label: `Edit ${label} settings` }
+  );
+}
 
-    claims.slice(0, n).forEach((c) => lines.push(`• ${c.text}`));
-    lines.push("");
-  }
+function updateUIField(path, value, { rerender = false } = {}) {
+  setState({ ui: { ...state.ui, [path]: value } }, { rerender, undo: false });
+}
 
-  if (paragraphs.length) {
-    for (const p of paragraphs) {
-      lines.push(p);
-      lines.push("");
-    }
-  } else if (!hook && claims.length) {
-    claims.slice(0, clampInt(cfg.maxBullets, 1, 12, 5)).forEach((c) => {
-      lines.push(c.text);
-      lines.push("");
-    });
-  } else if (!hook) {
-    lines.push("(Add intent/claims/expressions to generate a draft.)");
-    lines.push("");
-  }
+// ---------- Project library actions ----------
+function openProject(project) {
+  state = project;
+  syncBase = project;
+  history.clear();
+  setActiveProjectId(project.metadata.id);
+  libraryView.open = false;
+  snapshotView.open = false;
+  profileView.open = false;
+  shortcutView.open = false;
+  importView.open = false;
+  render();
+}
 
-  if (cfg.includeCTA) {
-    const cta = (cfg.ctaText || "").trim();
-    if (cta) {
-      lines.push(cta);
-      lines.push("");
-    }
-  }
+async function switchProject(projectId) {
+  if (projectId === state.metadata.id) return;
+  if (blockedBySyncConflict()) return render();
+  await saveStateImmediate();
 
-  if (cfg.includeSignature) {
-    const sig = (cfg.signature || "").trim();
-    if (sig) {
-      lines.push(sig);
-      lines.push("");
-    }
+  const project = await loadProject(projectId);
+  if (!project) {
+    showToast("That project could not be opened.", "error");
+    return;
   }
+  openProject(project);
+}
 
-  if (cfg.includeHashtags) {
-    const tags = (cfg.hashtags || "").trim();
-    if (tags) {
-      lines.push(tags);
-      lines.push("");
-    }
+async function newProject() {
+  if (blockedBySyncConflict()) return;
+  await saveStateImmediate();
+  const project = createProject();
+  try {
+    await writeProject(project);
+  } catch (err) {
+    handleSaveError(err, "new project");
   }
-
-  return lines.join("\n").trim();
+  openProject(project);
+  showToast("New project created.", "success");
 }
 
-function buildFullBreakdown() {
-  const intent = (state.intent || "").trim();
-  const claims = getCleanClaims();
-  const paragraphs = getCleanParagraphs(claims);
-
-  const lines = [];
-
-  if (intent) {
-    lines.push("INTENT");
-    lines.push(intent);
-    lines.push("");
+// Applies fn to a stored project (or the active one) and persists the result
+async function updateProject(projectId, fn) {
+  if (projectId === state.metadata.id) {
+    state = fn(state);
+    await saveStateImmediate();
+    return state;
   }
 
-  if (claims.length) {
-    lines.push("STRUCTURE");
-    claims.forEach((c) => lines.push(`• ${c.text}`));
-    lines.push("");
+  const project = await loadProject(projectId);
+  if (!project) return null;
+  const next = fn(project);
+  try {
+    await writeProject(next);
+  } catch (err) {
+    handleSaveError(err, "project");
   }
+  return next;
+}
 
-  if (paragraphs.length) {
-    lines.push("EXPRESSION");
-    paragraphs.forEach((p) => {
-      lines.push(p);
-      lines.push("");
-    });
-  }
+async function renameProjectById(projectId) {
+  const entry = library.find((e) => e.id === projectId);
+  if (!entry) return;
 
-  return lines.join("\n").trim();
+  const title = window.prompt("Project title:", entry.title);
+  if (title === null) return;
+
+  await updateProject(projectId, (p) => renameProject(p, title));
+  render();
 }
 
-// ---------- Profile-aware draft formatting ----------
-function splitIntoThread(text, size = 280) {
-  const chunks = [];
-  let remaining = text.trim();
+async function duplicateProjectById(projectId) {
+  const isActive = projectId === state.metadata.id;
+  if (isActive) await saveStateImmediate();
 
-  while (remaining.length > size) {
-    // Try to break on a newline or space
-    let cut = remaining.lastIndexOf("\n", size);
-    if (cut < 120) cut = remaining.lastIndexOf(" ", size);
-    if (cut < 120) cut = size;
+  const source = isActive ? state : await loadProject(projectId);
+  if (!source) return;
 
-    chunks.push(remaining.slice(0, cut).trim());
-    remaining = remaining.slice(cut).trim();
+  const copy = duplicateProject(source);
+  try {
+    await writeProject(copy);
+  } catch (err) {
+    handleSaveError(err, "duplicated project");
+    return;
   }
-  if (remaining) chunks.push(remaining);
+  render();
+  showToast(`Duplicated as “${copy.metadata.title}”.`, "success");
+}
 
-  // Add numbering (1/n format)
-  const n = chunks.length;
-  return chunks.map((c, i) => `${i + 1}/${n}\n${c}`);
+async function archiveProjectById(projectId, archived) {
+  const switching = archived && projectId === state.metadata.id;
+  // Switching away needs a save, which a pending conflict blocks
+  if (switching && blockedBySyncConflict()) return render();
+  await updateProject(projectId, (p) => setProjectArchived(p, archived));
+
+  // Archiving the open project moves you to the next one (or a fresh one)
+  if (switching) {
+    const nextId = pickActiveProjectId(library, null);
+    let next = nextId ? await loadProject(nextId) : null;
+    if (!next) {
+      next = createProject();
+      await writeProject(next).catch((err) => handleSaveError(err, "new project"));
+    }
+    openProject(next);
+  } else {
+    render();
+  }
+  showToast(archived ? "Project archived." : "Project restored.", "success");
 }
 
-function buildDraftText(baseText) {
-  const profile = state.outputProfile;
-  const p = OUTPUT_PROFILES[profile];
+// ---------- Snapshots (named versions) ----------
+const CURRENT_SNAPSHOT_ID = "current";
 
-  if (profile === "email") {
-    const subject = (state.linkedin?.hookOverride || "").trim() || (state.intent || "").trim() || "Quick note";
-    return `Subject: ${subject}\n\n${baseText.trim()}`;
-  }
+// UI-only state for the snapshot timeline (not persisted)
+const snapshotView = { open: false, items: [], leftId: null, rightId: CURRENT_SNAPSHOT_ID, showUnchanged: false };
 
-  if (profile === "memo") {
-    const title = (state.intent || "").trim() || "Memo";
-    const claims = getCleanClaims();
-    const bulletPoints = claims.length
-      ? claims
-          .slice(0, 5)
-          .map((c) => `- ${c.text}`)
-          .join("\n")
-      : "- ";
-    return `TITLE\n${title}\n\nTL;DR\n${bulletPoints}\n\nDETAILS\n${baseText.trim()}\n\nNEXT STEPS\n- `;
+async function loadSnapshots(projectId) {
+  try {
+    const snapshots = sanitizeSnapshotList(await storage.get(snapshotStorageKey(projectId)));
+    return snapshots.map((s) => ({ ...s, state: migrateState(s.state).state }));
+  } catch {
+    return [];
   }
+}
+
+async function openSnapshots() {
+  snapshotView.items = await loadSnapshots(state.metadata.id);
+  snapshotView.leftId = snapshotView.items[0]?.id ?? null;
+  snapshotView.rightId = CURRENT_SNAPSHOT_ID;
+  snapshotView.open = true;
+  libraryView.open = false;
+  profileView.open = false;
+  shortcutView.open = false;
+  importView.open = false;
+  render();
+}
 
-  if (profile === "xthread") {
-    return splitIntoThread(baseText, p.chunkSize || 280).join("\n\n---\n\n");
+async function saveSnapshot(name) {
+  const snapshot = createSnapshot(state, name);
+  const items = [snapshot, ...snapshotView.items];
+  try {
+    await storage.put(snapshotStorageKey(state.metadata.id), items);
+  } catch (err) {
+    handleSaveError(err, "snapshot");
+    return;
   }
+  snapshotView.items = items;
+  if (!snapshotView.leftId) snapshotView.leftId = snapshot.id;
+  render();
+  showToast(`Snapshot “${snapshot.name}” saved.`, "success");
+}
 
-  if (profile === "blog") {
-    const title = (state.intent || "").trim();
-    const claims = getCleanClaims();
-    let output = "";
-    if (title) output += `# ${title}\n\n`;
+async function deleteSnapshot(snapshotId) {
+  const snapshot = snapshotView.items.find((s) => s.id === snapshotId);
+  if (!snapshot || !confirm(`Delete snapshot “${snapshot.name}”?`)) return;
 
-    // Use claims as section headers if we have expressions
-    const paragraphs = getCleanParagraphs(claims);
-    if (paragraphs.length && claims.length) {
-      claims.forEach((c, i) => {
-        output += `## ${c.text}\n\n`;
-        if (paragraphs[i]) output += `${paragraphs[i]}\n\n`;
-      });
-    } else {
-      output += baseText.trim();
-    }
-    return output.trim();
+  const items = snapshotView.items.filter((s) => s.id !== snapshotId);
+  try {
+    await storage.put(snapshotStorageKey(state.metadata.id), items);
+  } catch (err) {
+    handleSaveError(err, "snapshots");
+    return;
   }
-
-  // linkedin, custom: return base text as-is
-  return baseText;
+  snapshotView.items = items;
+  if (snapshotView.leftId === snapshotId) snapshotView.leftId = items[0]?.id ?? null;
+  if (snapshotView.rightId === snapshotId) snapshotView.rightId = CURRENT_SNAPSHOT_ID;
+  render();
 }
 
-// ---------- Toast notifications ----------
-let toastTimeout = null;
+function restoreSnapshotById(snapshotId) {
+  const snapshot = snapshotView.items.find((s) => s.id === snapshotId);
+  if (!snapshot) return;
 
-function showToast(message, type = "info") {
-  // Remove existing toast
-  const existing = document.querySelector(".toast");
-  if (existing) existing.remove();
-  if (toastTimeout) clearTimeout(toastTimeout);
+  replaceState(restoreSnapshot(state, snapshot), { label: `Restore “${snapshot.name}”` });
+  showToast(`Restored “${snapshot.name}”. Press Ctrl/Cmd+Z to undo.`, "success");
+}
 
-  const toast = document.createElement("div");
-  toast.className = `toast toast--${type}`;
-  toast.setAttribute("role", "alert");
-  toast.setAttribute("aria-live", "polite");
-  toast.textContent = message;
+function getSnapshotState(snapshotId) {
+  if (snapshotId === CURRENT_SNAPSHOT_ID) return state;
+  return snapshotView.items.find((s) => s.id === snapshotId)?.state ?? null;
+}
 
-  document.body.appendChild(toast);
+// ---------- Custom output profiles ----------
+// Saved under one key and shared by every project
+let customProfiles = [];
 
-  // Trigger animation
-  requestAnimationFrame(() => {
-    toast.classList.add("toast--visible");
-  });
+// UI-only state for the profile editor (not persisted)
+const profileView = { open: false, editingId: null, form: emptyProfileForm(), errors: [] };
 
-  toastTimeout = setTimeout(() => {
-    toast.classList.remove("toast--visible");
-    setTimeout(() => toast.remove(), 300);
-  }, 3000);
+function emptyProfileForm() {
+  return { name: "", maxChars: "3000", hint: "", template: DEFAULT_CUSTOM_TEMPLATE };
 }
 
-async function copyToClipboard(text) {
+async function loadCustomProfiles() {
   try {
-    await navigator.clipboard.writeText(text);
-    showToast("Copied to clipboard!", "success");
+    return sanitizeCustomProfiles(await storage.get(CUSTOM_PROFILES_KEY));
   } catch {
-    window.prompt("Copy this:", text);
+    return [];
   }
 }
 
-function downloadTextFile(filename, text) {
-  const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
+async function writeCustomProfiles(next) {
+  try {
+    await storage.put(CUSTOM_PROFILES_KEY, next);
+  } catch (err) {
+    handleSaveError(err, "profiles");
+    return false;
+  }
+  customProfiles = next;
+  tabSync.post({ type: "profiles-saved" });
+  return true;
+}
 
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+function openProfiles() {
+  profileView.open = true;
+  libraryView.open = false;
+  snapshotView.open = false;
+  importView.open = false;
+  shortcutView.open = false;
+  editProfile(null);
+}
 
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
+// Loads a saved profile (or a blank one when id is null) into the editor
+function editProfile(profileId) {
+  const profile = customProfiles.find((p) => p.id === profileId);
+  profileView.editingId = profile ? profile.id : null;
+  profileView.form = profile
+    ? { name: profile.name, maxChars: String(profile.maxChars), hint: profile.hint, template: profile.template }
+    : emptyProfileForm();
+  profileView.errors = [];
+  render();
 }
 
-function downloadJsonFile(filename, obj) {
-  const text = JSON.stringify(obj, null, 2);
-  const blob = new Blob([text], { type: "application/json;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
+async function saveProfile() {
+  const result = validateCustomProfile(profileView.form);
+  if (!result.ok) {
+    profileView.errors = result.errors;
+    return render();
+  }
 
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+  const existing = customProfiles.find((p) => p.id === profileView.editingId);
+  const profile = existing
+    ? { ...existing, ...result.value, updatedAt: new Date().toISOString() }
+    : createCustomProfile(result.value);
+  if (!(await writeCustomProfiles(upsertCustomProfile(customProfiles, profile)))) return;
 
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  profileView.editingId = profile.id;
+  profileView.errors = [];
+  render();
+  showToast(`Profile “${profile.name}” saved.`, "success");
 }
 
-// ---------- Session Export / Import ----------
-function exportSession() {
-  const payload = createSessionExport(state);
-  downloadJsonFile(`inkwise_session_${fileStamp()}.json`, payload);
-}
+async function deleteProfile(profileId) {
+  const profile = customProfiles.find((p) => p.id === profileId);
+  if (!profile) return;
+  if (!confirm(`Delete the “${profile.name}” profile? Projects using it fall back to LinkedIn.`)) return;
+
+  if (!(await writeCustomProfiles(removeCustomProfile(customProfiles, profileId)))) return;
+  if (state.outputProfile === customProfileKey(profileId)) {
+    setState({ outputProfile: "linkedin" }, { rerender: false, label: "Change output profile" });
+  }
+  if (profileView.editingId === profileId) return editProfile(null);
+  render();
+}
+
+function updateProfileForm(key, value) {
+  if (!(key in profileView.form)) return;
+  profileView.form = { ...profileView.form, [key]: value };
+  render();
+}
+
+// Renders the editor's template against the open project
+function previewProfileForm() {
+  const draft = { id: "preview", name: profileView.form.name || "Preview", template: profileView.form.template };
+  return buildDraftText(buildLinkedInDraft(state), { ...state, outputProfile: customProfileKey(draft.id) }, [draft]);
+}
+
+function useProfile(profileId) {
+  profileView.open = false;
+  setState({ outputProfile: customProfileKey(profileId), phase: "draft" }, { label: "Change output profile" });
+}
+
+// ---------- Markdown import ----------
+// UI-only state for the import screens (not persisted): "markdown" edits a source,
+// "session" previews a validated project file until replace, new project or merge is chosen
+const importView = {
+  open: false,
+  kind: "markdown",
+  source: "",
+  session: null,
+  report: null,
+  fileName: "",
+  showUnchanged: false,
+  // Encrypted export waiting for its passphrase
+  encryptedFile: null,
+  error: "",
+};
+
+function openMarkdownImport() {
+  importView.open = true;
+  importView.kind = "markdown";
+  importView.source = "";
+  libraryView.open = false;
+  snapshotView.open = false;
+  profileView.open = false;
+  shortcutView.open = false;
+  render();
+}
+
+async function loadMarkdownFile(file) {
+  try {
+    importView.source = await file.text();
+  } catch (err) {
+    console.error(err);
+    showToast("Couldn't read that file.", "error");
+    return;
+  }
+  renderExternalChange();
+}
+
+function updateMarkdownSource(value) {
+  importView.source = value;
+  render();
+}
+
+function confirmMarkdownImport() {
+  const parsed = parseMarkdownImport(importView.source);
+  if (!parsed.intent && !parsed.claims.length) {
+    showToast("Nothing to import yet. Paste Markdown or choose a file.", "error");
+    return;
+  }
+  importView.open = false;
+  replaceState({ ...applyMarkdownImport(state, parsed), phase: "structure" }, { label: "Import Markdown" });
+  showToast("Markdown imported! Press Ctrl/Cmd+Z to undo.", "success");
+}
+
+// ---------- Thread editor ----------
+// What the X draft splits: the base draft with its Sources list
+function threadSourceText() {
+  return buildThreadSourceText(buildLinkedInDraft(state), state);
+}
+
+function currentThreadPosts() {
+  return getThreadPosts(threadSourceText(), state.xthread, OUTPUT_PROFILES.xthread.chunkSize);
+}
+
+// Any manual change locks the layout so regenerating from the draft doesn't undo it
+function setThreadLayout(posts, label) {
+  const lockedFrom = state.xthread.locked ? state.xthread.lockedFrom : threadSourceText();
+  setState({ xthread: { ...state.xthread, locked: true, posts, lockedFrom } }, { label });
+}
+
+function setThreadLocked(locked) {
+  if (locked) return setThreadLayout(currentThreadPosts(), "Lock thread");
+  setState({ xthread: { ...state.xthread, locked: false, posts: [], lockedFrom: "" } }, { label: "Unlock thread" });
+}
+
+function editThread(action, postIndex) {
+  const posts = currentThreadPosts();
+  if (action === "thread-move-back")
+    return setThreadLayout(moveSentence(posts, postIndex, 0, postIndex - 1), "Move sentence");
+  if (action === "thread-move-forward") {
+    return setThreadLayout(moveSentence(posts, postIndex, -1, postIndex + 1), "Move sentence");
+  }
+  if (action === "thread-merge") return setThreadLayout(mergeWithNext(posts, postIndex), "Merge posts");
+  if (action === "thread-split") return setThreadLayout(splitPost(posts, postIndex), "Split post");
+}
+
+function copyThreadPost(postIndex) {
+  const post = describeThreadPosts(currentThreadPosts(), state.xthread.numbering)[postIndex];
+  if (post) copyToClipboard(post.text);
+}
+
+// Draft text for the active output profile (built-in or custom)
+function currentDraftText() {
+  return buildDraftText(buildLinkedInDraft(state), state, customProfiles);
+}
+
+// Rich version of the draft for pasting into docs and mail clients
+function currentDraftHtml() {
+  return renderDraftHtml(currentDraftText(), state.outputProfile);
+}
+
+// Filename-safe name for the active output profile
+function outputProfileFileLabel() {
+  const custom = findCustomProfile(state.outputProfile, customProfiles);
+  if (!custom) return state.outputProfile || "linkedin";
+  return (
+    custom.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "custom"
+  );
+}
+
+function getActiveCount() {
+  return { nonEmptyClaims: state.claims.filter((c) => c.text.trim()).length };
+}
+
+// ---------- Claim reordering ----------
+// Claims (with their sub-claims) can be dragged by their handle on Structure and
+// Expression. The handle works from the keyboard too: Space picks the claim up, the
+// arrow keys move it (←/→ change its level), Space drops it and Escape puts it back.
+// A whole pick-up is one undo step. Every move is announced in a live region.
+const CLAIM_DRAG_TYPE = "application/x-inkwise-claim";
+
+const claimReorder = { claimId: null, original: null };
+
+/** @type {HTMLElement | null} */
+let announcer = null;
+
+// Outside #app, so re-renders don't touch it
+function announce(message) {
+  if (!announcer) {
+    announcer = document.createElement("div");
+    announcer.className = "sr-only";
+    announcer.setAttribute("role", "status");
+    announcer.setAttribute("aria-live", "polite");
+    document.body.appendChild(announcer);
+  }
+  announcer.textContent = message;
+}
+
+// Outline number of a claim as shown on the current page ("2.1")
+function claimPosition(claimId) {
+  const claims = state.phase === "expression" ? getCleanClaims(state.claims) : state.claims;
+  const index = claims.findIndex((c) => c.id === claimId);
+  return index < 0 ? "" : outlineNumbers(claims)[index];
+}
+
+function claimName(claimId) {
+  const text = (state.claims.find((c) => c.id === claimId)?.text || "").trim();
+  if (!text) return "Empty claim";
+  return `Claim “${text.length > 40 ? `${text.slice(0, 40)}…` : text}”`;
+}
+
+function grabClaim(claimId) {
+  if (claimReorder.claimId) return dropClaim();
+  Object.assign(claimReorder, { claimId, original: state.claims });
+  render();
+  announce(
+    `${claimName(claimId)} picked up at position ${claimPosition(claimId)}. Up and Down arrows move it, Left and Right change its level, Space drops it, Escape cancels.`
+  );
+}
+
+function moveGrabbedClaim(key) {
+  const { claimId } = claimReorder;
+  let claims = null;
+  if (key === "ArrowUp") claims = moveClaimBlock(state.claims, claimId, "up");
+  else if (key === "ArrowDown") claims = moveClaimBlock(state.claims, claimId, "down");
+  else if (key === "ArrowRight") claims = indentClaim(state.claims, claimId);
+  else if (key === "ArrowLeft") claims = outdentClaim(state.claims, claimId);
+  if (!claims) return announce(`${claimName(claimId)} can't move that way.`);
+  setState({ claims }, { undo: false });
+  announce(`${claimName(claimId)} moved to position ${claimPosition(claimId)}.`);
+}
+
+function dropClaim() {
+  const { claimId, original } = claimReorder;
+  Object.assign(claimReorder, { claimId: null, original: null });
+  if (!claimId) return;
+  if (state.claims === original) {
+    render();
+  } else {
+    // One undo step, back to the order before the pick-up
+    const claims = state.claims;
+    state = { ...state, claims: original };
+    setState({ claims }, { label: "Move claim" });
+  }
+  announce(`${claimName(claimId)} dropped at position ${claimPosition(claimId)}.`);
+}
+
+function cancelClaimMove() {
+  const { claimId, original } = claimReorder;
+  Object.assign(claimReorder, { claimId: null, original: null });
+  if (state.claims !== original) setState({ claims: original }, { undo: false });
+  else render();
+  announce(`Move cancelled. ${claimName(claimId)} is back at position ${claimPosition(claimId)}.`);
+}
+
+// Keys for the picked-up claim's handle; false for everything else
+function handleClaimReorderKey(e) {
+  const handle = /** @type {HTMLElement} */ (e.target);
+  if (handle.dataset?.action !== "grab-claim" || handle.dataset.claimId !== claimReorder.claimId) return false;
+  if (e.altKey || e.ctrlKey || e.metaKey) return false;
+  if (e.key === "Escape") cancelClaimMove();
+  else if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.key)) moveGrabbedClaim(e.key);
+  else return false;
+  e.preventDefault();
+  return true;
+}
+
+// The claim row (or Expression panel) under the pointer, and which half of it
+function claimDropTarget(e) {
+  const { dataTransfer } = /** @type {DragEvent} */ (e);
+  /** @type {HTMLElement | null} */
+  const row = /** @type {HTMLElement} */ (e.target).closest?.("[data-drop-claim]");
+  if (!row || !dataTransfer || !Array.from(dataTransfer.types || []).includes(CLAIM_DRAG_TYPE)) return null;
+  const rect = row.getBoundingClientRect();
+  /** @type {"before" | "after"} */
+  const position = /** @type {DragEvent} */ (e).clientY < rect.top + rect.height / 2 ? "before" : "after";
+  return { row, targetId: row.dataset.dropClaim, position };
+}
+
+function showClaimDropIndicator(target) {
+  root.querySelectorAll(".claim-drop--before, .claim-drop--after").forEach((el) => {
+    el.classList.remove("claim-drop--before", "claim-drop--after");
+  });
+  if (target) target.row.classList.add(`claim-drop--${target.position}`);
+}
+
+// ---------- Toast notifications ----------
+let toastTimeout = null;
+
+function showToast(message, type = "info") {
+  // Remove existing toast
+  const existing = document.querySelector(".toast");
+  if (existing) existing.remove();
+  if (toastTimeout) clearTimeout(toastTimeout);
+
+  const toast = document.createElement("div");
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute("role", "alert");
+  toast.setAttribute("aria-live", "polite");
+  toast.textContent = message;
+
+  document.body.appendChild(toast);
+
+  // Trigger animation
+  requestAnimationFrame(() => {
+    toast.classList.add("toast--visible");
+  });
+
+  toastTimeout = setTimeout(() => {
+    toast.classList.remove("toast--visible");
+    setTimeout(() => toast.remove(), 300);
+  }, 3000);
+}
+
+// ---------- Offline app updates ----------
+// A new version installs in the background (sw.js). The banner appears only once
+// the user has stopped typing, and the new version loads only when they choose it.
+let lastInputAt = 0;
+let pendingUpdate = null;
+
+function offerUpdate(activate) {
+  pendingUpdate = activate;
+  showUpdateBannerWhenIdle();
+}
+
+function showUpdateBannerWhenIdle() {
+  if (!pendingUpdate || document.querySelector(".update-banner")) return;
+  if (!canPromptForUpdate({ activeElement: document.activeElement, lastInputAt, now: Date.now() })) {
+    setTimeout(showUpdateBannerWhenIdle, UPDATE_IDLE_MS);
+    return;
+  }
+
+  // Lives outside #app so showing it never re-renders (or unfocuses) the editor
+  const banner = document.createElement("div");
+  banner.className = "update-banner";
+  banner.setAttribute("role", "status");
+  banner.innerHTML = `
+    <span>A new version of Inkwise is ready.</span>
+    <button type="button" data-update="apply" class="btn btn--small btn--primary">Reload</button>
+    <button type="button" data-update="later" class="btn btn--small btn--ghost">Later</button>
+  `;
+  banner.addEventListener("click", async (e) => {
+    /** @type {HTMLElement | null} */
+    const button = /** @type {HTMLElement} */ (e.target).closest("[data-update]");
+    if (!button) return;
+    banner.remove();
+    // "Later" leaves the new version waiting; it's offered again on the next visit
+    if (button.dataset.update !== "apply") return;
+    await saveStateImmediate();
+    pendingUpdate();
+  });
+  document.body.appendChild(banner);
+}
+
+/**
+ * Copies text to the clipboard; with `html`, writes both text/html and text/plain
+ * so rich editors keep the structure and plain fields still get the text
+ * @param {string} text
+ * @param {string} [html]
+ */
+async function copyToClipboard(text, html) {
+  try {
+    if (html && typeof ClipboardItem !== "undefined" && navigator.clipboard.write) {
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          "text/html": new Blob([html], { type: "text/html" }),
+          "text/plain": new Blob([text], { type: "text/plain" }),
+        }),
+      ]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+    showToast("Copied to clipboard!", "success");
+  } catch {
+    window.prompt("Copy this:", text);
+  }
+}
+
+function downloadTextFile(filename, text, type = "text/plain") {
+  downloadBlob(filename, new Blob([text], { type: `${type};charset=utf-8` }));
+}
+
+function downloadJsonFile(filename, obj) {
+  const text = JSON.stringify(obj, null, 2);
+  downloadBlob(filename, new Blob([text], { type: "application/json;charset=utf-8" }));
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ---------- Session Export / Import ----------
+function exportSession() {
+  const payload = createSessionExport(state);
+  downloadJsonFile(`inkwise_session_${fileStamp()}.json`, payload);
+}
 
 async function importSessionFromFile(file) {
   try {
@@ -534,20 +1459,96 @@ async function importSessionFromFile(file) {
     const result = extractStateFromImport(parsed);
 
     if (!result.success) {
-      const errorResult = /** @type {{ success: false, error: string }} */ (result);
+      const errorResult = /** @type {{ success: false, error: string, encrypted?: boolean }} */ (result);
+      if (errorResult.encrypted) return openImportView({ kind: "encrypted", encryptedFile: parsed }, file.name);
       showToast(errorResult.error, "error");
       return;
     }
 
-    replaceState(result.data, { rerender: true });
-    if (state.phase !== "draft") setPhase("draft");
-    showToast("Session imported successfully!", "success");
+    openImportView({ kind: "session", session: result.data, report: result.report }, file.name);
   } catch (err) {
     console.error(err);
     showToast("Import failed. Make sure this is a valid Inkwise session .json file.", "error");
   }
 }
 
+function openImportView(patch, fileName) {
+  Object.assign(importView, { open: true, fileName, error: "" }, patch);
+  libraryView.open = false;
+  snapshotView.open = false;
+  profileView.open = false;
+  shortcutView.open = false;
+  render();
+  // Ready to type the passphrase
+  if (importView.kind === "encrypted") {
+    /** @type {HTMLInputElement | null} */ (root.querySelector('input[data-field="import-passphrase"]'))?.focus();
+  }
+}
+
+async function decryptImport(passphrase) {
+  if (!passphrase) return;
+  let session;
+  try {
+    session = await decryptSessionExport(importView.encryptedFile, passphrase);
+  } catch (err) {
+    const error = err instanceof DecryptionError ? `${err.message}.` : "This file could not be decrypted.";
+    return openImportView({ error }, importView.fileName);
+  }
+
+  const result = extractStateFromImport(session);
+  if (!result.success) {
+    showToast(/** @type {{ success: false, error: string }} */ (result).error, "error");
+    return;
+  }
+  openImportView(
+    { kind: "session", session: result.data, report: result.report, encryptedFile: null },
+    importView.fileName
+  );
+}
+
+function closeSessionImport() {
+  importView.open = false;
+  importView.session = null;
+  importView.report = null;
+  importView.encryptedFile = null;
+  importView.error = "";
+}
+
+function replaceWithImport() {
+  const incoming = importView.session;
+  closeSessionImport();
+  replaceState(incoming, { rerender: true, label: "Import project" });
+  if (state.phase !== "draft") setPhase("draft");
+  showToast("Session imported successfully! Press Ctrl/Cmd+Z to undo.", "success");
+}
+
+async function openImportAsProject() {
+  if (blockedBySyncConflict()) return;
+  const incoming = importView.session;
+  await saveStateImmediate();
+  const project = createProject({ title: incoming.metadata?.title || "", state: incoming });
+  try {
+    await writeProject(project);
+  } catch (err) {
+    handleSaveError(err, "imported project");
+  }
+  closeSessionImport();
+  openProject(project);
+  showToast(`Opened as new project “${project.metadata.title}”.`, "success");
+}
+
+function mergeImport() {
+  const { state: merged, added, duplicates, renamed } = mergeImportedClaims(state, importView.session);
+  closeSessionImport();
+  replaceState(merged, { rerender: true, label: "Merge imported claims" });
+  showToast(
+    `Merged ${added} claim${added === 1 ? "" : "s"}${duplicates ? `, skipped ${duplicates} already here` : ""}${
+      renamed ? `, gave ${renamed} a new id` : ""
+    }. Press Ctrl/Cmd+Z to undo.`,
+    "success"
+  );
+}
+
 // ---------- Quickstart Presets ----------
 function presetLabel(id) {
   const map = {
@@ -573,12 +1574,13 @@ function makePreset(name, { intent, claims, expressions, linkedin }) {
       intent,
       claims: claimObjs.length ? claimObjs : [{ id: uuid(), text: "" }],
       expressions: exprMap,
+      expressionVariants: {},
       linkedin: {
-        ...state.linkedin,
+        ...clone(DEFAULT_STATE.linkedin),
         ...(linkedin || {}),
       },
       ui: {
-        ...state.ui,
+        ...clone(DEFAULT_STATE.ui),
         presetId: name,
       },
       phase: "draft",
@@ -658,8 +1660,9 @@ function applyPreset(presetId) {
       ui: { ...state.ui, presetId },
       phase: "draft",
     },
-    { rerender: true }
+    { rerender: true, label: `Load preset “${preset.label}”` }
   );
+  showToast("Example loaded. Press Ctrl/Cmd+Z to undo.", "success");
 }
 
 // ---------- Demo Project ----------
@@ -677,7 +1680,7 @@ async function loadDemoProject() {
       return;
     }
 
-    replaceState(result.data, { rerender: true });
+    replaceState(result.data, { rerender: true, label: "Load demo project" });
     showToast("Demo project loaded! Explore the workflow.", "success");
   } catch (err) {
     console.error(err);
@@ -724,14 +1727,6 @@ function renderProgress() {
 }
 
 // ---------- Empty State ----------
-function isFirstTimeUser() {
-  // Check if user has any content
-  const hasIntent = state.intent.trim().length > 0;
-  const hasClaims = state.claims.some((c) => c.text.trim().length > 0);
-  const hasExpressions = Object.values(state.expressions).some((e) => e.trim().length > 0);
-  return !hasIntent && !hasClaims && !hasExpressions;
-}
-
 function renderEmptyState() {
   return `
     <div class="empty-state">
@@ -750,71 +1745,626 @@ function renderEmptyState() {
 }
 
 // ---------- Export Functions ----------
-function buildMarkdownExport() {
-  const intent = (state.intent || "").trim();
-  const claims = getCleanClaims();
-  const paragraphs = getCleanParagraphs(claims);
+function downloadMarkdown() {
+  const md = buildMarkdownExport(state);
+  downloadTextFile(`inkwise_${outputProfileFileLabel()}_${fileStamp()}.md`, md);
+  showToast("Markdown downloaded!", "success");
+}
+
+function downloadHtml() {
+  const html = buildHtmlDocument(currentDraftHtml(), { title: deriveProjectTitle(state) });
+  downloadTextFile(`inkwise_${outputProfileFileLabel()}_${fileStamp()}.html`, html, "text/html");
+  showToast("HTML downloaded!", "success");
+}
+
+function downloadDocx() {
+  const bytes = createDocx(currentDraftText(), state.outputProfile, { title: deriveProjectTitle(state) });
+  downloadBlob(`inkwise_${outputProfileFileLabel()}_${fileStamp()}.docx`, new Blob([bytes], { type: DOCX_MIME_TYPE }));
+  showToast("Word document downloaded!", "success");
+}
 
-  const lines = [];
+async function exportProjectJson() {
+  /** @type {HTMLInputElement | null} */
+  const passphraseInput = root.querySelector('input[data-field="export-passphrase"]');
+  /** @type {HTMLInputElement | null} */
+  const confirmInput = root.querySelector('input[data-field="export-confirm"]');
+  const passphrase = passphraseInput ? passphraseInput.value : "";
+  const payload = createSessionExport(state);
 
-  if (intent) {
-    lines.push(`# ${intent}`);
-    lines.push("");
+  if (!passphrase) {
+    downloadJsonFile(`inkwise_project_${fileStamp()}.json`, payload);
+    showToast("Project exported!", "success");
+    return;
+  }
+  // A typo here would lock the file for good
+  if (!confirmInput || confirmInput.value !== passphrase) {
+    showToast("The passphrases don't match.", "error");
+    return;
   }
+  downloadJsonFile(`inkwise_project_${fileStamp()}.encrypted.json`, await encryptSessionExport(payload, passphrase));
+  passphraseInput.value = "";
+  confirmInput.value = "";
+  showToast("Encrypted project exported. Importing it needs the passphrase.", "success");
+}
 
-  if (claims.length && paragraphs.length) {
-    claims.forEach((c, i) => {
-      lines.push(`## ${c.text}`);
-      lines.push("");
-      if (paragraphs[i]) {
-        lines.push(paragraphs[i]);
-        lines.push("");
-      }
+// ---------- Command palette & keyboard shortcuts ----------
+// Every action is also a command: the palette (Cmd/Ctrl+K) searches them and
+// shortcuts run them (commands.js). Changed shortcuts are saved per browser.
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+/** @type {Record<string, string>} */
+let shortcutOverrides = {};
+
+// UI-only state for the shortcut settings; `recordingId` waits for a key press
+const shortcutView = { open: false, recordingId: null, error: "" };
+// The palette lives outside #app so re-renders leave it (and its query) alone
+const palette = { el: null, query: "", activeIndex: 0, results: [], returnFocus: null };
+
+const PHASE_LABELS = { intent: "Intent", structure: "Structure", expression: "Expression", draft: "Draft" };
+
+/**
+ * @typedef {object} Command
+ * @property {string} id - Ids with ":" are generated per item and can't have shortcuts
+ * @property {string} title
+ * @property {string} group
+ * @property {string} [keywords] - Extra search terms
+ * @property {string} [fixedShortcut] - Handled elsewhere (undo/redo); shown but not configurable
+ * @property {boolean} [available] - false hides it from the palette and ignores its shortcut
+ * @property {() => unknown} run
+ */
+
+/** @returns {Command[]} */
+function listCommands() {
+  const next = getNextPhase(state.phase);
+  const previous = getPreviousPhase(state.phase);
+  const claimId = focusedClaimId();
+  const claimIndex = state.claims.findIndex((c) => c.id === claimId);
+  const hasDraft = draftHasContent();
+
+  /** @type {Command[]} */
+  const commands = [
+    { id: "command-palette", title: "Command palette", group: "General", run: openPalette },
+    { id: "open-shortcuts", title: "Keyboard shortcuts", group: "General", run: openShortcuts },
+    {
+      id: "undo",
+      title: history.canUndo() ? `Undo ${history.peekUndoLabel()}` : "Undo",
+      group: "General",
+      fixedShortcut: "Mod+Z",
+      available: history.canUndo(),
+      run: undo,
+    },
+    {
+      id: "redo",
+      title: history.canRedo() ? `Redo ${history.peekRedoLabel()}` : "Redo",
+      group: "General",
+      fixedShortcut: "Mod+Shift+Z",
+      available: history.canRedo(),
+      run: redo,
+    },
+    { id: "lock-app", title: "Lock Inkwise", group: "General", available: !!vault, run: () => lockApp() },
+    {
+      id: "toggle-preview",
+      title: state.ui.showPreview ? "Hide live preview" : "Show live preview",
+      group: "General",
+      keywords: "split view draft",
+      available: state.phase !== "draft",
+      run: () => runAction("toggle-preview"),
+    },
+
+    ...Object.entries(PHASE_LABELS).map(([phase, label]) => ({
+      id: `phase-${phase}`,
+      title: `Go to ${label}`,
+      group: "Navigate",
+      keywords: "phase step",
+      run: () => showPhase(phase),
+    })),
+    {
+      id: "next-phase",
+      title: "Continue to next phase",
+      group: "Navigate",
+      keywords: next ? PHASE_LABELS[next] : "",
+      available: !!next,
+      run: () => showPhase(next),
+    },
+    {
+      id: "previous-phase",
+      title: "Back to previous phase",
+      group: "Navigate",
+      keywords: previous ? PHASE_LABELS[previous] : "",
+      available: !!previous,
+      run: () => showPhase(previous),
+    },
+    {
+      id: "open-library",
+      title: "Open projects",
+      group: "Navigate",
+      available: !libraryView.open,
+      run: () => runAction("open-library"),
+    },
+    {
+      id: "open-snapshots",
+      title: "Open snapshots",
+      group: "Navigate",
+      keywords: "versions history",
+      available: !snapshotView.open,
+      run: openSnapshots,
+    },
+    {
+      id: "open-profiles",
+      title: "Manage output profiles",
+      group: "Navigate",
+      keywords: "custom template",
+      available: !profileView.open,
+      run: openProfiles,
+    },
+
+    { id: "add-claim", title: "Add claim", group: "Claims", run: addClaimAndFocus },
+    {
+      id: "move-claim-up",
+      title: "Move claim up",
+      group: "Claims",
+      keywords: "reorder",
+      available: claimIndex >= 0 && !!moveClaimBlock(state.claims, claimId, "up"),
+      run: () => moveFocusedClaim(claimId, "up"),
+    },
+    {
+      id: "move-claim-down",
+      title: "Move claim down",
+      group: "Claims",
+      keywords: "reorder",
+      available: claimIndex >= 0 && !!moveClaimBlock(state.claims, claimId, "down"),
+      run: () => moveFocusedClaim(claimId, "down"),
+    },
+    {
+      id: "indent-claim",
+      title: "Indent claim",
+      group: "Claims",
+      keywords: "sub-point nest outline",
+      available: claimIndex >= 0 && !!indentClaim(state.claims, claimId),
+      run: () => moveFocusedClaim(claimId, "in"),
+    },
+    {
+      id: "outdent-claim",
+      title: "Outdent claim",
+      group: "Claims",
+      keywords: "sub-point unnest outline",
+      available: claimIndex >= 0 && !!outdentClaim(state.claims, claimId),
+      run: () => moveFocusedClaim(claimId, "out"),
+    },
+    {
+      id: "add-variant",
+      title: "Add expression take",
+      group: "Claims",
+      keywords: "variant alternative paragraph",
+      available: claimIndex >= 0 && getVariants(state, claimId).texts.length < MAX_VARIANTS,
+      run: () => {
+        if (state.phase !== "expression") showPhase("expression");
+        addVariantTake(claimId);
+      },
+    },
+    {
+      id: "compare-variants",
+      title: "Compare expression variants",
+      group: "Claims",
+      keywords: "takes alternatives combinations draft",
+      available: hasVariants(),
+      run: () => {
+        if (state.phase !== "draft") showPhase("draft");
+        compareView.open = true;
+        render();
+      },
+    },
+    {
+      id: "remove-claim",
+      title: "Remove claim",
+      group: "Claims",
+      keywords: "delete",
+      available: claimIndex >= 0,
+      run: () => removeFocusedClaim(claimId),
+    },
+
+    { id: "copy-draft", title: "Copy draft", group: "Export", available: hasDraft, run: () => runAction("copy-draft") },
+    { id: "copy-full", title: "Copy full breakdown", group: "Export", run: () => runAction("copy-full") },
+    {
+      id: "download-draft",
+      title: "Download .txt",
+      group: "Export",
+      keywords: "text",
+      available: hasDraft,
+      run: () => runAction("download-draft"),
+    },
+    {
+      id: "download-md",
+      title: "Download .md",
+      group: "Export",
+      keywords: "markdown",
+      available: hasDraft,
+      run: downloadMarkdown,
+    },
+    {
+      id: "download-html",
+      title: "Download .html",
+      group: "Export",
+      keywords: "web page",
+      available: hasDraft,
+      run: downloadHtml,
+    },
+    {
+      id: "download-docx",
+      title: "Download .docx",
+      group: "Export",
+      keywords: "word document",
+      available: hasDraft && DOCX_PROFILES.includes(state.outputProfile),
+      run: downloadDocx,
+    },
+    {
+      id: "export-project",
+      title: "Export project",
+      group: "Export",
+      keywords: "json backup",
+      run: exportProjectJson,
+    },
+
+    { id: "new-project", title: "New project", group: "Project", run: newProject },
+    { id: "import-session", title: "Import project file", group: "Project", keywords: "json", run: chooseSessionFile },
+    {
+      id: "open-markdown-import",
+      title: "Import Markdown",
+      group: "Project",
+      keywords: "md paste",
+      run: openMarkdownImport,
+    },
+    { id: "load-demo", title: "Load demo project", group: "Project", keywords: "example", run: loadDemoProject },
+  ];
+
+  for (const preset of PRESETS) {
+    commands.push({
+      id: `preset:${preset.id}`,
+      title: `Load preset: ${preset.label}`,
+      group: "Project",
+      keywords: "example quickstart",
+      run: () => applyPreset(preset.id),
+    });
+  }
+  for (const profile of listOutputProfiles(customProfiles)) {
+    commands.push({
+      id: `profile:${profile.key}`,
+      title: `Output: ${profile.label}`,
+      group: "Output",
+      keywords: "profile format",
+      available: profile.key !== state.outputProfile,
+      run: () => setState({ outputProfile: profile.key }, { label: "Change output profile" }),
     });
-  } else if (claims.length) {
-    claims.forEach((c) => {
-      lines.push(`- ${c.text}`);
+  }
+  for (const project of listProjects(library)) {
+    commands.push({
+      id: `project:${project.id}`,
+      title: `Switch to project: ${project.title}`,
+      group: "Project",
+      keywords: "open",
+      available: project.id !== state.metadata.id,
+      run: () => switchProject(project.id),
     });
-    lines.push("");
   }
+  return commands;
+}
 
-  return lines.join("\n").trim();
+// Commands whose shortcut can be changed
+function isConfigurableCommand(command) {
+  return !command.id.includes(":") && !command.fixedShortcut;
 }
 
-function downloadMarkdown() {
-  const md = buildMarkdownExport();
-  const profileKey = state.outputProfile || "linkedin";
-  downloadTextFile(`inkwise_${profileKey}_${fileStamp()}.md`, md);
-  showToast("Markdown downloaded!", "success");
+function configurableCommandIds() {
+  return listCommands()
+    .filter(isConfigurableCommand)
+    .map((c) => c.id);
 }
 
-function exportProjectJson() {
-  const payload = createSessionExport(state);
-  downloadJsonFile(`inkwise_project_${fileStamp()}.json`, payload);
-  showToast("Project exported!", "success");
+function shortcutBindings() {
+  return resolveShortcuts(shortcutOverrides);
 }
 
-// ---------- UI ----------
-function navButton(phase, label) {
-  const active = state.phase === phase;
-  return `
-    <button
-      data-action="set-phase"
-      data-phase="${phase}"
-      class="nav-btn ${active ? "nav-btn--active" : ""}"
-    >${escapeHtml(label)}</button>
-  `;
+function commandShortcutLabel(command, bindings = shortcutBindings()) {
+  const shortcut = command.fixedShortcut || bindings[command.id];
+  return shortcut ? formatShortcut(shortcut, { isMac: IS_MAC }) : "";
 }
 
-function pageShell(contentHtml) {
-  const { nonEmptyClaims } = getActiveCount();
+// Phase commands also leave any open panel (projects, snapshots…)
+function showPhase(phase) {
+  libraryView.open = false;
+  snapshotView.open = false;
+  profileView.open = false;
+  shortcutView.open = false;
+  if (importView.open) closeSessionImport();
+  setPhase(phase);
+}
 
-  const profileOptions = Object.entries(OUTPUT_PROFILES)
-    .map(
-      ([key, p]) =>
-        `<option value="${key}" ${state.outputProfile === key ? "selected" : ""}>${escapeHtml(p.label)}</option>`
-    )
+// The claim whose field or buttons had focus (before the palette took it)
+function focusedClaimId() {
+  const el = /** @type {HTMLElement | null} */ (palette.el ? palette.returnFocus : document.activeElement);
+  if (!el || !root.contains(el)) return null;
+  const owner = /** @type {HTMLElement | null} */ (el.closest("[data-claim-id]"));
+  return owner ? owner.dataset.claimId : null;
+}
+
+function addClaimAndFocus() {
+  if (state.phase !== "structure" || libraryView.open || snapshotView.open || profileView.open) showPhase("structure");
+  addClaim();
+  document.getElementById(`claim-${state.claims[state.claims.length - 1].id}`)?.focus();
+}
+
+// The moved claim keeps focus and the caret, so Alt+arrows can be pressed repeatedly
+function moveFocusedClaim(claimId, direction) {
+  const active = /** @type {HTMLTextAreaElement | null} */ (document.activeElement);
+  const inField = !!active && root.contains(active) && !!active.id && typeof active.selectionStart === "number";
+  const focusId = inField ? active.id : `claim-${claimId}`;
+  const selection = inField ? [active.selectionStart, active.selectionEnd] : null;
+
+  if (direction === "in") indentClaimById(claimId);
+  else if (direction === "out") outdentClaimById(claimId);
+  else moveClaim(claimId, direction);
+
+  const el = /** @type {HTMLTextAreaElement | null} */ (document.getElementById(focusId));
+  if (!el) return;
+  el.focus();
+  if (selection) el.setSelectionRange(selection[0], selection[1]);
+}
+
+function removeFocusedClaim(claimId) {
+  const index = state.claims.findIndex((c) => c.id === claimId);
+  removeClaim(claimId);
+  const next = state.claims[Math.min(index, state.claims.length - 1)];
+  if (next) document.getElementById(`claim-${next.id}`)?.focus();
+}
+
+// The file input lives on the Draft phase
+function chooseSessionFile() {
+  if (state.phase !== "draft" || libraryView.open || snapshotView.open || profileView.open) showPhase("draft");
+  runAction("import-session");
+}
+
+function openPalette() {
+  if (palette.el) return;
+  palette.returnFocus = /** @type {HTMLElement | null} */ (document.activeElement);
+  palette.query = "";
+  palette.activeIndex = 0;
+
+  const el = document.createElement("div");
+  el.className = "command-palette-backdrop";
+  el.innerHTML = `
+    <div class="command-palette" role="dialog" aria-modal="true" aria-label="Commands">
+      <input
+        type="text"
+        class="input command-palette-input"
+        role="combobox"
+        aria-expanded="true"
+        aria-controls="command-palette-list"
+        aria-autocomplete="list"
+        aria-label="Search commands"
+        placeholder="Type a command…"
+        autocomplete="off"
+        spellcheck="false"
+      />
+      <div id="command-palette-list" class="command-palette-list" role="listbox" aria-label="Commands"></div>
+    </div>
+  `;
+  el.addEventListener("input", (e) => {
+    palette.query = /** @type {HTMLInputElement} */ (e.target).value;
+    palette.activeIndex = 0;
+    updatePalette();
+  });
+  el.addEventListener("keydown", handlePaletteKey);
+  el.addEventListener("click", (e) => {
+    const target = /** @type {HTMLElement} */ (e.target);
+    /** @type {HTMLElement | null} */
+    const option = target.closest("[data-command-index]");
+    if (option) return runPaletteCommand(Number(option.dataset.commandIndex));
+    if (target === el) closePalette();
+  });
+
+  document.body.appendChild(el);
+  palette.el = el;
+  updatePalette();
+  /** @type {HTMLInputElement} */ (el.querySelector(".command-palette-input")).focus();
+}
+
+function closePalette() {
+  if (!palette.el) return;
+  palette.el.remove();
+  palette.el = null;
+  palette.results = [];
+  const previous = palette.returnFocus;
+  palette.returnFocus = null;
+  if (previous && previous.isConnected) previous.focus();
+}
+
+// Commands run after the palette closes, with focus back where it was
+function runPaletteCommand(index) {
+  const result = palette.results[index];
+  if (!result) return;
+  closePalette();
+  result.command.run();
+}
+
+function highlightMatches(text, indices) {
+  const marked = new Set(indices);
+  return text
+    .split("")
+    .map((ch, i) => (marked.has(i) ? `<mark>${escapeHtml(ch)}</mark>` : escapeHtml(ch)))
+    .join("");
+}
+
+function updatePalette() {
+  const commands = listCommands().filter((c) => c.available !== false && c.id !== "command-palette");
+  palette.results = searchCommands(commands, palette.query);
+  palette.activeIndex = Math.min(palette.activeIndex, Math.max(palette.results.length - 1, 0));
+
+  const bindings = shortcutBindings();
+  const list = palette.el.querySelector("#command-palette-list");
+  list.innerHTML = palette.results.length
+    ? palette.results
+        .map(({ command, indices }, i) => {
+          const active = i === palette.activeIndex;
+          const shortcut = commandShortcutLabel(command, bindings);
+          return `
+            <div id="command-option-${i}" class="command-option ${active ? "command-option--active" : ""}" role="option" aria-selected="${active}" data-command-index="${i}">
+              <span class="command-option-title">${highlightMatches(command.title, indices)}</span>
+              <span class="muted-sm">${escapeHtml(command.group)}</span>
+              ${shortcut ? `<kbd class="shortcut-key">${escapeHtml(shortcut)}</kbd>` : ""}
+            </div>
+          `;
+        })
+        .join("")
+    : '<div class="command-palette-empty muted">No matching commands.</div>';
+
+  const input = palette.el.querySelector(".command-palette-input");
+  if (palette.results.length) input.setAttribute("aria-activedescendant", `command-option-${palette.activeIndex}`);
+  else input.removeAttribute("aria-activedescendant");
+  list.querySelector(".command-option--active")?.scrollIntoView?.({ block: "nearest" });
+}
+
+/** @param {KeyboardEvent} e */
+function handlePaletteKey(e) {
+  const count = palette.results.length;
+  if (e.key === "Escape" || commandForEvent(e, shortcutBindings(), { isMac: IS_MAC }) === "command-palette") {
+    e.preventDefault();
+    return closePalette();
+  }
+  if (e.key === "Enter") {
+    e.preventDefault();
+    return runPaletteCommand(palette.activeIndex);
+  }
+  // Focus stays in the search field
+  if (e.key === "Tab") return e.preventDefault();
+  if ((e.key === "ArrowDown" || e.key === "ArrowUp") && count) {
+    e.preventDefault();
+    palette.activeIndex = (palette.activeIndex + (e.key === "ArrowDown" ? 1 : -1) + count) % count;
+    updatePalette();
+  }
+}
+
+async function loadShortcutOverrides() {
+  try {
+    return sanitizeShortcutOverrides(await storage.get(SHORTCUTS_KEY), configurableCommandIds());
+  } catch {
+    return {};
+  }
+}
+
+async function writeShortcutOverrides(next) {
+  try {
+    await storage.put(SHORTCUTS_KEY, next);
+  } catch (err) {
+    handleSaveError(err, "shortcuts");
+    return false;
+  }
+  shortcutOverrides = next;
+  tabSync.post({ type: "shortcuts-saved" });
+  return true;
+}
+
+function openShortcuts() {
+  Object.assign(shortcutView, { open: true, recordingId: null, error: "" });
+  libraryView.open = false;
+  snapshotView.open = false;
+  profileView.open = false;
+  importView.open = false;
+  render();
+}
+
+// Clicking Change again cancels the recording
+function editShortcut(commandId) {
+  shortcutView.recordingId = shortcutView.recordingId === commandId ? null : commandId;
+  shortcutView.error = "";
+  render();
+}
+
+// A key press while recording becomes the command's shortcut
+/** @param {KeyboardEvent} e */
+function recordShortcut(e) {
+  const shortcut = eventToShortcut(e, { isMac: IS_MAC });
+  // A modifier on its own: wait for the rest
+  if (!shortcut) return;
+  e.preventDefault();
+
+  if (shortcut === "Escape") {
+    Object.assign(shortcutView, { recordingId: null, error: "" });
+    return render();
+  }
+  if (getHistoryShortcut(e)) {
+    shortcutView.error = "That shortcut is kept for Undo and Redo.";
+    return render();
+  }
+  if (!isBindableShortcut(shortcut)) {
+    shortcutView.error = `${formatShortcut(shortcut, { isMac: IS_MAC })} would fire while typing. Add ${
+      IS_MAC ? "⌘, ⌃ or ⌥" : "Ctrl or Alt"
+    }, or use F1–F12.`;
+    return render();
+  }
+  return changeShortcut(shortcutView.recordingId, shortcut);
+}
+
+function commandTitle(commandId) {
+  return listCommands().find((c) => c.id === commandId)?.title || commandId;
+}
+
+/**
+ * @param {string} commandId
+ * @param {string} shortcut - "" removes it
+ */
+async function changeShortcut(commandId, shortcut) {
+  const { overrides, displaced } = assignShortcut(shortcutOverrides, commandId, shortcut);
+  Object.assign(shortcutView, { recordingId: null, error: "" });
+  const saved = await writeShortcutOverrides(overrides);
+  render();
+  if (saved && displaced) {
+    showToast(
+      `${formatShortcut(shortcut, { isMac: IS_MAC })} now runs “${commandTitle(commandId)}”. “${commandTitle(displaced)}” has no shortcut.`,
+      "info"
+    );
+  }
+}
+
+async function resetAllShortcuts() {
+  if (!confirm("Reset every keyboard shortcut to its default?")) return;
+  Object.assign(shortcutView, { recordingId: null, error: "" });
+  if (!(await writeShortcutOverrides({}))) return render();
+  render();
+  showToast("Keyboard shortcuts reset.", "success");
+}
+
+// ---------- UI ----------
+function navButton(phase, label) {
+  const active = state.phase === phase;
+  return `
+    <button
+      data-action="set-phase"
+      data-phase="${phase}"
+      class="nav-btn ${active ? "nav-btn--active" : ""}"
+    >${escapeHtml(label)}</button>
+  `;
+}
+
+function pageShell(contentHtml) {
+  const { nonEmptyClaims } = getActiveCount();
+
+  const profiles = listOutputProfiles(customProfiles);
+  // A project can point at a profile that was deleted (or came from another browser)
+  if (!profiles.some((p) => p.key === state.outputProfile)) {
+    profiles.push({ key: state.outputProfile, label: "Missing profile", custom: true });
+  }
+  const toOption = (p) =>
+    `<option value="${escapeHtml(p.key)}" ${state.outputProfile === p.key ? "selected" : ""}>${escapeHtml(p.label)}</option>`;
+  const builtInOptions = profiles
+    .filter((p) => !p.custom)
+    .map(toOption)
     .join("");
+  const customOptions = profiles
+    .filter((p) => p.custom)
+    .map(toOption)
+    .join("");
+  const profileOptions = customOptions
+    ? `<optgroup label="Built-in">${builtInOptions}</optgroup><optgroup label="Your profiles">${customOptions}</optgroup>`
+    : builtInOptions;
 
   const profilePicker = `
     <label class="profile-picker">
@@ -822,20 +2372,60 @@ function pageShell(contentHtml) {
       <select data-action="set-output-profile" class="select select--compact">
         ${profileOptions}
       </select>
+      <button data-action="open-profiles" class="btn btn--small" aria-pressed="${profileView.open}">Profiles</button>
     </label>
   `;
 
+  const projectOptions = listProjects(library)
+    .map(
+      (p) =>
+        `<option value="${escapeHtml(p.id)}" ${p.id === state.metadata.id ? "selected" : ""}>${escapeHtml(p.title)}</option>`
+    )
+    .join("");
+
+  const projectPicker = `
+    <div class="profile-picker">
+      <label class="profile-picker">
+        <span class="muted">Project</span>
+        <select data-action="switch-project" class="select select--compact">
+          ${projectOptions}
+        </select>
+      </label>
+      <button data-action="open-library" class="btn btn--small" aria-pressed="${libraryView.open}">Projects</button>
+      <button data-action="open-snapshots" class="btn btn--small" aria-pressed="${snapshotView.open}">Snapshots</button>
+      ${vault ? '<button data-action="lock-app" class="btn btn--small" title="Lock (needs your passphrase to reopen)">Lock</button>' : ""}
+    </div>
+  `;
+
+  const paletteShortcut = commandShortcutLabel({ id: "command-palette" });
+
   return `
     <div class="app-shell">
       <header class="app-header">
         <div>
           <div class="brand-title">Inkwise</div>
           <div class="brand-subtitle">Intent → Structure → Expression</div>
-          <div class="brand-meta">Claims: ${nonEmptyClaims}/${state.claims.length} • Autosave: on</div>
+          <div class="brand-meta">${escapeHtml(deriveProjectTitle(state))} • Claims: ${nonEmptyClaims}/${state.claims.length} • ${
+            persistence.error
+              ? `<span class="brand-meta--error" role="status">Autosave: ${escapeHtml(persistence.error)}</span>`
+              : "Autosave: on"
+          }</div>
         </div>
 
         <div class="header-right">
+          ${projectPicker}
           ${profilePicker}
+          <button data-action="command-palette" class="btn btn--small" title="${escapeHtml(
+            paletteShortcut ? `Search every command (${paletteShortcut})` : "Search every command"
+          )}">Commands</button>
+          <div class="row" role="group" aria-label="History">
+            <button data-action="undo" class="btn btn--small" ${history.canUndo() ? "" : "disabled"} title="${escapeHtml(
+              history.canUndo() ? `Undo ${history.peekUndoLabel()} (Ctrl/Cmd+Z)` : "Nothing to undo"
+            )}">↶ Undo</button>
+            <button data-action="redo" class="btn btn--small" ${history.canRedo() ? "" : "disabled"} title="${escapeHtml(
+              history.canRedo() ? `Redo ${history.peekRedoLabel()} (Ctrl/Cmd+Shift+Z)` : "Nothing to redo"
+            )}">↷ Redo</button>
+          </div>
           <nav class="nav">
             ${navButton("intent", "Intent")}
             ${navButton("structure", "Structure")}
@@ -845,8 +2435,10 @@ function pageShell(contentHtml) {
         </div>
       </header>
 
+      ${renderSyncConflict()}
+
       <main class="main-card">
-        ${renderProgress()}
+        ${libraryView.open || snapshotView.open || profileView.open || shortcutView.open || importView.open ? "" : renderProgress()}
         ${contentHtml}
       </main>
 
@@ -857,9 +2449,48 @@ function pageShell(contentHtml) {
   `;
 }
 
+function renderSyncConflict() {
+  if (!syncView.conflicts.length) return "";
+
+  const preview = (value) => {
+    let text;
+    if (value === undefined) text = "(deleted)";
+    else if (typeof value === "string") text = value.trim() ? value : "(empty)";
+    else if (Array.isArray(value)) text = value.map((v, i) => `${i + 1}. ${v}`).join(" ");
+    else if (value && typeof value === "object" && typeof value.text === "string") text = value.text || "(empty)";
+    else text = JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 119)}…` : text;
+  };
+  const rows = syncView.conflicts
+    .map(
+      (c) => `
+        <li>
+          <strong>${escapeHtml(c.label)}</strong>
+          <div class="muted-sm">This tab: ${escapeHtml(preview(c.local))}</div>
+          <div class="muted-sm">Other tab: ${escapeHtml(preview(c.remote))}</div>
+        </li>`
+    )
+    .join("");
+
+  return `
+    <div class="sync-conflict" role="alert">
+      <div class="panel-title panel-title--700">This project was also changed in another tab</div>
+      <div class="muted-sm">
+        Both tabs edited the fields below. Their other changes are already merged in; saving is paused
+        in this tab until you choose which version of these fields to keep.
+      </div>
+      <ul class="sync-conflict-list">${rows}</ul>
+      <div class="row">
+        <button data-action="sync-keep-mine" class="btn btn--primary">Keep this tab's version</button>
+        <button data-action="sync-use-theirs" class="btn">Use the other tab's version</button>
+      </div>
+    </div>
+  `;
+}
+
 function renderIntent() {
   // Show empty state for first-time users
-  if (isFirstTimeUser() && state.phase === "intent") {
+  if (isFirstTimeUser(state) && state.phase === "intent") {
     return renderEmptyState();
   }
 
@@ -886,42 +2517,62 @@ function renderIntent() {
   `;
 }
 
+// Described by every drag handle
+const REORDER_HINT = `<div class="sr-only" id="reorder-hint">Drag, or press Space to pick up and move with the arrow keys.</div>`;
+
+function renderClaimHandle(claimId, number, grabbed) {
+  return `<button data-action="grab-claim" data-claim-id="${claimId}" class="drag-handle ${grabbed ? "drag-handle--grabbed" : ""}" draggable="true" aria-pressed="${grabbed}" aria-label="Reorder claim ${number}" aria-describedby="reorder-hint">⠿</button>`;
+}
+
 function renderStructure() {
+  const numbers = outlineNumbers(state.claims);
   return `
     <h2 class="h2">Structure</h2>
-    <div class="muted" id="structure-hint">Turn intent into ordered claims.</div>
+    <div class="muted" id="structure-hint">Turn intent into ordered claims. Indent a claim to make it a supporting point of the claim above.</div>
+    ${REORDER_HINT}
 
     <div class="spacer-10"></div>
 
     <div class="stack" role="list" aria-label="Claims">
       ${state.claims
-        .map(
-          (c, idx) => `
-          <div class="claim-row" role="listitem">
-            <div class="claim-index" aria-hidden="true">${idx + 1}.</div>
-
-            <label for="claim-${c.id}" class="sr-only">Claim ${idx + 1}</label>
-            <textarea
-              id="claim-${c.id}"
-              data-field="claim"
-              data-claim-id="${c.id}"
-              placeholder="Claim (one clear point)"
-              class="textarea textarea--h70"
-              style="flex:1;"
-              aria-describedby="structure-hint"
-            >${escapeHtml(c.text)}</textarea>
-
-            <div class="claim-actions" role="group" aria-label="Claim ${idx + 1} actions">
-              <button data-action="move-claim" data-claim-id="${c.id}" data-dir="up" class="mini-btn" aria-label="Move claim ${idx + 1} up" ${idx === 0 ? "disabled" : ""}>↑</button>
-              <button data-action="move-claim" data-claim-id="${c.id}" data-dir="down" class="mini-btn" aria-label="Move claim ${idx + 1} down" ${idx === state.claims.length - 1 ? "disabled" : ""}>↓</button>
-              <button data-action="remove-claim" data-claim-id="${c.id}" class="mini-btn mini-btn--ghost" aria-label="Remove claim ${idx + 1}">✕</button>
+        .map((c, idx) => {
+          const number = numbers[idx];
+          const depth = claimDepth(c);
+          const grabbed = claimReorder.claimId === c.id;
+          return `
+          <div class="claim-row claim-row--depth-${depth} ${grabbed ? "claim-row--grabbed" : ""}" role="listitem" aria-level="${depth + 1}" data-key="${c.id}" data-drop-claim="${c.id}">
+            ${renderClaimHandle(c.id, number, grabbed)}
+            <div class="claim-index" aria-hidden="true">${number}.</div>
+
+            <div class="claim-body">
+              <label for="claim-${c.id}" class="sr-only">Claim ${number}</label>
+              <textarea
+                id="claim-${c.id}"
+                data-field="claim"
+                data-claim-id="${c.id}"
+                placeholder="Claim (one clear point)"
+                class="textarea textarea--h70"
+                aria-describedby="structure-hint"
+              >${escapeHtml(c.text)}</textarea>
+              ${renderClaimNotes(c, number)}
+              ${renderClaimSources(c, number)}
+            </div>
+
+            <div class="claim-actions" role="group" aria-label="Claim ${number} actions">
+              <button data-action="move-claim" data-claim-id="${c.id}" data-dir="up" class="mini-btn" aria-label="Move claim ${number} up" ${moveClaimBlock(state.claims, c.id, "up") ? "" : "disabled"}>↑</button>
+              <button data-action="move-claim" data-claim-id="${c.id}" data-dir="down" class="mini-btn" aria-label="Move claim ${number} down" ${moveClaimBlock(state.claims, c.id, "down") ? "" : "disabled"}>↓</button>
+              <button data-action="outdent-claim" data-claim-id="${c.id}" class="mini-btn" aria-label="Outdent claim ${number}" ${depth ? "" : "disabled"}>←</button>
+              <button data-action="indent-claim" data-claim-id="${c.id}" class="mini-btn" aria-label="Indent claim ${number} under the claim above" ${indentClaim(state.claims, c.id) ? "" : "disabled"}>→</button>
+              <button data-action="remove-claim" data-claim-id="${c.id}" class="mini-btn mini-btn--ghost" aria-label="Remove claim ${number}">✕</button>
             </div>
           </div>
-        `
-        )
+        `;
+        })
         .join("")}
     </div>
 
+    ${renderProjectNotes()}
+
     <div class="row" style="margin-top:12px;">
       <button data-action="add-claim" class="btn">+ Add claim</button>
       <button data-action="continue" data-next="expression" class="btn btn--primary">Continue to Expression →</button>
@@ -929,8 +2580,72 @@ function renderStructure() {
   `;
 }
 
+// Private notes: shown on Structure and Expression, never read by the draft builders
+function renderClaimNotes(claim, number) {
+  return `
+    <label for="notes-${claim.id}" class="sr-only">Private notes for claim ${number}</label>
+    <textarea
+      id="notes-${claim.id}"
+      data-field="claim-notes"
+      data-claim-id="${claim.id}"
+      placeholder="Private notes (never in drafts)"
+      class="textarea notes-field"
+    >${escapeHtml(claim.notes || "")}</textarea>
+  `;
+}
+
+function renderProjectNotes() {
+  return `
+    <div class="panel notes-panel">
+      <label for="project-notes" class="panel-title panel-title--700">Project notes</label>
+      <div class="muted-sm" id="project-notes-hint">Research, counterarguments, reminders. Never part of a draft; the full breakdown can include them.</div>
+      <textarea
+        id="project-notes"
+        data-field="project-notes"
+        placeholder="Notes for yourself…"
+        class="textarea notes-field"
+        aria-describedby="project-notes-hint"
+      >${escapeHtml(state.notes || "")}</textarea>
+    </div>
+  `;
+}
+
+const SOURCE_LABELS = { url: "URL", title: "Title", author: "Author", date: "Date", quote: "Quote" };
+
+function renderClaimSources(claim, number) {
+  const sources = claim.sources || [];
+  return `
+    <div class="claim-sources" role="group" aria-label="Sources for claim ${number}">
+      ${sources
+        .map((source, i) => {
+          const sourceId = escapeHtml(source.id);
+          return `
+        <div class="source-card" data-key="${sourceId}">
+          <div class="source-fields">
+            ${SOURCE_FIELDS.map((key) => {
+              const id = `source-${sourceId}-${key}`;
+              const attrs = `id="${id}" data-field="source" data-claim-id="${claim.id}" data-source-id="${sourceId}" data-source-key="${key}"`;
+              const control =
+                key === "quote"
+                  ? `<textarea ${attrs} class="textarea textarea--h70" placeholder="Quote (optional)">${escapeHtml(source[key])}</textarea>`
+                  : `<input ${attrs} class="input" type="${key === "url" ? "url" : "text"}" value="${escapeHtml(source[key])}" placeholder="${SOURCE_LABELS[key]}" />`;
+              return `
+              <label for="${id}" class="sr-only">Source ${i + 1} ${SOURCE_LABELS[key]}</label>
+              <div class="source-field source-field--${key}">${control}</div>`;
+            }).join("")}
+          </div>
+          <button data-action="remove-source" data-claim-id="${claim.id}" data-source-id="${sourceId}" class="mini-btn mini-btn--ghost" aria-label="Remove source ${i + 1} from claim ${number}">✕</button>
+        </div>
+      `;
+        })
+        .join("")}
+      <button data-action="add-source" data-claim-id="${claim.id}" class="btn btn--small" aria-label="Add a source to claim ${number}">+ Source</button>
+    </div>
+  `;
+}
+
 function renderExpression() {
-  const claims = getCleanClaims();
+  const claims = getCleanClaims(state.claims);
 
   if (!claims.length) {
     return `
@@ -947,9 +2662,11 @@ function renderExpression() {
     `;
   }
 
+  const numbers = outlineNumbers(claims);
   return `
     <h2 class="h2">Expression</h2>
     <div class="muted" id="expression-hint">Write the paragraphs that support your ordered claims.</div>
+    ${REORDER_HINT}
 
     <div class="spacer-10"></div>
 
@@ -957,9 +2674,15 @@ function renderExpression() {
       ${claims
         .map((c, idx) => {
           const current = state.expressions[c.id] || "";
+          const number = numbers[idx];
+          const grabbed = claimReorder.claimId === c.id;
           return `
-            <div class="panel">
-              <label for="expr-${c.id}" class="panel-title--700">${idx + 1}. ${escapeHtml(c.text)}</label>
+            <div class="panel expression-panel expression-panel--depth-${claimDepth(c)} ${grabbed ? "claim-row--grabbed" : ""}" data-key="${c.id}" data-drop-claim="${c.id}">
+              <div class="expression-panel-head">
+                ${renderClaimHandle(c.id, number, grabbed)}
+                <label for="expr-${c.id}" class="panel-title--700">${number}. ${escapeHtml(c.text)}</label>
+              </div>
+              ${renderVariantBar(c.id, number)}
               <textarea
                 id="expr-${c.id}"
                 data-field="expression"
@@ -968,183 +2691,1238 @@ function renderExpression() {
                 class="textarea textarea--h110"
                 aria-describedby="expression-hint"
               >${escapeHtml(current)}</textarea>
+              ${renderClaimNotes(c, number)}
             </div>
           `;
         })
         .join("")}
     </div>
 
+    ${renderProjectNotes()}
+
     <div class="row" style="margin-top:12px;">
       <button data-action="continue" data-next="draft" class="btn btn--primary">Continue to Draft →</button>
     </div>
   `;
 }
 
-function renderDraft() {
-  const baseDraft = buildLinkedInDraft();
-  const formattedDraft = buildDraftText(baseDraft);
-  const full = buildFullBreakdown();
-  const hasContent = baseDraft.trim().length > 0 && !baseDraft.includes("Add intent/claims/expressions");
-
-  const cfg = state.linkedin;
-  const profile = OUTPUT_PROFILES[state.outputProfile] || OUTPUT_PROFILES.linkedin;
-  const profileKey = state.outputProfile;
-
-  // Character counter
-  const charCount = formattedDraft.length;
-  const maxChars = profile.maxChars;
-  const isOverLimit = charCount > maxChars;
-  const charCountClass = isOverLimit ? "char-count char-count--over" : "char-count";
-
-  const presetOptions = PRESETS.map(
-    (p) => `<option value="${p.id}" ${state.ui.presetId === p.id ? "selected" : ""}>${escapeHtml(p.label)}</option>`
-  ).join("");
+// Takes of a claim's paragraph: one button per take (pressed = active), add and remove
+function renderVariantBar(claimId, number) {
+  const { texts, active } = getVariants(state, claimId);
+  const tabs =
+    texts.length > 1
+      ? texts
+          .map((text, i) => {
+            const label = variantLabel(i);
+            const preview = text.trim().slice(0, 80) || "(empty)";
+            return `<button data-action="select-variant" data-claim-id="${claimId}" data-index="${i}" class="mini-btn variant-tab" aria-pressed="${i === active}" title="${escapeHtml(preview)}" aria-label="Take ${label} of claim ${number}">${label}</button>`;
+          })
+          .join("")
+      : "";
+  return `
+    <div class="variant-bar" role="group" aria-label="Takes for claim ${number}">
+      ${tabs}
+      <button data-action="add-variant" data-claim-id="${claimId}" class="btn btn--small" aria-label="Add a take for claim ${number}" ${texts.length >= MAX_VARIANTS ? "disabled" : ""}>+ Take</button>
+      ${
+        texts.length > 1
+          ? `<button data-action="remove-variant" data-claim-id="${claimId}" data-index="${active}" class="mini-btn mini-btn--ghost" aria-label="Remove take ${variantLabel(active)} of claim ${number}">✕</button>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+// ---------- Variant comparison (Draft page) ----------
+const compareView = { open: false };
+
+function hasVariants() {
+  return Object.keys(state.expressionVariants || {}).length > 0;
+}
+
+function currentCombinations() {
+  const claimIds = getCleanClaims(state.claims).map((c) => c.id);
+  return variantCombinations(state, claimIds);
+}
+
+// The formatted draft a combination of takes produces. A locked thread layout belongs to
+// the active takes, so the comparison always re-splits.
+function combinationDraft(combination) {
+  const variantState = {
+    ...state,
+    expressions: combinationExpressions(state, combination),
+    xthread: { ...state.xthread, locked: false },
+  };
+  return buildDraftText(buildLinkedInDraft(variantState), variantState, customProfiles);
+}
+
+// "1: A · 2.1: B" (only claims that have takes)
+function describeCombination(combination) {
+  const claims = getCleanClaims(state.claims);
+  const numbers = outlineNumbers(claims);
+  return claims
+    .map((c, i) => (c.id in combination ? `${numbers[i]}: ${variantLabel(combination[c.id])}` : ""))
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function useCombination(index) {
+  const combination = currentCombinations().combinations[index];
+  if (!combination) return;
+  setState(selectCombination(state, combination), { rerender: true, label: "Use variant combination" });
+  showToast("Takes switched. Press Ctrl/Cmd+Z to undo.", "success");
+}
+
+function renderCompareVariants(profile) {
+  const { combinations, total } = currentCombinations();
+  return `
+    <div class="panel compare-panel">
+      <div class="row-between">
+        <div class="panel-title panel-title--700">Compare variants</div>
+        <div class="muted-sm">${combinations.length < total ? `First ${combinations.length} of ${total} combinations` : `${total} combinations`}</div>
+      </div>
+      <div class="compare-grid">
+        ${combinations
+          .map((combination, i) => {
+            const text = combinationDraft(combination);
+            return `
+          <div class="compare-card ${i === 0 ? "compare-card--current" : ""}" data-key="combination-${i}">
+            <div class="row-between">
+              <div class="panel-title">${i === 0 ? "Current" : `Option ${i + 1}`}</div>
+              ${renderCharMeter(text, profile)}
+            </div>
+            <div class="muted-sm">${escapeHtml(describeCombination(combination))}</div>
+            <div class="preview preview--small">${escapeHtml(text)}</div>
+            ${
+              i === 0
+                ? ""
+                : `<button data-action="use-combination" data-combination="${i}" class="btn btn--small">Use these takes</button>`
+            }
+          </div>
+        `;
+          })
+          .join("")}
+      </div>
+    </div>
+  `;
+}
+
+// The full breakdown, with the private notes when the Draft page asks for them
+function currentBreakdown() {
+  return buildFullBreakdown(state, { includeNotes: state.ui.breakdownNotes });
+}
+
+// Characters used against the profile's limit (Draft page and live preview)
+function renderCharMeter(text, profile) {
+  const over = text.length > profile.maxChars;
+  return `<span class="char-count ${over ? "char-count--over" : ""}">${text.length.toLocaleString()} / ${profile.maxChars.toLocaleString()}</span>`;
+}
+
+// False while the draft is still the placeholder
+function draftHasContent(baseDraft = buildLinkedInDraft(state)) {
+  return baseDraft.trim().length > 0 && !baseDraft.includes("Add intent/claims/expressions");
+}
+
+function renderDraft() {
+  const baseDraft = buildLinkedInDraft(state);
+  const formattedDraft = buildDraftText(baseDraft, state, customProfiles);
+  const full = currentBreakdown();
+  const hasContent = draftHasContent(baseDraft);
+
+  const cfg = state.linkedin;
+  const profile = getOutputProfile(state.outputProfile, customProfiles) || OUTPUT_PROFILES.linkedin;
+  const profileKey = state.outputProfile;
+
+  const presetOptions = PRESETS.map(
+    (p) => `<option value="${p.id}" ${state.ui.presetId === p.id ? "selected" : ""}>${escapeHtml(p.label)}</option>`
+  ).join("");
+
+  // Show LinkedIn controls only for linkedin profile
+  const showLinkedInControls = profileKey === "linkedin";
+
+  return `
+    <h2 class="h2">Draft</h2>
+    <div class="muted">${escapeHtml(profile.label)} output + controls + presets + exports.</div>
+    <div class="muted-sm" style="margin-top:4px;">${escapeHtml(profile.hint)}</div>
+
+    <div class="spacer-10"></div>
+
+    <div class="grid-2">
+      <div class="panel">
+        <div class="panel-title">Quickstart Presets</div>
+
+        <div class="row">
+          <select data-field="ui-presetId" class="select">${presetOptions}</select>
+          <button data-action="load-preset" class="btn">Load Example</button>
+        </div>
+
+        <div class="muted-sm" style="margin-top:10px;">
+          Loads a complete example into Intent/Structure/Expression and jumps you to Draft.
+        </div>
+
+        <div class="divider"></div>
+
+        <div class="panel-title">Export Options</div>
+        <div class="row" style="flex-wrap: wrap;">
+          <button data-action="copy-draft" class="btn" ${!hasContent ? "disabled" : ""}>Copy Text</button>
+          <button data-action="download-draft" class="btn" ${!hasContent ? "disabled" : ""}>Download .txt</button>
+          <button data-action="download-md" class="btn" ${!hasContent ? "disabled" : ""}>Download .md</button>
+          ${
+            DOCX_PROFILES.includes(state.outputProfile)
+              ? `<button data-action="download-docx" class="btn" ${!hasContent ? "disabled" : ""}>Download .docx</button>`
+              : ""
+          }
+          <button data-action="download-html" class="btn" ${!hasContent ? "disabled" : ""}>Download .html</button>
+          <button data-action="export-project" class="btn">Export Project</button>
+        </div>
+        <div class="row" style="margin-top:10px;">
+          <label for="export-passphrase" class="sr-only">Export passphrase</label>
+          <input id="export-passphrase" type="password" data-field="export-passphrase" class="input" style="flex:1;" autocomplete="new-password" placeholder="Passphrase for Export Project (optional)" />
+          <label for="export-confirm" class="sr-only">Repeat export passphrase</label>
+          <input id="export-confirm" type="password" data-field="export-confirm" class="input" style="flex:1;" autocomplete="new-password" placeholder="Repeat passphrase" />
+        </div>
+        <div class="muted-sm" style="margin-top:10px;">
+          Copy or download your draft. Export Project saves everything for later import; with a passphrase the file is encrypted.
+        </div>
+
+        <div class="divider"></div>
+
+        <div class="panel-title">Import</div>
+        <div class="row">
+          <button data-action="import-session" class="btn">Import Project (.json)</button>
+          <input type="file" accept="application/json" data-field="session-file" style="display:none;" />
+          <button data-action="open-markdown-import" class="btn">Import Markdown (.md)</button>
+        </div>
+        <div class="muted-sm" style="margin-top:10px;">
+          Preview an exported project, then replace this one, open it as a new project or merge its claims. Markdown rebuilds intent, claims and expressions.
+        </div>
+
+        ${
+          showLinkedInControls
+            ? `
+        <div class="divider"></div>
+
+        <div class="panel-title panel-title--700">LinkedIn Controls</div>
+
+        <div class="label">Hook override (optional)</div>
+        <textarea data-field="li-hookOverride" class="textarea textarea--h70" placeholder="If blank, uses Intent as the hook.">${escapeHtml(
+          cfg.hookOverride
+        )}</textarea>
+
+        <div class="spacer-10"></div>
+
+        ${checkboxRow("li-includeBullets", cfg.includeBullets, "Include bullet section")}
+        <div class="label">Bullet intro</div>
+        <input data-field="li-bulletIntro" value="${escapeHtml(cfg.bulletIntro)}" class="input" />
+        <div class="label">Max bullets</div>
+        <input data-field="li-maxBullets" value="${escapeHtml(cfg.maxBullets)}" inputmode="numeric" class="input" />
+
+        <div class="spacer-10"></div>
+
+        ${checkboxRow("li-includeCTA", cfg.includeCTA, "Include CTA")}
+        <div class="label">CTA text</div>
+        <input data-field="li-ctaText" value="${escapeHtml(cfg.ctaText)}" class="input" />
+
+        <div class="spacer-10"></div>
+
+        ${checkboxRow("li-includeHashtags", cfg.includeHashtags, "Include hashtags")}
+        <div class="label">Hashtags</div>
+        <input data-field="li-hashtags" value="${escapeHtml(cfg.hashtags)}" class="input" />
+
+        <div class="spacer-10"></div>
+
+        ${checkboxRow("li-includeSignature", cfg.includeSignature, "Include signature")}
+        <div class="label">Signature</div>
+        <input data-field="li-signature" value="${escapeHtml(cfg.signature)}" class="input" />
+        `
+            : ""
+        }
+
+        ${renderProfileControls(profileKey)}
+
+        <div class="row" style="margin-top:12px;">
+          <button data-action="copy-draft" class="btn" ${!hasContent ? "disabled" : ""}>Copy ${escapeHtml(profile.label)}</button>
+          <button data-action="download-draft" class="btn" ${!hasContent ? "disabled" : ""}>Download .txt</button>
+          <button data-action="download-html" class="btn" ${!hasContent ? "disabled" : ""}>Download .html</button>
+          <button data-action="download-full" class="btn" ${!hasContent ? "disabled" : ""}>Download Breakdown</button>
+          <button data-action="set-phase" data-phase="expression" class="btn">← Back</button>
+        </div>
+      </div>
+
+      <div class="col">
+        <div class="panel">
+          <div class="row-between">
+            <div class="panel-title panel-title--700">${escapeHtml(profile.label)} Ready</div>
+            <div class="row" style="gap:12px; align-items:center;">
+              ${renderCharMeter(formattedDraft, profile)}
+              ${
+                hasVariants()
+                  ? `<button data-action="toggle-compare" class="btn btn--small" aria-pressed="${compareView.open}">Compare variants</button>`
+                  : ""
+              }
+              <button data-action="copy-draft" class="btn btn--small" ${!hasContent ? "disabled" : ""}>Copy</button>
+              <button data-action="download-draft" class="btn btn--small" ${!hasContent ? "disabled" : ""}>Download</button>
+            </div>
+          </div>
+
+          ${
+            profileKey === "xthread"
+              ? renderThreadCards(hasContent)
+              : `<div class="preview">${escapeHtml(formattedDraft || "(Add intent/claims/expressions to generate a draft.)")}</div>`
+          }
+        </div>
+
+        <div class="panel">
+          <div class="row-between">
+            <div class="panel-title panel-title--700">Full Breakdown (for you)</div>
+            <div class="row" style="align-items:center;">
+              ${checkboxRow("ui-breakdownNotes", state.ui.breakdownNotes, "Include notes")}
+              <button data-action="copy-full" class="btn btn--small" ${!hasContent ? "disabled" : ""}>Copy</button>
+              <button data-action="download-full" class="btn btn--small" ${!hasContent ? "disabled" : ""}>Download</button>
+            </div>
+          </div>
+
+          <div class="preview preview--small">${escapeHtml(full || "")}</div>
+        </div>
+      </div>
+    </div>
+
+    ${compareView.open && hasVariants() ? renderCompareVariants(profile) : ""}
+  `;
+}
+
+// One card per thread post; sentences can be dragged onto another card
+function renderThreadCards(hasContent) {
+  const size = OUTPUT_PROFILES.xthread.chunkSize;
+  const posts = describeThreadPosts(currentThreadPosts(), state.xthread.numbering, size);
+  if (!hasContent || !posts.length) {
+    return '<div class="preview">(Add intent/claims/expressions to generate a draft.)</div>';
+  }
+
+  const { locked, lockedFrom } = state.xthread;
+  const stale = locked && lockedFrom !== threadSourceText();
+  const last = posts.length - 1;
+
+  const cards = posts
+    .map((post, i) => {
+      const sentences = post.sentences
+        .map(
+          (s, si) =>
+            `${si ? escapeHtml(s.sep) : ""}<span class="thread-sentence" draggable="true" data-post-index="${i}" data-sentence-index="${si}">${escapeHtml(s.text)}</span>`
+        )
+        .join("");
+      return `
+        <div class="thread-card ${post.over ? "thread-card--over" : ""}" data-post-index="${i}" role="listitem" aria-label="Post ${i + 1} of ${posts.length}">
+          <div class="row-between">
+            <span class="muted-sm">Post ${i + 1}/${posts.length}</span>
+            <span class="char-count ${post.over ? "char-count--over" : ""}">${post.length} / ${size}</span>
+          </div>
+          <div class="thread-card-text">${sentences}</div>
+          <div class="row thread-card-actions">
+            <button data-action="copy-post" data-post-index="${i}" class="btn btn--small">Copy</button>
+            <button data-action="thread-move-back" data-post-index="${i}" class="btn btn--small btn--ghost" ${i === 0 ? "disabled" : ""} title="Move this post's first sentence to the previous post">↑ First sentence</button>
+            <button data-action="thread-move-forward" data-post-index="${i}" class="btn btn--small btn--ghost" ${i === last ? "disabled" : ""} title="Move this post's last sentence to the next post">↓ Last sentence</button>
+            <button data-action="thread-split" data-post-index="${i}" class="btn btn--small btn--ghost" ${post.sentences.length < 2 ? "disabled" : ""}>Split</button>
+            <button data-action="thread-merge" data-post-index="${i}" class="btn btn--small btn--ghost" ${i === last ? "disabled" : ""}>Merge with next</button>
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="row-between">
+      ${checkboxRow("xthread-locked", locked, "Lock layout (keep my edits when the draft changes)")}
+      <span class="muted-sm">Drag a sentence onto another post to move it.</span>
+    </div>
+    ${
+      stale
+        ? '<div class="muted-sm thread-stale" role="status">The draft changed since this layout was locked. Unlock to regenerate the thread.</div>'
+        : ""
+    }
+    <div class="thread-cards" role="list" aria-label="Thread posts">${cards}</div>
+  `;
+}
+
+// Draft-page controls for the non-LinkedIn profiles (empty for profiles without options)
+function renderProfileControls(profileKey) {
+  if (profileKey === "email") {
+    const cfg = state.email;
+    return `
+        <div class="divider"></div>
+
+        <div class="panel-title panel-title--700">Email Controls</div>
+
+        <div class="label">Subject (optional)</div>
+        <input data-field="email-subject" value="${escapeHtml(cfg.subject)}" class="input" placeholder="If blank, uses the LinkedIn hook or Intent." />
+        <div class="label">Fallback subject</div>
+        <input data-field="email-subjectFallback" value="${escapeHtml(cfg.subjectFallback)}" class="input" />
+        <div class="label">Greeting</div>
+        <input data-field="email-greeting" value="${escapeHtml(cfg.greeting)}" class="input" placeholder="e.g. Hi team," />
+        <div class="label">Sign-off</div>
+        <textarea data-field="email-signOff" class="textarea textarea--h70" placeholder="e.g. Thanks,&#10;Sam">${escapeHtml(
+          cfg.signOff
+        )}</textarea>
+    `;
+  }
+
+  if (profileKey === "memo") {
+    const cfg = state.memo;
+    return `
+        <div class="divider"></div>
+
+        <div class="panel-title panel-title--700">Memo Controls</div>
+
+        <div class="label">Title (optional)</div>
+        <input data-field="memo-title" value="${escapeHtml(cfg.title)}" class="input" placeholder="If blank, uses Intent." />
+        <div class="label">TL;DR bullets</div>
+        <input data-field="memo-tldrCount" value="${escapeHtml(cfg.tldrCount)}" inputmode="numeric" class="input" />
+        <div class="label">Next steps (one per line)</div>
+        <textarea data-field="memo-nextSteps" class="textarea textarea--h70" placeholder="Share with the team&#10;Decide by Friday">${escapeHtml(
+          cfg.nextSteps
+        )}</textarea>
+    `;
+  }
+
+  if (profileKey === "blog") {
+    const cfg = state.blog;
+    const headingOptions = [2, 3, 4]
+      .map(
+        (level) =>
+          `<option value="${level}" ${cfg.headingLevel === level ? "selected" : ""}>${"#".repeat(level)} (H${level})</option>`
+      )
+      .join("");
+    return `
+        <div class="divider"></div>
+
+        <div class="panel-title panel-title--700">Blog Controls</div>
+
+        ${checkboxRow("blog-includeTitle", cfg.includeTitle, "Include Intent as title")}
+        <div class="label">Section heading level</div>
+        <select data-field="blog-headingLevel" class="select">${headingOptions}</select>
+        <div class="label">Intro paragraph (optional)</div>
+        <textarea data-field="blog-intro" class="textarea textarea--h70" placeholder="Shown before the first section.">${escapeHtml(
+          cfg.intro
+        )}</textarea>
+    `;
+  }
+
+  if (profileKey === "xthread" || profileKey === "threads") {
+    return `
+        <div class="divider"></div>
+
+        <div class="panel-title panel-title--700">Thread Controls</div>
+
+        ${numberingSelect(profileKey)}
+    `;
+  }
+
+  if (profileKey === "bluesky") {
+    const cfg = state.bluesky;
+    return `
+        <div class="divider"></div>
+
+        <div class="panel-title panel-title--700">Thread Controls</div>
+
+        ${numberingSelect(profileKey)}
+        <div class="label">Handle domain</div>
+        <input data-field="bluesky-handleDomain" value="${escapeHtml(cfg.handleDomain)}" class="input" placeholder="bsky.social" />
+        <div class="muted-sm">Bare @name mentions become @name.${escapeHtml(cfg.handleDomain || "domain")}. Leave empty to keep them as typed.</div>
+    `;
+  }
+
+  if (profileKey === "mastodon") {
+    const cfg = state.mastodon;
+    return `
+        <div class="divider"></div>
+
+        <div class="panel-title panel-title--700">Thread Controls</div>
+
+        ${numberingSelect(profileKey)}
+        <div class="label">Instance post limit</div>
+        <input data-field="mastodon-charLimit" type="number" min="${MASTODON_LIMIT_MIN}" max="${MASTODON_LIMIT_MAX}" value="${escapeHtml(
+          cfg.charLimit
+        )}" class="input" />
+        <div class="label">Instance for bare mentions (optional)</div>
+        <input data-field="mastodon-instance" value="${escapeHtml(cfg.instance)}" class="input" placeholder="mastodon.social" />
+    `;
+  }
+
+  return "";
+}
+
+function numberingSelect(profileKey) {
+  const numberingLabels = { prefix: "1/n on its own line", suffix: "1/n at the end", none: "No numbering" };
+  const options = THREAD_NUMBERING_STYLES.map(
+    (style) =>
+      `<option value="${style}" ${state[profileKey].numbering === style ? "selected" : ""}>${escapeHtml(numberingLabels[style])}</option>`
+  ).join("");
+  return `
+        <div class="label">Numbering</div>
+        <select data-field="${profileKey}-numbering" class="select">${options}</select>
+  `;
+}
+
+function checkboxRow(field, checked, label) {
+  return `
+    <label class="row" style="align-items:center; margin:6px 0;">
+      <input type="checkbox" data-field="${field}" ${checked ? "checked" : ""} />
+      <span>${escapeHtml(label)}</span>
+    </label>
+  `;
+}
+
+function renderProfiles() {
+  const { form, errors, editingId } = profileView;
+  const isActive = (p) => state.outputProfile === customProfileKey(p.id);
+
+  const rows = [...customProfiles]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((p) => {
+      const id = escapeHtml(p.id);
+      return `
+        <div class="project-row ${p.id === editingId ? "project-row--active" : ""}" role="listitem">
+          <div class="project-info">
+            <div class="panel-title--700">${escapeHtml(p.name)}${isActive(p) ? ' <span class="muted-sm">(in use)</span>' : ""}</div>
+            <div class="muted-sm">${p.maxChars.toLocaleString()} chars${p.hint ? ` • ${escapeHtml(p.hint)}` : ""}</div>
+          </div>
+          <div class="row" role="group" aria-label="${escapeHtml(p.name)} actions">
+            <button data-action="use-profile" data-profile-id="${id}" class="btn btn--small" ${isActive(p) ? "disabled" : ""}>Use</button>
+            <button data-action="edit-profile" data-profile-id="${id}" class="btn btn--small">Edit</button>
+            <button data-action="delete-profile" data-profile-id="${id}" class="btn btn--small btn--ghost">Delete</button>
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+
+  const placeholders = TEMPLATE_PLACEHOLDERS.map(
+    (p) => `<li><code>{{${escapeHtml(p.name)}}}</code> — ${escapeHtml(p.description)}</li>`
+  ).join("");
+
+  return `
+    <h2 class="h2">Output Profiles</h2>
+    <div class="muted">Define your own formats (Slack announcements, release notes, board updates). Saved profiles appear in the Output picker for every project.</div>
+
+    <div class="spacer-10"></div>
+
+    <div class="row">
+      <button data-action="new-profile" class="btn btn--primary">+ New profile</button>
+      <button data-action="close-profiles" class="btn btn--ghost">← Back to editor</button>
+    </div>
+
+    <div class="spacer-10"></div>
+
+    <div class="stack" role="list" aria-label="Saved profiles">
+      ${rows || '<div class="panel muted">No saved profiles yet.</div>'}
+    </div>
+
+    <div class="spacer-10"></div>
+
+    <div class="grid-2">
+      <div class="panel">
+        <div class="panel-title panel-title--700">${editingId ? "Edit profile" : "New profile"}</div>
+
+        <div class="label">Name</div>
+        <input id="profile-name" data-field="profile-name" value="${escapeHtml(form.name)}" class="input" placeholder="e.g. Slack announcement" />
+        <div class="label">Character limit</div>
+        <input id="profile-maxChars" data-field="profile-maxChars" value="${escapeHtml(form.maxChars)}" inputmode="numeric" class="input" />
+        <div class="label">Hint (optional)</div>
+        <input id="profile-hint" data-field="profile-hint" value="${escapeHtml(form.hint)}" class="input" placeholder="Shown under the Draft heading." />
+        <div class="label">Template</div>
+        <textarea id="profile-template" data-field="profile-template" class="textarea textarea--code" spellcheck="false">${escapeHtml(form.template)}</textarea>
+
+        ${
+          errors.length
+            ? `<div class="error-text" role="alert">${errors.map((e) => `<div>${escapeHtml(e)}</div>`).join("")}</div>`
+            : ""
+        }
+
+        <div class="row" style="margin-top:12px;">
+          <button data-action="save-profile" class="btn btn--primary">Save profile</button>
+          ${editingId ? `<button data-action="use-profile" data-profile-id="${escapeHtml(editingId)}" class="btn">Use for this project</button>` : ""}
+        </div>
+
+        <div class="divider"></div>
+
+        <div class="panel-title">Placeholders</div>
+        <ul class="muted-sm">${placeholders}</ul>
+        <div class="muted-sm">
+          <code>{{#name}}…{{/name}}</code> shows its content only when the value isn't empty; <code>{{^name}}…{{/name}}</code> only when it is.
+        </div>
+      </div>
+
+      <div class="panel">
+        <div class="panel-title panel-title--700">Preview (this project)</div>
+        <div id="profile-preview" class="preview">${escapeHtml(previewProfileForm())}</div>
+      </div>
+    </div>
+  `;
+}
+
+function renderMarkdownPreview(parsed) {
+  const notes = {
+    sections: "Each ## heading becomes a claim, with the text under it as its expression.",
+    list: "No ## headings: list items become claims (without expressions).",
+    paragraphs:
+      "No ## headings or list: each paragraph becomes a claim (its first sentence) with the paragraph as its expression.",
+    empty: "Paste Markdown or choose a file to see what will be imported.",
+  };
+  if (parsed.mode === "empty" && !parsed.intent) return `<div class="muted">${notes.empty}</div>`;
+
+  const snippet = (text) => (text.length > 160 ? `${text.slice(0, 160)}…` : text);
+  const claims = parsed.claims
+    .map((c) => {
+      const expression = parsed.expressions[c.id];
+      return `<li><strong>${escapeHtml(c.text)}</strong>${
+        expression ? `<div class="muted-sm">${escapeHtml(snippet(expression))}</div>` : ""
+      }</li>`;
+    })
+    .join("");
+  const skipped = parsed.skipped
+    ? `<div class="muted-sm">${parsed.skipped} block${parsed.skipped === 1 ? "" : "s"} outside the claims won't be imported.</div>`
+    : "";
+
+  return `
+    <div class="muted-sm">${notes[parsed.mode]}</div>
+    <div class="label">Intent</div>
+    <div>${parsed.intent ? escapeHtml(parsed.intent) : '<span class="muted">(none — add a # heading)</span>'}</div>
+    <div class="label">Claims (${parsed.claims.length})</div>
+    ${claims ? `<ol class="import-claims">${claims}</ol>` : '<div class="muted">(none)</div>'}
+    ${skipped}
+  `;
+}
+
+function renderMarkdownImport() {
+  return `
+    <h2 class="h2">Import Markdown</h2>
+    <div class="muted">Paste Markdown or choose a <code>.md</code> file. <code># Title</code> becomes the intent and each <code>## Heading</code> a claim with the text under it as its expression; a plain bullet list becomes claims only.</div>
+
+    <div class="spacer-10"></div>
+
+    <div class="row">
+      <button data-action="choose-markdown-file" class="btn">Choose .md file</button>
+      <input type="file" accept=".md,.markdown,.txt,text/markdown,text/plain" data-field="markdown-file" style="display:none;" />
+      <button data-action="close-markdown-import" class="btn btn--ghost">← Back to editor</button>
+    </div>
+
+    <div class="spacer-10"></div>
+
+    <div class="grid-2">
+      <div class="panel">
+        <div class="panel-title panel-title--700">Markdown</div>
+        <textarea id="markdown-source" data-field="markdown-source" class="textarea textarea--code" spellcheck="false" placeholder="# Intent&#10;&#10;## First claim&#10;&#10;Expression paragraph…">${escapeHtml(
+          importView.source
+        )}</textarea>
+      </div>
+
+      <div class="panel">
+        <div class="panel-title panel-title--700">Preview</div>
+        <div id="markdown-preview">${renderMarkdownPreview(parseMarkdownImport(importView.source))}</div>
+        <div class="divider"></div>
+        <div class="muted-sm">Replaces the intent, claims and expressions of “${escapeHtml(deriveProjectTitle(state))}”. Profile settings are kept, and Ctrl/Cmd+Z undoes the import.</div>
+        <div class="row" style="margin-top:12px;">
+          <button data-action="confirm-markdown-import" class="btn btn--primary">Replace current project</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Version upgrades and anything validation had to leave out of the imported file
+function renderImportReport(report) {
+  if (!report || (!report.migrations.length && !report.dropped.length && report.fromVersion <= report.toVersion)) {
+    return "";
+  }
+
+  const preview = (value) => {
+    const text = value === undefined ? "(missing)" : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+  };
+  const dropped = report.dropped
+    .map(
+      (d) => `
+        <li><code>${escapeHtml(d.path)}</code>: ${escapeHtml(d.reason)}
+          <span class="muted-sm">(was <code>${escapeHtml(preview(d.value))}</code>)</span></li>`
+    )
+    .join("");
+
+  return `
+    <div class="panel import-report" role="status">
+      <div class="panel-title panel-title--700">About this file</div>
+      ${
+        report.fromVersion > report.toVersion
+          ? `<div class="muted-sm">Written by a newer version of Inkwise (format v${report.fromVersion}); fields this version doesn't know are left out.</div>`
+          : ""
+      }
+      ${
+        report.migrations.length
+          ? `<div class="muted-sm">Upgraded from format v${report.fromVersion} to v${report.toVersion}:</div>
+             <ul class="import-report-list">${report.migrations.map((m) => `<li>${escapeHtml(m)}</li>`).join("")}</ul>`
+          : ""
+      }
+      ${
+        dropped
+          ? `<div class="muted-sm">${report.dropped.length} field${report.dropped.length === 1 ? " was" : "s were"} invalid or unknown and will not be imported:</div>
+             <ul class="import-report-list">${dropped}</ul>`
+          : ""
+      }
+    </div>
+
+    <div class="spacer-10"></div>
+  `;
+}
+
+function renderEncryptedImport() {
+  return `
+    <h2 class="h2">Import project</h2>
+    <div class="muted">
+      <strong>${escapeHtml(importView.fileName || "This file")}</strong> is encrypted. Enter the passphrase it was
+      exported with to preview it.
+    </div>
+
+    <div class="spacer-10"></div>
+
+    <form data-form="decrypt-import" class="panel">
+      <div class="row">
+        <label for="import-passphrase" class="sr-only">Passphrase</label>
+        <input id="import-passphrase" type="password" data-field="import-passphrase" class="input" style="flex:1;" autocomplete="off" placeholder="Passphrase" />
+        <button type="submit" class="btn btn--primary">Decrypt</button>
+        <button type="button" data-action="cancel-session-import" class="btn btn--ghost">Cancel</button>
+      </div>
+      ${importView.error ? `<div class="error-text" role="alert">${escapeHtml(importView.error)}</div>` : ""}
+    </form>
+  `;
+}
+
+function renderSessionImport() {
+  const incoming = importView.session;
+  const diff = diffSnapshots(state, incoming);
+  const config = diffProfileConfig(state, incoming);
+  const merge = mergeImportedClaims(state, incoming);
+  const show = importView.showUnchanged;
+
+  const changes = [
+    diff.intent,
+    diff.outputProfile,
+    diff.notes,
+    ...diff.claims,
+    ...diff.expressions,
+    ...diff.variants,
+    ...diff.sources,
+    ...diff.claimNotes,
+    ...config,
+  ];
+  const changeCount = changes.filter((c) => c.status !== "unchanged").length;
+  const rows = [
+    renderDiffRow("Intent", diff.intent, show),
+    renderDiffRow("Output profile", diff.outputProfile, show),
+    renderDiffRow("Project notes", diff.notes, show),
+    ...diff.claims.map((c) => renderDiffRow(diffClaimLabel(c), c, show)),
+    ...diff.expressions.map((e) => renderDiffRow(`Expression: ${e.label}`, e, show)),
+    ...diff.variants.map((e) => renderDiffRow(`Takes: ${e.label}`, e, show)),
+    ...diff.sources.map((e) => renderDiffRow(`Sources: ${e.label}`, e, show)),
+    ...diff.claimNotes.map((e) => renderDiffRow(`Notes: ${e.label}`, e, show)),
+    ...config.map((f) => renderDiffRow(`Settings: ${f.field}`, f, show)),
+  ].join("");
+
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  const mergeNote = [
+    `adds ${plural(merge.added, "claim")}`,
+    merge.duplicates ? `skips ${merge.duplicates} already in this project` : "",
+    merge.renamed ? `gives ${merge.renamed} a new id (same id, different claim)` : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  return `
+    <h2 class="h2">Import project</h2>
+    <div class="muted">
+      Review <strong>${escapeHtml(importView.fileName || "the imported file")}</strong> against
+      “${escapeHtml(deriveProjectTitle(state))}” before anything changes.
+    </div>
+
+    <div class="spacer-10"></div>
+
+    ${renderImportReport(importView.report)}
+
+    <div class="panel">
+      <div class="row">
+        <button data-action="import-replace" class="btn">Replace current project</button>
+        <button data-action="import-new-project" class="btn btn--primary">Open as new project</button>
+        <button data-action="import-merge" class="btn" ${merge.added ? "" : "disabled"}>Merge claims</button>
+        <button data-action="cancel-session-import" class="btn btn--ghost">Cancel</button>
+      </div>
+      <div class="muted-sm" style="margin-top:10px;">
+        Replace overwrites this project (Ctrl/Cmd+Z undoes it). A new project leaves this one untouched.
+        Merge keeps this project's intent and settings and ${escapeHtml(mergeNote)}.
+      </div>
+    </div>
+
+    <div class="spacer-10"></div>
+
+    <div class="panel">
+      <div class="row-between">
+        <div class="panel-title panel-title--700">${plural(changeCount, "difference")}</div>
+        ${checkboxRow("session-import-showUnchanged", importView.showUnchanged, "Show unchanged")}
+      </div>
+      <div class="diff-row diff-row--header" aria-hidden="true">
+        <div></div>
+        <div class="muted-sm">Current</div>
+        <div class="muted-sm">Imported</div>
+      </div>
+      ${rows || '<div class="muted">The imported file matches this project.</div>'}
+    </div>
+  `;
+}
+
+function renderLibrary() {
+  const projects = listProjects(library, { includeArchived: libraryView.showArchived });
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+
+  const rows = projects
+    .map((p) => {
+      const isActive = p.id === state.metadata.id;
+      const id = escapeHtml(p.id);
+      return `
+        <div class="project-row ${isActive ? "project-row--active" : ""}" role="listitem">
+          <div class="project-info">
+            <div class="panel-title--700">${escapeHtml(p.title)}${isActive ? ' <span class="muted-sm">(open)</span>' : ""}</div>
+            <div class="muted-sm">
+              Updated ${escapeHtml(formatDate(p.updatedAt))} • Created ${escapeHtml(formatDate(p.createdAt))}${p.archived ? " • Archived" : ""}
+            </div>
+          </div>
+          <div class="row" role="group" aria-label="${escapeHtml(p.title)} actions">
+            ${p.archived ? "" : `<button data-action="switch-project" data-project-id="${id}" class="btn btn--small" ${isActive ? "disabled" : ""}>Open</button>`}
+            <button data-action="rename-project" data-project-id="${id}" class="btn btn--small">Rename</button>
+            <button data-action="duplicate-project" data-project-id="${id}" class="btn btn--small">Duplicate</button>
+            ${
+              p.archived
+                ? `<button data-action="unarchive-project" data-project-id="${id}" class="btn btn--small">Restore</button>`
+                : `<button data-action="archive-project" data-project-id="${id}" class="btn btn--small btn--ghost">Archive</button>`
+            }
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <h2 class="h2">Projects</h2>
+    <div class="muted">Every piece gets its own project. Switch, rename, duplicate or archive them here.</div>
+
+    <div class="spacer-10"></div>
+
+    <div class="row-between">
+      <div class="row">
+        <button data-action="new-project" class="btn btn--primary">+ New project</button>
+        <button data-action="close-library" class="btn btn--ghost">← Back to editor</button>
+      </div>
+      ${checkboxRow("library-showArchived", libraryView.showArchived, "Show archived")}
+    </div>
+
+    <div class="spacer-10"></div>
+
+    <div class="stack" role="list" aria-label="Projects">
+      ${rows || '<div class="panel muted">No projects to show.</div>'}
+    </div>
+
+    <div class="spacer-10"></div>
+
+    ${renderProtectionSettings()}
+  `;
+}
+
+function renderProtectionSettings() {
+  const error = vaultView.error ? `<div class="error-text" role="alert">${escapeHtml(vaultView.error)}</div>` : "";
+  const lockOptions = (selected) =>
+    AUTO_LOCK_CHOICES.map(
+      (m) => `<option value="${m}" ${m === selected ? "selected" : ""}>${m ? `${m} minutes idle` : "Never"}</option>`
+    ).join("");
+
+  if (!vault) {
+    return `
+      <form data-form="enable-encryption" class="panel">
+        <div class="panel-title panel-title--700">Passphrase protection</div>
+        <div class="muted-sm">
+          Encrypt every project, snapshot and profile stored in this browser (AES-GCM). Inkwise then asks for the
+          passphrase when it opens and locks itself when you're away. A forgotten passphrase can't be recovered.
+        </div>
+        <div class="spacer-10"></div>
+        <div class="row" style="flex-wrap: wrap;">
+          <label for="vault-passphrase" class="sr-only">Passphrase</label>
+          <input id="vault-passphrase" type="password" data-field="vault-passphrase" class="input" style="flex:1;" autocomplete="new-password" placeholder="Passphrase" />
+          <label for="vault-confirm" class="sr-only">Repeat passphrase</label>
+          <input id="vault-confirm" type="password" data-field="vault-confirm" class="input" style="flex:1;" autocomplete="new-password" placeholder="Repeat passphrase" />
+        </div>
+        <div class="spacer-10"></div>
+        <div class="row">
+          <label class="profile-picker">
+            <span class="muted">Lock after</span>
+            <select data-field="vault-autoLock-new" class="select select--compact">${lockOptions(DEFAULT_AUTO_LOCK_MINUTES)}</select>
+          </label>
+          <button type="submit" class="btn btn--primary" ${vaultView.busy ? "disabled" : ""}>${
+            vaultView.busy ? "Encrypting…" : "Turn on encryption"
+          }</button>
+        </div>
+        ${error}
+      </form>
+    `;
+  }
+
+  return `
+    <div class="panel">
+      <div class="panel-title panel-title--700">Passphrase protection: on</div>
+      <div class="muted-sm">Everything Inkwise stores in this browser is encrypted with your passphrase.</div>
+      <div class="spacer-10"></div>
+      <div class="row">
+        <label class="profile-picker">
+          <span class="muted">Lock after</span>
+          <select data-field="vault-autoLock" class="select select--compact">${lockOptions(vault.autoLockMinutes)}</select>
+        </label>
+        <button data-action="lock-app" class="btn">Lock now</button>
+      </div>
+      <div class="spacer-10"></div>
+      <form data-form="disable-encryption" class="row">
+        <label for="vault-current" class="sr-only">Current passphrase</label>
+        <input id="vault-current" type="password" data-field="vault-current" class="input" style="flex:1;" autocomplete="current-password" placeholder="Current passphrase" />
+        <button type="submit" class="btn btn--ghost" ${vaultView.busy ? "disabled" : ""}>Turn off encryption</button>
+      </form>
+      ${error}
+    </div>
+  `;
+}
+
+function renderLockScreen() {
+  return `
+    <div class="lock-screen">
+      <div class="brand-title">Inkwise</div>
+      <form data-form="unlock" class="panel lock-panel">
+        <div class="panel-title panel-title--700">Locked</div>
+        <div class="muted-sm">Your projects are encrypted. Enter your passphrase to open them.</div>
+        ${lockView.notice ? `<div class="muted-sm" role="status">${escapeHtml(lockView.notice)}</div>` : ""}
+        <div class="spacer-10"></div>
+        <label for="unlock-passphrase" class="sr-only">Passphrase</label>
+        <input id="unlock-passphrase" type="password" data-field="unlock-passphrase" class="input" autocomplete="current-password" placeholder="Passphrase" ${
+          lockView.busy ? "disabled" : ""
+        } />
+        ${lockView.error ? `<div class="error-text" role="alert">${escapeHtml(lockView.error)}</div>` : ""}
+        <div class="spacer-10"></div>
+        <button type="submit" class="btn btn--primary" ${lockView.busy ? "disabled" : ""}>${
+          lockView.busy ? "Unlocking…" : "Unlock"
+        }</button>
+      </form>
+      <details class="lock-help">
+        <summary class="muted-sm">Forgot your passphrase?</summary>
+        <div class="muted-sm">
+          It can't be recovered, and neither can the projects encrypted with it. You can erase them and start over.
+        </div>
+        <div class="spacer-10"></div>
+        <button data-action="erase-all-data" class="btn btn--small btn--ghost">Erase all Inkwise data</button>
+      </details>
+    </div>
+  `;
+}
+
+// Renders one side of a text diff, marking removed (left) or added (right) words
+function renderDiffSide(before, after, side) {
+  if (side === "left" && before === undefined) return '<span class="muted-sm">(none)</span>';
+  if (side === "right" && after === undefined) return '<span class="muted-sm">(none)</span>';
+  if (typeof before !== "string" || typeof after !== "string") {
+    return escapeHtml(String(side === "left" ? before : after));
+  }
 
-  // Show LinkedIn controls only for linkedin profile
-  const showLinkedInControls = profileKey === "linkedin";
+  const hidden = side === "left" ? "added" : "removed";
+  return diffWords(before, after)
+    .filter((part) => part.type !== hidden)
+    .map((part) => {
+      if (part.type === "removed") return `<del class="diff-del">${escapeHtml(part.text)}</del>`;
+      if (part.type === "added") return `<ins class="diff-ins">${escapeHtml(part.text)}</ins>`;
+      return escapeHtml(part.text);
+    })
+    .join("");
+}
 
+function renderDiffRow(label, change, showUnchanged) {
+  if (change.status === "unchanged" && !showUnchanged) return "";
   return `
-    <h2 class="h2">Draft</h2>
-    <div class="muted">${escapeHtml(profile.label)} output + controls + presets + exports.</div>
-    <div class="muted-sm" style="margin-top:4px;">${escapeHtml(profile.hint)}</div>
-
-    <div class="spacer-10"></div>
-
-    <div class="grid-2">
-      <div class="panel">
-        <div class="panel-title">Quickstart Presets</div>
+    <div class="diff-row diff-row--${change.status}">
+      <div class="diff-label">
+        <span>${escapeHtml(label)}</span>
+        <span class="diff-status">${escapeHtml(change.status)}</span>
+      </div>
+      <div class="diff-side">${renderDiffSide(change.before, change.after, "left")}</div>
+      <div class="diff-side">${renderDiffSide(change.before, change.after, "right")}</div>
+    </div>
+  `;
+}
 
-        <div class="row">
-          <select data-field="ui-presetId" class="select">${presetOptions}</select>
-          <button data-action="load-preset" class="btn">Load Example</button>
-        </div>
+// "Claim 2", or "Claim 2 → 4" when the claim sits at a different position on each side,
+// plus "level 1 → 2" when it was indented or outdented
+function diffClaimLabel(change) {
+  const from = change.fromIndex >= 0 ? change.fromIndex + 1 : "–";
+  const to = change.toIndex >= 0 ? change.toIndex + 1 : "–";
+  const label = from === to ? `Claim ${to}` : `Claim ${from} → ${to}`;
+  const indented = change.fromDepth >= 0 && change.toDepth >= 0 && change.fromDepth !== change.toDepth;
+  return indented ? `${label}, level ${change.fromDepth + 1} → ${change.toDepth + 1}` : label;
+}
 
-        <div class="muted-sm" style="margin-top:10px;">
-          Loads a complete example into Intent/Structure/Expression and jumps you to Draft.
-        </div>
+function renderSnapshotDiff() {
+  const left = snapshotView.leftId ? getSnapshotState(snapshotView.leftId) : null;
+  const right = getSnapshotState(snapshotView.rightId);
+  if (!left || !right) {
+    return `<div class="panel muted">Save a snapshot, then pick two versions (A and B) to compare.</div>`;
+  }
 
-        <div class="divider"></div>
+  const diff = diffSnapshots(left, right);
+  const show = snapshotView.showUnchanged;
+  const rows = [
+    renderDiffRow("Intent", diff.intent, show),
+    renderDiffRow("Output profile", diff.outputProfile, show),
+    renderDiffRow("Project notes", diff.notes, show),
+    ...diff.claims.map((c) => renderDiffRow(diffClaimLabel(c), c, show)),
+    ...diff.expressions.map((e) => renderDiffRow(`Expression: ${e.label}`, e, show)),
+    ...diff.variants.map((e) => renderDiffRow(`Takes: ${e.label}`, e, show)),
+    ...diff.sources.map((e) => renderDiffRow(`Sources: ${e.label}`, e, show)),
+    ...diff.claimNotes.map((e) => renderDiffRow(`Notes: ${e.label}`, e, show)),
+    ...diff.linkedin.map((f) => renderDiffRow(`LinkedIn: ${f.field}`, f, show)),
+  ].join("");
 
-        <div class="panel-title">Export Options</div>
-        <div class="row" style="flex-wrap: wrap;">
-          <button data-action="copy-draft" class="btn" ${!hasContent ? "disabled" : ""}>Copy Text</button>
-          <button data-action="download-draft" class="btn" ${!hasContent ? "disabled" : ""}>Download .txt</button>
-          <button data-action="download-md" class="btn" ${!hasContent ? "disabled" : ""}>Download .md</button>
-          <button data-action="export-project" class="btn">Export Project</button>
-        </div>
-        <div class="muted-sm" style="margin-top:10px;">
-          Copy or download your draft. Export Project saves everything for later import.
+  return `
+    <div class="panel">
+      <div class="row-between">
+        <div class="panel-title panel-title--700">
+          ${diff.changeCount} change${diff.changeCount === 1 ? "" : "s"}
         </div>
+        ${checkboxRow("snapshot-showUnchanged", snapshotView.showUnchanged, "Show unchanged")}
+      </div>
+      <div class="diff-row diff-row--header" aria-hidden="true">
+        <div></div>
+        <div class="muted-sm">A</div>
+        <div class="muted-sm">B</div>
+      </div>
+      ${rows || '<div class="muted">These versions are identical.</div>'}
+    </div>
+  `;
+}
 
-        <div class="divider"></div>
+function renderSnapshots() {
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+  const entries = [
+    { id: CURRENT_SNAPSHOT_ID, name: "Current draft", createdAt: "" },
+    ...snapshotView.items.map((s) => ({ id: s.id, name: s.name, createdAt: s.createdAt })),
+  ];
 
-        <div class="panel-title">Import</div>
-        <div class="row">
-          <button data-action="import-session" class="btn">Import Project (.json)</button>
-          <input type="file" accept="application/json" data-field="session-file" style="display:none;" />
-        </div>
-        <div class="muted-sm" style="margin-top:10px;">
-          Restore a previously exported project.
-        </div>
+  const timeline = entries
+    .map((s) => {
+      const isCurrent = s.id === CURRENT_SNAPSHOT_ID;
+      const id = escapeHtml(s.id);
+      return `
+        <li class="timeline-item ${isCurrent ? "timeline-item--current" : ""}">
+          <div class="project-info">
+            <div class="panel-title--700">${escapeHtml(s.name)}</div>
+            <div class="muted-sm">${isCurrent ? "Unsaved working copy" : escapeHtml(formatDate(s.createdAt))}</div>
+          </div>
+          <div class="row">
+            <label class="row" style="gap:4px;">
+              <input type="radio" name="snapshot-left" data-field="snapshot-left" value="${id}" ${snapshotView.leftId === s.id ? "checked" : ""} />
+              <span class="muted-sm">A</span>
+            </label>
+            <label class="row" style="gap:4px;">
+              <input type="radio" name="snapshot-right" data-field="snapshot-right" value="${id}" ${snapshotView.rightId === s.id ? "checked" : ""} />
+              <span class="muted-sm">B</span>
+            </label>
+            ${
+              isCurrent
+                ? ""
+                : `
+              <button data-action="restore-snapshot" data-snapshot-id="${id}" class="btn btn--small">Restore</button>
+              <button data-action="delete-snapshot" data-snapshot-id="${id}" class="btn btn--small btn--ghost">Delete</button>
+            `
+            }
+          </div>
+        </li>
+      `;
+    })
+    .join("");
 
-        ${
-          showLinkedInControls
-            ? `
-        <div class="divider"></div>
+  return `
+    <h2 class="h2">Snapshots</h2>
+    <div class="muted">Save named versions of this project, compare any two side by side, and restore any of them.</div>
 
-        <div class="panel-title panel-title--700">LinkedIn Controls</div>
+    <div class="spacer-10"></div>
 
-        <div class="label">Hook override (optional)</div>
-        <textarea data-field="li-hookOverride" class="textarea textarea--h70" placeholder="If blank, uses Intent as the hook.">${escapeHtml(
-          cfg.hookOverride
-        )}</textarea>
+    <div class="row">
+      <label for="snapshot-name" class="sr-only">Snapshot name</label>
+      <input id="snapshot-name" data-field="snapshot-name" class="input" style="flex:1;" placeholder="Name this version (e.g. before edit pass)" />
+      <button data-action="save-snapshot" class="btn btn--primary">Save snapshot</button>
+      <button data-action="close-snapshots" class="btn btn--ghost">← Back to editor</button>
+    </div>
 
-        <div class="spacer-10"></div>
+    <div class="spacer-10"></div>
 
-        ${checkboxRow("li-includeBullets", cfg.includeBullets, "Include bullet section")}
-        <div class="label">Bullet intro</div>
-        <input data-field="li-bulletIntro" value="${escapeHtml(cfg.bulletIntro)}" class="input" />
-        <div class="label">Max bullets</div>
-        <input data-field="li-maxBullets" value="${escapeHtml(cfg.maxBullets)}" inputmode="numeric" class="input" />
+    <div class="panel">
+      <div class="panel-title">Timeline</div>
+      <ol class="timeline" aria-label="Snapshots">${timeline}</ol>
+    </div>
 
-        <div class="spacer-10"></div>
+    <div class="spacer-10"></div>
 
-        ${checkboxRow("li-includeCTA", cfg.includeCTA, "Include CTA")}
-        <div class="label">CTA text</div>
-        <input data-field="li-ctaText" value="${escapeHtml(cfg.ctaText)}" class="input" />
+    ${renderSnapshotDiff()}
+  `;
+}
 
-        <div class="spacer-10"></div>
+function renderShortcuts() {
+  const bindings = shortcutBindings();
+  const rows = listCommands()
+    .filter(isConfigurableCommand)
+    .map((c) => {
+      const id = escapeHtml(c.id);
+      const recording = shortcutView.recordingId === c.id;
+      const shortcut = bindings[c.id];
+      const changed = c.id in shortcutOverrides;
+      return `
+        <div class="shortcut-row" role="listitem">
+          <div class="shortcut-command">
+            <div>${escapeHtml(c.title)}</div>
+            <div class="muted-sm">${escapeHtml(c.group)}${changed ? " • Changed" : ""}</div>
+          </div>
+          <kbd class="shortcut-key ${recording ? "shortcut-key--recording" : ""}" ${recording ? 'aria-live="polite"' : ""}>${
+            recording ? "Press keys…" : shortcut ? escapeHtml(formatShortcut(shortcut, { isMac: IS_MAC })) : "—"
+          }</kbd>
+          <div class="row" role="group" aria-label="${escapeHtml(c.title)} shortcut">
+            <button data-action="edit-shortcut" data-command-id="${id}" class="btn btn--small" aria-pressed="${recording}">${recording ? "Cancel" : "Change"}</button>
+            ${shortcut ? `<button data-action="clear-shortcut" data-command-id="${id}" class="btn btn--small btn--ghost">Remove</button>` : ""}
+            ${changed ? `<button data-action="reset-shortcut" data-command-id="${id}" class="btn btn--small btn--ghost">Reset</button>` : ""}
+          </div>
+        </div>
+      `;
+    })
+    .join("");
 
-        ${checkboxRow("li-includeHashtags", cfg.includeHashtags, "Include hashtags")}
-        <div class="label">Hashtags</div>
-        <input data-field="li-hashtags" value="${escapeHtml(cfg.hashtags)}" class="input" />
+  return `
+    <h2 class="h2">Keyboard Shortcuts</h2>
+    <div class="muted">
+      Press ${escapeHtml(commandShortcutLabel({ id: "command-palette" }) || "the Commands button")} to search every command.
+      Shortcuts are saved in this browser.
+    </div>
 
-        <div class="spacer-10"></div>
+    <div class="spacer-10"></div>
 
-        ${checkboxRow("li-includeSignature", cfg.includeSignature, "Include signature")}
-        <div class="label">Signature</div>
-        <input data-field="li-signature" value="${escapeHtml(cfg.signature)}" class="input" />
-        `
-            : ""
-        }
+    <div class="row-between">
+      <button data-action="close-shortcuts" class="btn btn--ghost">← Back to editor</button>
+      <button data-action="reset-all-shortcuts" class="btn btn--small" ${Object.keys(shortcutOverrides).length ? "" : "disabled"}>Reset all</button>
+    </div>
 
-        <div class="row" style="margin-top:12px;">
-          <button data-action="copy-draft" class="btn" ${!hasContent ? "disabled" : ""}>Copy ${escapeHtml(profile.label)}</button>
-          <button data-action="download-draft" class="btn" ${!hasContent ? "disabled" : ""}>Download .txt</button>
-          <button data-action="download-full" class="btn" ${!hasContent ? "disabled" : ""}>Download Breakdown</button>
-          <button data-action="set-phase" data-phase="expression" class="btn">← Back</button>
-        </div>
-      </div>
+    ${shortcutView.error ? `<div class="error-text" role="alert">${escapeHtml(shortcutView.error)}</div>` : ""}
 
-      <div class="col">
-        <div class="panel">
-          <div class="row-between">
-            <div class="panel-title panel-title--700">${escapeHtml(profile.label)} Ready</div>
-            <div class="row" style="gap:12px; align-items:center;">
-              <span class="${charCountClass}">${charCount.toLocaleString()} / ${maxChars.toLocaleString()}</span>
-              <button data-action="copy-draft" class="btn btn--small" ${!hasContent ? "disabled" : ""}>Copy</button>
-              <button data-action="download-draft" class="btn btn--small" ${!hasContent ? "disabled" : ""}>Download</button>
-            </div>
-          </div>
+    <div class="spacer-10"></div>
 
-          <div class="preview">${escapeHtml(formattedDraft || "(Add intent/claims/expressions to generate a draft.)")}</div>
-        </div>
+    <div class="stack" role="list" aria-label="Keyboard shortcuts">
+      ${rows}
+    </div>
+  `;
+}
 
-        <div class="panel">
-          <div class="row-between">
-            <div class="panel-title panel-title--700">Full Breakdown (for you)</div>
-            <div class="row">
-              <button data-action="copy-full" class="btn btn--small" ${!hasContent ? "disabled" : ""}>Copy</button>
-              <button data-action="download-full" class="btn btn--small" ${!hasContent ? "disabled" : ""}>Download</button>
-            </div>
-          </div>
+// ---------- Live preview ----------
+// Intent, Structure and Expression can show the formatted draft beside the editor.
+// Text that came from a claim is linked both ways: focusing the claim's field
+// highlights it in the preview (and scrolls to it), clicking it focuses the field.
+function renderWithPreview(editorHtml) {
+  const toggle = `
+    <div class="split-toolbar">
+      <button data-action="toggle-preview" class="btn btn--small" aria-pressed="${state.ui.showPreview}">${
+        state.ui.showPreview ? "Hide preview" : "Show preview"
+      }</button>
+    </div>
+  `;
+  // The first-visit empty state has nothing to preview yet
+  if (state.phase === "intent" && isFirstTimeUser(state)) return editorHtml;
+  if (!state.ui.showPreview) return toggle + editorHtml;
 
-          <div class="preview preview--small">${escapeHtml(full || "")}</div>
-        </div>
-      </div>
+  return `
+    ${toggle}
+    <div class="split-view">
+      <div class="split-editor">${editorHtml}</div>
+      ${renderLivePreview()}
     </div>
   `;
 }
 
-function checkboxRow(field, checked, label) {
+function renderLivePreview() {
+  const profile = getOutputProfile(state.outputProfile, customProfiles) || OUTPUT_PROFILES.linkedin;
+  const text = buildDraftText(buildLinkedInDraft(state), state, customProfiles);
+  const body = segmentDraft(text, draftAnchors(state))
+    .map(({ text: segment, claimId }) =>
+      claimId
+        ? `<span class="preview-segment" data-action="focus-claim" data-claim-id="${escapeHtml(claimId)}" title="Edit this claim">${escapeHtml(segment)}</span>`
+        : escapeHtml(segment)
+    )
+    .join("");
+
   return `
-    <label class="row" style="align-items:center; margin:6px 0;">
-      <input type="checkbox" data-field="${field}" ${checked ? "checked" : ""} />
-      <span>${escapeHtml(label)}</span>
-    </label>
+    <aside class="panel split-preview" aria-label="Live preview">
+      <div class="row-between">
+        <div class="panel-title panel-title--700">${escapeHtml(profile.label)} preview</div>
+        ${renderCharMeter(text, profile)}
+      </div>
+      <div class="preview preview--live">${body}</div>
+    </aside>
   `;
 }
 
+// Highlights the focused claim's text in the preview and scrolls it into view
+function syncPreviewToFocus() {
+  /** @type {HTMLElement | null} */
+  const preview = root.querySelector(".preview--live");
+  if (!preview) return;
+  const claimId = focusedClaimId();
+  /** @type {HTMLElement | null} */
+  let target = null;
+  preview.querySelectorAll("[data-claim-id]").forEach((el) => {
+    const segment = /** @type {HTMLElement} */ (el);
+    const active = segment.dataset.claimId === claimId;
+    segment.classList.toggle("preview-segment--active", active);
+    if (active && !target) target = segment;
+  });
+  if (!target) return;
+
+  const { offsetTop, offsetHeight } = target;
+  if (offsetTop >= preview.scrollTop && offsetTop + offsetHeight <= preview.scrollTop + preview.clientHeight) return;
+  preview.scrollTop = Math.max(0, offsetTop - preview.clientHeight / 3);
+}
+
+// Clicked in the preview: edit that claim (its expression when there's one to edit)
+function focusClaimField(claimId) {
+  const find = () => document.getElementById(`expr-${claimId}`) || document.getElementById(`claim-${claimId}`);
+  if (!find()) showPhase(state.expressions[claimId]?.trim() ? "expression" : "structure");
+  const field = find();
+  if (!field) return;
+  field.focus();
+  field.scrollIntoView?.({ block: "center" });
+}
+
 function renderPhase() {
-  if (state.phase === "intent") return renderIntent();
-  if (state.phase === "structure") return renderStructure();
-  if (state.phase === "expression") return renderExpression();
+  if (libraryView.open) return renderLibrary();
+  if (snapshotView.open) return renderSnapshots();
+  if (profileView.open) return renderProfiles();
+  if (shortcutView.open) return renderShortcuts();
+  if (importView.open) {
+    if (importView.kind === "session") return renderSessionImport();
+    if (importView.kind === "encrypted") return renderEncryptedImport();
+    return renderMarkdownImport();
+  }
+  if (state.phase === "intent") return renderWithPreview(renderIntent());
+  if (state.phase === "structure") return renderWithPreview(renderStructure());
+  if (state.phase === "expression") return renderWithPreview(renderExpression());
   if (state.phase === "draft") return renderDraft();
   return `<div>Unknown phase.</div>`;
 }
 
-function render() {
-  root.innerHTML = pageShell(renderPhase());
+// Patches the page rather than replacing it, so focus, caret and scroll survive
+/** @param {{ replaceActiveValue?: boolean }} [options] */
+function render(options) {
+  patchChildren(root, lockView.locked ? renderLockScreen() : pageShell(renderPhase()), options);
+  syncPreviewToFocus();
 }
 
 // ---------- helpers ----------
@@ -1158,46 +3936,148 @@ function escapeHtml(value) {
 }
 
 // ---------- events ----------
-root.addEventListener("click", async (e) => {
+root.addEventListener("click", (e) => {
   /** @type {HTMLElement | null} */
   const target = /** @type {HTMLElement} */ (e.target).closest("[data-action]");
   if (!target) return;
+  return runAction(target.dataset.action, target.dataset);
+});
 
-  const action = target.dataset.action;
-
-  if (action === "set-phase") return setPhase(target.dataset.phase);
-  if (action === "continue") return setPhase(target.dataset.next);
+// Buttons and commands (the palette, shortcuts) share these; `data` is the button's data-* set
+/**
+ * @param {string} action
+ * @param {Record<string, string | undefined>} [data]
+ */
+async function runAction(action, data = {}) {
+  if (action === "set-phase") return setPhase(data.phase);
+  if (action === "continue") return setPhase(data.next);
 
   if (action === "reset") {
-    const ok = confirm("Reset everything? This clears saved work.");
+    const ok = confirm("Reset this project? This clears its saved work.");
     if (!ok) return;
-    state = clone(DEFAULT_STATE);
+    recordHistory(true, "Reset project");
+    state = { ...clone(DEFAULT_STATE), metadata: state.metadata };
     saveState();
     render();
     return;
   }
 
+  if (action === "open-library") {
+    libraryView.open = !libraryView.open;
+    snapshotView.open = false;
+    profileView.open = false;
+    shortcutView.open = false;
+    importView.open = false;
+    return render();
+  }
+  if (action === "close-library") {
+    libraryView.open = false;
+    return render();
+  }
+  if (action === "new-project") return newProject();
+
+  if (action === "open-snapshots") {
+    if (snapshotView.open) {
+      snapshotView.open = false;
+      return render();
+    }
+    return openSnapshots();
+  }
+  if (action === "close-snapshots") {
+    snapshotView.open = false;
+    return render();
+  }
+  if (action === "save-snapshot") {
+    /** @type {HTMLInputElement | null} */
+    const input = root.querySelector('input[data-field="snapshot-name"]');
+    return saveSnapshot(input ? input.value : "");
+  }
+  if (action === "open-profiles") {
+    if (profileView.open) {
+      profileView.open = false;
+      return render();
+    }
+    return openProfiles();
+  }
+  if (action === "close-profiles") {
+    profileView.open = false;
+    return render();
+  }
+  if (action === "new-profile") return editProfile(null);
+  if (action === "edit-profile") return editProfile(data.profileId);
+  if (action === "save-profile") return saveProfile();
+  if (action === "delete-profile") return deleteProfile(data.profileId);
+  if (action === "use-profile") return useProfile(data.profileId);
+
+  if (action === "restore-snapshot") return restoreSnapshotById(data.snapshotId);
+  if (action === "delete-snapshot") return deleteSnapshot(data.snapshotId);
+  if (action === "switch-project" && data.projectId) return switchProject(data.projectId);
+  if (action === "rename-project") return renameProjectById(data.projectId);
+  if (action === "duplicate-project") return duplicateProjectById(data.projectId);
+  if (action === "archive-project") return archiveProjectById(data.projectId, true);
+  if (action === "unarchive-project") return archiveProjectById(data.projectId, false);
+
+  if (action === "undo") return undo();
+  if (action === "redo") return redo();
+
+  if (action === "lock-app") return lockApp();
+  if (action === "erase-all-data") return eraseAllData();
+
+  if (action === "sync-keep-mine") return keepMySyncChanges();
+  if (action === "sync-use-theirs") return useTheirSyncChanges();
+
+  if (action === "toggle-preview") return updateUIField("showPreview", !state.ui.showPreview, { rerender: true });
+  if (action === "focus-claim") return focusClaimField(data.claimId);
+
+  if (action === "command-palette") return openPalette();
+  if (action === "open-shortcuts") return openShortcuts();
+  if (action === "close-shortcuts") {
+    shortcutView.open = false;
+    return render();
+  }
+  if (action === "edit-shortcut") return editShortcut(data.commandId);
+  if (action === "clear-shortcut") return changeShortcut(data.commandId, "");
+  if (action === "reset-shortcut") return changeShortcut(data.commandId, DEFAULT_SHORTCUTS[data.commandId] || "");
+  if (action === "reset-all-shortcuts") return resetAllShortcuts();
+
+  if (action === "copy-post") return copyThreadPost(Number(data.postIndex));
+  if (action.startsWith("thread-")) return editThread(action, Number(data.postIndex));
+
   if (action === "add-claim") return addClaim();
-  if (action === "remove-claim") return removeClaim(target.dataset.claimId);
-  if (action === "move-claim") return moveClaim(target.dataset.claimId, target.dataset.dir);
+  if (action === "remove-claim") return removeClaim(data.claimId);
+  if (action === "move-claim") return moveClaim(data.claimId, data.dir);
+  if (action === "grab-claim") return grabClaim(data.claimId);
+  if (action === "indent-claim") return indentClaimById(data.claimId);
+  if (action === "outdent-claim") return outdentClaimById(data.claimId);
+  if (action === "add-variant") return addVariantTake(data.claimId);
+  if (action === "select-variant") return selectVariantTake(data.claimId, Number(data.index));
+  if (action === "remove-variant") return removeVariantTake(data.claimId, Number(data.index));
+  if (action === "toggle-compare") {
+    compareView.open = !compareView.open;
+    return render();
+  }
+  if (action === "use-combination") return useCombination(Number(data.combination));
+  if (action === "add-source") return addSource(data.claimId);
+  if (action === "remove-source") return removeSource(data.claimId, data.sourceId);
 
-  if (action === "copy-draft") return copyToClipboard(buildDraftText(buildLinkedInDraft()));
-  if (action === "copy-full") return copyToClipboard(buildFullBreakdown());
+  if (action === "copy-draft") return copyToClipboard(currentDraftText(), currentDraftHtml());
+  if (action === "copy-full") return copyToClipboard(currentBreakdown());
 
   if (action === "load-preset") return applyPreset(state.ui.presetId);
 
   if (action === "download-draft") {
-    const profileKey = state.outputProfile || "linkedin";
-    downloadTextFile(`inkwise_${profileKey}_${fileStamp()}.txt`, buildDraftText(buildLinkedInDraft()));
+    downloadTextFile(`inkwise_${outputProfileFileLabel()}_${fileStamp()}.txt`, currentDraftText());
     showToast("Text file downloaded!", "success");
     return;
   }
   if (action === "download-full") {
-    downloadTextFile(`inkwise_breakdown_${fileStamp()}.txt`, buildFullBreakdown());
+    downloadTextFile(`inkwise_breakdown_${fileStamp()}.txt`, currentBreakdown());
     showToast("Breakdown downloaded!", "success");
     return;
   }
   if (action === "download-md") return downloadMarkdown();
+  if (action === "download-html") return downloadHtml();
+  if (action === "download-docx") return downloadDocx();
 
   if (action === "export-session") return exportSession();
   if (action === "export-project") return exportProjectJson();
@@ -1209,11 +4089,32 @@ root.addEventListener("click", async (e) => {
     return;
   }
 
+  if (action === "import-replace") return replaceWithImport();
+  if (action === "import-new-project") return openImportAsProject();
+  if (action === "import-merge") return mergeImport();
+  if (action === "cancel-session-import") {
+    closeSessionImport();
+    return render();
+  }
+
+  if (action === "open-markdown-import") return openMarkdownImport();
+  if (action === "close-markdown-import") {
+    importView.open = false;
+    return render();
+  }
+  if (action === "choose-markdown-file") {
+    /** @type {HTMLInputElement | null} */
+    const input = root.querySelector('input[data-field="markdown-file"]');
+    if (input) input.click();
+    return;
+  }
+  if (action === "confirm-markdown-import") return confirmMarkdownImport();
+
   if (action === "load-demo") return loadDemoProject();
 
   if (action === "start-fresh") {
     // Dismiss empty state and start writing
-    setState({ intent: "" }, { rerender: true });
+    setState({ intent: "" }, { rerender: true, undo: false });
     // Focus the intent textarea
     setTimeout(() => {
       const textarea = document.getElementById("intent-input");
@@ -1221,28 +4122,48 @@ root.addEventListener("click", async (e) => {
     }, 50);
     return;
   }
-});
+}
 
 root.addEventListener("input", (e) => {
   /** @type {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} */
   const el = /** @type {HTMLInputElement} */ (e.target);
   const field = el.dataset.field;
+  lastInputAt = Date.now();
 
   if (field === "intent") return updateIntent(el.value);
   if (field === "claim") return updateClaim(el.dataset.claimId, el.value);
+  if (field === "claim-notes") return updateClaimNotes(el.dataset.claimId, el.value);
+  if (field === "project-notes") return updateProjectNotes(el.value);
+  if (field === "source") return updateSource(el.dataset.claimId, el.dataset.sourceId, el.dataset.sourceKey, el.value);
   if (field === "expression") return updateExpression(el.dataset.claimId, el.value);
 
   if (!field) return;
 
   if (field === "ui-presetId") return updateUIField("presetId", el.value, { rerender: false });
 
-  if (field === "li-hookOverride") return updateLinkedInField("hookOverride", el.value, { rerender: false });
-  if (field === "li-bulletIntro") return updateLinkedInField("bulletIntro", el.value, { rerender: false });
-  if (field === "li-maxBullets")
-    return updateLinkedInField("maxBullets", clampInt(el.value, 1, 12, 5), { rerender: false });
-  if (field === "li-ctaText") return updateLinkedInField("ctaText", el.value, { rerender: false });
-  if (field === "li-hashtags") return updateLinkedInField("hashtags", el.value, { rerender: false });
-  if (field === "li-signature") return updateLinkedInField("signature", el.value, { rerender: false });
+  if (field.startsWith("profile-")) return updateProfileForm(field.slice("profile-".length), el.value);
+  if (field === "markdown-source") return updateMarkdownSource(el.value);
+
+  if (field === "li-hookOverride") return updateLinkedInField("hookOverride", el.value);
+  if (field === "li-bulletIntro") return updateLinkedInField("bulletIntro", el.value);
+  if (field === "li-maxBullets") return updateLinkedInField("maxBullets", clampInt(el.value, 1, 12, 5));
+  if (field === "li-ctaText") return updateLinkedInField("ctaText", el.value);
+  if (field === "li-hashtags") return updateLinkedInField("hashtags", el.value);
+  if (field === "li-signature") return updateLinkedInField("signature", el.value);
+
+  if (field === "email-subject") return updateProfileField("email", "subject", el.value);
+  if (field === "email-subjectFallback") return updateProfileField("email", "subjectFallback", el.value);
+  if (field === "email-greeting") return updateProfileField("email", "greeting", el.value);
+  if (field === "email-signOff") return updateProfileField("email", "signOff", el.value);
+
+  if (field === "memo-title") return updateProfileField("memo", "title", el.value);
+  if (field === "memo-tldrCount") return updateProfileField("memo", "tldrCount", clampInt(el.value, 1, 12, 5));
+  if (field === "memo-nextSteps") return updateProfileField("memo", "nextSteps", el.value);
+
+  if (field === "blog-intro") return updateProfileField("blog", "intro", el.value);
+
+  if (field === "bluesky-handleDomain") return updateProfileField("bluesky", "handleDomain", el.value);
+  if (field === "mastodon-instance") return updateProfileField("mastodon", "instance", el.value);
 });
 
 root.addEventListener("change", async (e) => {
@@ -1251,13 +4172,23 @@ root.addEventListener("change", async (e) => {
 
   // Handle output profile dropdown
   if (el.dataset?.action === "set-output-profile") {
-    setState({ outputProfile: el.value });
+    setState({ outputProfile: el.value }, { label: "Change output profile" });
     return;
   }
 
+  if (el.dataset?.action === "switch-project") return switchProject(el.value);
+
   const field = el.dataset.field;
   if (!field) return;
 
+  if (field === "markdown-file") {
+    const inputEl = /** @type {HTMLInputElement} */ (el);
+    const file = inputEl.files && inputEl.files[0];
+    inputEl.value = "";
+    if (file) await loadMarkdownFile(file);
+    return;
+  }
+
   if (field === "session-file") {
     const inputEl = /** @type {HTMLInputElement} */ (el);
     const file = inputEl.files && inputEl.files[0];
@@ -1267,14 +4198,216 @@ root.addEventListener("change", async (e) => {
     return;
   }
 
+  if (field === "snapshot-left" || field === "snapshot-right") {
+    snapshotView[field === "snapshot-left" ? "leftId" : "rightId"] = el.value;
+    return render();
+  }
+
   const checkboxEl = /** @type {HTMLInputElement} */ (el);
-  if (field === "li-includeBullets")
-    return updateLinkedInField("includeBullets", !!checkboxEl.checked, { rerender: true });
-  if (field === "li-includeCTA") return updateLinkedInField("includeCTA", !!checkboxEl.checked, { rerender: true });
-  if (field === "li-includeHashtags")
-    return updateLinkedInField("includeHashtags", !!checkboxEl.checked, { rerender: true });
-  if (field === "li-includeSignature")
-    return updateLinkedInField("includeSignature", !!checkboxEl.checked, { rerender: true });
+  if (field === "snapshot-showUnchanged") {
+    snapshotView.showUnchanged = !!checkboxEl.checked;
+    return render();
+  }
+  if (field === "session-import-showUnchanged") {
+    importView.showUnchanged = !!checkboxEl.checked;
+    return render();
+  }
+  if (field === "library-showArchived") {
+    libraryView.showArchived = !!checkboxEl.checked;
+    return render();
+  }
+  if (field === "vault-autoLock") return setAutoLockMinutes(Number(el.value));
+
+  if (field === "ui-breakdownNotes") return updateUIField("breakdownNotes", !!checkboxEl.checked, { rerender: true });
+
+  if (field === "li-includeBullets") return updateLinkedInField("includeBullets", !!checkboxEl.checked);
+  if (field === "li-includeCTA") return updateLinkedInField("includeCTA", !!checkboxEl.checked);
+  if (field === "li-includeHashtags") return updateLinkedInField("includeHashtags", !!checkboxEl.checked);
+  if (field === "li-includeSignature") return updateLinkedInField("includeSignature", !!checkboxEl.checked);
+
+  if (field === "blog-includeTitle") return updateProfileField("blog", "includeTitle", !!checkboxEl.checked);
+  if (field === "blog-headingLevel") return updateProfileField("blog", "headingLevel", clampInt(el.value, 2, 4, 2));
+  if (field === "xthread-locked") return setThreadLocked(!!checkboxEl.checked);
+  if (/^(xthread|bluesky|mastodon|threads)-numbering$/.test(field))
+    return updateProfileField(field.replace("-numbering", ""), "numbering", el.value);
+  if (field === "mastodon-charLimit")
+    return updateProfileField(
+      "mastodon",
+      "charLimit",
+      clampInt(el.value, MASTODON_LIMIT_MIN, MASTODON_LIMIT_MAX, DEFAULT_STATE.mastodon.charLimit)
+    );
+});
+
+// The live preview follows whichever claim is being edited
+root.addEventListener("focusin", syncPreviewToFocus);
+
+// Thread editor: drag a sentence onto another post card
+root.addEventListener("dragstart", (e) => {
+  /** @type {HTMLElement | null} */
+  const sentence = /** @type {HTMLElement} */ (e.target).closest("[data-sentence-index]");
+  const { dataTransfer } = /** @type {DragEvent} */ (e);
+  if (!sentence || !dataTransfer) return;
+  dataTransfer.effectAllowed = "move";
+  dataTransfer.setData("text/plain", `${sentence.dataset.postIndex}:${sentence.dataset.sentenceIndex}`);
+});
+
+root.addEventListener("dragover", (e) => {
+  if (/** @type {HTMLElement} */ (e.target).closest(".thread-card")) e.preventDefault();
+});
+
+root.addEventListener("drop", (e) => {
+  /** @type {HTMLElement | null} */
+  const card = /** @type {HTMLElement} */ (e.target).closest(".thread-card");
+  const { dataTransfer } = /** @type {DragEvent} */ (e);
+  if (!card || !dataTransfer) return;
+  e.preventDefault();
+
+  const [from, sentenceIndex] = dataTransfer.getData("text/plain").split(":").map(Number);
+  const to = Number(card.dataset.postIndex);
+  if (!Number.isInteger(from) || !Number.isInteger(sentenceIndex) || from === to) return;
+  setThreadLayout(moveSentence(currentThreadPosts(), from, sentenceIndex, to), "Move sentence");
+});
+
+// Claims: drag by the handle, drop before or after another claim
+root.addEventListener("dragstart", (e) => {
+  /** @type {HTMLElement | null} */
+  const handle = /** @type {HTMLElement} */ (e.target).closest?.('[data-action="grab-claim"]');
+  const { dataTransfer } = /** @type {DragEvent} */ (e);
+  if (!handle || !dataTransfer) return;
+  dataTransfer.effectAllowed = "move";
+  dataTransfer.setData(CLAIM_DRAG_TYPE, handle.dataset.claimId);
+  const row = handle.closest("[data-drop-claim]");
+  if (row) dataTransfer.setDragImage?.(row, 16, 16);
+});
+
+root.addEventListener("dragover", (e) => {
+  const target = claimDropTarget(e);
+  showClaimDropIndicator(target);
+  if (!target) return;
+  e.preventDefault();
+  /** @type {DragEvent} */ (e).dataTransfer.dropEffect = "move";
+});
+
+root.addEventListener("drop", (e) => {
+  const target = claimDropTarget(e);
+  showClaimDropIndicator(null);
+  if (!target) return;
+  e.preventDefault();
+
+  const claimId = /** @type {DragEvent} */ (e).dataTransfer.getData(CLAIM_DRAG_TYPE);
+  const claims = moveClaimBlockTo(state.claims, claimId, target.targetId, target.position);
+  if (!claims) return;
+  setState({ claims }, { label: "Move claim" });
+  announce(`${claimName(claimId)} moved to position ${claimPosition(claimId)}.`);
+});
+
+root.addEventListener("dragend", () => showClaimDropIndicator(null));
+
+// A picked-up claim is dropped when its handle loses focus. Re-renders that move the
+// row take focus away for a moment, so check once they are done.
+root.addEventListener("focusout", (e) => {
+  if (!claimReorder.claimId || /** @type {HTMLElement} */ (e.target).dataset?.action !== "grab-claim") return;
+  setTimeout(() => {
+    const active = /** @type {HTMLElement | null} */ (document.activeElement);
+    const onHandle = active?.dataset?.action === "grab-claim" && active.dataset.claimId === claimReorder.claimId;
+    if (claimReorder.claimId && !onHandle) dropClaim();
+  });
+});
+
+document.addEventListener("keydown", (e) => {
+  if (!state) return;
+  if (shortcutView.open && shortcutView.recordingId) return recordShortcut(e);
+  // The palette handles its own keys (Ctrl/Cmd+Z there edits the search)
+  if (palette.el) return;
+  if (claimReorder.claimId && handleClaimReorderKey(e)) return;
+
+  const historyShortcut = getHistoryShortcut(e);
+  if (historyShortcut) {
+    e.preventDefault();
+    if (historyShortcut === "undo") undo();
+    else redo();
+    return;
+  }
+
+  const bindings = shortcutBindings();
+  const commandId = commandForEvent(e, bindings, { isMac: IS_MAC });
+  if (!commandId) return;
+  const target = /** @type {HTMLElement} */ (e.target);
+  if (target.matches?.("input, textarea, select") && typesCharacter(bindings[commandId], { isMac: IS_MAC })) return;
+  const command = listCommands().find((c) => c.id === commandId);
+  if (!command || command.available === false) return;
+  e.preventDefault();
+  command.run();
+});
+
+// The browser's own prompt: closing now would drop edits that are waiting on a conflict
+window.addEventListener("beforeunload", (e) => {
+  if (!syncView.conflicts.length) return;
+  e.preventDefault();
+  e.returnValue = "";
+});
+
+// Forms: Enter in a passphrase field submits it
+root.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const form = /** @type {HTMLFormElement} */ (e.target);
+  /** @param {string} field */
+  const value = (field) =>
+    /** @type {HTMLInputElement | null} */ (form.querySelector(`[data-field="${field}"]`))?.value ?? "";
+
+  if (form.dataset.form === "unlock") return unlock(value("unlock-passphrase"));
+  if (form.dataset.form === "decrypt-import") return decryptImport(value("import-passphrase"));
+  if (form.dataset.form === "enable-encryption") {
+    return enableEncryption({
+      passphrase: value("vault-passphrase"),
+      confirmation: value("vault-confirm"),
+      autoLockMinutes: Number(value("vault-autoLock-new")),
+    });
+  }
+  if (form.dataset.form === "disable-encryption") return disableEncryption(value("vault-current"));
 });
 
-render();
+// Any interaction postpones the auto-lock; coming back to a hidden tab checks it at once
+const noteActivity = () => {
+  lastActivityAt = Date.now();
+};
+document.addEventListener("pointerdown", noteActivity);
+document.addEventListener("keydown", noteActivity);
+document.addEventListener("visibilitychange", checkAutoLock);
+
+// ---------- boot ----------
+async function loadWorkspace() {
+  library = await loadLibrary();
+  customProfiles = await loadCustomProfiles();
+  state = await loadState();
+  syncBase = state;
+  shortcutOverrides = await loadShortcutOverrides();
+  await setActiveProjectId(state.metadata.id);
+  logger.info("Storage ready", { backend: storage.kind, projects: library.length, encrypted: !!vault });
+  render();
+}
+
+async function init() {
+  rawStorage = await openStorage();
+  storage = rawStorage;
+  try {
+    const { migratedKeys } = await migrateFromWebStorage(rawStorage);
+    if (migratedKeys.length) logger.info("Moved saved data out of localStorage", { keys: migratedKeys.length });
+  } catch (err) {
+    // Originals stay in localStorage; the migration is retried on the next load
+    handleSaveError(err, "migrated data");
+  }
+
+  vault = sanitizeVault(await rawStorage.get(VAULT_KEY).catch(() => null));
+  if (vault) showLockScreen();
+  else await loadWorkspace();
+
+  // Offline support; the dev server doesn't build sw.js
+  if (import.meta.env.PROD) {
+    registerServiceWorker({ onUpdateReady: offerUpdate }).catch((err) =>
+      logger.warn("Service worker registration failed", { error: String(err) })
+    );
+  }
+}
+
+init();
@@ -0,0 +1,191 @@
+// Markdown import extracted for testing
+// Reverses buildMarkdownExport(): "# intent", then "## claim" headings each
+// followed by their expression ("###" and "####" are sub-claims). Documents without
+// "##" sections fall back to a bullet list (claims only, nested by indentation)
+// or, failing that, one claim per paragraph. Footnotes ("[^1]" and "[^1]: citation")
+// become the sources of the claims that cite them.
+
+import { uuid } from "./state-manager.js";
+import { MAX_CLAIM_DEPTH, normalizeOutline } from "./claim-outline.js";
+import { parseCitation } from "./claim-sources.js";
+
+const FRONT_MATTER = /^---\n[\s\S]*?\n---(?:\n|$)/;
+const FENCE = /^\s*(```|~~~)/;
+const ATX_HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const LIST_ITEM = /^\s*(?:[-*+•]|\d+[.)])\s+(.*)$/;
+const FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:\s*(.*)$/;
+const FOOTNOTE_REF = /\[\^([^\]\s]+)\]/g;
+
+/**
+ * Takes footnote definitions out of the markdown (outside fenced code)
+ * @param {string} markdown
+ * @returns {{ text: string, footnotes: Map<string, string> }} - citation text by label
+ */
+function extractFootnotes(markdown) {
+  const footnotes = new Map();
+  const lines = [];
+  let inFence = false;
+  for (const line of markdown.split("\n")) {
+    if (FENCE.test(line)) inFence = !inFence;
+    const definition = !inFence && line.match(FOOTNOTE_DEFINITION);
+    if (definition) footnotes.set(definition[1], definition[2].trim());
+    else lines.push(line);
+  }
+  return { text: lines.join("\n"), footnotes };
+}
+
+/**
+ * Removes the references to known footnotes from a claim's text and expression and
+ * gives the claim their sources (in order of first reference)
+ * @param {{ id: string, text: string, sources?: object[] }} claim
+ * @param {Record<string, string>} expressions
+ * @param {Map<string, string>} footnotes
+ * @param {() => string} uuidFn
+ */
+function citeFootnotes(claim, expressions, footnotes, uuidFn) {
+  const labels = [];
+  const strip = (text) =>
+    text.replace(FOOTNOTE_REF, (ref, label) => {
+      if (!footnotes.has(label)) return ref;
+      if (!labels.includes(label)) labels.push(label);
+      return "";
+    });
+  claim.text = strip(claim.text).trim();
+  expressions[claim.id] = strip(expressions[claim.id] || "").trimEnd();
+  if (labels.length) claim.sources = labels.map((label) => parseCitation(footnotes.get(label), uuidFn));
+}
+
+/**
+ * Splits markdown into blocks: headings, and paragraphs/lists separated by blank lines.
+ * Fenced code stays inside its block so "#" lines in code aren't read as headings.
+ * @param {string} markdown
+ * @returns {Array<{ type: string, level?: number, text?: string, lines?: string[] }>}
+ */
+function markdownBlocks(markdown) {
+  const blocks = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of markdown.split("\n")) {
+    if (FENCE.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(ATX_HEADING);
+
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2].trim() });
+      current = null;
+    } else if (!inFence && !line.trim()) {
+      current = null;
+    } else {
+      if (!current) {
+        current = { type: "text", lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(line.trimEnd());
+    }
+  }
+  return blocks;
+}
+
+// Bullet or numbered list items when the block is only a list, otherwise null.
+// Each distinct indentation is one level deeper, however many spaces it takes.
+function listItems(block) {
+  const items = block.lines.map((line) => line.match(LIST_ITEM));
+  if (!items.every(Boolean)) return null;
+  const indents = [...new Set(block.lines.map((line) => line.search(/\S/)))].sort((a, b) => a - b);
+  return items.map((m, i) => ({ text: m[1].trim(), depth: indents.indexOf(block.lines[i].search(/\S/)) }));
+}
+
+// First sentence of a paragraph, used as the claim when a paragraph has no heading
+function firstSentence(text) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  const match = flat.match(/^.+?[.!?…](?=\s|$)/);
+  return (match ? match[0] : flat).trim();
+}
+
+/**
+ * Parses markdown into intent, claims (with the sources their footnotes cite) and expressions
+ * @param {string} markdown
+ * @param {{ uuidFn?: () => string }} [options]
+ * @returns {{ intent: string, claims: Array<{ id: string, text: string, depth?: number, sources?: object[] }>, expressions: Record<string, string>, mode: string, skipped: number }}
+ *   mode is "sections", "list", "paragraphs" or "empty"; skipped counts blocks left out
+ */
+export function parseMarkdownImport(markdown, { uuidFn = uuid } = {}) {
+  const { text: source, footnotes } = extractFootnotes(
+    String(markdown ?? "")
+      .replace(/\r\n?/g, "\n")
+      .replace(/^\uFEFF/, "")
+      .replace(FRONT_MATTER, "")
+  );
+  const blocks = markdownBlocks(source);
+
+  const titleIndex = blocks.findIndex((b) => b.type === "heading" && b.level === 1);
+  const intent = titleIndex >= 0 ? blocks[titleIndex].text : "";
+  const body = blocks.filter((_, i) => i !== titleIndex);
+
+  let claims = [];
+  /** @type {Record<string, string>} */
+  const expressions = {};
+  const addClaim = (text, expression = "", depth = 0) => {
+    const claim = { id: uuidFn(), text, depth };
+    expressions[claim.id] = expression;
+    if (footnotes.size) citeFootnotes(claim, expressions, footnotes, uuidFn);
+    claims.push(claim);
+  };
+
+  const isSection = (b) => b.type === "heading" && b.level >= 2 && b.level <= 2 + MAX_CLAIM_DEPTH;
+  const firstSection = body.findIndex((b) => b.type === "heading" && b.level === 2);
+  if (firstSection >= 0) {
+    const sections = [];
+    for (const block of body.slice(firstSection)) {
+      if (isSection(block)) {
+        sections.push({ text: block.text, depth: block.level - 2, parts: [] });
+      } else {
+        // Deeper headings and everything else stay in the expression as written
+        sections[sections.length - 1].parts.push(
+          block.type === "heading" ? `${"#".repeat(block.level)} ${block.text}` : block.lines.join("\n")
+        );
+      }
+    }
+    sections.forEach((section) => addClaim(section.text, section.parts.join("\n\n"), section.depth));
+    claims = normalizeOutline(claims);
+    return { intent, claims, expressions, mode: "sections", skipped: firstSection };
+  }
+
+  const textBlocks = body.filter((b) => b.type === "text");
+  const lists = textBlocks.map(listItems);
+  if (lists.some(Boolean)) {
+    lists.flatMap((items) => items || []).forEach((item) => addClaim(item.text, "", item.depth));
+    claims = normalizeOutline(claims);
+    return { intent, claims, expressions, mode: "list", skipped: body.length - lists.filter(Boolean).length };
+  }
+
+  textBlocks.forEach((block) => {
+    const paragraph = block.lines.join("\n");
+    addClaim(firstSentence(paragraph), paragraph);
+  });
+  claims = normalizeOutline(claims);
+  return {
+    intent,
+    claims,
+    expressions,
+    mode: claims.length ? "paragraphs" : "empty",
+    skipped: body.length - textBlocks.length,
+  };
+}
+
+/**
+ * Applies a parsed import to a state, replacing its intent, claims and expressions
+ * (expression variants go too)
+ * @param {object} state - The application state
+ * @param {{ intent: string, claims: Array<{ id: string, text: string, depth?: number }>, expressions: Record<string, string> }} parsed
+ * @returns {object}
+ */
+export function applyMarkdownImport(state, parsed) {
+  return {
+    ...state,
+    intent: parsed.intent,
+    claims: parsed.claims.length ? parsed.claims : [{ id: uuid(), text: "" }],
+    expressions: parsed.expressions,
+    expressionVariants: {},
+  };
+}
@@ -0,0 +1,174 @@
+import { describe, it, expect } from "vitest";
+import { parseMarkdownImport, applyMarkdownImport } from "./markdown-import.js";
+import { buildMarkdownExport } from "./draft-builder.js";
+import { sequentialIds } from "./test-helpers.js";
+
+describe("parseMarkdownImport", () => {
+  it("reads intent, claims and expressions from ## sections", () => {
+    const md =
+      "# Ship smaller\n\n## Small PRs\n\nReviewers focus.\n\nSecond paragraph.\n\n## Cheap rollbacks\n\nLess to undo.";
+    expect(parseMarkdownImport(md, { uuidFn: sequentialIds() })).toEqual({
+      intent: "Ship smaller",
+      claims: [
+        { id: "id-1", text: "Small PRs" },
+        { id: "id-2", text: "Cheap rollbacks" },
+      ],
+      expressions: { "id-1": "Reviewers focus.\n\nSecond paragraph.", "id-2": "Less to undo." },
+      mode: "sections",
+      skipped: 0,
+    });
+  });
+
+  it("round-trips buildMarkdownExport", () => {
+    const state = {
+      intent: "Trust beats hype",
+      claims: [
+        { id: "a", text: "Customers remember delays" },
+        { id: "b", text: "Refunds are marketing" },
+      ],
+      expressions: { a: "One bad trip undoes ten ads.", b: "Fast refunds earn repeat bookings.\nEvery time." },
+    };
+    const parsed = parseMarkdownImport(buildMarkdownExport(state), { uuidFn: sequentialIds() });
+    expect(parsed.intent).toBe(state.intent);
+    expect(parsed.claims.map((c) => c.text)).toEqual(state.claims.map((c) => c.text));
+    expect(parsed.claims.map((c) => parsed.expressions[c.id])).toEqual([
+      "One bad trip undoes ten ads.",
+      "Fast refunds earn repeat bookings.\nEvery time.",
+    ]);
+  });
+
+  it("round-trips nested claims", () => {
+    const state = {
+      intent: "Trust beats hype",
+      claims: [
+        { id: "a", text: "Customers remember delays" },
+        { id: "a1", text: "Especially the first one", depth: 1 },
+        { id: "b", text: "Refunds are marketing" },
+      ],
+      expressions: { a: "One bad trip undoes ten ads.", b: "Fast refunds earn repeat bookings." },
+    };
+    for (const expressions of [state.expressions, {}]) {
+      const parsed = parseMarkdownImport(buildMarkdownExport({ ...state, expressions }), { uuidFn: sequentialIds() });
+      expect(parsed.claims.map((c) => [c.text, c.depth || 0])).toEqual(state.claims.map((c) => [c.text, c.depth || 0]));
+    }
+  });
+
+  it("round-trips cited sources through footnotes", () => {
+    const report = { id: "s1", url: "https://ex.com/r", title: "Report", author: "", date: "", quote: "" };
+    const state = {
+      intent: "Ship smaller",
+      claims: [
+        { id: "a", text: "Small PRs", sources: [report] },
+        { id: "b", text: "Cheap rollbacks" },
+        { id: "c", text: "Boring releases", sources: [{ ...report, id: "s2" }] },
+      ],
+      expressions: { a: "Reviewers focus.", b: "Less to undo.", c: "" },
+    };
+    for (const expressions of [state.expressions, {}]) {
+      const markdown = buildMarkdownExport({ ...state, expressions });
+      const parsed = parseMarkdownImport(markdown, { uuidFn: sequentialIds() });
+      expect(parsed.claims.map((c) => c.text)).toEqual(["Small PRs", "Cheap rollbacks", "Boring releases"]);
+      expect(parsed.claims.map((c) => (c.sources || []).map((s) => [s.title, s.url]))).toEqual([
+        [["Report", "https://ex.com/r"]],
+        [],
+        [["Report", "https://ex.com/r"]],
+      ]);
+      expect(Object.values(parsed.expressions).join("\n")).not.toContain("[^");
+      const reimported = applyMarkdownImport({ intent: "" }, parsed);
+      expect(buildMarkdownExport(reimported)).toBe(markdown);
+    }
+    const parsed = parseMarkdownImport(buildMarkdownExport(state), { uuidFn: sequentialIds() });
+    expect(parsed.claims.map((c) => parsed.expressions[c.id])).toEqual(["Reviewers focus.", "Less to undo.", ""]);
+  });
+
+  it("leaves references to undefined footnotes alone", () => {
+    const parsed = parseMarkdownImport("## Claim\n\nText[^x].", { uuidFn: sequentialIds() });
+    expect(parsed.expressions[parsed.claims[0].id]).toBe("Text[^x].");
+    expect(parsed.claims[0].sources).toBeUndefined();
+  });
+
+  it("turns a plain bullet list into claims only", () => {
+    const parsed = parseMarkdownImport("# Plan\n\n- First point\n* Second point\n1. Third point", {
+      uuidFn: sequentialIds(),
+    });
+    expect(parsed.mode).toBe("list");
+    expect(parsed.claims.map((c) => c.text)).toEqual(["First point", "Second point", "Third point"]);
+    expect(Object.values(parsed.expressions).every((e) => e === "")).toBe(true);
+  });
+
+  it("falls back to one claim per paragraph", () => {
+    const parsed = parseMarkdownImport("# Old post\n\nFirst idea. More detail.\n\nSecond idea!", {
+      uuidFn: sequentialIds(),
+    });
+    expect(parsed.mode).toBe("paragraphs");
+    expect(parsed.claims.map((c) => c.text)).toEqual(["First idea.", "Second idea!"]);
+    expect(parsed.expressions["id-1"]).toBe("First idea. More detail.");
+  });
+
+  it("reads ### and #### as sub-claims and keeps deeper headings and code inside expressions", () => {
+    const md = "## Claim\n\n### Detail\n\n#### Finer\n\n##### Note\n\n```\n# not a heading\n\nstill code\n```";
+    const parsed = parseMarkdownImport(md, { uuidFn: sequentialIds() });
+    expect(parsed.claims).toEqual([
+      { id: "id-1", text: "Claim" },
+      { id: "id-2", text: "Detail", depth: 1 },
+      { id: "id-3", text: "Finer", depth: 2 },
+    ]);
+    expect(parsed.expressions["id-3"]).toBe("##### Note\n\n```\n# not a heading\n\nstill code\n```");
+  });
+
+  it("nests list items by indentation", () => {
+    const parsed = parseMarkdownImport("- Point\n    - Reason\n        - Detail\n- Next\n        - Too deep", {
+      uuidFn: sequentialIds(),
+    });
+    expect(parsed.claims.map((c) => [c.text, c.depth || 0])).toEqual([
+      ["Point", 0],
+      ["Reason", 1],
+      ["Detail", 2],
+      ["Next", 0],
+      ["Too deep", 1],
+    ]);
+  });
+
+  it("counts text before the first section as skipped", () => {
+    const parsed = parseMarkdownImport("# Title\n\nIntro paragraph.\n\n## Claim\n\nBody.", { uuidFn: sequentialIds() });
+    expect(parsed.skipped).toBe(1);
+    expect(parsed.claims).toHaveLength(1);
+  });
+
+  it("ignores front matter, a BOM, CRLF and closing hashes", () => {
+    const md = "\uFEFF---\ntitle: x\n---\r\n# Intent ##\r\n\r\n## Claim #\r\n\r\nBody";
+    const parsed = parseMarkdownImport(md, { uuidFn: sequentialIds() });
+    expect(parsed.intent).toBe("Intent");
+    expect(parsed.claims[0].text).toBe("Claim");
+    expect(parsed.expressions["id-1"]).toBe("Body");
+  });
+
+  it("reports empty input", () => {
+    expect(parseMarkdownImport("  \n", { uuidFn: sequentialIds() })).toMatchObject({
+      intent: "",
+      claims: [],
+      mode: "empty",
+    });
+  });
+});
+
+describe("applyMarkdownImport", () => {
+  const state = {
+    intent: "Old",
+    claims: [{ id: "x", text: "Old claim" }],
+    expressions: { x: "Old" },
+    blog: { intro: "Kept" },
+  };
+
+  it("replaces content and keeps other settings", () => {
+    const parsed = parseMarkdownImport("# New\n\n- A", { uuidFn: sequentialIds() });
+    const next = applyMarkdownImport(state, parsed);
+    expect(next).toMatchObject({ intent: "New", claims: [{ id: "id-1", text: "A" }], blog: { intro: "Kept" } });
+  });
+
+  it("keeps one empty claim when nothing was found", () => {
+    const next = applyMarkdownImport(state, { intent: "Only intent", claims: [], expressions: {} });
+    expect(next.claims).toHaveLength(1);
+    expect(next.claims[0].text).toBe("");
+  });
+});
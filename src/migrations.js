@@ -0,0 +1,90 @@
+// Schema migrations extracted for testing
+// Each step upgrades a raw (not yet validated) state by one version. States without
+// a schemaVersion are version 1: everything saved or exported before versioning.
+// To change the state shape: bump SCHEMA_VERSION in state-manager.js and append a step.
+
+import { clone, uuid, SCHEMA_VERSION } from "./state-manager.js";
+
+export const SESSION_VERSION_PREFIX = "inkwise:session:v";
+
+// Per-profile settings blocks that v1 files don't have
+const V2_PROFILE_KEYS = ["email", "memo", "blog", "xthread", "bluesky", "mastodon", "threads"];
+
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Ordered migration steps; step `from: n` turns a version n state into version n + 1
+ * @type {Array<{ from: number, description: string, migrate: (state: any, options: { uuidFn: () => string }) => any }>}
+ */
+export const MIGRATIONS = [
+  {
+    from: 1,
+    description: "Adds per-profile settings and gives claims without an id a new one",
+    migrate(state, { uuidFn }) {
+      const next = { ...state };
+      for (const key of V2_PROFILE_KEYS) {
+        if (!isPlainObject(next[key])) next[key] = {};
+      }
+      // v1 generated claim ids on load; files written by hand or old tools may lack them
+      if (Array.isArray(next.claims)) {
+        next.claims = next.claims
+          .filter(isPlainObject)
+          .map((c) => (typeof c.id === "string" && c.id ? c : { ...c, id: uuidFn() }));
+      }
+      return next;
+    },
+  },
+];
+
+/**
+ * Version tag written to session files, e.g. "inkwise:session:v2"
+ * @param {number} [version]
+ * @returns {string}
+ */
+export function sessionVersionTag(version = SCHEMA_VERSION) {
+  return `${SESSION_VERSION_PREFIX}${version}`;
+}
+
+/**
+ * Reads the schema version from a session version tag
+ * @param {unknown} tag
+ * @returns {number | null} - null when the tag isn't an Inkwise session version
+ */
+export function parseSessionVersionTag(tag) {
+  const match = typeof tag === "string" && tag.match(/^inkwise:session:v(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Schema version of a raw state (1 when it has none)
+ * @param {unknown} raw
+ * @returns {number}
+ */
+export function getStateVersion(raw) {
+  const version = isPlainObject(raw) ? /** @type {any} */ (raw).schemaVersion : undefined;
+  return Number.isInteger(version) && version >= 1 ? version : 1;
+}
+
+/**
+ * Upgrades a raw state to SCHEMA_VERSION, one step at a time. States from a newer
+ * version are returned unchanged (validation then drops the fields it doesn't know).
+ * @param {unknown} raw - Stored or imported state (not validated)
+ * @param {{ fromVersion?: number, uuidFn?: () => string }} [options] - fromVersion overrides
+ *   the state's own schemaVersion (session files carry it in their version tag)
+ * @returns {{ state: any, fromVersion: number, applied: string[] }}
+ */
+export function migrateState(raw, { fromVersion, uuidFn = uuid } = {}) {
+  const version = fromVersion ?? getStateVersion(raw);
+  if (!isPlainObject(raw) || version >= SCHEMA_VERSION) {
+    return { state: raw, fromVersion: version, applied: [] };
+  }
+
+  let state = clone(raw);
+  const applied = [];
+  for (const step of MIGRATIONS) {
+    if (step.from < version) continue;
+    state = { ...step.migrate(state, { uuidFn }), schemaVersion: step.from + 1 };
+    applied.push(`v${step.from} → v${step.from + 1}: ${step.description}`);
+  }
+  return { state, fromVersion: version, applied };
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import { MIGRATIONS, migrateState, getStateVersion, sessionVersionTag, parseSessionVersionTag } from "./migrations.js";
+import { SCHEMA_VERSION } from "./state-manager.js";
+import { sequentialIds } from "./test-helpers.js";
+
+describe("migration chain", () => {
+  it("has one step per version up to SCHEMA_VERSION", () => {
+    expect(MIGRATIONS.map((m) => m.from)).toEqual(Array.from({ length: SCHEMA_VERSION - 1 }, (_, i) => i + 1));
+  });
+});
+
+describe("session version tags", () => {
+  it("round-trips the version number", () => {
+    expect(sessionVersionTag()).toBe(`inkwise:session:v${SCHEMA_VERSION}`);
+    expect(parseSessionVersionTag(sessionVersionTag(7))).toBe(7);
+  });
+
+  it("rejects tags that aren't Inkwise session versions", () => {
+    expect(parseSessionVersionTag("inkwise:session:beta")).toBeNull();
+    expect(parseSessionVersionTag("v1")).toBeNull();
+    expect(parseSessionVersionTag(undefined)).toBeNull();
+  });
+});
+
+describe("getStateVersion", () => {
+  it("defaults to 1 for unversioned or malformed states", () => {
+    expect(getStateVersion({})).toBe(1);
+    expect(getStateVersion({ schemaVersion: "2" })).toBe(1);
+    expect(getStateVersion(null)).toBe(1);
+    expect(getStateVersion({ schemaVersion: 2 })).toBe(2);
+  });
+});
+
+describe("migrateState", () => {
+  const v1 = {
+    intent: "Old",
+    claims: [{ id: "a", text: "Has id" }, { text: "No id" }, null, { id: "", text: "Empty id" }],
+    linkedin: { maxBullets: 3 },
+  };
+
+  it("upgrades a v1 state to the current version", () => {
+    const { state, fromVersion, applied } = migrateState(v1, { uuidFn: sequentialIds("new") });
+    expect(fromVersion).toBe(1);
+    expect(applied).toHaveLength(SCHEMA_VERSION - 1);
+    expect(state.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(state.claims).toEqual([
+      { id: "a", text: "Has id" },
+      { id: "new-1", text: "No id" },
+      { id: "new-2", text: "Empty id" },
+    ]);
+    expect(state.email).toEqual({});
+    expect(state.linkedin).toEqual({ maxBullets: 3 });
+  });
+
+  it("does not modify its input", () => {
+    migrateState(v1, { uuidFn: sequentialIds("new") });
+    expect(v1.claims[1]).toEqual({ text: "No id" });
+    expect(v1).not.toHaveProperty("schemaVersion");
+  });
+
+  it("uses an explicit fromVersion over the state's own", () => {
+    const { applied } = migrateState({ schemaVersion: 1, claims: [] }, { fromVersion: SCHEMA_VERSION });
+    expect(applied).toEqual([]);
+  });
+
+  it("leaves current, newer and non-object states alone", () => {
+    const current = { schemaVersion: SCHEMA_VERSION, claims: [] };
+    expect(migrateState(current).state).toBe(current);
+    expect(migrateState({ schemaVersion: SCHEMA_VERSION + 1 })).toMatchObject({
+      fromVersion: SCHEMA_VERSION + 1,
+      applied: [],
+    });
+    expect(migrateState("garbage").state).toBe("garbage");
+  });
+});
@@ -0,0 +1,213 @@
+// Project library functions extracted for testing
+// Pure helpers for the multi-project index; persistence is handled by main.js
+
+import { clone, uuid, DEFAULT_STATE, sanitizeAndMergeState } from "./state-manager.js";
+
+// Storage keys
+export const LEGACY_STORAGE_KEY = "inkwise:v1";
+export const LIBRARY_KEY = "inkwise:projects";
+export const ACTIVE_PROJECT_KEY = "inkwise:active-project";
+
+export const UNTITLED_PROJECT = "Untitled project";
+
+/**
+ * Storage key for a single project's state
+ * @param {string} projectId
+ * @returns {string}
+ */
+export function projectStorageKey(projectId) {
+  return `inkwise:project:${projectId}`;
+}
+
+/**
+ * Derives a display title from state (metadata title, else first line of intent)
+ * @param {object} state - The application state
+ * @returns {string}
+ */
+export function deriveProjectTitle(state) {
+  const title = (state?.metadata?.title || "").trim();
+  if (title) return title;
+
+  const firstLine = (state?.intent || "").trim().split("\n")[0].trim();
+  if (!firstLine) return UNTITLED_PROJECT;
+  return firstLine.length > 60 ? `${firstLine.slice(0, 57)}…` : firstLine;
+}
+
+/**
+ * Creates a fresh project state with filled-in metadata
+ * @param {{ title?: string, state?: object, uuidFn?: () => string, now?: Date }} [options]
+ * @returns {object}
+ */
+export function createProject({ title = "", state = null, uuidFn = uuid, now = new Date() } = {}) {
+  const base = sanitizeAndMergeState(state || clone(DEFAULT_STATE), uuidFn);
+  const timestamp = now.toISOString();
+
+  return {
+    ...base,
+    metadata: {
+      id: uuidFn(),
+      title: title.trim() || deriveProjectTitle({ intent: base.intent }),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      archived: false,
+    },
+  };
+}
+
+/**
+ * Ensures a state has complete project metadata, creating it if missing
+ * @param {object} state - The application state
+ * @param {{ uuidFn?: () => string, now?: Date }} [options]
+ * @returns {object}
+ */
+export function ensureProjectMetadata(state, { uuidFn = uuid, now = new Date() } = {}) {
+  const meta = state.metadata || {};
+  const timestamp = now.toISOString();
+
+  return {
+    ...state,
+    metadata: {
+      id: meta.id || uuidFn(),
+      title: (meta.title || "").trim() || deriveProjectTitle(state),
+      createdAt: meta.createdAt || timestamp,
+      updatedAt: meta.updatedAt || timestamp,
+      archived: !!meta.archived,
+    },
+  };
+}
+
+/**
+ * Marks a project as modified
+ * @param {object} state - The application state
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export function touchProject(state, now = new Date()) {
+  return { ...state, metadata: { ...state.metadata, updatedAt: now.toISOString() } };
+}
+
+/**
+ * Renames a project
+ * @param {object} state - The application state
+ * @param {string} title - New title (blank falls back to the derived title)
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export function renameProject(state, title, now = new Date()) {
+  const nextTitle = (title || "").trim() || deriveProjectTitle({ intent: state.intent });
+  return touchProject({ ...state, metadata: { ...state.metadata, title: nextTitle } }, now);
+}
+
+/**
+ * Duplicates a project under a new id
+ * @param {object} state - The project to copy
+ * @param {{ uuidFn?: () => string, now?: Date }} [options]
+ * @returns {object}
+ */
+export function duplicateProject(state, { uuidFn = uuid, now = new Date() } = {}) {
+  const timestamp = now.toISOString();
+  return {
+    ...clone(state),
+    metadata: {
+      id: uuidFn(),
+      title: `${deriveProjectTitle(state)} (copy)`,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      archived: false,
+    },
+  };
+}
+
+/**
+ * Archives or restores a project
+ * @param {object} state - The application state
+ * @param {boolean} archived
+ * @returns {object}
+ */
+export function setProjectArchived(state, archived) {
+  return { ...state, metadata: { ...state.metadata, archived: !!archived } };
+}
+
+/**
+ * Builds the library index entry for a project
+ * @param {object} state - The application state
+ * @returns {{id: string, title: string, createdAt: string, updatedAt: string, archived: boolean}}
+ */
+export function toIndexEntry(state) {
+  const { id, title, createdAt, updatedAt, archived } = state.metadata;
+  return { id, title, createdAt, updatedAt, archived: !!archived };
+}
+
+/**
+ * Sanitizes a raw library index (drops malformed entries and duplicates)
+ * @param {unknown} raw
+ * @returns {Array<{id: string, title: string, createdAt: string, updatedAt: string, archived: boolean}>}
+ */
+export function sanitizeLibraryIndex(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  const seen = new Set();
+  const entries = [];
+  for (const entry of raw) {
+    if (!entry || typeof entry !== "object" || typeof entry.id !== "string" || !entry.id) continue;
+    if (seen.has(entry.id)) continue;
+    seen.add(entry.id);
+    entries.push({
+      id: entry.id,
+      title: typeof entry.title === "string" && entry.title.trim() ? entry.title : UNTITLED_PROJECT,
+      createdAt: typeof entry.createdAt === "string" ? entry.createdAt : "",
+      updatedAt: typeof entry.updatedAt === "string" ? entry.updatedAt : "",
+      archived: !!entry.archived,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Inserts or replaces a project's entry in the index
+ * @param {Array<object>} index - Library index
+ * @param {object} state - Project state with metadata
+ * @returns {Array<object>}
+ */
+export function upsertIndexEntry(index, state) {
+  const entry = toIndexEntry(state);
+  const exists = index.some((e) => e.id === entry.id);
+  return exists ? index.map((e) => (e.id === entry.id ? entry : e)) : [...index, entry];
+}
+
+/**
+ * Removes a project's entry from the index
+ * @param {Array<object>} index - Library index
+ * @param {string} projectId
+ * @returns {Array<object>}
+ */
+export function removeIndexEntry(index, projectId) {
+  return index.filter((e) => e.id !== projectId);
+}
+
+/**
+ * Lists projects, most recently updated first
+ * @param {Array<object>} index - Library index
+ * @param {{ includeArchived?: boolean }} [options]
+ * @returns {Array<object>}
+ */
+export function listProjects(index, { includeArchived = false } = {}) {
+  return index
+    .filter((e) => includeArchived || !e.archived)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * Picks which project to open: the requested one if it exists and isn't archived,
+ * otherwise the most recently updated active project
+ * @param {Array<object>} index - Library index
+ * @param {string|null} preferredId
+ * @returns {string|null}
+ */
+export function pickActiveProjectId(index, preferredId) {
+  const preferred = index.find((e) => e.id === preferredId);
+  if (preferred && !preferred.archived) return preferred.id;
+
+  const [latest] = listProjects(index);
+  return latest ? latest.id : null;
+}
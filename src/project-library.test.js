@@ -0,0 +1,195 @@
+import { describe, it, expect } from "vitest";
+import {
+  UNTITLED_PROJECT,
+  projectStorageKey,
+  deriveProjectTitle,
+  createProject,
+  ensureProjectMetadata,
+  touchProject,
+  renameProject,
+  duplicateProject,
+  setProjectArchived,
+  toIndexEntry,
+  sanitizeLibraryIndex,
+  upsertIndexEntry,
+  removeIndexEntry,
+  listProjects,
+  pickActiveProjectId,
+} from "./project-library.js";
+import { sequentialIds } from "./test-helpers.js";
+
+const now = new Date("2025-03-01T12:00:00.000Z");
+const later = new Date("2025-03-02T12:00:00.000Z");
+
+describe("projectStorageKey", () => {
+  it("namespaces project ids", () => {
+    expect(projectStorageKey("abc")).toBe("inkwise:project:abc");
+  });
+});
+
+describe("deriveProjectTitle", () => {
+  it("prefers the metadata title", () => {
+    expect(deriveProjectTitle({ intent: "Intent", metadata: { title: "Named" } })).toBe("Named");
+  });
+
+  it("falls back to the first line of the intent", () => {
+    expect(deriveProjectTitle({ intent: "  First line\nSecond line" })).toBe("First line");
+  });
+
+  it("truncates long intents", () => {
+    const title = deriveProjectTitle({ intent: "x".repeat(100) });
+    expect(title.length).toBe(58);
+    expect(title.endsWith("…")).toBe(true);
+  });
+
+  it("uses a placeholder when nothing is available", () => {
+    expect(deriveProjectTitle({ intent: "" })).toBe(UNTITLED_PROJECT);
+    expect(deriveProjectTitle(null)).toBe(UNTITLED_PROJECT);
+  });
+});
+
+describe("createProject", () => {
+  it("fills in all metadata fields", () => {
+    const project = createProject({ title: "Launch post", uuidFn: sequentialIds(), now });
+
+    expect(project.metadata.title).toBe("Launch post");
+    expect(project.metadata.createdAt).toBe(now.toISOString());
+    expect(project.metadata.updatedAt).toBe(now.toISOString());
+    expect(project.metadata.archived).toBe(false);
+    expect(project.metadata.id).toBeTruthy();
+  });
+
+  it("starts from the default state", () => {
+    const project = createProject({ now });
+    expect(project.phase).toBe("intent");
+    expect(project.claims).toHaveLength(1);
+    expect(project.linkedin.includeCTA).toBe(true);
+  });
+
+  it("adopts provided state and derives the title from it", () => {
+    const project = createProject({ state: { intent: "Imported intent" }, now });
+    expect(project.intent).toBe("Imported intent");
+    expect(project.metadata.title).toBe("Imported intent");
+  });
+});
+
+describe("ensureProjectMetadata", () => {
+  it("keeps existing metadata", () => {
+    const state = { intent: "", metadata: { id: "p1", title: "Kept", createdAt: "a", updatedAt: "b" } };
+    const result = ensureProjectMetadata(state, { now });
+    expect(result.metadata).toEqual({ id: "p1", title: "Kept", createdAt: "a", updatedAt: "b", archived: false });
+  });
+
+  it("creates missing metadata", () => {
+    const result = ensureProjectMetadata({ intent: "Legacy work" }, { uuidFn: () => "new-id", now });
+    expect(result.metadata.id).toBe("new-id");
+    expect(result.metadata.title).toBe("Legacy work");
+    expect(result.metadata.createdAt).toBe(now.toISOString());
+  });
+});
+
+describe("project operations", () => {
+  const base = () => createProject({ title: "Original", uuidFn: () => "p1", now });
+
+  it("touchProject bumps updatedAt only", () => {
+    const result = touchProject(base(), later);
+    expect(result.metadata.updatedAt).toBe(later.toISOString());
+    expect(result.metadata.createdAt).toBe(now.toISOString());
+  });
+
+  it("renameProject sets the title and touches the project", () => {
+    const result = renameProject(base(), "  Renamed  ", later);
+    expect(result.metadata.title).toBe("Renamed");
+    expect(result.metadata.updatedAt).toBe(later.toISOString());
+  });
+
+  it("renameProject with a blank title falls back to the derived title", () => {
+    const result = renameProject({ ...base(), intent: "From intent" }, "   ", later);
+    expect(result.metadata.title).toBe("From intent");
+  });
+
+  it("duplicateProject copies content under a new id", () => {
+    const original = { ...base(), intent: "Content" };
+    const copy = duplicateProject(original, { uuidFn: () => "p2", now: later });
+
+    expect(copy.metadata.id).toBe("p2");
+    expect(copy.metadata.title).toBe("Original (copy)");
+    expect(copy.metadata.createdAt).toBe(later.toISOString());
+    expect(copy.intent).toBe("Content");
+    expect(copy.claims).not.toBe(original.claims);
+  });
+
+  it("duplicateProject un-archives the copy", () => {
+    const copy = duplicateProject(setProjectArchived(base(), true), { uuidFn: () => "p2", now });
+    expect(copy.metadata.archived).toBe(false);
+  });
+
+  it("setProjectArchived toggles the flag", () => {
+    expect(setProjectArchived(base(), true).metadata.archived).toBe(true);
+    expect(setProjectArchived(base(), false).metadata.archived).toBe(false);
+  });
+});
+
+describe("library index", () => {
+  const entry = (id, updatedAt, archived = false) => ({
+    id,
+    title: id,
+    createdAt: "2025-01-01T00:00:00.000Z",
+    updatedAt,
+    archived,
+  });
+
+  it("toIndexEntry mirrors project metadata", () => {
+    const project = createProject({ title: "T", uuidFn: () => "p1", now });
+    expect(toIndexEntry(project)).toEqual({
+      id: "p1",
+      title: "T",
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      archived: false,
+    });
+  });
+
+  it("sanitizeLibraryIndex drops malformed and duplicate entries", () => {
+    const result = sanitizeLibraryIndex([entry("a", "1"), null, { title: "no id" }, entry("a", "2"), { id: "b" }]);
+    expect(result.map((e) => e.id)).toEqual(["a", "b"]);
+    expect(result[1].title).toBe(UNTITLED_PROJECT);
+  });
+
+  it("sanitizeLibraryIndex returns an empty list for non-arrays", () => {
+    expect(sanitizeLibraryIndex(null)).toEqual([]);
+    expect(sanitizeLibraryIndex({ a: 1 })).toEqual([]);
+  });
+
+  it("upsertIndexEntry adds and replaces entries", () => {
+    const project = createProject({ title: "First", uuidFn: () => "p1", now });
+    let index = upsertIndexEntry([], project);
+    expect(index).toHaveLength(1);
+
+    index = upsertIndexEntry(index, renameProject(project, "Second", later));
+    expect(index).toHaveLength(1);
+    expect(index[0].title).toBe("Second");
+  });
+
+  it("removeIndexEntry removes by id", () => {
+    expect(removeIndexEntry([entry("a", "1"), entry("b", "2")], "a").map((e) => e.id)).toEqual(["b"]);
+  });
+
+  it("listProjects sorts by most recent and hides archived by default", () => {
+    const index = [entry("old", "2025-01-01"), entry("new", "2025-02-01"), entry("gone", "2025-03-01", true)];
+    expect(listProjects(index).map((e) => e.id)).toEqual(["new", "old"]);
+    expect(listProjects(index, { includeArchived: true }).map((e) => e.id)).toEqual(["gone", "new", "old"]);
+  });
+
+  it("pickActiveProjectId prefers the requested project", () => {
+    const index = [entry("a", "2025-01-01"), entry("b", "2025-02-01")];
+    expect(pickActiveProjectId(index, "a")).toBe("a");
+  });
+
+  it("pickActiveProjectId skips archived or unknown ids", () => {
+    const index = [entry("a", "2025-01-01", true), entry("b", "2025-02-01")];
+    expect(pickActiveProjectId(index, "a")).toBe("b");
+    expect(pickActiveProjectId(index, "missing")).toBe("b");
+    expect(pickActiveProjectId([], "missing")).toBeNull();
+  });
+});
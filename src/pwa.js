@@ -0,0 +1,83 @@
+// Service worker registration and update prompting extracted for testing
+// The worker itself is src/sw.js; the build emits it as /sw.js with its precache list.
+
+// How long after the last keystroke an update prompt may appear
+export const UPDATE_IDLE_MS = 4000;
+
+/**
+ * Whether an element takes typing (inputs, textareas, selects, contenteditable)
+ * @param {Element | null} el
+ * @returns {boolean}
+ */
+export function isEditableElement(el) {
+  if (!el) return false;
+  const tag = el.tagName;
+  if (tag === "TEXTAREA" || tag === "SELECT") return true;
+  if (tag === "INPUT") {
+    const type = (el.getAttribute("type") || "text").toLowerCase();
+    return !["button", "submit", "reset", "checkbox", "radio", "file", "range", "color"].includes(type);
+  }
+  return /** @type {HTMLElement} */ (el).isContentEditable === true;
+}
+
+/**
+ * Whether the update prompt can be shown without interrupting the user:
+ * nothing editable has focus and the last keystroke is a while ago (so its
+ * debounced save has gone through too)
+ * @param {{ activeElement: Element | null, lastInputAt: number, now: number, idleMs?: number }} options
+ * @returns {boolean}
+ */
+export function canPromptForUpdate({ activeElement, lastInputAt, now, idleMs = UPDATE_IDLE_MS }) {
+  return !isEditableElement(activeElement) && now - lastInputAt >= idleMs;
+}
+
+/**
+ * Registers the service worker and reports a waiting new version. The new
+ * version only takes over when the returned `activate` callback is called,
+ * after which the page reloads once.
+ * @param {{
+ *   onUpdateReady: (activate: () => void) => void,
+ *   container?: ServiceWorkerContainer,
+ *   url?: string,
+ *   reload?: () => void
+ * }} options
+ * @returns {Promise<ServiceWorkerRegistration | null>} - null when service workers aren't supported
+ */
+export async function registerServiceWorker({
+  onUpdateReady,
+  container = typeof navigator !== "undefined" ? navigator.serviceWorker : undefined,
+  url = "/sw.js",
+  reload = () => window.location.reload(),
+}) {
+  if (!container) return null;
+
+  let activated = false;
+  const offer = (worker) =>
+    onUpdateReady(() => {
+      activated = true;
+      worker.postMessage({ type: "SKIP_WAITING" });
+    });
+
+  // Reload only for an update the user accepted, not when the first worker claims the page
+  container.addEventListener("controllerchange", () => {
+    if (!activated) return;
+    activated = false;
+    reload();
+  });
+
+  const registration = await container.register(url);
+
+  // A previous visit already installed an update that is still waiting
+  if (registration.waiting && container.controller) offer(registration.waiting);
+
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener("statechange", () => {
+      // With no controller this is the first install, not an update
+      if (worker.state === "installed" && container.controller) offer(worker);
+    });
+  });
+
+  return registration;
+}
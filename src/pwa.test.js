@@ -0,0 +1,100 @@
+import { describe, it, expect, vi } from "vitest";
+import { isEditableElement, canPromptForUpdate, registerServiceWorker, UPDATE_IDLE_MS } from "./pwa.js";
+
+// Minimal EventTarget-based stand-ins for the ServiceWorker API
+function fakeWorker(state = "installing") {
+  const worker = new window.EventTarget();
+  return Object.assign(worker, { state, postMessage: vi.fn() });
+}
+
+function fakeContainer({ controller = {}, waiting = null } = {}) {
+  const registration = Object.assign(new window.EventTarget(), { waiting, installing: null });
+  const container = Object.assign(new window.EventTarget(), {
+    controller,
+    register: vi.fn(async () => registration),
+  });
+  return { container, registration };
+}
+
+describe("isEditableElement", () => {
+  it("treats text fields and textareas as editable", () => {
+    expect(isEditableElement(document.createElement("textarea"))).toBe(true);
+    expect(isEditableElement(document.createElement("input"))).toBe(true);
+    expect(isEditableElement(document.createElement("select"))).toBe(true);
+  });
+
+  it("ignores buttons, checkboxes and plain elements", () => {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    expect(isEditableElement(checkbox)).toBe(false);
+    expect(isEditableElement(document.createElement("button"))).toBe(false);
+    expect(isEditableElement(document.body)).toBe(false);
+    expect(isEditableElement(null)).toBe(false);
+  });
+});
+
+describe("canPromptForUpdate", () => {
+  const now = 100000;
+
+  it("waits while a text field has focus", () => {
+    const activeElement = document.createElement("textarea");
+    expect(canPromptForUpdate({ activeElement, lastInputAt: 0, now })).toBe(false);
+  });
+
+  it("waits until typing has been idle long enough", () => {
+    const activeElement = document.body;
+    expect(canPromptForUpdate({ activeElement, lastInputAt: now - UPDATE_IDLE_MS + 1, now })).toBe(false);
+    expect(canPromptForUpdate({ activeElement, lastInputAt: now - UPDATE_IDLE_MS, now })).toBe(true);
+  });
+});
+
+describe("registerServiceWorker", () => {
+  it("returns null when service workers aren't supported", async () => {
+    expect(await registerServiceWorker({ onUpdateReady: vi.fn(), container: null })).toBeNull();
+  });
+
+  it("offers a newly installed worker and activates it only on request", async () => {
+    const { container, registration } = fakeContainer();
+    const onUpdateReady = vi.fn();
+    const reload = vi.fn();
+    await registerServiceWorker({ onUpdateReady, container, reload });
+
+    const worker = fakeWorker();
+    registration.installing = worker;
+    registration.dispatchEvent(new window.Event("updatefound"));
+    worker.state = "installed";
+    worker.dispatchEvent(new window.Event("statechange"));
+
+    expect(onUpdateReady).toHaveBeenCalledTimes(1);
+    expect(worker.postMessage).not.toHaveBeenCalled();
+
+    onUpdateReady.mock.calls[0][0]();
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: "SKIP_WAITING" });
+    container.dispatchEvent(new window.Event("controllerchange"));
+    expect(reload).toHaveBeenCalledTimes(1);
+  });
+
+  it("offers a worker left waiting by an earlier visit", async () => {
+    const waiting = fakeWorker("installed");
+    const { container } = fakeContainer({ waiting });
+    const onUpdateReady = vi.fn();
+    await registerServiceWorker({ onUpdateReady, container, reload: vi.fn() });
+    expect(onUpdateReady).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not offer or reload on the very first install", async () => {
+    const { container, registration } = fakeContainer({ controller: null });
+    const onUpdateReady = vi.fn();
+    const reload = vi.fn();
+    await registerServiceWorker({ onUpdateReady, container, reload });
+
+    const worker = fakeWorker("installed");
+    registration.installing = worker;
+    registration.dispatchEvent(new window.Event("updatefound"));
+    worker.dispatchEvent(new window.Event("statechange"));
+    container.dispatchEvent(new window.Event("controllerchange"));
+
+    expect(onUpdateReady).not.toHaveBeenCalled();
+    expect(reload).not.toHaveBeenCalled();
+  });
+});
@@ -3,17 +3,40 @@
  * Used for import/export validation and type safety
  */
 import { z } from "zod";
+import { clone, SCHEMA_VERSION } from "./state-manager.js";
+import { migrateState, parseSessionVersionTag, sessionVersionTag } from "./migrations.js";
+import { isEncryptedSessionExport } from "./crypto.js";
+import { MAX_CLAIM_DEPTH } from "./claim-outline.js";
+import { MAX_VARIANTS } from "./expression-variants.js";
 
 // Output profile keys
-export const OutputProfileKeySchema = z.enum(["linkedin", "xthread", "email", "memo", "blog", "custom"]);
+export const OutputProfileKeySchema = z.union([
+  z.enum(["linkedin", "xthread", "bluesky", "mastodon", "threads", "email", "memo", "blog", "custom"]),
+  // User-defined profile ("custom:<id>")
+  z.string().regex(/^custom:.+/),
+]);
 
 // Phase enum
 export const PhaseSchema = z.enum(["intent", "structure", "expression", "draft"]);
 
-// Individual claim
+// A source cited by a claim (see claim-sources.js)
+export const SourceSchema = z.object({
+  id: z.string().min(1),
+  url: z.string().default(""),
+  title: z.string().default(""),
+  author: z.string().default(""),
+  date: z.string().default(""),
+  quote: z.string().default(""),
+});
+
+// Individual claim; depth > 0 nests it under the claim above (see claim-outline.js)
 export const ClaimSchema = z.object({
   id: z.string().min(1),
   text: z.string(),
+  depth: z.number().int().min(0).max(MAX_CLAIM_DEPTH).optional(),
+  sources: z.array(SourceSchema).optional(),
+  // Private notes; never part of a draft
+  notes: z.string().optional(),
 });
 
 // LinkedIn configuration
@@ -30,28 +53,105 @@ export const LinkedInConfigSchema = z.object({
   signature: z.string().default("— Posted via Inkwise"),
 });
 
+// Email configuration
+export const EmailConfigSchema = z.object({
+  subject: z.string().default(""),
+  subjectFallback: z.string().default("Quick note"),
+  greeting: z.string().default(""),
+  signOff: z.string().default(""),
+});
+
+// Memo configuration
+export const MemoConfigSchema = z.object({
+  title: z.string().default(""),
+  tldrCount: z.number().int().min(1).max(12).default(5),
+  nextSteps: z.string().default(""),
+});
+
+// Blog configuration
+export const BlogConfigSchema = z.object({
+  includeTitle: z.boolean().default(true),
+  headingLevel: z.number().int().min(2).max(4).default(2),
+  intro: z.string().default(""),
+});
+
+// X thread configuration
+export const XThreadConfigSchema = z.object({
+  numbering: z.enum(["prefix", "suffix", "none"]).default("prefix"),
+  locked: z.boolean().default(false),
+  posts: z.array(z.string()).default([]),
+  lockedFrom: z.string().default(""),
+});
+
+// Bluesky thread configuration
+export const BlueskyConfigSchema = z.object({
+  numbering: z.enum(["prefix", "suffix", "none"]).default("prefix"),
+  handleDomain: z.string().default("bsky.social"),
+});
+
+// Mastodon thread configuration (charLimit is the instance's post limit)
+export const MastodonConfigSchema = z.object({
+  numbering: z.enum(["prefix", "suffix", "none"]).default("prefix"),
+  charLimit: z.number().int().min(100).max(100000).default(500),
+  instance: z.string().default(""),
+});
+
+// Threads configuration
+export const ThreadsConfigSchema = z.object({
+  numbering: z.enum(["prefix", "suffix", "none"]).default("prefix"),
+});
+
+// User-defined output profile (stored outside projects, shared by all of them)
+export const CustomProfileSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().trim().min(1, "Name is required"),
+  maxChars: z.number().int().min(1).max(100000).default(3000),
+  hint: z.string().default(""),
+  template: z.string().default(""),
+  updatedAt: z.string().optional(),
+});
+
 // UI state
 export const UIStateSchema = z.object({
   presetId: z.string().default("systems_coordination"),
+  showPreview: z.boolean().default(false),
+  breakdownNotes: z.boolean().default(false),
+});
+
+// Alternative takes on a claim's expression; texts[active] mirrors state.expressions
+export const ExpressionVariantSetSchema = z.object({
+  texts: z.array(z.string()).min(2).max(MAX_VARIANTS),
+  active: z.number().int().min(0),
 });
 
-// Project metadata (optional, for enhanced exports)
+// Project metadata (identifies a project in the library)
 export const ProjectMetadataSchema = z.object({
   id: z.string().optional(),
   title: z.string().optional(),
   createdAt: z.string().datetime().optional(),
   updatedAt: z.string().datetime().optional(),
+  archived: z.boolean().optional(),
 });
 
 // Main application state
 export const AppStateSchema = z.object({
+  schemaVersion: z.number().int().min(1).default(SCHEMA_VERSION),
   phase: PhaseSchema.default("intent"),
   intent: z.string().default(""),
+  notes: z.string().default(""),
   claims: z.array(ClaimSchema).min(1),
   expressions: z.record(z.string(), z.string()).default({}),
+  expressionVariants: z.record(z.string(), ExpressionVariantSetSchema).default({}),
   outputProfile: OutputProfileKeySchema.default("linkedin"),
   ui: UIStateSchema.default({}),
   linkedin: LinkedInConfigSchema.default({}),
+  email: EmailConfigSchema.default({}),
+  memo: MemoConfigSchema.default({}),
+  blog: BlogConfigSchema.default({}),
+  xthread: XThreadConfigSchema.default({}),
+  bluesky: BlueskyConfigSchema.default({}),
+  mastodon: MastodonConfigSchema.default({}),
+  threads: ThreadsConfigSchema.default({}),
   // Optional metadata
   metadata: ProjectMetadataSchema.optional(),
 });
@@ -99,57 +199,138 @@ export function parseAppState(data) {
 }
 
 /**
- * Extracts state from various import formats (handles legacy and new formats)
+ * What happened to an imported file on its way to a valid state
+ * @typedef {object} ImportReport
+ * @property {number} fromVersion - Schema version the file was written with
+ * @property {number} toVersion - Schema version it was migrated to
+ * @property {string[]} migrations - Migration steps that ran, oldest first
+ * @property {Array<{ path: string, reason: string, value: unknown }>} dropped - Fields left out, with the value they had
+ */
+
+const MAX_RECOVERY_PASSES = 10;
+
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+// Orders paths so later array items are removed before earlier ones (indices stay valid)
+function comparePathsDescending(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+    return typeof a[i] === "number" && typeof b[i] === "number"
+      ? b[i] - a[i]
+      : String(b[i]).localeCompare(String(a[i]));
+  }
+  return b.length - a.length;
+}
+
+function valueAt(obj, path) {
+  return path.reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+function removeAt(obj, path) {
+  const parent = valueAt(obj, path.slice(0, -1));
+  const key = path[path.length - 1];
+  if (Array.isArray(parent)) parent.splice(Number(key), 1);
+  else if (parent && typeof parent === "object") delete parent[key];
+}
+
+// Reports keys the schema stripped (unknown fields) by walking input and output together
+function collectStripped(input, output, path, dropped) {
+  if (Array.isArray(input) && Array.isArray(output)) {
+    input.forEach((item, i) => collectStripped(item, output[i], [...path, i], dropped));
+    return;
+  }
+  if (!isPlainObject(input) || !isPlainObject(output)) return;
+  for (const key of Object.keys(input)) {
+    if (key in output) collectStripped(input[key], output[key], [...path, key], dropped);
+    else dropped.push({ path: [...path, key].join("."), reason: "Unknown field", value: input[key] });
+  }
+}
+
+/**
+ * Validates a state, dropping only the fields that fail instead of the whole state.
+ * A bad setting falls back to its default; a claim missing its id or text is removed.
+ * @param {unknown} raw - Migrated state
+ * @returns {{ success: true, data: z.infer<typeof AppStateSchema>, dropped: ImportReport["dropped"] } | { success: false, error: z.ZodError, dropped: ImportReport["dropped"] }}
+ */
+export function recoverAppState(raw) {
+  const working = isPlainObject(raw) ? clone(raw) : raw;
+  /** @type {ImportReport["dropped"]} */
+  const dropped = [];
+
+  let result = AppStateSchema.safeParse(working);
+  for (let pass = 0; !result.success && pass < MAX_RECOVERY_PASSES; pass++) {
+    // List items (claims, thread posts) have no defaults to fall back on, so a bad
+    // field drops the whole item; elsewhere the field alone is dropped
+    const paths = result.error.errors
+      .map((issue) => {
+        const itemEnd = issue.path.findIndex((key) => typeof key === "number") + 1;
+        return itemEnd > 0 ? issue.path.slice(0, itemEnd) : issue.path;
+      })
+      .filter((path) => path.length > 1 || (path.length === 1 && path[0] !== "claims"));
+    if (!paths.length) break;
+
+    const issueFor = (path) => result.error.errors.find((issue) => path.every((key, i) => issue.path[i] === key));
+    const unique = [...new Map(paths.map((path) => [path.join("."), path])).values()].sort(comparePathsDescending);
+    for (const path of unique) {
+      dropped.push({ path: path.join("."), reason: issueFor(path).message, value: valueAt(working, path) });
+      removeAt(working, path);
+    }
+    result = AppStateSchema.safeParse(working);
+  }
+
+  if (!result.success) return { success: false, error: result.error, dropped };
+  collectStripped(working, result.data, [], dropped);
+  return { success: true, data: result.data, dropped };
+}
+
+/**
+ * Extracts state from a session file or a raw state object, migrating it to the
+ * current schema version and recovering what it can field by field.
+ * Encrypted exports fail with `encrypted: true`: decrypt them with
+ * decryptSessionExport() (crypto.js) and pass the result back in.
  * @param {unknown} data - Raw imported data
- * @returns {{ success: true, data: z.infer<typeof AppStateSchema> } | { success: false, error: string }}
+ * @returns {{ success: true, data: z.infer<typeof AppStateSchema>, report: ImportReport } | { success: false, error: string, encrypted?: boolean }}
  */
 export function extractStateFromImport(data) {
-  if (!data || typeof data !== "object") {
+  if (!isPlainObject(data)) {
     return { success: false, error: "Invalid import: data must be an object" };
   }
+  if (isEncryptedSessionExport(data)) {
+    return { success: false, encrypted: true, error: "This file is encrypted. Enter its passphrase to import it." };
+  }
 
   const obj = /** @type {Record<string, unknown>} */ (data);
-
-  // Check if it's a session export format
-  if (obj.version && typeof obj.version === "string" && obj.version.startsWith("inkwise:session:")) {
-    const parsed = parseSessionExport(data);
-    if (parsed.success) {
-      return { success: true, data: parsed.data.state };
-    }
-    // Try to extract just the state for partial recovery
-    if (obj.state && typeof obj.state === "object") {
-      const stateResult = parseAppState(obj.state);
-      if (stateResult.success) {
-        return { success: true, data: stateResult.data };
-      }
-    }
-    // parsed.success is false here, so we have parsed.error
-    const errorMsg = /** @type {{ success: false, error: import("zod").ZodError }} */ (parsed).error.errors
-      .map((e) => e.message)
-      .join(", ");
-    return {
-      success: false,
-      error: `Invalid session format: ${errorMsg}`,
-    };
+  const isSession = typeof obj.version === "string" && obj.version.startsWith("inkwise:session:");
+  const tagVersion = isSession ? parseSessionVersionTag(obj.version) : null;
+  if (isSession && tagVersion === null) {
+    return { success: false, error: `Unknown session version "${obj.version}"` };
   }
 
-  // Check if it's raw state (legacy import or direct state object)
-  const stateResult = parseAppState(data);
-  if (stateResult.success) {
-    return { success: true, data: stateResult.data };
+  // Session files wrap the state; older tools also wrote { state } without a version
+  const rawState = isSession || (isPlainObject(obj.state) && !("claims" in obj)) ? obj.state : obj;
+  if (!isPlainObject(rawState)) {
+    return { success: false, error: "Invalid import: the file has no project state" };
   }
 
-  // Try to extract from nested state property
-  if (obj.state && typeof obj.state === "object") {
-    const nestedResult = parseAppState(obj.state);
-    if (nestedResult.success) {
-      return { success: true, data: nestedResult.data };
-    }
+  const migrated = migrateState(rawState, { fromVersion: tagVersion ?? undefined });
+  const recovered = recoverAppState(migrated.state);
+  if (!recovered.success) {
+    const errorResult = /** @type {{ success: false, error: z.ZodError }} */ (recovered);
+    return {
+      success: false,
+      error: `Could not recover a project from this file: ${formatZodErrors(errorResult.error).join(", ")}`,
+    };
   }
 
   return {
-    success: false,
-    error: "Could not parse import data. Ensure it's a valid Inkwise session or project file.",
+    success: true,
+    data: recovered.data,
+    report: {
+      fromVersion: migrated.fromVersion,
+      toVersion: SCHEMA_VERSION,
+      migrations: migrated.applied,
+      dropped: recovered.dropped,
+    },
   };
 }
 
@@ -160,7 +341,7 @@ export function extractStateFromImport(data) {
  */
 export function createSessionExport(state) {
   return {
-    version: "inkwise:session:v1",
+    version: sessionVersionTag(),
     exportedAt: new Date().toISOString(),
     state,
   };
@@ -8,7 +8,17 @@ import {
   formatZodErrors,
   ClaimSchema,
   LinkedInConfigSchema,
+  EmailConfigSchema,
+  MemoConfigSchema,
+  BlogConfigSchema,
+  XThreadConfigSchema,
+  BlueskyConfigSchema,
+  MastodonConfigSchema,
+  ThreadsConfigSchema,
+  OutputProfileKeySchema,
+  recoverAppState,
 } from "./schemas.js";
+import { SCHEMA_VERSION } from "./state-manager.js";
 
 describe("Zod Schemas", () => {
   describe("ClaimSchema", () => {
@@ -29,6 +39,16 @@ describe("Zod Schemas", () => {
       const result = ClaimSchema.safeParse(claim);
       expect(result.success).toBe(true);
     });
+
+    it("fills in missing source fields", () => {
+      const result = ClaimSchema.safeParse({ id: "c", text: "", sources: [{ id: "s", url: "https://x.example" }] });
+      expect(result.success).toBe(true);
+      if (result.success) {
+        expect(result.data.sources).toEqual([
+          { id: "s", url: "https://x.example", title: "", author: "", date: "", quote: "" },
+        ]);
+      }
+    });
   });
 
   describe("LinkedInConfigSchema", () => {
@@ -52,6 +72,40 @@ describe("Zod Schemas", () => {
     });
   });
 
+  describe("profile config schemas", () => {
+    it("provides default values", () => {
+      expect(EmailConfigSchema.parse({}).subjectFallback).toBe("Quick note");
+      expect(MemoConfigSchema.parse({}).tldrCount).toBe(5);
+      expect(BlogConfigSchema.parse({}).headingLevel).toBe(2);
+      expect(XThreadConfigSchema.parse({}).numbering).toBe("prefix");
+      expect(XThreadConfigSchema.parse({})).toMatchObject({ locked: false, posts: [], lockedFrom: "" });
+      expect(BlueskyConfigSchema.parse({}).handleDomain).toBe("bsky.social");
+      expect(MastodonConfigSchema.parse({}).charLimit).toBe(500);
+      expect(ThreadsConfigSchema.parse({}).numbering).toBe("prefix");
+    });
+
+    it("rejects out-of-range values", () => {
+      expect(MemoConfigSchema.safeParse({ tldrCount: 0 }).success).toBe(false);
+      expect(BlogConfigSchema.safeParse({ headingLevel: 5 }).success).toBe(false);
+      expect(XThreadConfigSchema.safeParse({ numbering: "roman" }).success).toBe(false);
+      expect(MastodonConfigSchema.safeParse({ charLimit: 50 }).success).toBe(false);
+    });
+  });
+
+  describe("OutputProfileKeySchema", () => {
+    it("accepts built-in and user-defined profile keys", () => {
+      expect(OutputProfileKeySchema.safeParse("memo").success).toBe(true);
+      expect(OutputProfileKeySchema.safeParse("bluesky").success).toBe(true);
+      expect(OutputProfileKeySchema.safeParse("custom").success).toBe(true);
+      expect(OutputProfileKeySchema.safeParse("custom:abc").success).toBe(true);
+    });
+
+    it("rejects unknown keys", () => {
+      expect(OutputProfileKeySchema.safeParse("custom:").success).toBe(false);
+      expect(OutputProfileKeySchema.safeParse("slack").success).toBe(false);
+    });
+  });
+
   describe("AppStateSchema", () => {
     it("validates a minimal valid state", () => {
       const state = {
@@ -198,6 +252,113 @@ describe("extractStateFromImport", () => {
     const result = extractStateFromImport(invalid);
     expect(result.success).toBe(false);
   });
+
+  it("asks for a passphrase for encrypted exports", () => {
+    const result = extractStateFromImport({ version: "inkwise:encrypted-session:v1", kdf: {}, cipher: {}, data: "" });
+    expect(result).toMatchObject({ success: false, encrypted: true });
+  });
+});
+
+describe("extractStateFromImport (versions and recovery)", () => {
+  const v1Session = {
+    version: "inkwise:session:v1",
+    exportedAt: "2025-01-18T00:00:00.000Z",
+    state: { intent: "Old file", claims: [{ id: "c1", text: "Kept" }, { text: "No id" }], expressions: {} },
+  };
+
+  it("migrates v1 session files and reports the steps", () => {
+    const result = extractStateFromImport(v1Session);
+    expect(result.success).toBe(true);
+    if (!result.success) return;
+    expect(result.data.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(result.data.claims.map((c) => c.text)).toEqual(["Kept", "No id"]);
+    expect(result.data.claims[1].id).toBeTruthy();
+    expect(result.report).toMatchObject({ fromVersion: 1, toVersion: SCHEMA_VERSION, dropped: [] });
+    expect(result.report.migrations).toHaveLength(SCHEMA_VERSION - 1);
+  });
+
+  it("treats raw state without a schemaVersion as v1", () => {
+    const result = extractStateFromImport({ intent: "Raw", claims: [{ id: "c1", text: "A" }] });
+    expect(result.success && result.report.fromVersion).toBe(1);
+  });
+
+  it("does not migrate current-version files", () => {
+    const result = extractStateFromImport(
+      createSessionExport(AppStateSchema.parse({ claims: [{ id: "a", text: "A" }] }))
+    );
+    expect(result.success && result.report).toMatchObject({ fromVersion: SCHEMA_VERSION, migrations: [], dropped: [] });
+  });
+
+  it("keeps the rest of the file when single fields are invalid and reports them", () => {
+    const result = extractStateFromImport({
+      version: `inkwise:session:v${SCHEMA_VERSION}`,
+      exportedAt: "2025-01-18T00:00:00.000Z",
+      state: {
+        intent: "Keep me",
+        claims: [
+          { id: "a", text: "Good" },
+          { id: "b", text: 42 },
+        ],
+        expressions: { a: "Fine", b: ["not", "text"] },
+        linkedin: { maxBullets: 99, ctaText: "Kept CTA" },
+        outputProfile: "fax",
+      },
+    });
+    expect(result.success).toBe(true);
+    if (!result.success) return;
+    expect(result.data.intent).toBe("Keep me");
+    expect(result.data.claims).toEqual([{ id: "a", text: "Good" }]);
+    expect(result.data.expressions).toEqual({ a: "Fine" });
+    expect(result.data.linkedin).toMatchObject({ maxBullets: 5, ctaText: "Kept CTA" });
+    expect(result.data.outputProfile).toBe("linkedin");
+    expect(result.report.dropped.map((d) => d.path).sort()).toEqual([
+      "claims.1",
+      "expressions.b",
+      "linkedin.maxBullets",
+      "outputProfile",
+    ]);
+    expect(result.report.dropped.find((d) => d.path === "linkedin.maxBullets").value).toBe(99);
+  });
+
+  it("reports unknown fields from newer files instead of dropping them silently", () => {
+    const result = extractStateFromImport({
+      version: `inkwise:session:v${SCHEMA_VERSION + 1}`,
+      exportedAt: "2030-01-01T00:00:00.000Z",
+      state: { claims: [{ id: "a", text: "A", color: "red" }], futureField: { x: 1 } },
+    });
+    expect(result.success).toBe(true);
+    if (!result.success) return;
+    expect(result.report.fromVersion).toBe(SCHEMA_VERSION + 1);
+    expect(result.report.dropped).toEqual([
+      { path: "claims.0.color", reason: "Unknown field", value: "red" },
+      { path: "futureField", reason: "Unknown field", value: { x: 1 } },
+    ]);
+  });
+
+  it("rejects unknown session version tags", () => {
+    const result = extractStateFromImport({ version: "inkwise:session:beta", state: { claims: [] } });
+    expect(result.success).toBe(false);
+    if (!result.success) expect(result.error).toContain("inkwise:session:beta");
+  });
+});
+
+describe("recoverAppState", () => {
+  it("drops claims whose required fields are missing", () => {
+    const result = recoverAppState({ claims: [{ id: "a", text: "A" }, { id: "b" }] });
+    expect(result.success).toBe(true);
+    expect(result.dropped).toEqual([{ path: "claims.1", reason: "Required", value: { id: "b" } }]);
+  });
+
+  it("fails when no claim survives", () => {
+    const result = recoverAppState({ claims: [{ id: "" }] });
+    expect(result.success).toBe(false);
+  });
+
+  it("does not modify its input", () => {
+    const input = { claims: [{ id: "a", text: "A" }], intent: 5 };
+    recoverAppState(input);
+    expect(input.intent).toBe(5);
+  });
 });
 
 describe("createSessionExport", () => {
@@ -225,7 +386,7 @@ describe("createSessionExport", () => {
 
     const exported = createSessionExport(state);
 
-    expect(exported.version).toBe("inkwise:session:v1");
+    expect(exported.version).toBe(`inkwise:session:v${SCHEMA_VERSION}`);
     expect(exported.exportedAt).toBeDefined();
     expect(exported.state).toEqual(state);
 
@@ -238,11 +399,18 @@ describe("createSessionExport", () => {
     const originalState = {
       phase: "draft",
       intent: "Original intent",
+      notes: "Private project notes",
       claims: [
-        { id: "c1", text: "Claim 1" },
+        {
+          id: "c1",
+          text: "Claim 1",
+          notes: "Private claim notes",
+          sources: [{ id: "s1", url: "https://x.example", title: "T", author: "A", date: "2024", quote: "Q" }],
+        },
         { id: "c2", text: "Claim 2" },
       ],
       expressions: { c1: "Expression 1", c2: "Expression 2" },
+      expressionVariants: { c1: { texts: ["Expression 1", "Another take"], active: 0 } },
       outputProfile: "blog",
       ui: { presetId: "custom" },
       linkedin: {
@@ -272,6 +440,11 @@ describe("createSessionExport", () => {
     if (imported.success) {
       expect(imported.data.intent).toBe(originalState.intent);
       expect(imported.data.claims).toHaveLength(2);
+      expect(imported.data.claims[0].sources).toEqual(originalState.claims[0].sources);
+      expect(imported.data.notes).toBe("Private project notes");
+      expect(imported.data.expressionVariants).toEqual(originalState.expressionVariants);
+      expect(imported.data.claims[0].notes).toBe("Private claim notes");
+      expect(imported.report.dropped).toEqual([]);
       expect(imported.data.expressions.c1).toBe("Expression 1");
       expect(imported.data.linkedin.hookOverride).toBe("Custom hook");
     }
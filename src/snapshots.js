@@ -0,0 +1,284 @@
+// Named snapshots and per-field diffing extracted for testing
+// A snapshot stores a project's content (not its identity, phase or UI state)
+
+import { clone, uuid } from "./state-manager.js";
+import { formatCitation, isEmptySource } from "./claim-sources.js";
+import { getVariants, variantLabel } from "./expression-variants.js";
+
+/**
+ * Storage key for a project's snapshot list
+ * @param {string} projectId
+ * @returns {string}
+ */
+export function snapshotStorageKey(projectId) {
+  return `inkwise:snapshots:${projectId}`;
+}
+
+// Fields that belong to the project, not to the content being versioned
+const NON_CONTENT_FIELDS = ["metadata", "phase", "ui"];
+
+/**
+ * Extracts the versioned content from a state
+ * @param {object} state - The application state
+ * @returns {object}
+ */
+export function snapshotContent(state) {
+  const content = clone(state);
+  NON_CONTENT_FIELDS.forEach((key) => delete content[key]);
+  return content;
+}
+
+/**
+ * Creates a named snapshot of the current content
+ * @param {object} state - The application state
+ * @param {string} name - Label such as "before edit pass"
+ * @param {{ uuidFn?: () => string, now?: Date }} [options]
+ * @returns {{id: string, name: string, createdAt: string, state: object}}
+ */
+export function createSnapshot(state, name, { uuidFn = uuid, now = new Date() } = {}) {
+  const createdAt = now.toISOString();
+  return {
+    id: uuidFn(),
+    name: (name || "").trim() || `Snapshot ${now.toLocaleString()}`,
+    createdAt,
+    state: snapshotContent(state),
+  };
+}
+
+/**
+ * Sanitizes a stored snapshot list, newest first
+ * @param {unknown} raw
+ * @returns {Array<{id: string, name: string, createdAt: string, state: object}>}
+ */
+export function sanitizeSnapshotList(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((s) => s && typeof s === "object" && typeof s.id === "string" && s.state && typeof s.state === "object")
+    .map((s) => ({
+      id: s.id,
+      name: typeof s.name === "string" ? s.name : "Snapshot",
+      createdAt: typeof s.createdAt === "string" ? s.createdAt : "",
+      state: s.state,
+    }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Applies a snapshot's content to the current state, keeping identity, phase and UI
+ * @param {object} state - The application state
+ * @param {{state: object}} snapshot
+ * @returns {object}
+ */
+export function restoreSnapshot(state, snapshot) {
+  const content = clone(snapshot.state);
+  NON_CONTENT_FIELDS.forEach((key) => delete content[key]);
+  return { ...state, ...content };
+}
+
+/**
+ * Word-level diff (LCS). Whitespace is kept attached to tokens so joining
+ * the parts of either side reproduces the original text.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: "same"|"added"|"removed", text: string}>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  /** @type {Array<{type: "same"|"added"|"removed", text: string}>} */
+  const parts = [];
+
+  // Very long texts: skip the quadratic table and show a whole replacement
+  if (a.length * b.length > 250000) {
+    if (before) parts.push({ type: "removed", text: before });
+    if (after) parts.push({ type: "added", text: after });
+    return parts;
+  }
+
+  const table = lcsTable(a, b);
+
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return parts;
+}
+
+// table[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+function lcsTable(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  return table;
+}
+
+// Ids that keep their relative order on both sides (a longest common subsequence)
+function inOrderIds(a, b) {
+  const table = lcsTable(a, b);
+  const ids = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ids.add(a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return ids;
+}
+
+function tokenize(text) {
+  return String(text || "").match(/\S+\s*|\s+/g) || [];
+}
+
+// A claim's sources as one citation per line ("" without any)
+function claimCitations(entry) {
+  const sources = (entry?.claim.sources || []).filter((source) => !isEmptySource(source));
+  return sources.map((source) => formatCitation(source)).join("\n");
+}
+
+// A claim's takes, one per line ("" for a single take). The active take is only
+// marked: its text is the expression, which has its own row.
+function claimTakes(state, id) {
+  if (!state.expressionVariants?.[id]) return "";
+  const { texts, active } = getVariants(state, id);
+  return texts
+    .map((text, i) => (i === active ? `${variantLabel(i)} (active)` : `${variantLabel(i)}: ${text}`))
+    .join("\n");
+}
+
+// Compares two plain values (strings, numbers, booleans)
+function fieldChange(before, after) {
+  const status =
+    before === after ? "unchanged" : before === undefined ? "added" : after === undefined ? "removed" : "changed";
+  return { status, before, after };
+}
+
+/**
+ * Diffs two states field by field. Claims are matched by id so reordering
+ * (moveClaim) shows as "moved" instead of a cascade of edits; so does indenting
+ * or outdenting a claim.
+ * @param {object} left - Older/baseline state
+ * @param {object} right - Newer/compared state
+ * @returns {{
+ *   intent: {status: string, before: string, after: string},
+ *   claims: Array<{id: string, status: string, before: string|undefined, after: string|undefined, fromIndex: number, toIndex: number, fromDepth: number, toDepth: number}>,
+ *   expressions: Array<{id: string, label: string, status: string, before: string|undefined, after: string|undefined}>,
+ *   sources: Array<{id: string, label: string, status: string, before: string|undefined, after: string|undefined}>,
+ *   variants: Array<{id: string, label: string, status: string, before: string|undefined, after: string|undefined}>,
+ *   claimNotes: Array<{id: string, label: string, status: string, before: string|undefined, after: string|undefined}>,
+ *   notes: {status: string, before: string, after: string},
+ *   linkedin: Array<{field: string, status: string, before: any, after: any}>,
+ *   outputProfile: {status: string, before: string, after: string},
+ *   changeCount: number
+ * }}
+ */
+export function diffSnapshots(left, right) {
+  const leftClaims = left.claims || [];
+  const rightClaims = right.claims || [];
+  const leftById = new Map(leftClaims.map((c, i) => [c.id, { claim: c, index: i }]));
+  const rightById = new Map(rightClaims.map((c, i) => [c.id, { claim: c, index: i }]));
+
+  // Order: right-hand order first, then claims that only exist on the left
+  const claimIds = [
+    ...rightClaims.map((c) => c.id),
+    ...leftClaims.filter((c) => !rightById.has(c.id)).map((c) => c.id),
+  ];
+
+  // Only claims outside the longest run kept in order on both sides count as moved, so
+  // neither an insertion nor moving one claim past others marks everything "moved"
+  const sharedLeft = leftClaims.filter((c) => rightById.has(c.id)).map((c) => c.id);
+  const sharedRight = rightClaims.filter((c) => leftById.has(c.id)).map((c) => c.id);
+  const inOrder = inOrderIds(sharedLeft, sharedRight);
+
+  const claims = claimIds.map((id) => {
+    const l = leftById.get(id);
+    const r = rightById.get(id);
+    const before = l ? l.claim.text : undefined;
+    const after = r ? r.claim.text : undefined;
+    let { status } = fieldChange(before, after);
+    const fromDepth = l ? l.claim.depth || 0 : -1;
+    const toDepth = r ? r.claim.depth || 0 : -1;
+    if (status === "unchanged" && l && r && (!inOrder.has(id) || fromDepth !== toDepth)) status = "moved";
+    return { id, status, before, after, fromIndex: l ? l.index : -1, toIndex: r ? r.index : -1, fromDepth, toDepth };
+  });
+
+  const claimLabel = (id) => (rightById.get(id) || leftById.get(id)).claim.text || "(untitled claim)";
+
+  const leftExpr = left.expressions || {};
+  const rightExpr = right.expressions || {};
+  const exprIds = claimIds.filter((id) => (leftExpr[id] || "") !== "" || (rightExpr[id] || "") !== "");
+  const expressions = exprIds.map((id) => {
+    const before = (leftExpr[id] || "") === "" ? undefined : leftExpr[id];
+    const after = (rightExpr[id] || "") === "" ? undefined : rightExpr[id];
+    return { id, label: claimLabel(id), ...fieldChange(before, after) };
+  });
+
+  // Per-claim text fields, read from each side's state and claim; "" counts as absent
+  const perClaim = (read) =>
+    claimIds
+      .map((id) => ({ id, before: read(left, leftById.get(id), id), after: read(right, rightById.get(id), id) }))
+      .filter(({ before, after }) => before || after)
+      .map(({ id, before, after }) => ({
+        id,
+        label: claimLabel(id),
+        ...fieldChange(before || undefined, after || undefined),
+      }));
+  // Sources compare as their citations, takes as their labels and texts
+  const sources = perClaim((state, entry) => claimCitations(entry));
+  const variants = perClaim((state, entry, id) => (entry ? claimTakes(state, id) : ""));
+  const claimNotes = perClaim((state, entry) => entry?.claim.notes || "");
+
+  const leftLinkedIn = left.linkedin || {};
+  const rightLinkedIn = right.linkedin || {};
+  const linkedinFields = [...new Set([...Object.keys(leftLinkedIn), ...Object.keys(rightLinkedIn)])];
+  const linkedin = linkedinFields.map((field) => ({
+    field,
+    ...fieldChange(leftLinkedIn[field], rightLinkedIn[field]),
+  }));
+
+  const intent = fieldChange(left.intent || "", right.intent || "");
+  const outputProfile = fieldChange(left.outputProfile, right.outputProfile);
+  const notes = fieldChange(left.notes || "", right.notes || "");
+
+  const changeCount = [
+    intent,
+    outputProfile,
+    notes,
+    ...claims,
+    ...expressions,
+    ...variants,
+    ...sources,
+    ...claimNotes,
+    ...linkedin,
+  ].filter((c) => c.status !== "unchanged").length;
+
+  return { intent, claims, expressions, variants, sources, claimNotes, notes, linkedin, outputProfile, changeCount };
+}
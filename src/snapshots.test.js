@@ -0,0 +1,302 @@
+import { describe, it, expect } from "vitest";
+import {
+  snapshotStorageKey,
+  snapshotContent,
+  createSnapshot,
+  sanitizeSnapshotList,
+  restoreSnapshot,
+  diffWords,
+  diffSnapshots,
+} from "./snapshots.js";
+
+const baseState = () => ({
+  phase: "draft",
+  intent: "Original intent",
+  claims: [
+    { id: "c1", text: "First" },
+    { id: "c2", text: "Second" },
+    { id: "c3", text: "Third" },
+  ],
+  expressions: { c1: "Para one", c2: "Para two" },
+  outputProfile: "linkedin",
+  ui: { presetId: "systems_coordination" },
+  linkedin: { includeCTA: true, ctaText: "Thoughts?" },
+  metadata: { id: "p1", title: "Project" },
+});
+
+describe("snapshotStorageKey", () => {
+  it("namespaces by project id", () => {
+    expect(snapshotStorageKey("p1")).toBe("inkwise:snapshots:p1");
+  });
+});
+
+describe("snapshotContent", () => {
+  it("drops identity, phase and UI fields", () => {
+    const content = snapshotContent(baseState());
+    expect(content.metadata).toBeUndefined();
+    expect(content.phase).toBeUndefined();
+    expect(content.ui).toBeUndefined();
+    expect(content.intent).toBe("Original intent");
+  });
+
+  it("returns a deep copy", () => {
+    const state = baseState();
+    const content = snapshotContent(state);
+    state.claims[0].text = "Mutated";
+    expect(content.claims[0].text).toBe("First");
+  });
+});
+
+describe("createSnapshot", () => {
+  const now = new Date("2025-05-01T10:00:00.000Z");
+
+  it("stores the name, timestamp and content", () => {
+    const snap = createSnapshot(baseState(), "  before edit pass ", { uuidFn: () => "s1", now });
+    expect(snap).toMatchObject({ id: "s1", name: "before edit pass", createdAt: now.toISOString() });
+    expect(snap.state.intent).toBe("Original intent");
+  });
+
+  it("generates a name when none is given", () => {
+    const snap = createSnapshot(baseState(), "", { uuidFn: () => "s1", now });
+    expect(snap.name.startsWith("Snapshot ")).toBe(true);
+  });
+});
+
+describe("sanitizeSnapshotList", () => {
+  it("drops malformed entries and sorts newest first", () => {
+    const list = sanitizeSnapshotList([
+      { id: "old", name: "Old", createdAt: "2025-01-01", state: {} },
+      null,
+      { id: "no-state", name: "x", createdAt: "2025-01-02" },
+      { id: "new", createdAt: "2025-02-01", state: {} },
+    ]);
+    expect(list.map((s) => s.id)).toEqual(["new", "old"]);
+    expect(list[0].name).toBe("Snapshot");
+  });
+
+  it("returns an empty list for non-arrays", () => {
+    expect(sanitizeSnapshotList(null)).toEqual([]);
+  });
+});
+
+describe("restoreSnapshot", () => {
+  it("replaces content but keeps identity, phase and UI", () => {
+    const snap = createSnapshot({ ...baseState(), intent: "Snapshot intent", phase: "intent" }, "s");
+    const current = { ...baseState(), intent: "Current", phase: "structure" };
+
+    const restored = restoreSnapshot(current, snap);
+
+    expect(restored.intent).toBe("Snapshot intent");
+    expect(restored.phase).toBe("structure");
+    expect(restored.metadata).toEqual(current.metadata);
+  });
+
+  it("ignores identity fields even if a stored snapshot carries them", () => {
+    const restored = restoreSnapshot(baseState(), { state: { intent: "X", metadata: { id: "other" } } });
+    expect(restored.metadata.id).toBe("p1");
+  });
+});
+
+describe("diffWords", () => {
+  const join = (parts, hide) =>
+    parts
+      .filter((p) => p.type !== hide)
+      .map((p) => p.text)
+      .join("");
+
+  it("marks added and removed words", () => {
+    const parts = diffWords("the quick fox", "the slow fox");
+    expect(parts).toEqual([
+      { type: "same", text: "the " },
+      { type: "removed", text: "quick " },
+      { type: "added", text: "slow " },
+      { type: "same", text: "fox" },
+    ]);
+  });
+
+  it("reconstructs both sides", () => {
+    const before = "Coordination feels productive, but often signals fragility.";
+    const after = "Coordination looks productive but usually signals fragility!";
+    const parts = diffWords(before, after);
+    expect(join(parts, "added")).toBe(before);
+    expect(join(parts, "removed")).toBe(after);
+  });
+
+  it("handles empty inputs", () => {
+    expect(diffWords("", "")).toEqual([]);
+    expect(diffWords("", "new")).toEqual([{ type: "added", text: "new" }]);
+    expect(diffWords("old", "")).toEqual([{ type: "removed", text: "old" }]);
+  });
+
+  it("falls back to whole replacement for very long texts", () => {
+    const a = "a ".repeat(600);
+    const b = "b ".repeat(600);
+    expect(diffWords(a, b)).toEqual([
+      { type: "removed", text: a },
+      { type: "added", text: b },
+    ]);
+  });
+});
+
+describe("diffSnapshots", () => {
+  it("reports no changes for identical states", () => {
+    const diff = diffSnapshots(baseState(), baseState());
+    expect(diff.changeCount).toBe(0);
+    expect(diff.intent.status).toBe("unchanged");
+  });
+
+  it("detects intent changes", () => {
+    const diff = diffSnapshots(baseState(), { ...baseState(), intent: "New intent" });
+    expect(diff.intent).toEqual({ status: "changed", before: "Original intent", after: "New intent" });
+    expect(diff.changeCount).toBe(1);
+  });
+
+  it("matches claims by id across reorders", () => {
+    const right = baseState();
+    right.claims = [right.claims[2], right.claims[0], right.claims[1]];
+
+    const diff = diffSnapshots(baseState(), right);
+    const byId = Object.fromEntries(diff.claims.map((c) => [c.id, c]));
+
+    expect(byId.c3).toMatchObject({ status: "moved", fromIndex: 2, toIndex: 0 });
+    expect(byId.c1).toMatchObject({ status: "unchanged", fromIndex: 0, toIndex: 1 });
+    expect(byId.c2).toMatchObject({ status: "unchanged", fromIndex: 1, toIndex: 2 });
+    expect(diff.claims.every((c) => c.before === c.after)).toBe(true);
+    expect(diff.changeCount).toBe(1);
+  });
+
+  it("marks only the claim that moved past the others", () => {
+    const left = baseState();
+    left.claims = ["c1", "c2", "c3", "c4", "c5"].map((id) => ({ id, text: id }));
+    const right = baseState();
+    right.claims = [left.claims[4], ...left.claims.slice(0, 4)];
+
+    const diff = diffSnapshots(left, right);
+    const statuses = Object.fromEntries(diff.claims.map((c) => [c.id, c.status]));
+
+    expect(statuses).toEqual({ c5: "moved", c1: "unchanged", c2: "unchanged", c3: "unchanged", c4: "unchanged" });
+    expect(diff.changeCount).toBe(1);
+  });
+
+  it("does not mark claims as moved when one is inserted before them", () => {
+    const right = baseState();
+    right.claims = [{ id: "new", text: "Inserted" }, ...right.claims];
+
+    const diff = diffSnapshots(baseState(), right);
+    const statuses = Object.fromEntries(diff.claims.map((c) => [c.id, c.status]));
+
+    expect(statuses).toEqual({ new: "added", c1: "unchanged", c2: "unchanged", c3: "unchanged" });
+  });
+
+  it("marks indented and outdented claims as moved", () => {
+    const left = baseState();
+    left.claims[2].depth = 1;
+    const right = baseState();
+    right.claims[1].depth = 1;
+
+    const diff = diffSnapshots(left, right);
+    const byId = Object.fromEntries(diff.claims.map((c) => [c.id, c]));
+
+    expect(byId.c1).toMatchObject({ status: "unchanged", fromDepth: 0, toDepth: 0 });
+    expect(byId.c2).toMatchObject({ status: "moved", fromDepth: 0, toDepth: 1 });
+    expect(byId.c3).toMatchObject({ status: "moved", fromDepth: 1, toDepth: 0 });
+    expect(diff.changeCount).toBe(2);
+  });
+
+  it("detects edited, added and removed claims", () => {
+    const right = baseState();
+    right.claims = [{ id: "c1", text: "First (edited)" }, right.claims[1], { id: "c4", text: "Fourth" }];
+
+    const diff = diffSnapshots(baseState(), right);
+    const statuses = Object.fromEntries(diff.claims.map((c) => [c.id, c.status]));
+
+    expect(statuses).toEqual({ c1: "changed", c2: "unchanged", c4: "added", c3: "removed" });
+  });
+
+  it("diffs expressions per claim", () => {
+    const right = baseState();
+    right.expressions = { c1: "Para one", c2: "Para two, revised", c3: "Para three" };
+
+    const diff = diffSnapshots(baseState(), right);
+    const byId = Object.fromEntries(diff.expressions.map((e) => [e.id, e]));
+
+    expect(byId.c1.status).toBe("unchanged");
+    expect(byId.c2).toMatchObject({ status: "changed", label: "Second" });
+    expect(byId.c3).toMatchObject({ status: "added", before: undefined, after: "Para three" });
+  });
+
+  it("diffs each claim's sources", () => {
+    const report = { id: "s1", url: "https://data.example/q3", title: "Q3 report", author: "", date: "", quote: "" };
+    const left = baseState();
+    left.claims[0].sources = [report];
+    left.claims[1].sources = [report];
+    const right = baseState();
+    right.claims[0].sources = [{ ...report, title: "Q4 report" }];
+    right.claims[1].sources = [report];
+    right.claims[2].sources = [report];
+
+    const diff = diffSnapshots(left, right);
+    const byId = Object.fromEntries(diff.sources.map((e) => [e.id, e]));
+
+    expect(byId.c1).toMatchObject({
+      status: "changed",
+      label: "First",
+      before: "“Q3 report”. https://data.example/q3",
+      after: "“Q4 report”. https://data.example/q3",
+    });
+    expect(byId.c2.status).toBe("unchanged");
+    expect(byId.c3).toMatchObject({ status: "added", before: undefined });
+    expect(diff.changeCount).toBe(2);
+  });
+
+  it("diffs expression takes without repeating the active one", () => {
+    const left = baseState();
+    left.expressionVariants = { c1: { texts: ["Para one", "Other take"], active: 0 } };
+    const right = baseState();
+    right.expressions.c1 = "Other take";
+    right.expressionVariants = { c1: { texts: ["Para one", "Other take"], active: 1 } };
+    right.expressionVariants.c2 = { texts: ["Para two", ""], active: 0 };
+
+    const diff = diffSnapshots(left, right);
+    const byId = Object.fromEntries(diff.variants.map((e) => [e.id, e]));
+
+    expect(byId.c1).toMatchObject({
+      status: "changed",
+      before: "A (active)\nB: Other take",
+      after: "A: Para one\nB (active)",
+    });
+    expect(byId.c2).toMatchObject({ status: "added", label: "Second", after: "A (active)\nB: " });
+    expect(diff.changeCount).toBe(3);
+  });
+
+  it("diffs project and claim notes", () => {
+    const left = { ...baseState(), notes: "Check the Q3 numbers" };
+    left.claims[0].notes = "Ask ops";
+    const right = { ...baseState(), notes: "Checked" };
+    right.claims[1].notes = "Needs a source";
+
+    const diff = diffSnapshots(left, right);
+
+    expect(diff.notes).toEqual({ status: "changed", before: "Check the Q3 numbers", after: "Checked" });
+    expect(diff.claimNotes.map((e) => [e.id, e.status])).toEqual([
+      ["c1", "removed"],
+      ["c2", "added"],
+    ]);
+    expect(diff.changeCount).toBe(3);
+  });
+
+  it("diffs LinkedIn config fields", () => {
+    const right = baseState();
+    right.linkedin = { includeCTA: false, ctaText: "Thoughts?", includeHashtags: true };
+
+    const diff = diffSnapshots(baseState(), right);
+    const byField = Object.fromEntries(diff.linkedin.map((f) => [f.field, f.status]));
+
+    expect(byField).toEqual({ includeCTA: "changed", ctaText: "unchanged", includeHashtags: "added" });
+  });
+
+  it("counts every change", () => {
+    const right = { ...baseState(), intent: "Changed", outputProfile: "blog" };
+    expect(diffSnapshots(baseState(), right).changeCount).toBe(2);
+  });
+});
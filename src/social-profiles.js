@@ -0,0 +1,151 @@
+// Cross-posting thread profiles (Bluesky, Mastodon, Threads), extracted for testing
+// Each platform counts post length its own way and writes mentions differently, so
+// handles are rewritten before splitting and hashtags are tidied per post after.
+
+import { URL_WEIGHT, graphemeLength, splitThreadBodies, numberThreadPosts } from "./thread-splitter.js";
+import { clampInt } from "./utils.js";
+
+export const SOCIAL_PROFILES = ["bluesky", "mastodon", "threads"];
+
+// Mastodon instance limits vary widely (500 is the stock default)
+export const MASTODON_LIMIT_MIN = 100;
+export const MASTODON_LIMIT_MAX = 100000;
+
+const BLUESKY_DEFAULT_DOMAIN = "bsky.social";
+
+const MASTODON_URL_PATTERN = /https?:\/\/[^\s<>"]+/gi;
+const URL_TRAILING_PUNCTUATION = /[.,!?;:)\]}'"]+$/;
+
+// @name, @name.domain.tld (Bluesky) or @name@instance.tld (Mastodon); not emails or URL paths
+const MENTION_PATTERN = /(^|[^\w@/])@([A-Za-z0-9_]+(?:[.-][A-Za-z0-9_]+)*)(?:@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+))?/g;
+
+// #tag or #multi-word-tag; not URL fragments or HTML entities
+const HASHTAG_PATTERN = /(^|[^\w&/#])#([\p{L}\p{N}_]+(?:-[\p{L}\p{N}_]+)*)/gu;
+const TAGS_ONLY_LINE = /^\s*(?:#[\p{L}\p{N}_-]+\s*)+$/u;
+
+/**
+ * Counts text the way Mastodon does: every link is 23 characters and remote
+ * mentions (`@user@instance`) only count the username
+ * @param {string} text
+ * @returns {number}
+ */
+export function mastodonLength(text) {
+  const countable = String(text ?? "")
+    .replace(MASTODON_URL_PATTERN, (url) => {
+      const trailing = url.match(URL_TRAILING_PUNCTUATION)?.[0] || "";
+      return "x".repeat(URL_WEIGHT) + trailing;
+    })
+    .replace(MENTION_PATTERN, (match, before, name, instance) => (instance ? `${before}@${name}` : match));
+  return graphemeLength(countable);
+}
+
+/**
+ * Per-post length limit for a profile
+ * @param {string} profile - "bluesky", "mastodon" or "threads"
+ * @param {object} cfg - The profile's config block
+ * @returns {number}
+ */
+export function getSocialPostLimit(profile, cfg) {
+  if (profile === "bluesky") return 300;
+  if (profile === "mastodon") return clampInt(cfg.charLimit, MASTODON_LIMIT_MIN, MASTODON_LIMIT_MAX, 500);
+  return 500;
+}
+
+/**
+ * Length function matching the platform's counter
+ * @param {string} profile
+ * @returns {(text: string) => number}
+ */
+export function getSocialMeasure(profile) {
+  return profile === "mastodon" ? mastodonLength : graphemeLength;
+}
+
+/**
+ * Rewrites mentions for a platform:
+ * - Bluesky: bare `@name` becomes `@name.<handleDomain>`
+ * - Mastodon: bare `@name` becomes `@name@<instance>` when an instance is set
+ * - Threads: `@name@instance` and `@name.bsky.social` become `@name`
+ * Handles that are already fully qualified for the platform are left alone.
+ * @param {string} text
+ * @param {string} profile
+ * @param {object} cfg - The profile's config block
+ * @returns {string}
+ */
+export function formatHandles(text, profile, cfg = {}) {
+  return String(text ?? "").replace(MENTION_PATTERN, (match, before, name, instance) => {
+    if (profile === "bluesky") {
+      const domain = (cfg.handleDomain || "").trim().replace(/^[@.]+/, "");
+      return !instance && !name.includes(".") && domain ? `${before}@${name}.${domain}` : match;
+    }
+    if (profile === "mastodon") {
+      const home = (cfg.instance || "").trim().replace(/^@+/, "");
+      return !instance && !name.includes(".") && home ? `${before}@${name}@${home}` : match;
+    }
+    if (profile === "threads") {
+      return `${before}@${name.replace(`.${BLUESKY_DEFAULT_DOMAIN}`, "")}`;
+    }
+    return match;
+  });
+}
+
+/**
+ * Tidies hashtags in one post:
+ * - Mastodon: multi-word-tags become CamelCase (hyphens end a Mastodon tag)
+ * - Threads: only the first tag is kept as a tag; later ones on a tags-only
+ *   line are dropped and inline ones lose their "#"
+ * @param {string} post
+ * @param {string} profile
+ * @returns {string}
+ */
+export function formatHashtags(post, profile) {
+  if (profile === "mastodon") {
+    return post.replace(HASHTAG_PATTERN, (match, before, tag) => {
+      if (!tag.includes("-")) return match;
+      return `${before}#${tag
+        .split("-")
+        .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+        .join("")}`;
+    });
+  }
+
+  if (profile === "threads") {
+    let seen = false;
+    const lines = [];
+    for (const line of post.split("\n")) {
+      const tagsOnly = TAGS_ONLY_LINE.test(line);
+      const formatted = line.replace(HASHTAG_PATTERN, (match, before, tag) => {
+        if (!seen) {
+          seen = true;
+          return match;
+        }
+        return tagsOnly ? before : `${before}${tag}`;
+      });
+      if (!tagsOnly) lines.push(formatted);
+      else if (formatted.trim()) lines.push(formatted.replace(/\s{2,}/g, " ").trim());
+    }
+    return lines
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  return post;
+}
+
+/**
+ * Builds a numbered thread for a cross-posting profile
+ * @param {string} baseText - The base draft text
+ * @param {string} profile - "bluesky", "mastodon" or "threads"
+ * @param {object} cfg - The profile's config block
+ * @returns {string[]}
+ */
+export function buildSocialThread(baseText, profile, cfg) {
+  const bodies = splitThreadBodies(formatHandles(baseText, profile, cfg), getSocialPostLimit(profile, cfg), {
+    numbering: cfg.numbering,
+    measure: getSocialMeasure(profile),
+  });
+  return numberThreadPosts(
+    bodies.map((body) => formatHashtags(body, profile)),
+    cfg.numbering
+  );
+}
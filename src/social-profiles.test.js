@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import {
+  mastodonLength,
+  getSocialPostLimit,
+  formatHandles,
+  formatHashtags,
+  buildSocialThread,
+} from "./social-profiles.js";
+import { graphemeLength } from "./thread-splitter.js";
+
+describe("mastodonLength", () => {
+  it("counts every link as 23 characters", () => {
+    expect(mastodonLength(`see https://example.com/${"x".repeat(100)}`)).toBe(4 + 23);
+    expect(mastodonLength("Read https://example.com.")).toBe(5 + 23 + 1);
+  });
+
+  it("counts remote mentions by username only", () => {
+    expect(mastodonLength("hi @alice@mastodon.social")).toBe(9);
+    expect(mastodonLength("hi @alice")).toBe(9);
+  });
+
+  it("counts emoji sequences once", () => {
+    expect(mastodonLength("👩‍👩‍👧‍👦")).toBe(1);
+  });
+});
+
+describe("getSocialPostLimit", () => {
+  it("uses fixed limits for Bluesky and Threads", () => {
+    expect(getSocialPostLimit("bluesky", {})).toBe(300);
+    expect(getSocialPostLimit("threads", {})).toBe(500);
+  });
+
+  it("uses the configured Mastodon limit within bounds", () => {
+    expect(getSocialPostLimit("mastodon", { charLimit: 1000 })).toBe(1000);
+    expect(getSocialPostLimit("mastodon", { charLimit: 5 })).toBe(100);
+    expect(getSocialPostLimit("mastodon", {})).toBe(500);
+  });
+});
+
+describe("formatHandles", () => {
+  const text = "Thanks @alice, @bob.example.com and @carol@hachyderm.io. Mail me@example.com";
+
+  it("adds the handle domain to bare Bluesky mentions", () => {
+    expect(formatHandles(text, "bluesky", { handleDomain: "bsky.social" })).toBe(
+      "Thanks @alice.bsky.social, @bob.example.com and @carol@hachyderm.io. Mail me@example.com"
+    );
+    expect(formatHandles(text, "bluesky", { handleDomain: "" })).toBe(text);
+  });
+
+  it("adds the instance to bare Mastodon mentions when set", () => {
+    expect(formatHandles(text, "mastodon", { instance: "mastodon.social" })).toBe(
+      "Thanks @alice@mastodon.social, @bob.example.com and @carol@hachyderm.io. Mail me@example.com"
+    );
+    expect(formatHandles(text, "mastodon", { instance: "" })).toBe(text);
+  });
+
+  it("reduces qualified mentions to the username on Threads", () => {
+    expect(formatHandles("Hi @dan.bsky.social and @carol@hachyderm.io", "threads")).toBe("Hi @dan and @carol");
+  });
+
+  it("leaves URLs alone", () => {
+    const url = "https://example.com/@alice";
+    expect(formatHandles(url, "bluesky", { handleDomain: "bsky.social" })).toBe(url);
+  });
+});
+
+describe("formatHashtags", () => {
+  it("CamelCases multi-word tags for Mastodon", () => {
+    expect(formatHashtags("Go #data-centers #ai", "mastodon")).toBe("Go #DataCenters #ai");
+  });
+
+  it("keeps one tag per post on Threads", () => {
+    expect(formatHashtags("Power and #energy matter.\n\n#ai #energy #grid", "threads")).toBe(
+      "Power and #energy matter."
+    );
+    expect(formatHashtags("Intro #one and #two.\n#three", "threads")).toBe("Intro #one and two.");
+    expect(formatHashtags("Text.\n\n#ai #grid", "threads")).toBe("Text.\n\n#ai");
+  });
+
+  it("leaves Bluesky tags as written", () => {
+    expect(formatHashtags("#a-b #c", "bluesky")).toBe("#a-b #c");
+  });
+});
+
+describe("buildSocialThread", () => {
+  const sentence = (i) => `Sentence ${i} has a few words to fill the post up nicely.`;
+
+  it("keeps Bluesky posts within 300 graphemes including numbering", () => {
+    const text = Array.from({ length: 30 }, (_, i) => sentence(i)).join(" ");
+    const posts = buildSocialThread(text, "bluesky", { numbering: "prefix", handleDomain: "bsky.social" });
+    expect(posts.length).toBeGreaterThan(1);
+    posts.forEach((post) => expect(graphemeLength(post)).toBeLessThanOrEqual(300));
+    expect(posts[0]).toMatch(/^1\/\d+\nSentence 0/);
+  });
+
+  it("packs long links into Mastodon posts by their counted length", () => {
+    const url = `https://example.com/${"x".repeat(600)}`;
+    const posts = buildSocialThread(`Read this: ${url}`, "mastodon", { numbering: "none", charLimit: 500 });
+    expect(posts).toEqual([`Read this: ${url}`]);
+  });
+
+  it("tidies hashtags in each Threads post", () => {
+    const posts = buildSocialThread("Short post.\n\n#one #two", "threads", { numbering: "suffix" });
+    expect(posts).toEqual(["Short post.\n\n#one 1/1"]);
+  });
+});
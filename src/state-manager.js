@@ -1,7 +1,10 @@
 // State management functions extracted for testing
 // These handle state sanitization, merging, and validation
 
-import { clampInt, OUTPUT_PROFILES } from "./utils.js";
+import { clampInt, OUTPUT_PROFILES, isCustomProfileKey } from "./utils.js";
+import { claimDepth, normalizeOutline } from "./claim-outline.js";
+import { sanitizeSources } from "./claim-sources.js";
+import { sanitizeExpressionVariants } from "./expression-variants.js";
 
 // Deep clone helper with structuredClone fallback
 export function clone(obj) {
@@ -24,15 +27,26 @@ export function fileStamp() {
   )}${pad2(d.getSeconds())}`;
 }
 
+// Version of the state shape; bump it and add a step to migrations.js when fields change
+export const SCHEMA_VERSION = 2;
+
 // Default state structure
 export const DEFAULT_STATE = {
+  schemaVersion: SCHEMA_VERSION,
   phase: "intent",
   intent: "",
+  // Private project notes (research, counterarguments, reminders); never part of a draft
+  notes: "",
   claims: [{ id: "default-claim-id", text: "" }],
   expressions: {},
+  // Claims with more than one take: { [claimId]: { texts, active } }
+  expressionVariants: {},
   outputProfile: "linkedin",
   ui: {
     presetId: "systems_coordination",
+    showPreview: false,
+    // Whether the full breakdown lists the private notes
+    breakdownNotes: false,
   },
   linkedin: {
     hookOverride: "",
@@ -46,15 +60,63 @@ export const DEFAULT_STATE = {
     includeSignature: false,
     signature: "— Posted via Inkwise",
   },
+  email: {
+    subject: "",
+    subjectFallback: "Quick note",
+    greeting: "",
+    signOff: "",
+  },
+  memo: {
+    title: "",
+    tldrCount: 5,
+    nextSteps: "",
+  },
+  blog: {
+    includeTitle: true,
+    headingLevel: 2,
+    intro: "",
+  },
+  xthread: {
+    numbering: "prefix",
+    // Hand-edited layout from the thread editor, used instead of re-splitting while locked
+    locked: false,
+    posts: [],
+    // Base draft the layout was made from (to flag that the draft changed since)
+    lockedFrom: "",
+  },
+  bluesky: {
+    numbering: "prefix",
+    // Appended to bare @name mentions
+    handleDomain: "bsky.social",
+  },
+  mastodon: {
+    numbering: "prefix",
+    // Post limit of the instance being posted to
+    charLimit: 500,
+    // Appended to bare @name mentions when set
+    instance: "",
+  },
+  threads: {
+    numbering: "prefix",
+  },
 };
 
+// Thread numbering styles: "1/n" on its own line before, " 1/n" after, or none
+export const THREAD_NUMBERING_STYLES = ["prefix", "suffix", "none"];
+
+// Per-profile config blocks that merge field-by-field with their defaults
+export const PROFILE_CONFIG_KEYS = ["linkedin", "email", "memo", "blog", "xthread", "bluesky", "mastodon", "threads"];
+
+// Thread profiles that share the numbering option
+const THREAD_PROFILE_KEYS = ["xthread", "bluesky", "mastodon", "threads"];
+
 // Valid phases
 const VALID_PHASES = new Set(["intent", "structure", "expression", "draft"]);
 
 /**
  * Sanitizes and merges incoming state with defaults
  * Handles malformed data, missing fields, and invalid values
- * @param {unknown} maybeState - The state to sanitize
+ * @param {any} maybeState - The state to sanitize (untrusted)
  * @param {() => string} [uuidFn] - Optional UUID generator (for testing)
  * @returns {object} - The sanitized state
  */
@@ -79,6 +141,7 @@ export function sanitizeAndMergeState(maybeState, uuidFn = uuid) {
     ...parsed,
     // Ensure intent is a string
     intent: typeof parsed.intent === "string" ? parsed.intent : "",
+    notes: typeof parsed.notes === "string" ? parsed.notes : "",
     // Handle claims specially - ensure array with at least one item
     claims: Array.isArray(parsed.claims) && parsed.claims.length ? parsed.claims : clone(DEFAULT_STATE.claims),
     // Handle expressions - must be an object (not array)
@@ -91,23 +154,66 @@ export function sanitizeAndMergeState(maybeState, uuidFn = uuid) {
       ...clone(DEFAULT_STATE.ui),
       ...(parsed.ui && typeof parsed.ui === "object" && !Array.isArray(parsed.ui) ? parsed.ui : {}),
     },
-    // Merge nested linkedin object
-    linkedin: {
-      ...clone(DEFAULT_STATE.linkedin),
-      ...(parsed.linkedin && typeof parsed.linkedin === "object" && !Array.isArray(parsed.linkedin)
-        ? parsed.linkedin
-        : {}),
-    },
   };
 
-  // Sanitize claims - ensure each has valid id and text
-  merged.claims = merged.claims.map((c) => ({
-    id: c && c.id ? c.id : uuidFn(),
-    text: c && typeof c.text === "string" ? c.text : "",
-  }));
+  // Merge nested per-profile config objects (linkedin, email, memo, blog and the thread profiles)
+  for (const key of PROFILE_CONFIG_KEYS) {
+    const incoming = parsed[key];
+    merged[key] = {
+      ...clone(DEFAULT_STATE[key]),
+      ...(incoming && typeof incoming === "object" && !Array.isArray(incoming) ? incoming : {}),
+    };
+  }
+
+  // Sanitize claims - ensure each has valid id and text, and depths form an outline
+  merged.claims = normalizeOutline(
+    merged.claims.map((c) => {
+      const claim = {
+        id: c && c.id ? c.id : uuidFn(),
+        text: c && typeof c.text === "string" ? c.text : "",
+        depth: c ? claimDepth(c) : 0,
+      };
+      // Claims without sources or notes carry no `sources` or `notes` field
+      const sources = c ? sanitizeSources(c.sources, uuidFn) : [];
+      if (sources.length) claim.sources = sources;
+      if (c && typeof c.notes === "string" && c.notes) claim.notes = c.notes;
+      return claim;
+    })
+  );
+
+  // Variants stay in step with the active expressions
+  const variants = sanitizeExpressionVariants(parsed.expressionVariants, merged.expressions);
+  merged.expressions = variants.expressions;
+  merged.expressionVariants = variants.expressionVariants;
 
-  // Clamp maxBullets to valid range
+  // Keep project metadata only when well-formed
+  const metadata = sanitizeMetadata(parsed.metadata);
+  if (metadata) merged.metadata = metadata;
+  else delete merged.metadata;
+
+  // Clamp numeric options to valid ranges
   merged.linkedin.maxBullets = clampInt(merged.linkedin.maxBullets, 1, 12, 5);
+  merged.memo.tldrCount = clampInt(merged.memo.tldrCount, 1, 12, 5);
+  merged.blog.headingLevel = clampInt(merged.blog.headingLevel, 2, 4, 2);
+  merged.blog.includeTitle = merged.blog.includeTitle !== false;
+
+  merged.mastodon.charLimit = clampInt(merged.mastodon.charLimit, 100, 100000, 500);
+  if (typeof merged.mastodon.instance !== "string") merged.mastodon.instance = "";
+  if (typeof merged.bluesky.handleDomain !== "string") merged.bluesky.handleDomain = "";
+
+  for (const key of THREAD_PROFILE_KEYS) {
+    if (!THREAD_NUMBERING_STYLES.includes(merged[key].numbering)) {
+      merged[key].numbering = DEFAULT_STATE[key].numbering;
+    }
+  }
+  merged.xthread.posts = Array.isArray(merged.xthread.posts)
+    ? merged.xthread.posts.filter((p) => typeof p === "string" && p.trim())
+    : [];
+  merged.xthread.locked = merged.xthread.locked === true && merged.xthread.posts.length > 0;
+  if (typeof merged.xthread.lockedFrom !== "string") merged.xthread.lockedFrom = "";
+
+  // In-memory state is always the current shape (older data goes through migrateState() first)
+  merged.schemaVersion = SCHEMA_VERSION;
 
   // Validate phase
   if (!VALID_PHASES.has(merged.phase)) {
@@ -115,13 +221,30 @@ export function sanitizeAndMergeState(maybeState, uuidFn = uuid) {
   }
 
   // Validate outputProfile
-  if (!OUTPUT_PROFILES[merged.outputProfile]) {
+  if (!OUTPUT_PROFILES[merged.outputProfile] && !isCustomProfileKey(merged.outputProfile)) {
     merged.outputProfile = "linkedin";
   }
 
   return merged;
 }
 
+/**
+ * Sanitizes project metadata, keeping only known string/boolean fields
+ * @param {unknown} maybeMetadata
+ * @returns {{id?: string, title?: string, createdAt?: string, updatedAt?: string, archived?: boolean} | null}
+ */
+export function sanitizeMetadata(maybeMetadata) {
+  if (!maybeMetadata || typeof maybeMetadata !== "object" || Array.isArray(maybeMetadata)) return null;
+
+  const raw = /** @type {Record<string, unknown>} */ (maybeMetadata);
+  const metadata = {};
+  for (const key of ["id", "title", "createdAt", "updatedAt"]) {
+    if (typeof raw[key] === "string" && raw[key]) metadata[key] = raw[key];
+  }
+  if (typeof raw.archived === "boolean") metadata.archived = raw.archived;
+  return metadata;
+}
+
 /**
  * Validates a phase value
  * @param {string} phase
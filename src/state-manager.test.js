@@ -1,4 +1,4 @@
-import { describe, it, expect, vi } from "vitest";
+import { describe, it, expect } from "vitest";
 import {
   clone,
   uuid,
@@ -204,6 +204,78 @@ describe("sanitizeAndMergeState", () => {
       const result = sanitizeAndMergeState(state, mockUuid);
       expect(result.claims[0].id).toBe("existing-id");
     });
+
+    it("keeps well-formed sources and leaves claims without sources as they were", () => {
+      const state = {
+        claims: [
+          { id: "a", text: "A", sources: [{ url: "https://x.example", title: 1 }, "junk"] },
+          { id: "b", text: "B", sources: [] },
+        ],
+      };
+      const result = sanitizeAndMergeState(state, mockUuid);
+      expect(result.claims).toEqual([
+        {
+          id: "a",
+          text: "A",
+          sources: [{ id: "mock-uuid", url: "https://x.example", title: "", author: "", date: "", quote: "" }],
+        },
+        { id: "b", text: "B" },
+      ]);
+    });
+
+    it("keeps project and claim notes that are strings, dropping empty claim notes", () => {
+      const state = {
+        notes: "Check the Q3 numbers",
+        claims: [
+          { id: "a", text: "A", notes: "Counterpoint" },
+          { id: "b", text: "B", notes: "" },
+          { id: "c", text: "C", notes: 42 },
+        ],
+      };
+      const result = sanitizeAndMergeState(state, mockUuid);
+      expect(result.notes).toBe("Check the Q3 numbers");
+      expect(result.claims).toEqual([
+        { id: "a", text: "A", notes: "Counterpoint" },
+        { id: "b", text: "B" },
+        { id: "c", text: "C" },
+      ]);
+      expect(sanitizeAndMergeState({ notes: ["junk"] }, mockUuid).notes).toBe("");
+    });
+
+    it("keeps expression variants in step with the active expression", () => {
+      const state = {
+        claims: [{ id: "a", text: "A" }],
+        expressions: { a: "Edited take" },
+        expressionVariants: {
+          a: { texts: ["First take", "Second take"], active: 1 },
+          b: { texts: ["Lost expression", "Other"], active: 0 },
+          c: { texts: ["Alone"], active: 0 },
+        },
+      };
+      const result = sanitizeAndMergeState(state, mockUuid);
+      expect(result.expressionVariants).toEqual({
+        a: { texts: ["First take", "Edited take"], active: 1 },
+        b: { texts: ["Lost expression", "Other"], active: 0 },
+      });
+      expect(result.expressions).toEqual({ a: "Edited take", b: "Lost expression" });
+      expect(sanitizeAndMergeState({}, mockUuid).expressionVariants).toEqual({});
+    });
+
+    it("keeps claim depths that form an outline", () => {
+      const state = {
+        claims: [
+          { id: "a", text: "A", depth: 1 },
+          { id: "b", text: "B", depth: 1 },
+          { id: "c", text: "C", depth: 7 },
+        ],
+      };
+      const result = sanitizeAndMergeState(state, mockUuid);
+      expect(result.claims).toEqual([
+        { id: "a", text: "A" },
+        { id: "b", text: "B", depth: 1 },
+        { id: "c", text: "C", depth: 2 },
+      ]);
+    });
   });
 
   describe("expressions sanitization", () => {
@@ -253,9 +325,15 @@ describe("sanitizeAndMergeState", () => {
       expect(sanitizeAndMergeState({ outputProfile: "memo" }, mockUuid).outputProfile).toBe("memo");
       expect(sanitizeAndMergeState({ outputProfile: "xthread" }, mockUuid).outputProfile).toBe("xthread");
       expect(sanitizeAndMergeState({ outputProfile: "blog" }, mockUuid).outputProfile).toBe("blog");
+      expect(sanitizeAndMergeState({ outputProfile: "mastodon" }, mockUuid).outputProfile).toBe("mastodon");
       expect(sanitizeAndMergeState({ outputProfile: "custom" }, mockUuid).outputProfile).toBe("custom");
     });
 
+    it("keeps user-defined profile keys", () => {
+      expect(sanitizeAndMergeState({ outputProfile: "custom:abc" }, mockUuid).outputProfile).toBe("custom:abc");
+      expect(sanitizeAndMergeState({ outputProfile: "custom:" }, mockUuid).outputProfile).toBe("linkedin");
+    });
+
     it("defaults invalid profiles to linkedin", () => {
       expect(sanitizeAndMergeState({ outputProfile: "invalid" }, mockUuid).outputProfile).toBe("linkedin");
       expect(sanitizeAndMergeState({ outputProfile: "" }, mockUuid).outputProfile).toBe("linkedin");
@@ -290,6 +368,53 @@ describe("sanitizeAndMergeState", () => {
     });
   });
 
+  describe("profile config sanitization", () => {
+    it("fills email, memo, blog and xthread config from defaults", () => {
+      const result = sanitizeAndMergeState({}, mockUuid);
+      expect(result.email).toEqual(DEFAULT_STATE.email);
+      expect(result.memo).toEqual(DEFAULT_STATE.memo);
+      expect(result.blog).toEqual(DEFAULT_STATE.blog);
+      expect(result.xthread).toEqual(DEFAULT_STATE.xthread);
+    });
+
+    it("keeps provided values and merges the rest", () => {
+      const result = sanitizeAndMergeState({ email: { greeting: "Hi," } }, mockUuid);
+      expect(result.email.greeting).toBe("Hi,");
+      expect(result.email.subjectFallback).toBe("Quick note");
+    });
+
+    it("clamps memo TL;DR count and blog heading level", () => {
+      const result = sanitizeAndMergeState({ memo: { tldrCount: 40 }, blog: { headingLevel: 1 } }, mockUuid);
+      expect(result.memo.tldrCount).toBe(12);
+      expect(result.blog.headingLevel).toBe(2);
+    });
+
+    it("keeps a locked thread layout and drops an empty lock", () => {
+      const locked = sanitizeAndMergeState({ xthread: { locked: true, posts: ["A.", 3, " ", "B."] } }, mockUuid);
+      expect(locked.xthread.posts).toEqual(["A.", "B."]);
+      expect(locked.xthread.locked).toBe(true);
+
+      const empty = sanitizeAndMergeState({ xthread: { locked: true, posts: "nope" } }, mockUuid);
+      expect(empty.xthread).toMatchObject({ locked: false, posts: [] });
+    });
+
+    it("resets unknown thread numbering styles", () => {
+      const result = sanitizeAndMergeState({ xthread: { numbering: "roman" }, threads: { numbering: 3 } }, mockUuid);
+      expect(result.xthread.numbering).toBe("prefix");
+      expect(result.threads.numbering).toBe("prefix");
+    });
+
+    it("clamps the Mastodon post limit and keeps string settings", () => {
+      const result = sanitizeAndMergeState(
+        { mastodon: { charLimit: "5", instance: 42 }, bluesky: { handleDomain: "example.com" } },
+        mockUuid
+      );
+      expect(result.mastodon).toEqual({ numbering: "prefix", charLimit: 100, instance: "" });
+      expect(result.bluesky.handleDomain).toBe("example.com");
+      expect(sanitizeAndMergeState({}, mockUuid).mastodon.charLimit).toBe(500);
+    });
+  });
+
   describe("ui config sanitization", () => {
     it("merges ui config with defaults", () => {
       const state = { ui: { presetId: "custom_preset" } };
@@ -304,6 +429,30 @@ describe("sanitizeAndMergeState", () => {
     });
   });
 
+  describe("metadata sanitization", () => {
+    it("keeps well-formed project metadata", () => {
+      const metadata = {
+        id: "p1",
+        title: "My project",
+        createdAt: "2025-01-01T00:00:00.000Z",
+        updatedAt: "2025-01-02T00:00:00.000Z",
+        archived: true,
+      };
+      const result = sanitizeAndMergeState({ metadata }, mockUuid);
+      expect(result.metadata).toEqual(metadata);
+    });
+
+    it("drops unknown and mistyped metadata fields", () => {
+      const result = sanitizeAndMergeState({ metadata: { id: 42, title: "T", extra: "x" } }, mockUuid);
+      expect(result.metadata).toEqual({ title: "T" });
+    });
+
+    it("omits metadata when missing or invalid", () => {
+      expect(sanitizeAndMergeState({}, mockUuid).metadata).toBeUndefined();
+      expect(sanitizeAndMergeState({ metadata: [1, 2] }, mockUuid).metadata).toBeUndefined();
+    });
+  });
+
   describe("edge cases", () => {
     it("handles deeply nested invalid data", () => {
       const state = {
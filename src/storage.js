@@ -0,0 +1,221 @@
+// Async storage layer for projects and app data
+// Every backend exposes the same interface: get / put / list / delete
+
+export const DB_NAME = "inkwise";
+export const DB_VERSION = 1;
+export const STORE_NAME = "records";
+
+// Keys under this prefix are app data and get moved out of localStorage
+export const MIGRATABLE_KEY_PREFIX = "inkwise:";
+
+/**
+ * @typedef {object} StorageAdapter
+ * @property {string} kind - Backend name (for logging)
+ * @property {(key: string) => Promise<any>} get - Resolves to the stored value, or null
+ * @property {(key: string, value: any) => Promise<void>} put
+ * @property {(prefix?: string) => Promise<string[]>} list - Keys, optionally filtered by prefix
+ * @property {(key: string) => Promise<void>} delete
+ */
+
+/**
+ * Checks whether an error means the browser refused the write for lack of space
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(err) {
+  if (!err || typeof err !== "object") return false;
+  const { name, code } = /** @type {{ name?: string, code?: number }} */ (err);
+  // 22 = legacy WebKit/Chrome code, 1014 = legacy Firefox code
+  return name === "QuotaExceededError" || name === "NS_ERROR_DOM_QUOTA_REACHED" || code === 22 || code === 1014;
+}
+
+// Wraps an IDBRequest in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves once a transaction commits; rejects with the abort reason (e.g. QuotaExceededError)
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+/**
+ * Opens the Inkwise database, creating the object store on first run
+ * @param {IDBFactory} idb
+ * @param {string} dbName
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(idb, dbName) {
+  const request = idb.open(dbName, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) db.createObjectStore(STORE_NAME);
+  };
+  return promisifyRequest(request).then((db) => {
+    // Let other tabs (or tests) delete/upgrade the database without being blocked
+    db.onversionchange = () => db.close();
+    return db;
+  });
+}
+
+/**
+ * Creates a storage adapter backed by IndexedDB
+ * @param {{ indexedDB?: IDBFactory, dbName?: string }} [options]
+ * @returns {StorageAdapter}
+ */
+export function createIndexedDBStorage({ indexedDB = globalThis.indexedDB, dbName = DB_NAME } = {}) {
+  if (!indexedDB) throw new Error("IndexedDB is not available");
+
+  let dbPromise = null;
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(indexedDB, dbName).catch((err) => {
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  };
+
+  async function run(mode, fn) {
+    const db = await getDb();
+    const tx = db.transaction(STORE_NAME, mode);
+    const result = fn(tx.objectStore(STORE_NAME));
+    await transactionDone(tx);
+    return result ? result.result : undefined;
+  }
+
+  return {
+    kind: "indexeddb",
+    async get(key) {
+      const value = await run("readonly", (store) => store.get(key));
+      return value === undefined ? null : value;
+    },
+    async put(key, value) {
+      await run("readwrite", (store) => store.put(value, key));
+    },
+    async list(prefix = "") {
+      const keys = await run("readonly", (store) => store.getAllKeys());
+      return keys.map(String).filter((k) => k.startsWith(prefix));
+    },
+    async delete(key) {
+      await run("readwrite", (store) => store.delete(key));
+    },
+  };
+}
+
+/**
+ * Creates a storage adapter backed by a Web Storage object (fallback when IndexedDB is unavailable)
+ * Values are stored as JSON strings.
+ * @param {Storage} [webStorage]
+ * @returns {StorageAdapter}
+ */
+export function createWebStorage(webStorage = globalThis.localStorage) {
+  return {
+    kind: "localstorage",
+    async get(key) {
+      const raw = webStorage.getItem(key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async put(key, value) {
+      webStorage.setItem(key, JSON.stringify(value));
+    },
+    async list(prefix = "") {
+      const keys = [];
+      for (let i = 0; i < webStorage.length; i++) {
+        const key = webStorage.key(i);
+        if (key !== null && key.startsWith(prefix)) keys.push(key);
+      }
+      return keys;
+    },
+    async delete(key) {
+      webStorage.removeItem(key);
+    },
+  };
+}
+
+/**
+ * Creates an in-memory storage adapter (tests, or when no persistent storage is available)
+ * @param {Record<string, any>} [initial]
+ * @returns {StorageAdapter}
+ */
+export function createMemoryStorage(initial = {}) {
+  const records = new Map(Object.entries(initial));
+  const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    kind: "memory",
+    async get(key) {
+      return records.has(key) ? copy(records.get(key)) : null;
+    },
+    async put(key, value) {
+      records.set(key, copy(value));
+    },
+    async list(prefix = "") {
+      return [...records.keys()].filter((k) => k.startsWith(prefix));
+    },
+    async delete(key) {
+      records.delete(key);
+    },
+  };
+}
+
+/**
+ * Picks the best available backend: IndexedDB, then localStorage, then memory
+ * @param {{ indexedDB?: IDBFactory, webStorage?: Storage }} [env]
+ * @returns {Promise<StorageAdapter>}
+ */
+export async function openStorage({ indexedDB = globalThis.indexedDB, webStorage = globalThis.localStorage } = {}) {
+  if (indexedDB) {
+    try {
+      const storage = createIndexedDBStorage({ indexedDB });
+      // Probe once so private-mode browsers that refuse to open fall through
+      await storage.list(MIGRATABLE_KEY_PREFIX);
+      return storage;
+    } catch {
+      // fall through
+    }
+  }
+  if (webStorage) return createWebStorage(webStorage);
+  return createMemoryStorage();
+}
+
+/**
+ * Moves Inkwise data from localStorage into the given adapter.
+ * Keys are copied first and only removed from localStorage once every write succeeded,
+ * so a failed migration leaves the original data in place to retry on the next load.
+ * Unparseable values are passed through as raw strings for the caller to sanitize.
+ * @param {StorageAdapter} storage - Destination adapter
+ * @param {Storage} [webStorage] - Source (defaults to localStorage)
+ * @returns {Promise<{ migratedKeys: string[] }>}
+ */
+export async function migrateFromWebStorage(storage, webStorage = globalThis.localStorage) {
+  if (!webStorage || storage.kind === "localstorage") return { migratedKeys: [] };
+
+  const keys = [];
+  for (let i = 0; i < webStorage.length; i++) {
+    const key = webStorage.key(i);
+    if (key !== null && key.startsWith(MIGRATABLE_KEY_PREFIX)) keys.push(key);
+  }
+
+  for (const key of keys) {
+    const raw = webStorage.getItem(key);
+    let value = raw;
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      // keep raw string
+    }
+    await storage.put(key, value);
+  }
+
+  keys.forEach((key) => webStorage.removeItem(key));
+  return { migratedKeys: keys };
+}
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+import {
+  isQuotaExceededError,
+  createIndexedDBStorage,
+  createWebStorage,
+  createMemoryStorage,
+  openStorage,
+  migrateFromWebStorage,
+} from "./storage.js";
+
+// Shared contract every backend must satisfy
+function describeAdapter(name, makeStorage) {
+  describe(`${name} adapter`, () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = makeStorage();
+    });
+
+    it("returns null for missing keys", async () => {
+      expect(await storage.get("inkwise:missing")).toBeNull();
+    });
+
+    it("round-trips structured values", async () => {
+      const value = { intent: "Hello", claims: [{ id: "c1", text: "A" }], nested: { ok: true } };
+      await storage.put("inkwise:project:p1", value);
+      expect(await storage.get("inkwise:project:p1")).toEqual(value);
+    });
+
+    it("overwrites existing keys", async () => {
+      await storage.put("inkwise:key", "first");
+      await storage.put("inkwise:key", "second");
+      expect(await storage.get("inkwise:key")).toBe("second");
+    });
+
+    it("lists keys filtered by prefix", async () => {
+      await storage.put("inkwise:project:a", 1);
+      await storage.put("inkwise:project:b", 2);
+      await storage.put("inkwise:projects", []);
+      expect((await storage.list("inkwise:project:")).sort()).toEqual(["inkwise:project:a", "inkwise:project:b"]);
+      expect(await storage.list()).toHaveLength(3);
+    });
+
+    it("deletes keys", async () => {
+      await storage.put("inkwise:key", 1);
+      await storage.delete("inkwise:key");
+      expect(await storage.get("inkwise:key")).toBeNull();
+      await expect(storage.delete("inkwise:never-existed")).resolves.toBeUndefined();
+    });
+  });
+}
+
+describeAdapter("IndexedDB", () => createIndexedDBStorage({ indexedDB: new IDBFactory() }));
+describeAdapter("memory", () => createMemoryStorage());
+describeAdapter("web storage", () => {
+  localStorage.clear();
+  return createWebStorage(localStorage);
+});
+
+describe("createIndexedDBStorage", () => {
+  it("throws when IndexedDB is unavailable", () => {
+    expect(() => createIndexedDBStorage({ indexedDB: null })).toThrow("IndexedDB is not available");
+  });
+
+  it("persists across adapter instances on the same database", async () => {
+    const idb = new IDBFactory();
+    await createIndexedDBStorage({ indexedDB: idb }).put("inkwise:key", { a: 1 });
+    expect(await createIndexedDBStorage({ indexedDB: idb }).get("inkwise:key")).toEqual({ a: 1 });
+  });
+});
+
+describe("createMemoryStorage", () => {
+  it("does not share references with callers", async () => {
+    const storage = createMemoryStorage();
+    const value = { list: [1] };
+    await storage.put("k", value);
+    value.list.push(2);
+    expect(await storage.get("k")).toEqual({ list: [1] });
+  });
+});
+
+describe("isQuotaExceededError", () => {
+  it("recognizes quota errors by name and legacy code", () => {
+    expect(isQuotaExceededError({ name: "QuotaExceededError" })).toBe(true);
+    expect(isQuotaExceededError({ name: "NS_ERROR_DOM_QUOTA_REACHED" })).toBe(true);
+    expect(isQuotaExceededError({ name: "Error", code: 22 })).toBe(true);
+    expect(isQuotaExceededError({ name: "Error", code: 1014 })).toBe(true);
+  });
+
+  it("rejects other errors and non-objects", () => {
+    expect(isQuotaExceededError(new Error("boom"))).toBe(false);
+    expect(isQuotaExceededError(null)).toBe(false);
+    expect(isQuotaExceededError("QuotaExceededError")).toBe(false);
+  });
+});
+
+describe("openStorage", () => {
+  it("prefers IndexedDB", async () => {
+    const storage = await openStorage({ indexedDB: new IDBFactory(), webStorage: localStorage });
+    expect(storage.kind).toBe("indexeddb");
+  });
+
+  it("falls back to localStorage when IndexedDB is missing", async () => {
+    const storage = await openStorage({ indexedDB: null, webStorage: localStorage });
+    expect(storage.kind).toBe("localstorage");
+  });
+
+  it("falls back when IndexedDB refuses to open", async () => {
+    const broken = /** @type {any} */ ({
+      open() {
+        throw new Error("SecurityError");
+      },
+    });
+    const storage = await openStorage({ indexedDB: broken, webStorage: localStorage });
+    expect(storage.kind).toBe("localstorage");
+  });
+
+  it("uses memory when nothing persistent is available", async () => {
+    const storage = await openStorage({ indexedDB: null, webStorage: null });
+    expect(storage.kind).toBe("memory");
+  });
+});
+
+describe("migrateFromWebStorage", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it("moves the legacy inkwise:v1 payload and removes it from localStorage", async () => {
+    const legacy = { intent: "Old work", claims: [{ id: "c1", text: "Claim" }] };
+    localStorage.setItem("inkwise:v1", JSON.stringify(legacy));
+    const storage = createMemoryStorage();
+
+    const { migratedKeys } = await migrateFromWebStorage(storage, localStorage);
+
+    expect(migratedKeys).toEqual(["inkwise:v1"]);
+    expect(await storage.get("inkwise:v1")).toEqual(legacy);
+    expect(localStorage.getItem("inkwise:v1")).toBeNull();
+  });
+
+  it("moves library keys and ignores unrelated keys", async () => {
+    localStorage.setItem("inkwise:projects", JSON.stringify([{ id: "p1" }]));
+    localStorage.setItem("inkwise:project:p1", JSON.stringify({ intent: "P1" }));
+    localStorage.setItem("other-app", "keep me");
+    const storage = createMemoryStorage();
+
+    const { migratedKeys } = await migrateFromWebStorage(storage, localStorage);
+
+    expect(migratedKeys.sort()).toEqual(["inkwise:project:p1", "inkwise:projects"]);
+    expect(await storage.get("inkwise:project:p1")).toEqual({ intent: "P1" });
+    expect(localStorage.getItem("other-app")).toBe("keep me");
+  });
+
+  it("keeps unparseable values as raw strings", async () => {
+    localStorage.setItem("inkwise:v1", "not valid json {{{");
+    const storage = createMemoryStorage();
+
+    await migrateFromWebStorage(storage, localStorage);
+
+    expect(await storage.get("inkwise:v1")).toBe("not valid json {{{");
+  });
+
+  it("leaves localStorage untouched when a write fails", async () => {
+    localStorage.setItem("inkwise:v1", JSON.stringify({ intent: "Precious" }));
+    const storage = {
+      ...createMemoryStorage(),
+      async put() {
+        throw Object.assign(new Error("full"), { name: "QuotaExceededError" });
+      },
+    };
+
+    await expect(migrateFromWebStorage(storage, localStorage)).rejects.toThrow("full");
+    expect(localStorage.getItem("inkwise:v1")).not.toBeNull();
+  });
+
+  it("is a no-op when the destination is localStorage itself", async () => {
+    localStorage.setItem("inkwise:v1", "{}");
+    const { migratedKeys } = await migrateFromWebStorage(createWebStorage(localStorage), localStorage);
+    expect(migratedKeys).toEqual([]);
+    expect(localStorage.getItem("inkwise:v1")).toBe("{}");
+  });
+
+  it("does nothing on a clean install", async () => {
+    const { migratedKeys } = await migrateFromWebStorage(createMemoryStorage(), localStorage);
+    expect(migratedKeys).toEqual([]);
+  });
+});
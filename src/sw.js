@@ -0,0 +1,47 @@
+// Service worker: precaches the app shell, the demo fixture and every built asset
+// so Inkwise works offline. The build (vite.config.js) replaces the manifest
+// placeholder below with the real file list and a content hash as the version.
+//
+// A new version installs in the background and waits; the page asks the user and
+// only then posts "SKIP_WAITING" (see pwa.js), so an update never reloads mid-draft.
+
+const sw = /** @type {any} */ (self);
+
+const PRECACHE = sw.__PRECACHE_MANIFEST || { version: "dev", urls: ["/", "/index.html"] };
+const CACHE_PREFIX = "inkwise-precache-";
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE.version}`;
+
+sw.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE.urls)));
+});
+
+sw.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key))
+        )
+      )
+      .then(() => sw.clients.claim())
+  );
+});
+
+sw.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") sw.skipWaiting();
+});
+
+sw.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== sw.location.origin) return;
+
+  // Every page is the single-page app shell; query strings don't change the asset
+  const lookup = request.mode === "navigate" ? "/index.html" : request;
+  event.respondWith(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.match(lookup, { ignoreSearch: true }))
+      .then((cached) => cached || fetch(request))
+  );
+});
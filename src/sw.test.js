@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const source = readFileSync(resolve(dirname(fileURLToPath(import.meta.url)), "sw.js"), "utf8");
+
+// Runs sw.js against an in-memory worker scope and Cache Storage
+function loadWorker(manifest) {
+  const stores = new Map();
+  const caches = {
+    open: async (name) => {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        addAll: async (urls) => urls.forEach((url) => store.set(url, `cached ${url}`)),
+        match: async (request) => {
+          const url = typeof request === "string" ? request : new URL(request.url).pathname;
+          return store.get(url);
+        },
+      };
+    },
+    keys: async () => [...stores.keys()],
+    delete: async (name) => stores.delete(name),
+  };
+  const listeners = {};
+  const scope = {
+    __PRECACHE_MANIFEST: manifest,
+    location: { origin: "https://inkwise.test" },
+    clients: { claim: vi.fn() },
+    skipWaiting: vi.fn(),
+    addEventListener: (type, fn) => (listeners[type] = fn),
+  };
+  const fetch = vi.fn(async () => "from network");
+  new Function("self", "caches", "fetch", source)(scope, caches, fetch);
+
+  const dispatch = async (type, event = {}) => {
+    let pending = null;
+    let response = null;
+    listeners[type]({
+      ...event,
+      waitUntil: (p) => (pending = p),
+      respondWith: (p) => (response = p),
+    });
+    await pending;
+    return response && (await response);
+  };
+  return { scope, stores, fetch, dispatch };
+}
+
+const manifest = { version: "abc", urls: ["/", "/index.html", "/fixtures/demo-project.json"] };
+const request = (path, mode = "cors", method = "GET") => ({ url: `https://inkwise.test${path}`, mode, method });
+
+describe("service worker", () => {
+  let worker;
+  beforeEach(async () => {
+    worker = loadWorker(manifest);
+    await worker.dispatch("install");
+  });
+
+  it("precaches every manifest URL under a versioned cache", () => {
+    expect([...worker.stores.get("inkwise-precache-abc").keys()]).toEqual(manifest.urls);
+  });
+
+  it("serves navigations from the cached app shell", async () => {
+    expect(await worker.dispatch("fetch", { request: request("/any/page", "navigate") })).toBe("cached /index.html");
+    expect(worker.fetch).not.toHaveBeenCalled();
+  });
+
+  it("serves cached assets and falls back to the network", async () => {
+    expect(await worker.dispatch("fetch", { request: request("/fixtures/demo-project.json") })).toBe(
+      "cached /fixtures/demo-project.json"
+    );
+    expect(await worker.dispatch("fetch", { request: request("/not-cached.js") })).toBe("from network");
+  });
+
+  it("leaves other origins and non-GET requests to the browser", async () => {
+    expect(await worker.dispatch("fetch", { request: { ...request("/"), url: "https://other.test/" } })).toBeNull();
+    expect(await worker.dispatch("fetch", { request: request("/", "cors", "POST") })).toBeNull();
+  });
+
+  it("removes older precaches on activate", async () => {
+    worker.stores.set("inkwise-precache-old", new Map());
+    worker.stores.set("someone-else", new Map());
+    await worker.dispatch("activate");
+    expect([...worker.stores.keys()].sort()).toEqual(["inkwise-precache-abc", "someone-else"]);
+    expect(worker.scope.clients.claim).toHaveBeenCalled();
+  });
+
+  it("only takes over when the page asks", async () => {
+    expect(worker.scope.skipWaiting).not.toHaveBeenCalled();
+    await worker.dispatch("message", { data: { type: "SKIP_WAITING" } });
+    expect(worker.scope.skipWaiting).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,199 @@
+// Cross-tab synchronization extracted for testing
+// Tabs announce every save on a BroadcastChannel. A tab receiving a save for the
+// project it has open merges it field by field against the last state both tabs
+// agreed on (the "base"): changes on one side only are applied, and a field both
+// tabs changed to different values is reported as a conflict instead of overwritten.
+
+import { PROFILE_CONFIG_KEYS, uuid } from "./state-manager.js";
+import { normalizeOutline } from "./claim-outline.js";
+
+export const SYNC_CHANNEL = "inkwise:sync";
+
+/**
+ * Opens the sync channel. Without BroadcastChannel support it does nothing.
+ * @param {{
+ *   onMessage: (message: any) => void,
+ *   onError?: (err: unknown, message: object) => void,
+ *   tabId?: string,
+ *   createChannel?: (name: string) => any,
+ * }} options - onError hears about messages that could not be posted
+ * @returns {{ tabId: string, post: (message: object) => void, close: () => void }}
+ */
+export function createTabSync({
+  onMessage,
+  onError = () => {},
+  tabId = uuid(),
+  createChannel = (name) => (typeof BroadcastChannel === "function" ? new BroadcastChannel(name) : null),
+}) {
+  const channel = createChannel(SYNC_CHANNEL);
+  if (channel) {
+    channel.onmessage = (event) => {
+      const message = event.data;
+      if (message && typeof message === "object" && message.tabId !== tabId) onMessage(message);
+    };
+  }
+
+  return {
+    tabId,
+    post(message) {
+      if (!channel) return;
+      try {
+        channel.postMessage({ ...message, tabId });
+      } catch (err) {
+        // Uncloneable payloads shouldn't break saving; the other tab just misses this update
+        onError(err, message);
+      }
+    },
+    close() {
+      if (channel) channel.close();
+    },
+  };
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Flattens the synced parts of a state into field → value. Phase and UI state
+// stay per tab; empty expressions count as absent. A claim is one field, so any
+// change to it (text or otherwise) is merged as a whole.
+function fieldMap(state) {
+  const fields = new Map();
+  fields.set("intent", state.intent ?? "");
+  fields.set("notes", state.notes ?? "");
+  fields.set("outputProfile", state.outputProfile);
+  fields.set("metadata.title", state.metadata?.title ?? "");
+  for (const claim of state.claims || []) fields.set(`claim:${claim.id}`, claim);
+  for (const [id, text] of Object.entries(state.expressions || {})) {
+    if (text) fields.set(`expression:${id}`, text);
+  }
+  for (const [id, set] of Object.entries(state.expressionVariants || {})) fields.set(`variants:${id}`, set);
+  for (const key of PROFILE_CONFIG_KEYS) {
+    for (const [field, value] of Object.entries(state[key] || {})) fields.set(`${key}.${field}`, value);
+  }
+  return fields;
+}
+
+function fieldLabel(field, local, remote) {
+  if (field === "intent") return "Intent";
+  if (field === "notes") return "Project notes";
+  if (field === "outputProfile") return "Output profile";
+  if (field === "metadata.title") return "Project title";
+  if (field === "claims.order") return "Claim order";
+
+  const [kind, id] = field.split(":");
+  if (kind === "claim" || kind === "expression" || kind === "variants") {
+    const index = [local, remote].map((s) => (s.claims || []).findIndex((c) => c.id === id)).find((i) => i >= 0);
+    const claim = index === undefined ? "removed claim" : `claim ${index + 1}`;
+    if (kind === "variants") return `Expression variants for ${claim}`;
+    return kind === "claim" ? claim[0].toUpperCase() + claim.slice(1) : `Expression for ${claim}`;
+  }
+  return `Settings: ${field}`;
+}
+
+// Claim order: the side that reordered the claims both still have wins (local when
+// both did and `prefer` is "local"); claims added on the other side keep their
+// position after the claim they followed there.
+function mergeClaimOrder(base, local, remote, survivors, prefer) {
+  const ids = (s) => (s.claims || []).map((c) => c.id);
+  const [baseIds, localIds, remoteIds] = [ids(base), ids(local), ids(remote)];
+  const shared = (list) => list.filter((id) => baseIds.includes(id) && localIds.includes(id) && remoteIds.includes(id));
+
+  const localMoved = !same(shared(localIds), shared(baseIds));
+  const remoteMoved = !same(shared(remoteIds), shared(baseIds));
+  const conflict = localMoved && remoteMoved && !same(shared(localIds), shared(remoteIds));
+  const useRemote = remoteMoved && (!localMoved || (conflict && prefer === "remote"));
+
+  const [primary, secondary] = useRemote ? [remoteIds, localIds] : [localIds, remoteIds];
+  const order = primary.filter((id) => survivors.has(id));
+  secondary.forEach((id, i) => {
+    if (!survivors.has(id) || order.includes(id)) return;
+    const before = secondary
+      .slice(0, i)
+      .reverse()
+      .find((prev) => order.includes(prev));
+    order.splice(before ? order.indexOf(before) + 1 : 0, 0, id);
+  });
+
+  return { order, conflict: conflict && prefer === "local", changed: useRemote };
+}
+
+/**
+ * Three-way merge of another tab's save into this tab's state
+ * @param {object} base - Last state both tabs agreed on (this tab's last save or received update)
+ * @param {object} local - This tab's current state
+ * @param {object} remote - The state the other tab saved
+ * @param {{ prefer?: string }} [options] - "local" (default) keeps this tab's value on conflicts and
+ *   reports them; "remote" takes the other tab's value
+ * @returns {{ state: object, changed: string[], conflicts: Array<{ field: string, label: string, local: any, remote: any }> }}
+ */
+export function mergeRemoteState(base, local, remote, { prefer = "local" } = {}) {
+  const baseFields = fieldMap(base);
+  const localFields = fieldMap(local);
+  const remoteFields = fieldMap(remote);
+  const merged = new Map(localFields);
+  const changed = [];
+  const conflicts = [];
+
+  for (const field of new Set([...localFields.keys(), ...remoteFields.keys()])) {
+    const localValue = localFields.get(field);
+    const remoteValue = remoteFields.get(field);
+    const baseValue = baseFields.get(field);
+    if (same(localValue, remoteValue) || same(remoteValue, baseValue)) continue;
+
+    if (same(localValue, baseValue) || prefer === "remote") {
+      if (remoteValue === undefined) merged.delete(field);
+      else merged.set(field, remoteValue);
+      changed.push(field);
+    } else {
+      conflicts.push({ field, label: fieldLabel(field, local, remote), local: localValue, remote: remoteValue });
+    }
+  }
+
+  const survivors = new Set(
+    [...merged.keys()].filter((field) => field.startsWith("claim:")).map((field) => field.slice("claim:".length))
+  );
+  const order = mergeClaimOrder(base, local, remote, survivors, prefer);
+  if (order.changed) changed.push("claims.order");
+  if (order.conflict) {
+    const texts = (s) => (s.claims || []).map((c) => c.text);
+    conflicts.push({ field: "claims.order", label: "Claim order", local: texts(local), remote: texts(remote) });
+  }
+
+  const state = {
+    ...local,
+    intent: merged.get("intent"),
+    notes: merged.get("notes"),
+    outputProfile: merged.get("outputProfile"),
+    claims: order.order.map((id) => merged.get(`claim:${id}`)),
+    expressions: {},
+    expressionVariants: {},
+  };
+  if (local.metadata) state.metadata = { ...local.metadata, title: merged.get("metadata.title") };
+  for (const key of PROFILE_CONFIG_KEYS) {
+    if (local[key] || remote[key]) state[key] = {};
+  }
+  for (const [field, value] of merged) {
+    if (field.startsWith("expression:")) {
+      state.expressions[field.slice("expression:".length)] = value;
+      continue;
+    }
+    if (field.startsWith("variants:")) {
+      state.expressionVariants[field.slice("variants:".length)] = value;
+      continue;
+    }
+    const dot = field.indexOf(".");
+    const key = field.slice(0, dot);
+    if (dot > 0 && PROFILE_CONFIG_KEYS.includes(key)) state[key][field.slice(dot + 1)] = value;
+  }
+  // Expressions and their variants follow their claims
+  const claimIds = new Set(order.order);
+  for (const map of [state.expressions, state.expressionVariants]) {
+    for (const id of Object.keys(map)) {
+      if (!claimIds.has(id)) delete map[id];
+    }
+  }
+  if (!state.claims.length) state.claims = [{ id: uuid(), text: "" }];
+  // Each side's outline is valid, but interleaving them may not be
+  state.claims = normalizeOutline(state.claims);
+
+  return { state, changed, conflicts };
+}
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi } from "vitest";
+import { createTabSync, mergeRemoteState, SYNC_CHANNEL } from "./tab-sync.js";
+import { DEFAULT_STATE, clone } from "./state-manager.js";
+
+const base = {
+  ...clone(DEFAULT_STATE),
+  metadata: { id: "p1", title: "Launch notes" },
+  intent: "Ship smaller",
+  claims: [
+    { id: "a", text: "Small PRs get reviewed faster" },
+    { id: "b", text: "Rollbacks are cheaper" },
+    { id: "c", text: "Flags make releases boring" },
+  ],
+  expressions: { a: "Reviewers focus.", b: "" },
+};
+
+const edit = (patch) => ({ ...clone(base), ...patch });
+
+describe("mergeRemoteState", () => {
+  it("applies changes made only in the other tab", () => {
+    const local = edit({ intent: "Ship smaller, ship often" });
+    const remote = edit({ expressions: { a: "Reviewers focus.", b: "Less to undo." } });
+    const { state, changed, conflicts } = mergeRemoteState(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(changed).toEqual(["expression:b"]);
+    expect(state.intent).toBe("Ship smaller, ship often");
+    expect(state.expressions).toEqual({ a: "Reviewers focus.", b: "Less to undo." });
+  });
+
+  it("reports a field both tabs changed and keeps this tab's value", () => {
+    const local = edit({ intent: "Mine" });
+    const remote = edit({ intent: "Theirs", email: { ...base.email, subject: "Hello" } });
+    const { state, conflicts } = mergeRemoteState(base, local, remote);
+    expect(conflicts).toEqual([{ field: "intent", label: "Intent", local: "Mine", remote: "Theirs" }]);
+    expect(state.intent).toBe("Mine");
+    expect(state.email.subject).toBe("Hello");
+  });
+
+  it("merges project and claim notes like any other field", () => {
+    const local = edit({ notes: "Mine" });
+    const remote = edit({
+      notes: "Theirs",
+      claims: base.claims.map((c) => (c.id === "a" ? { ...c, notes: "Counterpoint" } : c)),
+    });
+    const { state, conflicts } = mergeRemoteState(base, local, remote);
+    expect(conflicts).toEqual([{ field: "notes", label: "Project notes", local: "Mine", remote: "Theirs" }]);
+    expect(state.notes).toBe("Mine");
+    expect(state.claims[0].notes).toBe("Counterpoint");
+  });
+
+  it("merges expression variants and drops them with their claim", () => {
+    const variants = { a: { texts: ["Reviewers focus.", "Small diffs, fast eyes."], active: 0 } };
+    const remote = edit({ expressionVariants: variants });
+    expect(mergeRemoteState(base, edit({}), remote).state.expressionVariants).toEqual(variants);
+    const local = edit({ expressionVariants: variants });
+    const removed = edit({ claims: base.claims.filter((c) => c.id !== "a"), expressions: { b: "" } });
+    const { state } = mergeRemoteState(local, local, removed);
+    expect(state.expressionVariants).toEqual({});
+    expect(mergeRemoteState(base, edit({}), remote).changed).toEqual(["variants:a"]);
+  });
+
+  it("does not report fields both tabs changed the same way", () => {
+    const local = edit({ intent: "Same" });
+    const remote = edit({ intent: "Same" });
+    expect(mergeRemoteState(base, local, remote).conflicts).toEqual([]);
+  });
+
+  it("takes the other tab's value for conflicts with prefer: remote", () => {
+    const local = edit({ intent: "Mine", metadata: { id: "p1", title: "Mine" } });
+    const remote = edit({ intent: "Theirs", metadata: { id: "p1", title: "Theirs" } });
+    const { state, conflicts } = mergeRemoteState(base, local, remote, { prefer: "remote" });
+    expect(conflicts).toEqual([]);
+    expect(state.intent).toBe("Theirs");
+    expect(state.metadata).toEqual({ id: "p1", title: "Theirs" });
+  });
+
+  it("labels claims and expressions by their position", () => {
+    const local = edit({
+      claims: base.claims.map((c) => (c.id === "b" ? { ...c, text: "Mine" } : c)),
+      expressions: { a: "Mine", b: "" },
+    });
+    const remote = edit({
+      claims: base.claims.map((c) => (c.id === "b" ? { ...c, text: "Theirs" } : c)),
+      expressions: { a: "Theirs", b: "" },
+    });
+    const labels = mergeRemoteState(base, local, remote).conflicts.map((c) => c.label);
+    expect(labels).toEqual(["Claim 2", "Expression for claim 1"]);
+  });
+
+  it("keeps claims added in either tab in place", () => {
+    const local = edit({ claims: [...base.claims, { id: "l", text: "Local addition" }] });
+    const remote = edit({
+      claims: [base.claims[0], { id: "r", text: "Remote addition" }, base.claims[1], base.claims[2]],
+    });
+    const { state, conflicts } = mergeRemoteState(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(state.claims.map((c) => c.id)).toEqual(["a", "r", "b", "c", "l"]);
+  });
+
+  it("removes a claim deleted in the other tab along with its expression", () => {
+    const remote = edit({ claims: base.claims.slice(1), expressions: { b: "" } });
+    const { state } = mergeRemoteState(base, clone(base), remote);
+    expect(state.claims.map((c) => c.id)).toEqual(["b", "c"]);
+    expect(state.expressions).toEqual({});
+  });
+
+  it("keeps a claim this tab edited even if the other tab deleted it", () => {
+    const local = edit({ claims: base.claims.map((c) => (c.id === "a" ? { ...c, text: "Edited" } : c)) });
+    const remote = edit({ claims: base.claims.slice(1) });
+    const { state, conflicts } = mergeRemoteState(base, local, remote);
+    expect(conflicts).toMatchObject([{ field: "claim:a", label: "Claim 1", remote: undefined }]);
+    expect(state.claims[0].text).toBe("Edited");
+  });
+
+  it("follows a reorder from the other tab and reports competing reorders", () => {
+    const [a, b, c] = base.claims;
+    const reordered = mergeRemoteState(base, clone(base), edit({ claims: [c, a, b] }));
+    expect(reordered.state.claims.map((x) => x.id)).toEqual(["c", "a", "b"]);
+    expect(reordered.changed).toContain("claims.order");
+
+    const competing = mergeRemoteState(base, edit({ claims: [b, a, c] }), edit({ claims: [c, a, b] }));
+    expect(competing.conflicts.map((x) => x.label)).toEqual(["Claim order"]);
+    expect(competing.state.claims.map((x) => x.id)).toEqual(["b", "a", "c"]);
+  });
+
+  it("leaves phase and UI state alone", () => {
+    const local = edit({ phase: "draft" });
+    const remote = edit({ phase: "intent", ui: { ...base.ui, presetId: "other" } });
+    const { state, changed } = mergeRemoteState(base, local, remote);
+    expect(changed).toEqual([]);
+    expect(state.phase).toBe("draft");
+    expect(state.ui).toEqual(base.ui);
+  });
+});
+
+describe("createTabSync", () => {
+  function fakeChannel() {
+    const channel = { onmessage: null, postMessage: vi.fn(), close: vi.fn(), name: "" };
+    return {
+      channel,
+      createChannel: (name) => {
+        channel.name = name;
+        return channel;
+      },
+    };
+  }
+
+  it("posts messages tagged with the tab id", () => {
+    const { channel, createChannel } = fakeChannel();
+    const sync = createTabSync({ onMessage: () => {}, tabId: "tab-1", createChannel });
+    sync.post({ type: "project-saved", projectId: "p1" });
+    expect(channel.name).toBe(SYNC_CHANNEL);
+    expect(channel.postMessage).toHaveBeenCalledWith({ type: "project-saved", projectId: "p1", tabId: "tab-1" });
+  });
+
+  it("reports messages the channel could not post", () => {
+    const { channel, createChannel } = fakeChannel();
+    const error = new Error("could not be cloned");
+    channel.postMessage.mockImplementation(() => {
+      throw error;
+    });
+    const onError = vi.fn();
+    const sync = createTabSync({ onMessage: () => {}, onError, tabId: "tab-1", createChannel });
+    expect(() => sync.post({ type: "profiles-saved" })).not.toThrow();
+    expect(onError).toHaveBeenCalledWith(error, { type: "profiles-saved" });
+  });
+
+  it("delivers other tabs' messages and ignores its own", () => {
+    const { channel, createChannel } = fakeChannel();
+    const onMessage = vi.fn();
+    createTabSync({ onMessage, tabId: "tab-1", createChannel });
+    channel.onmessage({ data: { type: "project-saved", tabId: "tab-1" } });
+    channel.onmessage({ data: { type: "project-saved", tabId: "tab-2" } });
+    channel.onmessage({ data: "noise" });
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage).toHaveBeenCalledWith({ type: "project-saved", tabId: "tab-2" });
+  });
+
+  it("does nothing without BroadcastChannel support", () => {
+    const sync = createTabSync({ onMessage: () => {}, createChannel: () => null });
+    expect(() => sync.post({ type: "profiles-saved" })).not.toThrow();
+    expect(() => sync.close()).not.toThrow();
+  });
+});
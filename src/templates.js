@@ -0,0 +1,168 @@
+// Template language for user-defined output profiles, extracted for testing
+// A small Mustache-style subset: {{name}}, {{#section}}…{{/section}}, {{^section}}…{{/section}}, {{! comment}}
+// Output is plain text, so values are inserted as-is (no HTML escaping).
+
+/**
+ * Thrown when a template can't be parsed (unclosed or mismatched sections, empty tags)
+ */
+export class TemplateSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} line - 1-based line of the offending tag
+   */
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = "TemplateSyntaxError";
+    this.line = line;
+  }
+}
+
+/**
+ * @typedef {{ type: "text", value: string }
+ *   | { type: "var", name: string }
+ *   | { type: "section", name: string, inverted: boolean, children: TemplateNode[] }} TemplateNode
+ */
+
+const TAG_PATTERN = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+const NAME_PATTERN = /^[A-Za-z_][\w]*$/;
+
+function lineAt(source, index) {
+  return source.slice(0, index).split("\n").length;
+}
+
+// Section, closing and comment tags alone on a line don't leave a blank line behind
+function isStandalone(source, start, end) {
+  const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+  const lineEnd = source.indexOf("\n", end);
+  const before = source.slice(lineStart, start);
+  const after = source.slice(end, lineEnd === -1 ? source.length : lineEnd);
+  return !before.trim() && !after.trim() ? { lineStart, lineEnd: lineEnd === -1 ? source.length : lineEnd + 1 } : null;
+}
+
+/**
+ * Parses a template into a node tree
+ * @param {string} source
+ * @returns {TemplateNode[]}
+ * @throws {TemplateSyntaxError}
+ */
+export function parseTemplate(source) {
+  const text = String(source ?? "");
+  /** @type {TemplateNode[]} */
+  const root = [];
+  /** @type {Array<{ name: string, line: number, children: TemplateNode[] }>} */
+  const stack = [];
+  let children = root;
+  let cursor = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [raw, sigil, name] = match;
+    let start = match.index;
+    let end = start + raw.length;
+    const line = lineAt(text, start);
+
+    if (sigil) {
+      const standalone = isStandalone(text, start, end);
+      if (standalone && standalone.lineStart >= cursor) {
+        start = standalone.lineStart;
+        end = standalone.lineEnd;
+      }
+    }
+
+    if (start > cursor) children.push({ type: "text", value: text.slice(cursor, start) });
+    cursor = end;
+
+    if (sigil === "!") continue;
+    if (!NAME_PATTERN.test(name)) {
+      throw new TemplateSyntaxError(name ? `Invalid placeholder "{{${sigil}${name}}}"` : "Empty placeholder", line);
+    }
+
+    if (sigil === "#" || sigil === "^") {
+      /** @type {TemplateNode} */
+      const node = { type: "section", name, inverted: sigil === "^", children: [] };
+      children.push(node);
+      stack.push({ name, line, children });
+      children = node.children;
+    } else if (sigil === "/") {
+      const open = stack.pop();
+      if (!open) throw new TemplateSyntaxError(`Unexpected "{{/${name}}}" with no open section`, line);
+      if (open.name !== name) {
+        throw new TemplateSyntaxError(`"{{/${name}}}" closes "{{#${open.name}}}" from line ${open.line}`, line);
+      }
+      children = open.children;
+    } else {
+      children.push({ type: "var", name });
+    }
+  }
+
+  if (cursor < text.length) children.push({ type: "text", value: text.slice(cursor) });
+
+  const unclosed = stack.pop();
+  if (unclosed) throw new TemplateSyntaxError(`Section "{{#${unclosed.name}}}" is never closed`, unclosed.line);
+
+  return root;
+}
+
+// Looks a name up from the innermost context outwards
+function lookup(contexts, name) {
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const ctx = contexts[i];
+    if (ctx && typeof ctx === "object" && Object.hasOwn(ctx, name)) return ctx[name];
+  }
+  return undefined;
+}
+
+function isFalsy(value) {
+  return (
+    value === undefined || value === null || value === false || value === "" || (Array.isArray(value) && !value.length)
+  );
+}
+
+function renderNodes(nodes, contexts) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.value;
+    } else if (node.type === "var") {
+      const value = lookup(contexts, node.name);
+      out += value === undefined || value === null || typeof value === "object" ? "" : String(value);
+    } else {
+      const value = lookup(contexts, node.name);
+      if (node.inverted) {
+        if (isFalsy(value)) out += renderNodes(node.children, contexts);
+      } else if (Array.isArray(value)) {
+        value.forEach((item) => (out += renderNodes(node.children, [...contexts, item])));
+      } else if (!isFalsy(value)) {
+        out += renderNodes(node.children, typeof value === "object" ? [...contexts, value] : contexts);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Renders a template against a context object.
+ * Lists repeat their section once per item; other non-empty values show it once.
+ * Unknown placeholders render as empty text.
+ * @param {string} source - Template text
+ * @param {object} context - Values available to placeholders
+ * @returns {string}
+ * @throws {TemplateSyntaxError}
+ */
+export function renderTemplate(source, context) {
+  return renderNodes(parseTemplate(source), [context]);
+}
+
+/**
+ * Checks a template for syntax errors without rendering it
+ * @param {string} source
+ * @returns {{ ok: boolean, error?: string }}
+ */
+export function validateTemplate(source) {
+  try {
+    parseTemplate(source);
+    return { ok: true };
+  } catch (err) {
+    if (err instanceof TemplateSyntaxError) return { ok: false, error: err.message };
+    throw err;
+  }
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import { TemplateSyntaxError, parseTemplate, renderTemplate, validateTemplate } from "./templates.js";
+
+describe("renderTemplate", () => {
+  it("substitutes placeholders", () => {
+    expect(renderTemplate("Hello {{name}}!", { name: "team" })).toBe("Hello team!");
+  });
+
+  it("tolerates whitespace inside tags", () => {
+    expect(renderTemplate("{{ name }}", { name: "x" })).toBe("x");
+  });
+
+  it("renders unknown and object values as empty text", () => {
+    expect(renderTemplate("[{{missing}}][{{obj}}]", { obj: { a: 1 } })).toBe("[][]");
+  });
+
+  it("ignores names inherited from the object prototype", () => {
+    expect(renderTemplate("a{{toString}}b{{#constructor}}X{{/constructor}}", {})).toBe("ab");
+    expect(renderTemplate("{{#items}}{{hasOwnProperty}}{{/items}}", { items: [{}] })).toBe("");
+  });
+
+  it("inserts values without HTML escaping", () => {
+    expect(renderTemplate("{{text}}", { text: "<b>&</b>" })).toBe("<b>&</b>");
+  });
+
+  it("repeats a section once per list item", () => {
+    const ctx = { items: [{ n: 1 }, { n: 2 }, { n: 3 }] };
+    expect(renderTemplate("{{#items}}[{{n}}]{{/items}}", ctx)).toBe("[1][2][3]");
+  });
+
+  it("falls back to outer values inside a loop", () => {
+    const ctx = { prefix: "-", items: [{ n: "a" }, { n: "b" }] };
+    expect(renderTemplate("{{#items}}{{prefix}}{{n}}{{/items}}", ctx)).toBe("-a-b");
+  });
+
+  it("shows a section once for a non-empty value and hides it for an empty one", () => {
+    expect(renderTemplate("{{#cta}}CTA: {{cta}}{{/cta}}", { cta: "Reply" })).toBe("CTA: Reply");
+    expect(renderTemplate("{{#cta}}CTA: {{cta}}{{/cta}}", { cta: "" })).toBe("");
+    expect(renderTemplate("{{#items}}x{{/items}}", { items: [] })).toBe("");
+  });
+
+  it("renders inverted sections only for empty values", () => {
+    expect(renderTemplate("{{^items}}none{{/items}}", { items: [] })).toBe("none");
+    expect(renderTemplate("{{^items}}none{{/items}}", { items: [1] })).toBe("");
+  });
+
+  it("drops comments", () => {
+    expect(renderTemplate("a{{! note }}b", {})).toBe("ab");
+  });
+
+  it("removes lines that only hold section tags", () => {
+    const template = "Top\n{{#items}}\n- {{n}}\n{{/items}}\nEnd";
+    expect(renderTemplate(template, { items: [{ n: 1 }, { n: 2 }] })).toBe("Top\n- 1\n- 2\nEnd");
+  });
+
+  it("keeps inline section tags on the same line", () => {
+    expect(renderTemplate("Items: {{#items}}{{n}} {{/items}}\nDone", { items: [{ n: 1 }] })).toBe("Items: 1 \nDone");
+  });
+});
+
+describe("parseTemplate", () => {
+  it("throws on an unclosed section", () => {
+    expect(() => parseTemplate("{{#claims}}\n{{claim}}")).toThrow(TemplateSyntaxError);
+    expect(() => parseTemplate("{{#claims}}\n{{claim}}")).toThrow(/never closed \(line 1\)/);
+  });
+
+  it("throws on a mismatched closing tag", () => {
+    expect(() => parseTemplate("{{#a}}\n{{/b}}")).toThrow(/closes "\{\{#a\}\}" from line 1 \(line 2\)/);
+  });
+
+  it("throws on a stray closing tag", () => {
+    expect(() => parseTemplate("text {{/a}}")).toThrow(/no open section/);
+  });
+
+  it("throws on empty or invalid placeholders", () => {
+    expect(() => parseTemplate("{{}}")).toThrow(/Empty placeholder/);
+    expect(() => parseTemplate("{{two words}}")).toThrow(/Invalid placeholder/);
+  });
+
+  it("reports the line number", () => {
+    let error;
+    try {
+      parseTemplate("one\ntwo\n{{/x}}");
+    } catch (err) {
+      error = err;
+    }
+    expect(error.line).toBe(3);
+  });
+});
+
+describe("validateTemplate", () => {
+  it("returns ok for a valid template", () => {
+    expect(validateTemplate("{{#claims}}{{claim}}{{/claims}}")).toEqual({ ok: true });
+  });
+
+  it("returns the syntax error message", () => {
+    const result = validateTemplate("{{#claims}}");
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/never closed/);
+  });
+});
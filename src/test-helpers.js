@@ -0,0 +1,35 @@
+// Helpers shared by the unit tests
+
+const decoder = new TextDecoder();
+
+/**
+ * A uuidFn stand-in handing out predictable ids ("id-1", "id-2", …)
+ * @param {string} [prefix]
+ * @returns {() => string}
+ */
+export function sequentialIds(prefix = "id") {
+  let n = 0;
+  return () => `${prefix}-${++n}`;
+}
+
+/**
+ * Reads the stored entries back out of an archive built by createZip
+ * @param {Uint8Array} bytes
+ * @returns {Record<string, { data: Uint8Array, crc: number }>}
+ */
+export function readStoredZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  /** @type {Record<string, { data: Uint8Array, crc: number }>} */
+  const entries = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const start = offset + 30 + nameLength + extraLength;
+    entries[name] = { data: bytes.subarray(start, start + size), crc: view.getUint32(offset + 14, true) };
+    offset = start + size;
+  }
+  return entries;
+}
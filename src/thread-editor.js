@@ -0,0 +1,110 @@
+// Thread editor functions extracted for testing
+// A thread is a list of post bodies (numbering is added on output). Manual edits
+// produce a layout that is stored in state.xthread.posts and used instead of
+// re-splitting while state.xthread.locked is true.
+
+import { splitThreadBodies, splitUnits, joinUnits, numberThreadPosts, weightedLength } from "./thread-splitter.js";
+
+/**
+ * Current post bodies: the locked layout if there is one, otherwise a fresh split
+ * @param {string} baseText - The base draft text
+ * @param {{ numbering?: string, locked?: boolean, posts?: string[] }} cfg - state.xthread
+ * @param {number} [size] - Weighted length limit per post
+ * @returns {string[]}
+ */
+export function getThreadPosts(baseText, cfg, size = 280) {
+  if (cfg.locked && cfg.posts && cfg.posts.length) return [...cfg.posts];
+  return splitThreadBodies(baseText, size, { numbering: cfg.numbering });
+}
+
+/**
+ * Everything a post card shows: numbered text, weighted length and its sentences
+ * @param {string[]} posts - Post bodies
+ * @param {string} numbering - Numbering style
+ * @param {number} [size] - Weighted length limit per post
+ * @returns {Array<{ body: string, text: string, length: number, over: boolean, sentences: Array<{ text: string, sep: string }> }>}
+ */
+export function describeThreadPosts(posts, numbering, size = 280) {
+  const numbered = numberThreadPosts(posts, numbering);
+  return posts.map((body, i) => {
+    const length = weightedLength(numbered[i]);
+    return { body, text: numbered[i], length, over: length > size, sentences: splitUnits(body) };
+  });
+}
+
+/**
+ * Moves one sentence to another post. Moving forward puts it at the start of
+ * the target post, moving back puts it at the end. Posts left empty are dropped.
+ * @param {string[]} posts - Post bodies
+ * @param {number} from - Source post index
+ * @param {number} sentenceIndex - Sentence index within the source post (negative counts from the end)
+ * @param {number} to - Target post index
+ * @returns {string[]}
+ */
+export function moveSentence(posts, from, sentenceIndex, to) {
+  if (from === to || !posts[from] || !posts[to]) return posts;
+
+  const source = splitUnits(posts[from]);
+  const [unit] = source.splice(sentenceIndex < 0 ? source.length + sentenceIndex : sentenceIndex, 1);
+  if (!unit) return posts;
+  if (source[0]) source[0] = { ...source[0], sep: "" };
+
+  const target = splitUnits(posts[to]);
+  if (to > from) {
+    if (target[0]) target[0] = { ...target[0], sep: " " };
+    target.unshift({ text: unit.text, sep: "" });
+  } else {
+    target.push({ text: unit.text, sep: target.length ? " " : "" });
+  }
+
+  const next = [...posts];
+  next[from] = joinUnits(source);
+  next[to] = joinUnits(target);
+  return next.filter((p) => p.trim());
+}
+
+/**
+ * Merges a post with the one after it
+ * @param {string[]} posts - Post bodies
+ * @param {number} index
+ * @returns {string[]}
+ */
+export function mergeWithNext(posts, index) {
+  if (index < 0 || index >= posts.length - 1) return posts;
+  const next = [...posts];
+  next.splice(index, 2, `${posts[index]} ${posts[index + 1]}`);
+  return next;
+}
+
+/**
+ * Splits a post in two at a sentence boundary (by default the one nearest the middle)
+ * @param {string[]} posts - Post bodies
+ * @param {number} index
+ * @param {number} [atSentence] - First sentence of the new post
+ * @returns {string[]}
+ */
+export function splitPost(posts, index, atSentence) {
+  const units = splitUnits(posts[index] || "");
+  if (units.length < 2) return posts;
+
+  let at = atSentence;
+  if (at === undefined) {
+    const half = weightedLength(posts[index]) / 2;
+    let running = 0;
+    let best = Infinity;
+    units.forEach((u, i) => {
+      running += weightedLength(u.sep + u.text);
+      if (i < units.length - 1 && Math.abs(running - half) < best) {
+        best = Math.abs(running - half);
+        at = i + 1;
+      }
+    });
+  }
+  at = Math.min(Math.max(at, 1), units.length - 1);
+
+  const rest = units.slice(at);
+  rest[0] = { ...rest[0], sep: "" };
+  const next = [...posts];
+  next.splice(index, 1, joinUnits(units.slice(0, at)), joinUnits(rest));
+  return next;
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import { getThreadPosts, describeThreadPosts, moveSentence, mergeWithNext, splitPost } from "./thread-editor.js";
+
+const posts = ["One. Two. Three.", "Four. Five.", "Six."];
+
+describe("getThreadPosts", () => {
+  it("splits the base text when not locked", () => {
+    expect(getThreadPosts("Hello there.", { numbering: "prefix", locked: false, posts: [] })).toEqual(["Hello there."]);
+  });
+
+  it("uses the locked layout instead of re-splitting", () => {
+    expect(getThreadPosts("Something else.", { numbering: "prefix", locked: true, posts })).toEqual(posts);
+  });
+
+  it("ignores a lock with no saved posts", () => {
+    expect(getThreadPosts("Fresh.", { numbering: "prefix", locked: true, posts: [] })).toEqual(["Fresh."]);
+  });
+});
+
+describe("describeThreadPosts", () => {
+  it("numbers posts and measures the numbered text", () => {
+    const [first] = describeThreadPosts(["Hi. There."], "prefix");
+    expect(first.text).toBe("1/1\nHi. There.");
+    expect(first.length).toBe(14);
+    expect(first.over).toBe(false);
+    expect(first.sentences.map((s) => s.text)).toEqual(["Hi.", "There."]);
+  });
+
+  it("flags posts over the limit", () => {
+    const [post] = describeThreadPosts(["x".repeat(300)], "none");
+    expect(post.over).toBe(true);
+  });
+});
+
+describe("moveSentence", () => {
+  it("moves a sentence to the start of the next post", () => {
+    expect(moveSentence(posts, 0, 2, 1)).toEqual(["One. Two.", "Three. Four. Five.", "Six."]);
+  });
+
+  it("moves a sentence to the end of the previous post", () => {
+    expect(moveSentence(posts, 1, 0, 0)).toEqual(["One. Two. Three. Four.", "Five.", "Six."]);
+  });
+
+  it("counts negative indexes from the end", () => {
+    expect(moveSentence(posts, 1, -1, 2)).toEqual(["One. Two. Three.", "Four.", "Five. Six."]);
+  });
+
+  it("drops a post that becomes empty", () => {
+    expect(moveSentence(posts, 2, 0, 1)).toEqual(["One. Two. Three.", "Four. Five. Six."]);
+  });
+
+  it("returns the same posts for invalid moves", () => {
+    expect(moveSentence(posts, 0, 0, 0)).toBe(posts);
+    expect(moveSentence(posts, 0, 9, 1)).toBe(posts);
+    expect(moveSentence(posts, 0, 0, 5)).toBe(posts);
+  });
+
+  it("keeps paragraph breaks in the source post", () => {
+    expect(moveSentence(["A.\n\nB.", "C."], 0, 0, 1)).toEqual(["B.", "A. C."]);
+  });
+});
+
+describe("mergeWithNext", () => {
+  it("joins a post with the following one", () => {
+    expect(mergeWithNext(posts, 1)).toEqual(["One. Two. Three.", "Four. Five. Six."]);
+  });
+
+  it("ignores the last post", () => {
+    expect(mergeWithNext(posts, 2)).toBe(posts);
+  });
+});
+
+describe("splitPost", () => {
+  it("splits near the middle by default", () => {
+    expect(splitPost(["Aaaa. Bbbb. Cccc. Dddd."], 0)).toEqual(["Aaaa. Bbbb.", "Cccc. Dddd."]);
+  });
+
+  it("splits before a given sentence", () => {
+    expect(splitPost(posts, 0, 1)).toEqual(["One.", "Two. Three.", "Four. Five.", "Six."]);
+  });
+
+  it("keeps both halves non-empty", () => {
+    expect(splitPost(posts, 0, 0)).toEqual(["One.", "Two. Three.", "Four. Five.", "Six."]);
+    expect(splitPost(posts, 0, 9)).toEqual(["One. Two.", "Three.", "Four. Five.", "Six."]);
+  });
+
+  it("leaves single-sentence posts alone", () => {
+    expect(splitPost(posts, 2)).toBe(posts);
+  });
+});
@@ -0,0 +1,239 @@
+// Thread splitting for X, extracted for testing
+// Lengths follow X's weighted counting by default: URLs count as 23, CJK and most
+// non-Latin scripts count double, and each emoji (however many code points) counts
+// as 2. Other platforms pass their own `measure` (see social-profiles.js).
+
+// Every link is shortened to a t.co URL of this length
+export const URL_WEIGHT = 23;
+
+// A line holding only this marker forces a new post
+export const MANUAL_BREAK = "---";
+
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+const URL_TRAILING_PUNCTUATION = /[.,!?;:)\]}'"]+$/;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|⃣/u;
+
+const graphemeSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: "grapheme" }) : null;
+const sentenceSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter ? new Intl.Segmenter("en", { granularity: "sentence" }) : null;
+
+function graphemes(text) {
+  if (graphemeSegmenter) return Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+  return Array.from(text);
+}
+
+// X counts these ranges (Latin, general punctuation, etc.) as 1; everything else as 2
+function codePointWeight(codePoint) {
+  if (codePoint <= 0x10ff) return 1;
+  if (codePoint >= 0x2000 && codePoint <= 0x200d) return 1;
+  if (codePoint >= 0x2010 && codePoint <= 0x201f) return 1;
+  if (codePoint >= 0x2032 && codePoint <= 0x2037) return 1;
+  return 2;
+}
+
+function textWeight(text) {
+  let total = 0;
+  for (const grapheme of graphemes(text)) {
+    if (EMOJI_PATTERN.test(grapheme)) {
+      total += 2;
+      continue;
+    }
+    for (const char of grapheme) total += codePointWeight(char.codePointAt(0));
+  }
+  return total;
+}
+
+/**
+ * Counts user-perceived characters (an emoji sequence or accented letter is one)
+ * @param {string} text
+ * @returns {number}
+ */
+export function graphemeLength(text) {
+  return graphemes(String(text ?? "")).length;
+}
+
+/**
+ * Counts text the way X does when enforcing its 280 limit.
+ * Errs on the long side for edge cases (e.g. bare "©" counts as an emoji).
+ * @param {string} text
+ * @returns {number}
+ */
+export function weightedLength(text) {
+  const value = String(text ?? "");
+  let total = 0;
+  let last = 0;
+  for (const match of value.matchAll(URL_PATTERN)) {
+    const url = match[0].replace(URL_TRAILING_PUNCTUATION, "");
+    total += textWeight(value.slice(last, match.index)) + URL_WEIGHT;
+    last = match.index + url.length;
+  }
+  return total + textWeight(value.slice(last));
+}
+
+/**
+ * Adds "i/n" numbering to thread posts
+ * @param {string[]} chunks
+ * @param {string} [style] - "prefix" (1/n on its own line), "suffix" ( 1/n at the end) or "none"
+ * @returns {string[]}
+ */
+export function numberThreadPosts(chunks, style = "prefix") {
+  const n = chunks.length;
+  if (style === "none") return [...chunks];
+  if (style === "suffix") return chunks.map((c, i) => `${c} ${i + 1}/${n}`);
+  return chunks.map((c, i) => `${i + 1}/${n}\n${c}`);
+}
+
+// Space the numbering takes in the longest post of an n-post thread
+function numberingReserve(style, count) {
+  if (style === "none") return 0;
+  return `${count}/${count}`.length + 1;
+}
+
+function sentences(line) {
+  if (sentenceSegmenter) {
+    return Array.from(sentenceSegmenter.segment(line), (s) => s.segment.trim()).filter(Boolean);
+  }
+  return (line.match(/[^.!?…]+(?:[.!?…]+["')\]]*|$)/g) || []).map((s) => s.trim()).filter(Boolean);
+}
+
+// Text between manual break markers
+function manualSegments(text) {
+  const segments = [[]];
+  for (const line of text.split("\n")) {
+    if (line.trim() === MANUAL_BREAK) segments.push([]);
+    else segments[segments.length - 1].push(line);
+  }
+  return segments.map((lines) => lines.join("\n").trim()).filter(Boolean);
+}
+
+/**
+ * Breaks text into sentences, remembering what separated each from the previous one
+ * ("" for the first, then " ", "\n" or "\n\n")
+ * @param {string} segment
+ * @returns {Array<{ text: string, sep: string }>}
+ */
+export function splitUnits(segment) {
+  const units = [];
+  segment
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .forEach((paragraph, pi) => {
+      paragraph
+        .split("\n")
+        .map((l) => l.trim())
+        .filter(Boolean)
+        .forEach((line, li) => {
+          sentences(line).forEach((sentence, si) => {
+            const sep = si > 0 ? " " : li > 0 ? "\n" : pi > 0 ? "\n\n" : "";
+            units.push({ text: sentence, sep });
+          });
+        });
+    });
+  return units;
+}
+
+/**
+ * Joins units back into text (inverse of splitUnits)
+ * @param {Array<{ text: string, sep: string }>} units
+ * @returns {string}
+ */
+export function joinUnits(units) {
+  return units.map((u, i) => (i === 0 ? u.text : u.sep + u.text)).join("");
+}
+
+// Last resort for a single word longer than a post: cut between graphemes
+function hardCut(word, budget, measure) {
+  const pieces = [];
+  let current = "";
+  for (const grapheme of graphemes(word)) {
+    if (current && measure(current + grapheme) > budget) {
+      pieces.push(current);
+      current = "";
+    }
+    current += grapheme;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Greedily packs units into posts; a unit that can't fit any post on its own
+ * is broken into words, and a word into graphemes
+ * @param {Array<{ text: string, sep: string }>} units
+ * @param {number} budget - Length available per post
+ * @param {(text: string) => number} measure - Length function
+ * @returns {string[]}
+ */
+function pack(units, budget, measure) {
+  const posts = [];
+  let current = "";
+  const queue = [...units];
+
+  while (queue.length) {
+    const unit = queue.shift();
+    const candidate = current ? current + unit.sep + unit.text : unit.text;
+    if (measure(candidate) <= budget) {
+      current = candidate;
+      continue;
+    }
+
+    if (measure(unit.text) > budget) {
+      const words = unit.text.split(/\s+/);
+      const parts =
+        words.length > 1
+          ? words.map((word, i) => ({ text: word, sep: i === 0 ? unit.sep : " " }))
+          : hardCut(unit.text, budget, measure).map((piece, i) => ({ text: piece, sep: i === 0 ? unit.sep : "" }));
+      queue.unshift(...parts);
+      // Start the long unit on a fresh post unless the current one is still mostly empty
+      if (current && measure(current) > budget / 2) {
+        posts.push(current);
+        current = "";
+      }
+      continue;
+    }
+
+    posts.push(current);
+    current = unit.text;
+  }
+
+  if (current) posts.push(current);
+  return posts;
+}
+
+/**
+ * Splits text into post bodies (without numbering) that still fit once numbered.
+ * Breaks fall on paragraph or sentence boundaries where possible, then on words.
+ * A line with only "---" forces a break.
+ * @param {string} text
+ * @param {number} [size] - Length limit per post
+ * @param {{ numbering?: string, measure?: (text: string) => number }} [options] - Numbering style
+ *   ("prefix", "suffix" or "none") and length function (X's weighted length by default)
+ * @returns {string[]}
+ */
+export function splitThreadBodies(text, size = 280, { numbering = "prefix", measure = weightedLength } = {}) {
+  const segments = manualSegments(String(text ?? "").replace(/\r\n?/g, "\n"));
+  if (!segments.length) return [];
+
+  // The prefix grows with the post count ("9/9" vs "10/10"), so re-split until the reserve holds
+  let reserve = numberingReserve(numbering, 9);
+  for (;;) {
+    const budget = Math.max(size - reserve, 1);
+    const chunks = segments.flatMap((segment) => pack(splitUnits(segment), budget, measure));
+    const needed = numberingReserve(numbering, chunks.length);
+    if (needed <= reserve) return chunks;
+    reserve = needed;
+  }
+}
+
+/**
+ * Splits text into numbered posts that each fit X's limit, numbering included
+ * @param {string} text
+ * @param {number} [size] - Length limit per post
+ * @param {{ numbering?: string, measure?: (text: string) => number }} [options] - See splitThreadBodies
+ * @returns {string[]}
+ */
+export function splitIntoThread(text, size = 280, { numbering = "prefix", measure = weightedLength } = {}) {
+  return numberThreadPosts(splitThreadBodies(text, size, { numbering, measure }), numbering);
+}
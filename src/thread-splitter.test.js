@@ -0,0 +1,145 @@
+import { describe, it, expect } from "vitest";
+import { URL_WEIGHT, weightedLength, graphemeLength, numberThreadPosts, splitIntoThread } from "./thread-splitter.js";
+
+// Strips the "i/n" prefix line
+const body = (post) => post.replace(/^\d+\/\d+\n/, "");
+
+describe("weightedLength", () => {
+  it("counts Latin text by characters", () => {
+    expect(weightedLength("Hello, world!")).toBe(13);
+    expect(weightedLength("")).toBe(0);
+    expect(weightedLength(null)).toBe(0);
+  });
+
+  it("counts every URL as 23", () => {
+    expect(weightedLength("https://example.com/a/very/long/path?with=query&and=more")).toBe(URL_WEIGHT);
+    expect(weightedLength("see www.example.org now")).toBe(4 + URL_WEIGHT + 4);
+  });
+
+  it("does not count trailing punctuation as part of the URL", () => {
+    expect(weightedLength("Read https://example.com.")).toBe(5 + URL_WEIGHT + 1);
+  });
+
+  it("counts CJK characters double", () => {
+    expect(weightedLength("日本語")).toBe(6);
+    expect(weightedLength("한국어 ok")).toBe(6 + 3);
+  });
+
+  it("counts curly quotes and dashes as single characters", () => {
+    expect(weightedLength("“a”—b")).toBe(5);
+  });
+
+  it("counts each emoji as 2, including multi-code-point sequences", () => {
+    expect(weightedLength("🙂")).toBe(2);
+    expect(weightedLength("👩‍👩‍👧‍👦")).toBe(2);
+    expect(weightedLength("👍🏽")).toBe(2);
+    expect(weightedLength("🇺🇸")).toBe(2);
+    expect(weightedLength("hi 🎉")).toBe(5);
+  });
+});
+
+describe("graphemeLength", () => {
+  it("counts user-perceived characters", () => {
+    expect(graphemeLength("héllo")).toBe(5);
+    expect(graphemeLength("👩‍👩‍👧‍👦 日本")).toBe(4);
+    expect(graphemeLength(undefined)).toBe(0);
+  });
+});
+
+describe("numberThreadPosts", () => {
+  it("supports prefix, suffix and no numbering", () => {
+    expect(numberThreadPosts(["a", "b"])).toEqual(["1/2\na", "2/2\nb"]);
+    expect(numberThreadPosts(["a", "b"], "suffix")).toEqual(["a 1/2", "b 2/2"]);
+    expect(numberThreadPosts(["a", "b"], "none")).toEqual(["a", "b"]);
+  });
+});
+
+describe("splitIntoThread", () => {
+  const sentence = (i) => `Sentence number ${i} says something useful about the topic.`;
+
+  it("keeps every post within the limit including the numbering", () => {
+    const text = Array.from({ length: 40 }, (_, i) => sentence(i)).join(" ");
+    const posts = splitIntoThread(text, 280);
+    expect(posts.length).toBeGreaterThan(1);
+    posts.forEach((post) => expect(weightedLength(post)).toBeLessThanOrEqual(280));
+  });
+
+  it("reserves room for two-digit numbering", () => {
+    const text = Array.from({ length: 120 }, (_, i) => sentence(i)).join(" ");
+    const posts = splitIntoThread(text, 280);
+    expect(posts.length).toBeGreaterThanOrEqual(10);
+    posts.forEach((post) => expect(weightedLength(post)).toBeLessThanOrEqual(280));
+    posts.forEach((post, i) => expect(post.startsWith(`${i + 1}/${posts.length}\n`)).toBe(true));
+  });
+
+  it("breaks between sentences, not mid-sentence", () => {
+    const text = Array.from({ length: 12 }, (_, i) => sentence(i)).join(" ");
+    splitIntoThread(text, 280).forEach((post) => {
+      expect(body(post)).toMatch(/^Sentence number \d+/);
+      expect(body(post)).toMatch(/topic\.$/);
+    });
+  });
+
+  it("keeps paragraph breaks inside a post", () => {
+    expect(splitIntoThread("First paragraph.\n\nSecond paragraph.", 280)).toEqual([
+      "1/1\nFirst paragraph.\n\nSecond paragraph.",
+    ]);
+  });
+
+  it("counts URLs as 23 when packing", () => {
+    const url = `https://example.com/${"x".repeat(300)}`;
+    const posts = splitIntoThread(`Look at this: ${url}`, 280);
+    expect(posts).toEqual([`1/1\nLook at this: ${url}`]);
+  });
+
+  it("respects the weighted limit for CJK text", () => {
+    const text = "日本語の文章です。".repeat(40);
+    const posts = splitIntoThread(text, 280);
+    posts.forEach((post) => expect(weightedLength(post)).toBeLessThanOrEqual(280));
+  });
+
+  it("does not split emoji sequences", () => {
+    const text = "👩‍👩‍👧‍👦".repeat(200);
+    const posts = splitIntoThread(text, 280);
+    expect(posts.length).toBeGreaterThan(1);
+    posts.forEach((post) => {
+      expect(weightedLength(post)).toBeLessThanOrEqual(280);
+      expect(body(post)).toMatch(/^(👩‍👩‍👧‍👦)+$/u);
+    });
+  });
+
+  it("falls back to word breaks for a very long sentence", () => {
+    const text = Array.from({ length: 80 }, (_, i) => `word${i}`).join(" ");
+    const posts = splitIntoThread(text, 280);
+    expect(posts.length).toBe(2);
+    expect(posts.map(body).join(" ")).toBe(text);
+  });
+
+  it("forces breaks at manual markers", () => {
+    const posts = splitIntoThread("Intro.\n---\nSecond post.\n  ---  \nThird post.", 280);
+    expect(posts).toEqual(["1/3\nIntro.", "2/3\nSecond post.", "3/3\nThird post."]);
+  });
+
+  it("ignores empty segments around markers", () => {
+    expect(splitIntoThread("---\nOnly post.\n---\n", 280)).toEqual(["1/1\nOnly post."]);
+  });
+
+  it("applies the numbering style to the reserved space", () => {
+    const text = "a".repeat(280);
+    expect(splitIntoThread(text, 280, { numbering: "none" })).toEqual([text]);
+    const suffixed = splitIntoThread(text, 280, { numbering: "suffix" });
+    expect(suffixed.length).toBe(2);
+    suffixed.forEach((post) => expect(weightedLength(post)).toBeLessThanOrEqual(280));
+  });
+
+  it("accepts another length function", () => {
+    const text = "日本語の文章です。".repeat(40);
+    const posts = splitIntoThread(text, 300, { measure: graphemeLength });
+    expect(posts.length).toBe(2);
+    posts.forEach((post) => expect(graphemeLength(post)).toBeLessThanOrEqual(300));
+  });
+
+  it("returns an empty list for blank text", () => {
+    expect(splitIntoThread("   \n ", 280)).toEqual([]);
+  });
+});
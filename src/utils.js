@@ -11,7 +11,25 @@ export const OUTPUT_PROFILES = {
     label: "X / Twitter Thread",
     maxChars: 25000,
     chunkSize: 280,
-    hint: "Split into numbered posts (1/n).",
+    hint: "Split into numbered posts that fit 280 (URLs count 23, emoji 2). A line with only --- forces a break.",
+  },
+  bluesky: {
+    label: "Bluesky Thread",
+    maxChars: 30000,
+    chunkSize: 300,
+    hint: "Split into numbered posts of up to 300 graphemes. Bare @handles get your handle domain.",
+  },
+  mastodon: {
+    label: "Mastodon Thread",
+    maxChars: 50000,
+    chunkSize: 500,
+    hint: "Split to your instance's limit. Links count 23; @user@instance mentions count only @user.",
+  },
+  threads: {
+    label: "Threads",
+    maxChars: 25000,
+    chunkSize: 500,
+    hint: "Split into numbered posts of up to 500 characters. Only the first hashtag in each post stays a tag.",
   },
   email: {
     label: "Email",
@@ -31,7 +49,7 @@ export const OUTPUT_PROFILES = {
   custom: {
     label: "Custom",
     maxChars: 20000,
-    hint: "Your rules.",
+    hint: "Plain text. Save your own formats under Profiles.",
   },
 };
 
@@ -41,23 +59,8 @@ export function clampInt(value, min, max, fallback) {
   return Math.max(min, Math.min(max, n));
 }
 
-export function splitIntoThread(text, size = 280) {
-  const chunks = [];
-  let remaining = text.trim();
-
-  while (remaining.length > size) {
-    let cut = remaining.lastIndexOf("\n", size);
-    if (cut < 120) cut = remaining.lastIndexOf(" ", size);
-    if (cut < 120) cut = size;
-
-    chunks.push(remaining.slice(0, cut).trim());
-    remaining = remaining.slice(cut).trim();
-  }
-  if (remaining) chunks.push(remaining);
-
-  const n = chunks.length;
-  return chunks.map((c, i) => `${i + 1}/${n}\n${c}`);
-}
+// Weighted, sentence-aware splitting lives in thread-splitter.js
+export { splitIntoThread, numberThreadPosts, weightedLength } from "./thread-splitter.js";
 
 export function escapeHtml(value) {
   return String(value)
@@ -68,8 +71,19 @@ export function escapeHtml(value) {
     .replaceAll("'", "&#039;");
 }
 
+// User-defined profiles are referenced as "custom:<id>"
+export const CUSTOM_PROFILE_PREFIX = "custom:";
+
+export function isCustomProfileKey(profile) {
+  return (
+    typeof profile === "string" &&
+    profile.startsWith(CUSTOM_PROFILE_PREFIX) &&
+    profile.length > CUSTOM_PROFILE_PREFIX.length
+  );
+}
+
 export function validateOutputProfile(profile) {
-  return OUTPUT_PROFILES[profile] ? profile : "linkedin";
+  return OUTPUT_PROFILES[profile] || isCustomProfileKey(profile) ? profile : "linkedin";
 }
 
 export function getCharacterCount(text) {
@@ -105,6 +119,13 @@ export function createDefaultState() {
       includeSignature: false,
       signature: "— Posted via Inkwise",
     },
+    email: { subject: "", subjectFallback: "Quick note", greeting: "", signOff: "" },
+    memo: { title: "", tldrCount: 5, nextSteps: "" },
+    blog: { includeTitle: true, headingLevel: 2, intro: "" },
+    xthread: { numbering: "prefix", locked: false, posts: [], lockedFrom: "" },
+    bluesky: { numbering: "prefix", handleDomain: "bsky.social" },
+    mastodon: { numbering: "prefix", charLimit: 500, instance: "" },
+    threads: { numbering: "prefix" },
   };
 }
 
@@ -25,15 +25,18 @@ describe("OUTPUT_PROFILES", () => {
     expect(OUTPUT_PROFILES.xthread.label).toBe("X / Twitter Thread");
   });
 
-  it("should have all 6 profile types", () => {
+  it("should have all 9 profile types", () => {
     const profileKeys = Object.keys(OUTPUT_PROFILES);
     expect(profileKeys).toContain("linkedin");
     expect(profileKeys).toContain("xthread");
+    expect(profileKeys).toContain("bluesky");
+    expect(profileKeys).toContain("mastodon");
+    expect(profileKeys).toContain("threads");
     expect(profileKeys).toContain("email");
     expect(profileKeys).toContain("memo");
     expect(profileKeys).toContain("blog");
     expect(profileKeys).toContain("custom");
-    expect(profileKeys.length).toBe(6);
+    expect(profileKeys.length).toBe(9);
   });
 });
 
@@ -73,6 +76,11 @@ describe("splitIntoThread", () => {
     const chunks = splitIntoThread("", 280);
     expect(chunks.length).toBe(0);
   });
+
+  it("should support suffix and no numbering", () => {
+    expect(splitIntoThread("Hello world", 280, { numbering: "suffix" })).toEqual(["Hello world 1/1"]);
+    expect(splitIntoThread("Hello world", 280, { numbering: "none" })).toEqual(["Hello world"]);
+  });
 });
 
 describe("escapeHtml", () => {
@@ -96,6 +104,11 @@ describe("validateOutputProfile", () => {
     expect(validateOutputProfile("email")).toBe("email");
   });
 
+  it("should accept user-defined profile keys", () => {
+    expect(validateOutputProfile("custom:abc")).toBe("custom:abc");
+    expect(validateOutputProfile("custom:")).toBe("linkedin");
+  });
+
   it("should return linkedin for invalid profile", () => {
     expect(validateOutputProfile("invalid")).toBe("linkedin");
     expect(validateOutputProfile("")).toBe("linkedin");
@@ -0,0 +1,168 @@
+// Encryption at rest extracted for testing
+// When a passphrase is set, VAULT_KEY holds (unencrypted) the key-derivation salt,
+// an encrypted check value that proves a passphrase right, and the auto-lock setting.
+// Every other record is stored as { [ENCRYPTED_MARKER]: 1, iv, data }.
+
+import {
+  deriveKey,
+  encryptJson,
+  decryptJson,
+  randomBytes,
+  toBase64,
+  fromBase64,
+  PBKDF2_ITERATIONS,
+  SALT_BYTES,
+} from "./crypto.js";
+
+export const VAULT_KEY = "inkwise:vault";
+export const ENCRYPTED_MARKER = "inkwise:encrypted";
+
+// Minutes of inactivity before locking; 0 = never
+export const AUTO_LOCK_CHOICES = [0, 5, 15, 30, 60];
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+const VAULT_CHECK = "inkwise-vault";
+
+/**
+ * @typedef {object} Vault
+ * @property {number} version
+ * @property {{ name: "PBKDF2", hash: "SHA-256", iterations: number, salt: string }} kdf
+ * @property {{ iv: string, data: string }} check - VAULT_CHECK encrypted with the derived key
+ * @property {number} autoLockMinutes
+ */
+
+/**
+ * Whether a stored value is an encrypted record
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isEncryptedRecord(value) {
+  return !!value && typeof value === "object" && /** @type {any} */ (value)[ENCRYPTED_MARKER] === 1;
+}
+
+/**
+ * Returns a usable vault record, or null when encryption is off (or the record is unusable)
+ * @param {unknown} raw
+ * @returns {Vault | null}
+ */
+export function sanitizeVault(raw) {
+  const vault = /** @type {any} */ (raw);
+  if (!vault || typeof vault !== "object") return null;
+  if (typeof vault.kdf?.salt !== "string" || !Number.isInteger(vault.kdf?.iterations)) return null;
+  if (typeof vault.check?.iv !== "string" || typeof vault.check?.data !== "string") return null;
+  return {
+    version: 1,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: vault.kdf.iterations, salt: vault.kdf.salt },
+    check: { iv: vault.check.iv, data: vault.check.data },
+    autoLockMinutes: AUTO_LOCK_CHOICES.includes(vault.autoLockMinutes)
+      ? vault.autoLockMinutes
+      : DEFAULT_AUTO_LOCK_MINUTES,
+  };
+}
+
+/**
+ * Creates a vault record for a new passphrase
+ * @param {string} passphrase
+ * @param {{ iterations?: number, autoLockMinutes?: number }} [options]
+ * @returns {Promise<{ vault: Vault, key: CryptoKey }>}
+ */
+export async function createVault(
+  passphrase,
+  { iterations = PBKDF2_ITERATIONS, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES } = {}
+) {
+  const salt = randomBytes(SALT_BYTES);
+  const key = await deriveKey(passphrase, { salt, iterations });
+  const vault = {
+    version: 1,
+    kdf: /** @type {Vault["kdf"]} */ ({ name: "PBKDF2", hash: "SHA-256", iterations, salt: toBase64(salt) }),
+    check: await encryptJson(key, VAULT_CHECK),
+    autoLockMinutes,
+  };
+  return { vault, key };
+}
+
+/**
+ * Derives the key for a vault and checks the passphrase against it
+ * @param {Vault} vault
+ * @param {string} passphrase
+ * @returns {Promise<CryptoKey>}
+ * @throws {import("./crypto.js").DecryptionError} Wrong passphrase
+ */
+export async function unlockVault(vault, passphrase) {
+  const key = await deriveKey(passphrase, { salt: fromBase64(vault.kdf.salt), iterations: vault.kdf.iterations });
+  // Throws DecryptionError for a wrong passphrase (AES-GCM authentication fails)
+  await decryptJson(key, vault.check);
+  return key;
+}
+
+/**
+ * Wraps a storage adapter so values are encrypted on write and decrypted on read.
+ * Plaintext values (written before encryption was turned on) are read as they are.
+ * @param {import("./storage.js").StorageAdapter} inner
+ * @param {CryptoKey} key
+ * @returns {import("./storage.js").StorageAdapter}
+ */
+export function createEncryptedStorage(inner, key) {
+  return {
+    kind: inner.kind,
+    async get(storageKey) {
+      const value = await inner.get(storageKey);
+      if (storageKey === VAULT_KEY || !isEncryptedRecord(value)) return value;
+      return decryptJson(key, value);
+    },
+    async put(storageKey, value) {
+      if (storageKey === VAULT_KEY) return inner.put(storageKey, value);
+      await inner.put(storageKey, { [ENCRYPTED_MARKER]: 1, ...(await encryptJson(key, value)) });
+    },
+    list: (prefix) => inner.list(prefix),
+    delete: (storageKey) => inner.delete(storageKey),
+  };
+}
+
+/**
+ * Encrypts every record still stored as plaintext (turning encryption on, or records
+ * written by a tab that hadn't picked up the passphrase yet)
+ * @param {import("./storage.js").StorageAdapter} inner - The unwrapped adapter
+ * @param {CryptoKey} key
+ * @returns {Promise<number>} - Records encrypted
+ */
+export async function sealStorage(inner, key) {
+  const encrypted = createEncryptedStorage(inner, key);
+  let count = 0;
+  for (const storageKey of await inner.list("inkwise:")) {
+    if (storageKey === VAULT_KEY) continue;
+    const value = await inner.get(storageKey);
+    if (value === null || isEncryptedRecord(value)) continue;
+    await encrypted.put(storageKey, value);
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Decrypts every record back to plaintext (turning encryption off). The caller
+ * deletes VAULT_KEY afterwards, so an interrupted run can simply be repeated.
+ * @param {import("./storage.js").StorageAdapter} inner - The unwrapped adapter
+ * @param {CryptoKey} key
+ * @returns {Promise<number>} - Records decrypted
+ */
+export async function unsealStorage(inner, key) {
+  let count = 0;
+  for (const storageKey of await inner.list("inkwise:")) {
+    if (storageKey === VAULT_KEY) continue;
+    const value = await inner.get(storageKey);
+    if (!isEncryptedRecord(value)) continue;
+    await inner.put(storageKey, await decryptJson(key, value));
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Whether the app has been idle long enough to lock
+ * @param {{ lastActivityAt: number, now: number, autoLockMinutes: number }} options
+ * @returns {boolean}
+ */
+export function shouldAutoLock({ lastActivityAt, now, autoLockMinutes }) {
+  return autoLockMinutes > 0 && now - lastActivityAt >= autoLockMinutes * 60 * 1000;
+}
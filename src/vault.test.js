@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import {
+  VAULT_KEY,
+  DEFAULT_AUTO_LOCK_MINUTES,
+  createVault,
+  unlockVault,
+  sanitizeVault,
+  isEncryptedRecord,
+  createEncryptedStorage,
+  sealStorage,
+  unsealStorage,
+  shouldAutoLock,
+} from "./vault.js";
+import { DecryptionError } from "./crypto.js";
+import { createMemoryStorage } from "./storage.js";
+
+// Real PBKDF2 cost is too slow for unit tests
+const FAST = { iterations: 1000 };
+
+describe("vault", () => {
+  it("unlocks with the right passphrase only", async () => {
+    const { vault } = await createVault("correct horse", FAST);
+    expect(vault.autoLockMinutes).toBe(DEFAULT_AUTO_LOCK_MINUTES);
+    await expect(unlockVault(vault, "correct horse")).resolves.toBeDefined();
+    await expect(unlockVault(vault, "wrong")).rejects.toBeInstanceOf(DecryptionError);
+  });
+
+  it("survives storage round trips and sanitizes bad records", async () => {
+    const { vault } = await createVault("correct horse", { ...FAST, autoLockMinutes: 5 });
+    const stored = sanitizeVault(JSON.parse(JSON.stringify(vault)));
+    expect(stored).toEqual(vault);
+    expect(sanitizeVault({ ...vault, autoLockMinutes: 7 }).autoLockMinutes).toBe(DEFAULT_AUTO_LOCK_MINUTES);
+    expect(sanitizeVault(null)).toBeNull();
+    expect(sanitizeVault({ kdf: {} })).toBeNull();
+  });
+});
+
+describe("createEncryptedStorage", () => {
+  it("stores encrypted records and reads them back", async () => {
+    const { key } = await createVault("pw", FAST);
+    const inner = createMemoryStorage();
+    const storage = createEncryptedStorage(inner, key);
+    await storage.put("inkwise:project:a", { intent: "Secret plan" });
+
+    const raw = await inner.get("inkwise:project:a");
+    expect(isEncryptedRecord(raw)).toBe(true);
+    expect(JSON.stringify(raw)).not.toContain("Secret");
+    expect(await storage.get("inkwise:project:a")).toEqual({ intent: "Secret plan" });
+    expect(await storage.list("inkwise:project:")).toEqual(["inkwise:project:a"]);
+  });
+
+  it("reads plaintext records and leaves the vault record unencrypted", async () => {
+    const { key, vault } = await createVault("pw", FAST);
+    const inner = createMemoryStorage({ "inkwise:projects": [{ id: "a" }] });
+    const storage = createEncryptedStorage(inner, key);
+    expect(await storage.get("inkwise:projects")).toEqual([{ id: "a" }]);
+    await storage.put(VAULT_KEY, vault);
+    expect(await inner.get(VAULT_KEY)).toEqual(vault);
+  });
+});
+
+describe("sealStorage / unsealStorage", () => {
+  it("encrypts every plaintext record and decrypts them again", async () => {
+    const { key, vault } = await createVault("pw", FAST);
+    const inner = createMemoryStorage({
+      "inkwise:projects": [{ id: "a" }],
+      "inkwise:project:a": { intent: "Draft" },
+      "other:key": "not ours",
+    });
+    await inner.put(VAULT_KEY, vault);
+
+    expect(await sealStorage(inner, key)).toBe(2);
+    expect(isEncryptedRecord(await inner.get("inkwise:project:a"))).toBe(true);
+    expect(await inner.get("other:key")).toBe("not ours");
+    expect(await inner.get(VAULT_KEY)).toEqual(vault);
+    // Already sealed records are left alone
+    expect(await sealStorage(inner, key)).toBe(0);
+
+    expect(await unsealStorage(inner, key)).toBe(2);
+    expect(await inner.get("inkwise:project:a")).toEqual({ intent: "Draft" });
+  });
+});
+
+describe("shouldAutoLock", () => {
+  it("locks after the configured idle time, never with 0", () => {
+    const minute = 60 * 1000;
+    expect(shouldAutoLock({ lastActivityAt: 0, now: 14 * minute, autoLockMinutes: 15 })).toBe(false);
+    expect(shouldAutoLock({ lastActivityAt: 0, now: 15 * minute, autoLockMinutes: 15 })).toBe(true);
+    expect(shouldAutoLock({ lastActivityAt: 0, now: 999 * minute, autoLockMinutes: 0 })).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { crc32, createZip } from "./zip.js";
+import { readStoredZip } from "./test-helpers.js";
+
+const decoder = new TextDecoder();
+
+describe("crc32", () => {
+  it("matches the standard check value", () => {
+    expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+});
+
+describe("createZip", () => {
+  const now = new Date(2025, 2, 1, 12, 30, 10);
+
+  it("stores text and binary entries with checksums", () => {
+    const zip = createZip(
+      [
+        { name: "a.txt", data: "héllo" },
+        { name: "dir/b.bin", data: new Uint8Array([1, 2, 3]) },
+      ],
+      { now }
+    );
+    const entries = readStoredZip(zip);
+    expect(Object.keys(entries)).toEqual(["a.txt", "dir/b.bin"]);
+    expect(decoder.decode(entries["a.txt"].data)).toBe("héllo");
+    expect(entries["a.txt"].crc).toBe(crc32(new TextEncoder().encode("héllo")));
+    expect([...entries["dir/b.bin"].data]).toEqual([1, 2, 3]);
+  });
+
+  it("ends with a central directory listing every entry", () => {
+    const zip = createZip(
+      [
+        { name: "a.txt", data: "x" },
+        { name: "b.txt", data: "y" },
+      ],
+      { now }
+    );
+    const view = new DataView(zip.buffer);
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    const centralOffset = view.getUint32(end + 16, true);
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+    expect(centralOffset + view.getUint32(end + 12, true)).toBe(end);
+  });
+
+  it("writes MS-DOS timestamps", () => {
+    const view = new DataView(createZip([{ name: "a", data: "" }], { now }).buffer);
+    expect(view.getUint16(10, true)).toBe((12 << 11) | (30 << 5) | 5);
+    expect(view.getUint16(12, true)).toBe((45 << 9) | (3 << 5) | 1);
+  });
+});
@@ -0,0 +1,62 @@
+import { defineConfig } from "vite";
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync } from "node:fs";
+import { join, relative, sep } from "node:path";
+
+// Build output the service worker doesn't precache
+const PRECACHE_EXCLUDE = [/\.map$/, /^sw\.js$/];
+
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory() ? listFiles(join(dir, entry.name)) : [join(dir, entry.name)]
+  );
+}
+
+// Emits src/sw.js as /sw.js with every built asset and public file (app shell,
+// demo fixture, icons) to precache. The version is a hash of their contents, so
+// any change ships a new worker, which the app offers to load (see src/pwa.js).
+function precacheServiceWorker() {
+  let publicDir = "";
+
+  return {
+    name: "inkwise-precache-sw",
+    apply: "build",
+    enforce: "post",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      const hash = createHash("sha256");
+      const files = [];
+
+      for (const output of Object.values(bundle)) {
+        files.push(output.fileName);
+        hash.update(output.fileName);
+        hash.update(output.type === "chunk" ? output.code : output.source);
+      }
+      for (const file of publicDir ? listFiles(publicDir) : []) {
+        const fileName = relative(publicDir, file).split(sep).join("/");
+        files.push(fileName);
+        hash.update(fileName);
+        hash.update(readFileSync(file));
+      }
+
+      const urls = files
+        .filter((fileName) => !PRECACHE_EXCLUDE.some((pattern) => pattern.test(fileName)))
+        .sort()
+        .map((fileName) => `/${fileName}`);
+      const manifest = { version: hash.digest("hex").slice(0, 16), urls: ["/", ...urls] };
+
+      const source = readFileSync(new URL("./src/sw.js", import.meta.url), "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: source.replace("sw.__PRECACHE_MANIFEST", JSON.stringify(manifest)),
+      });
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [precacheServiceWorker()],
+});